@@ -0,0 +1,106 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Ad and Bloom Pick Accounting
+ * ═══════════════════════════════════════════════════════
+ *
+ * GET  /ad/<placement id>     → counts a click, then 302 to the advertiser
+ * GET  /pick/<bloom pick id>  → counts a click, then 302 to the affiliate link
+ * POST /api/ads/impressions   → { ids: [placement id, …] }, 204
+ *
+ * Ad cards link to /ad/<id> and Bloom Picks to /pick/<id>; the target
+ * comes from ad_placements or bloom_picks, so neither can be used as an
+ * open redirect. data.js reports viewable ad impressions (half the
+ * card on screen for a second) in batches.
+ * Bots, prefetches and IPs over the burst limits aren't counted. Ad
+ * counts go through record_ad_events() and pick clicks through
+ * record_pick_click() in sql/schema.sql.
+ *
+ * No cookies are set and no IPs are stored.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { serviceClient } from '../lib/supabase.mjs';
+import { clientIp, isAutomated, json, rateLimiter } from '../lib/http.mjs';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_BATCH = 50;
+
+const allowClick = rateLimiter({ limit: 20, windowMs: 60 * 1000 });
+const allowBatch = rateLimiter({ limit: 30, windowMs: 60 * 1000 });
+
+function redirect(location) {
+  return new Response(null, { status: 302, headers: { Location: location, 'Cache-Control': 'no-store' } });
+}
+
+async function recordEvents(supabase, ids, kind) {
+  const { error } = await supabase.rpc('record_ad_events', { p_ids: ids, p_kind: kind });
+  if (error) console.error(`Could not record ad ${kind}s:`, error.message);
+}
+
+// ═══ CLICKS ═══
+
+const CLICK_TARGETS = {
+  ad: { table: 'ad_placements', url: 'click_url' },
+  pick: { table: 'bloom_picks', url: 'affiliate_url' },
+};
+
+async function recordClick(supabase, kind, id) {
+  if (kind === 'ad') return recordEvents(supabase, [id], 'click');
+  const { error } = await supabase.rpc('record_pick_click', { p_pick_id: id });
+  if (error) console.error('Could not record pick click:', error.message);
+}
+
+async function click(req, context, kind) {
+  const home = new URL('/', req.url).href;
+  const id = context.params?.id || '';
+  if (!UUID.test(id)) return redirect(home);
+
+  const target = CLICK_TARGETS[kind];
+  const supabase = serviceClient();
+  const { data: row, error } = await supabase
+    .from(target.table)
+    .select(`id, ${target.url}`)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) console.error(`${kind} lookup failed:`, error.message);
+  const location = row?.[target.url] || '';
+  if (!/^https?:\/\//i.test(location)) return redirect(home);
+
+  if (req.method === 'GET' && !isAutomated(req) && allowClick(clientIp(req, context))) {
+    await recordClick(supabase, kind, row.id);
+  }
+  return redirect(location);
+}
+
+// ═══ IMPRESSIONS ═══
+
+async function impressions(req, context) {
+  if (req.method !== 'POST') return json({ error: 'method not allowed' }, 405, { Allow: 'POST' });
+
+  let body;
+  try {
+    // sendBeacon posts text/plain, so don't rely on the content type
+    body = JSON.parse(await req.text());
+  } catch {
+    return json({ error: 'invalid JSON' }, 400);
+  }
+  const ids = Array.isArray(body?.ids) ? body.ids.filter(id => typeof id === 'string' && UUID.test(id)) : [];
+  if (ids.length === 0 || ids.length > MAX_BATCH) return json({ error: `ids must hold 1–${MAX_BATCH} placement ids` }, 400);
+  // One impression per placement per batch, however often it is listed
+  const unique = [...new Set(ids.map(id => id.toLowerCase()))];
+
+  if (!isAutomated(req) && allowBatch(clientIp(req, context))) {
+    await recordEvents(serviceClient(), unique, 'impression');
+  }
+  return new Response(null, { status: 204, headers: { 'Cache-Control': 'no-store' } });
+}
+
+export default async (req, context) => {
+  const { pathname } = new URL(req.url);
+  if (pathname.startsWith('/ad/')) return click(req, context, 'ad');
+  if (pathname.startsWith('/pick/')) return click(req, context, 'pick');
+  return impressions(req, context);
+};
+
+export const config = { path: ['/ad/:id', '/pick/:id', '/api/ads/impressions'] };
@@ -0,0 +1,86 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Published Feeds
+ * ═══════════════════════════════════════════════════════
+ *
+ * GET /feed.xml  /atom.xml  /feed.json                → every published story
+ * GET /<category>/feed.xml  (atom.xml, feed.json)     → one category
+ * GET /weird/feed.xml  (atom.xml, feed.json)          → the Wonderfully Weird
+ *
+ *   ?min_bloom=4    only stories scoring at least 4 (3-5)
+ *
+ * Newest 50 stories; cached by the CDN for 15 minutes.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { serviceClient } from '../lib/supabase.mjs';
+import { CATEGORY_PAGES, SITE_NAME, SITE_URL } from '../lib/pages.mjs';
+import { FORMATS } from '../lib/feeds.mjs';
+
+const FEED_SIZE = 50;
+const MIN_PUBLISHED_BLOOM = 3;  // feed_articles never holds less
+
+function plain(status, message) {
+  return new Response(message, {
+    status,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' },
+  });
+}
+
+/** ?min_bloom= as 3-5; null when absent, NaN when invalid */
+function parseMinBloom(url) {
+  const raw = url.searchParams.get('min_bloom');
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= MIN_PUBLISHED_BLOOM && n <= 5 ? n : NaN;
+}
+
+export default async (req) => {
+  const url = new URL(req.url);
+  const [, first, second] = url.pathname.split('/');
+  const slug = second ? first : null;
+  const format = FORMATS[second || first];
+
+  if (!format || (slug && !CATEGORY_PAGES[slug])) return plain(404, 'No such feed');
+
+  const minBloom = parseMinBloom(url);
+  if (Number.isNaN(minBloom)) return plain(400, `min_bloom must be a whole number from ${MIN_PUBLISHED_BLOOM} to 5`);
+
+  let query = serviceClient()
+    .from(slug === 'weird' ? 'weird_articles' : 'feed_articles')
+    .select('id, title, excerpt, ai_summary, source_url, source_name, image_url, category_name, bloom_score, is_weird, ai_tags, published_at')
+    .order('published_at', { ascending: false })
+    .limit(FEED_SIZE);
+  if (slug && slug !== 'weird') query = query.eq('category_name', slug);
+  if (minBloom) query = query.gte('bloom_score', minBloom);
+
+  const { data: items, error } = await query;
+  if (error) {
+    console.error(`Feed query failed for ${url.pathname}:`, error.message);
+    return plain(503, 'Feed temporarily unavailable');
+  }
+
+  const page = slug ? CATEGORY_PAGES[slug] : null;
+  const meta = {
+    title: `${page ? `${page.name} — ` : ''}${SITE_NAME}${minBloom ? ` (Bloom ${minBloom}+)` : ''}`,
+    description: page?.description || 'AI-curated constructive journalism. The stories that move the world forward.',
+    path: slug ? `/${slug}` : '/',
+    self: `${SITE_URL}${url.pathname}${minBloom ? `?min_bloom=${minBloom}` : ''}`,
+  };
+
+  return new Response(format.render(meta, items || []), {
+    headers: {
+      'Content-Type': format.type,
+      'Cache-Control': 'public, max-age=0, must-revalidate',
+      'Netlify-CDN-Cache-Control': 'public, s-maxage=900, stale-while-revalidate=3600',
+      'Netlify-Vary': 'query=min_bloom',
+    },
+  });
+};
+
+export const config = {
+  path: [
+    '/feed.xml', '/atom.xml', '/feed.json',
+    '/:category/feed.xml', '/:category/atom.xml', '/:category/feed.json',
+  ],
+};
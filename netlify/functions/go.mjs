@@ -0,0 +1,68 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Read Counter
+ * ═══════════════════════════════════════════════════════
+ *
+ * GET /go/<article id>  → counts a read, then 302 to the article's source
+ *
+ * Cards link here instead of straight to the publisher. The redirect
+ * target always comes from the database, so this can't be used as an
+ * open redirect. The reader is always redirected; only the count is
+ * conditional. A read is not counted when:
+ *   - the user agent looks like a bot or the request is a prefetch
+ *   - the IP is over BURST_LIMIT requests a minute
+ *   - this visitor already read the article today, or is over
+ *     DAILY_LIMIT reads today (see record_read in sql/schema.sql)
+ *
+ * No cookies are set and no IPs are stored.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { serviceClient } from '../lib/supabase.mjs';
+import { clientIp, isAutomated, rateLimiter } from '../lib/http.mjs';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const BURST_LIMIT = 30;
+const DAILY_LIMIT = 100;
+
+const allowBurst = rateLimiter({ limit: BURST_LIMIT, windowMs: 60 * 1000 });
+
+function redirect(location) {
+  return new Response(null, { status: 302, headers: { Location: location, 'Cache-Control': 'no-store' } });
+}
+
+function isCountable(req, ip) {
+  return !isAutomated(req) && allowBurst(ip);
+}
+
+export default async (req, context) => {
+  const home = new URL('/', req.url).href;
+  const id = context.params?.id || '';
+  if (!UUID.test(id)) return redirect(home);
+
+  const supabase = serviceClient();
+  const { data: article, error } = await supabase
+    .from('articles')
+    .select('id, source_url')
+    .eq('id', id)
+    .eq('status', 'published')
+    .maybeSingle();
+
+  if (error) console.error('Read lookup failed:', error.message);
+  if (!article?.source_url) return redirect(home);
+
+  const ip = clientIp(req, context);
+  if (req.method === 'GET' && isCountable(req, ip)) {
+    const { error: readError } = await supabase.rpc('record_read', {
+      p_article_id: article.id,
+      p_ip: ip,
+      p_user_agent: req.headers.get('user-agent'),
+      p_daily_limit: DAILY_LIMIT,
+    });
+    if (readError) console.error('Could not record read:', readError.message);
+  }
+
+  return redirect(article.source_url);
+};
+
+export const config = { path: '/go/:id' };
@@ -0,0 +1,172 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Newsletter Signup
+ * ═══════════════════════════════════════════════════════
+ *
+ * POST /api/subscribe              → { email } (JSON or a plain form post)
+ * GET  /newsletter/confirm?token   → page with a "Confirm" button
+ * POST /newsletter/confirm?token   → activates the subscription
+ * GET  /newsletter/unsubscribe?token  → page with an "Unsubscribe" button
+ * POST /newsletter/unsubscribe?token  → sets unsubscribed_at (also the
+ *                                       RFC 8058 one-click target)
+ *
+ * Double opt-in: a signup is stored inactive and a confirmation link is
+ * mailed (netlify/lib/mailer.mjs). Links only act on POST, so mail
+ * scanners that open them can't confirm or unsubscribe anyone.
+ *
+ * The answer to a valid signup is the same whether the address is new,
+ * pending or already subscribed, so the form can't be used to find out
+ * who subscribes. subscribers is only ever touched with the service key.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { serviceClient } from '../lib/supabase.mjs';
+import { clientIp, json, rateLimiter } from '../lib/http.mjs';
+import { messagePage } from '../lib/pages.mjs';
+import { createMailer } from '../lib/mailer.mjs';
+import { TOKEN, confirmationEmail, hashToken, newToken, normalizeEmail } from '../lib/newsletter.mjs';
+
+const CONFIRM_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const RESEND_AFTER_MS = 10 * 60 * 1000;  // one confirmation email per address per 10 minutes
+
+const allowSignup = rateLimiter({ limit: 5, windowMs: 10 * 60 * 1000 });
+
+// ═══ SIGNUP ═══
+
+/**
+ * Store (or refresh) a pending signup and mail its confirmation link.
+ * Returns null when accepted, or { status, error } when not.
+ */
+async function signUp(supabase, email) {
+  const { data: existing, error } = await supabase
+    .from('subscribers')
+    .select('id, is_active, confirm_sent_at')
+    .eq('email', email)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+
+  if (existing?.is_active) return null;
+  if (existing?.confirm_sent_at && Date.now() - new Date(existing.confirm_sent_at) < RESEND_AFTER_MS) return null;
+
+  const token = newToken();
+  const pending = { confirm_token_hash: hashToken(token), confirm_sent_at: new Date().toISOString() };
+  const { data: row, error: saveError } = existing
+    ? await supabase.from('subscribers').update(pending).eq('id', existing.id).select('id').single()
+    : await supabase.from('subscribers').insert({ email, is_active: false, unsubscribe_token: newToken(), ...pending }).select('id').single();
+  if (saveError?.code === '23505') return null;  // signed up in parallel
+  if (saveError) throw new Error(saveError.message);
+
+  try {
+    await createMailer().send(confirmationEmail(email, token));
+  } catch (err) {
+    console.error('Confirmation email failed:', err.message);
+    // Let the reader try again straight away
+    await supabase.from('subscribers').update({ confirm_sent_at: null }).eq('id', row.id);
+    return { status: 502, error: "We couldn't send the confirmation email. Please try again shortly." };
+  }
+  return null;
+}
+
+async function readSignup(req) {
+  const type = req.headers.get('content-type') || '';
+  if (type.includes('application/json')) return req.json();
+  return Object.fromEntries(await req.formData());
+}
+
+async function subscribe(req, context) {
+  if (req.method !== 'POST') return json({ error: 'method not allowed' }, 405, { Allow: 'POST' });
+  // The site posts JSON; a form posted without JavaScript gets a page back
+  const asPage = !(req.headers.get('content-type') || '').includes('application/json');
+  const reply = (status, message) => asPage
+    ? messagePage('/api/subscribe', { title: status < 300 ? 'Check your inbox' : "That didn't work", message, status, kind: status < 300 ? 'empty' : 'error' })
+    : json(status < 300 ? { ok: true, message } : { error: message }, status);
+
+  let body;
+  try {
+    body = await readSignup(req);
+  } catch {
+    return reply(400, 'Invalid request.');
+  }
+
+  const accepted = 'We sent you a link to confirm your subscription.';
+  if (body?.website) return reply(202, accepted);  // honeypot field, hidden from people
+  if (!allowSignup(clientIp(req, context))) return reply(429, 'Too many signups from your network. Please try again in a few minutes.');
+
+  const email = normalizeEmail(body?.email);
+  if (!email) return reply(400, 'Please enter a valid email address.');
+
+  const failed = await signUp(serviceClient(), email);
+  return failed ? reply(failed.status, failed.error) : reply(202, accepted);
+}
+
+// ═══ CONFIRM & UNSUBSCRIBE ═══
+
+async function confirm(req, path, token) {
+  if (req.method === 'GET') {
+    return messagePage(path, { title: 'Confirm your subscription', message: 'One click and The Morning Brief starts arriving tomorrow morning.', button: 'Confirm subscription' });
+  }
+
+  const { data, error } = await serviceClient()
+    .from('subscribers')
+    .update({ is_active: true, confirmed_at: new Date().toISOString(), unsubscribed_at: null, confirm_token_hash: null })
+    .eq('confirm_token_hash', hashToken(token))
+    .gte('confirm_sent_at', new Date(Date.now() - CONFIRM_TTL_MS).toISOString())
+    .select('id');
+  if (error) throw new Error(error.message);
+
+  if (!data?.length) {
+    return messagePage(path, { title: 'This link has expired', message: 'It may have been used already. Sign up again on the home page to get a new one.', status: 410, kind: 'error' });
+  }
+  return messagePage(path, { title: "You're subscribed", message: 'The Morning Brief arrives every morning. Every email has a one-click unsubscribe link.' });
+}
+
+async function unsubscribe(req, path, token) {
+  if (req.method === 'GET') {
+    return messagePage(path, { title: 'Unsubscribe from The Morning Brief?', message: "You won't get any more emails from us.", button: 'Unsubscribe' });
+  }
+
+  const { data, error } = await serviceClient()
+    .from('subscribers')
+    .update({ is_active: false, unsubscribed_at: new Date().toISOString() })
+    .eq('unsubscribe_token', token)
+    .select('id');
+  if (error) throw new Error(error.message);
+
+  // RFC 8058: the mail client posts this body and only looks at the status
+  const oneClick = (await req.text()).includes('List-Unsubscribe=One-Click');
+  if (!data?.length) {
+    return oneClick
+      ? new Response(null, { status: 404 })
+      : messagePage(path, { title: 'Link not recognised', message: 'This unsubscribe link is not valid. Use the link in your most recent email.', status: 404, kind: 'error' });
+  }
+  if (oneClick) return new Response(null, { status: 200 });
+  return messagePage(path, { title: "You're unsubscribed", message: "You won't get any more emails. Changed your mind? Sign up again on the home page." });
+}
+
+export default async (req, context) => {
+  const url = new URL(req.url);
+  if (url.pathname === '/api/subscribe') {
+    try {
+      return await subscribe(req, context);
+    } catch (err) {
+      console.error('Signup failed:', err.message);
+      return json({ error: 'Something went wrong. Please try again shortly.' }, 503);
+    }
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) return json({ error: 'method not allowed' }, 405, { Allow: 'GET, POST' });
+  const token = url.searchParams.get('token') || '';
+  if (!TOKEN.test(token)) {
+    return messagePage(url.pathname, { title: 'Link not recognised', message: 'Check that you opened the whole link from the email.', status: 400, kind: 'error' });
+  }
+
+  try {
+    if (url.pathname === '/newsletter/confirm') return await confirm(req, url.pathname, token);
+    return await unsubscribe(req, url.pathname, token);
+  } catch (err) {
+    console.error(`Newsletter ${url.pathname} failed:`, err.message);
+    return messagePage(url.pathname, { title: 'Something went wrong', message: 'Please try the link again shortly.', status: 503, kind: 'error' });
+  }
+};
+
+export const config = { path: ['/api/subscribe', '/newsletter/confirm', '/newsletter/unsubscribe'] };
@@ -0,0 +1,271 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Server-Rendered Pages
+ * ═══════════════════════════════════════════════════════
+ *
+ * GET /<category>     → category page (featured row, feed, trending)
+ * GET /topic/<slug>   → every story with one tag, plus related topics
+ * GET /a/<id>         → story page: summary, link out, other coverage
+ *
+ * Crawlers and link previews get real content and per-page title,
+ * description and OpenGraph tags instead of the static index.html.
+ * Cards come from the same templates the browser uses
+ * (public/js/templates.js). Pages are cached by the CDN for 10 minutes.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { serviceClient } from '../lib/supabase.mjs';
+import {
+  CATEGORY_PAGES, SITE_NAME, SITE_URL, TOPIC_INDEX_MIN,
+  escapeHtml, renderPage, feedLinks, jsonLd, htmlResponse,
+} from '../lib/pages.mjs';
+import {
+  CAT_COLORS, CAT_IMAGES, html, safeUrl, timeAgo, readUrl, tagSlug, renderTopicLinks,
+  renderArticleCard, renderCoverageItem, renderFeaturedCard, renderWeirdCard, renderTrendingItem, insertAd,
+  adRotation, renderAd, renderBloomPicks,
+} from '../../public/js/templates.js';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TOPIC_SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const FEED_SIZE = 30;
+const RELATED_TOPICS = 10;
+const PICK_CONTEXT = 10;
+
+const STORY_STYLE = '.story{max-width:760px;margin:0 auto;padding:64px 28px 40px;}.story h1{font:500 38px/1.2 \'Playfair Display\',serif;color:var(--text);margin:12px 0 16px;letter-spacing:-.5px;}.story-meta{font-size:14px;color:var(--text-3);margin-bottom:24px;}.story-meta strong{color:var(--text-2);font-weight:500;}.story-img{width:100%;border-radius:var(--r-lg);margin-bottom:24px;}.story-sum{font-size:18px;line-height:1.75;color:var(--text);margin-bottom:28px;}.story-link{display:inline-block;padding:12px 22px;border-radius:999px;background:var(--cyan);color:var(--void);font-weight:600;text-decoration:none;}.story h2{font:500 22px/1.3 \'Playfair Display\',serif;color:var(--text);margin:40px 0 12px;}.story-cov{list-style:none;}.story-cov li{padding:8px 0;border-bottom:1px solid var(--bdr);}.story-cov a{color:var(--text-2);text-decoration:none;}.story-more{max-width:1200px;margin:0 auto;padding:0 28px 80px;display:grid;grid-template-columns:repeat(auto-fill,minmax(280px,1fr));gap:20px;}.cat-intro{max-width:1200px;margin:-8px auto 24px;padding:0 28px;color:var(--text-3);}.story .tag-list{margin-top:20px;}.story .bp{margin-top:40px;}.trend .tag-list{margin-top:4px;}';
+
+function notFound(path, { heading = 'Story not found', message = 'It may have been removed or merged into another story.' } = {}) {
+  return htmlResponse(renderPage({
+    path,
+    title: `Not found — ${SITE_NAME}`,
+    description: message,
+    robots: 'noindex',
+    body: html`<div class="story"><h1>${heading}</h1><p class="story-sum">${message} <a href="/" style="color:var(--cyan)">Back to today's stories →</a></p></div>`,
+    style: STORY_STYLE,
+  }), 404);
+}
+
+// ═══ CATEGORY PAGES ═══
+
+/** Bloom Picks for some stories (bloom_picks_for RPC); none if the lookup fails */
+async function bloomPicks(supabase, storyIds, category = null) {
+  const { data, error } = await supabase.rpc('bloom_picks_for', { story_ids: storyIds, category, max_results: 4 });
+  if (error) console.error('Could not load Bloom Picks:', error.message);
+  return data || [];
+}
+
+async function categoryPage(supabase, slug) {
+  const page = CATEGORY_PAGES[slug];
+  const weird = slug === 'weird';
+
+  const [{ data: articles, error }, { data: trending }, { data: ads, error: adsError }] = await Promise.all([
+    weird
+      ? supabase.from('weird_articles').select('*').order('published_at', { ascending: false }).limit(FEED_SIZE)
+      : supabase.from('feed_articles').select('*').eq('category_name', slug).order('published_at', { ascending: false }).limit(FEED_SIZE),
+    supabase.from('trending_articles').select('*').order('rank').limit(7),
+    supabase.from('active_ads').select('*'),
+  ]);
+  if (error) throw new Error(error.message);
+  if (adsError) console.error('Could not load ads:', adsError.message);
+
+  const rows = articles || [];
+  const pickAd = adRotation(ads || []);
+  // Best three of the recent stories lead the page; the rest follow by date
+  const featured = [...rows]
+    .sort((a, b) => b.bloom_score - a.bloom_score || new Date(b.published_at) - new Date(a.published_at))
+    .slice(0, 3);
+  const rest = rows.filter(a => !featured.includes(a));
+
+  const feed = weird
+    ? html`<div class="weird" id="weird"><div class="weird-grid">${rest.map(renderWeirdCard)}</div></div>`
+    : rest.map((a, i) => [insertAd(i, pickAd), renderArticleCard(a)]);
+  const trend = trending || [];
+  const sidebarAd = pickAd('sidebar-1');
+  const picks = await bloomPicks(supabase, rows.slice(0, PICK_CONTEXT).map(a => a.id), weird ? null : slug);
+
+  const body = html`
+<div class="sec"><div class="sec-head"><h1 class="sec-t"><span class="dot"></span> ${page.name}</h1></div></div>
+<p class="cat-intro">${page.description}</p>
+<div class="feat-row" id="featured">${featured.map((a, i) => renderFeaturedCard(a, i === 0))}</div>
+<div class="main">
+<div class="feed" id="feed">${rows.length ? feed : html`<p class="cat-intro">No stories here yet — check back soon.</p>`}</div>
+<aside class="side">${sidebarAd && renderAd(sidebarAd, { sidebar: true })}${trend.length > 0 && html`<div class="trend" id="trending"><h3>Trending</h3>${trend.map(renderTrendingItem)}</div>`}${renderBloomPicks(picks)}</aside>
+</div>`;
+
+  return htmlResponse(renderPage({
+    path: `/${slug}`,
+    title: `${page.name} — ${SITE_NAME}`,
+    description: page.description,
+    image: safeUrl(featured[0]?.image_url) || CAT_IMAGES[slug],
+    body,
+    style: STORY_STYLE,
+    head: feedLinks(`/${slug}`, `${page.name} — ${SITE_NAME}`),
+  }));
+}
+
+// ═══ TOPIC PAGES ═══
+
+/** Other tags on a topic's stories, most frequent first */
+function relatedTopics(articles, slug) {
+  const counts = new Map();
+  for (const article of articles) {
+    for (const name of article.ai_tags || []) {
+      const other = tagSlug(name);
+      if (!other || other === slug) continue;
+      const entry = counts.get(other) || { name, n: 0 };
+      entry.n++;
+      counts.set(other, entry);
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.n - a.n).slice(0, RELATED_TOPICS).map(t => t.name);
+}
+
+async function topicPage(supabase, slug) {
+  const path = `/topic/${slug}`;
+  const missing = { heading: 'Topic not found', message: 'No stories carry this tag right now.' };
+  if (!TOPIC_SLUG.test(slug)) return notFound(path, missing);
+
+  const { data: tag, error } = await supabase.from('tags').select('slug, name, article_count').eq('slug', slug).maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!tag?.article_count) return notFound(path, missing);
+
+  const [{ data: articles, error: feedError }, { data: trending }] = await Promise.all([
+    supabase.from('feed_articles').select('*').contains('tag_slugs', [slug]).order('published_at', { ascending: false }).limit(FEED_SIZE),
+    supabase.from('trending_articles').select('*').order('rank').limit(7),
+  ]);
+  if (feedError) throw new Error(feedError.message);
+
+  const rows = articles || [];
+  const nearby = relatedTopics(rows, slug);
+  const trend = trending || [];
+  const description = `${tag.article_count} constructive ${tag.article_count === 1 ? 'story' : 'stories'} about ${tag.name}, curated by ${SITE_NAME}.`;
+
+  const body = html`
+<div class="sec"><div class="sec-head"><h1 class="sec-t"><span class="dot"></span> #${tag.name}</h1></div></div>
+<p class="cat-intro">${description}</p>
+<div class="main">
+<div class="feed" id="feed">${rows.map(renderArticleCard)}</div>
+<aside class="side">${nearby.length > 0 && html`<div class="trend"><h3>Related topics</h3>${renderTopicLinks({ ai_tags: nearby })}</div>`}${trend.length > 0 && html`<div class="trend" id="trending"><h3>Trending</h3>${trend.map(renderTrendingItem)}</div>`}</aside>
+</div>`;
+
+  return htmlResponse(renderPage({
+    path,
+    title: `${tag.name[0].toUpperCase()}${tag.name.slice(1)} — ${SITE_NAME}`,
+    description,
+    image: rows.map(a => safeUrl(a.image_url)).find(Boolean) || null,
+    robots: tag.article_count < TOPIC_INDEX_MIN ? 'noindex' : null,
+    body,
+    style: STORY_STYLE,
+  }));
+}
+
+// ═══ STORY PAGES ═══
+
+async function storyPage(supabase, id) {
+  const path = `/a/${id}`;
+  if (!UUID.test(id)) return notFound(path);
+
+  const { data: article, error } = await supabase.from('feed_articles').select('*').eq('id', id).maybeSingle();
+  if (error) throw new Error(error.message);
+
+  if (!article) {
+    // A story merged into a cluster lives on at its primary's page
+    const { data: merged } = await supabase
+      .from('articles')
+      .select('duplicate_of')
+      .eq('id', id)
+      .eq('status', 'published')
+      .not('duplicate_of', 'is', null)
+      .maybeSingle();
+    if (merged) return Response.redirect(`${SITE_URL}/a/${merged.duplicate_of}`, 301);
+    return notFound(path);
+  }
+
+  const [{ data: coverage }, { data: sharedTags }, picks] = await Promise.all([
+    article.coverage_count
+      ? supabase.from('story_coverage').select('title, source_name, source_url, published_at').eq('primary_article_id', id)
+      : { data: [] },
+    article.tag_slugs?.length
+      ? supabase.rpc('related_articles', { story: id, max_results: 3 })
+      : { data: [] },
+    bloomPicks(supabase, [id]),
+  ]);
+
+  // Stories sharing tags come first; a story without any gets more from its category
+  let related = sharedTags || [];
+  if (!related.length) {
+    const { data } = await supabase.from('feed_articles').select('*').eq('category_name', article.category_name).neq('id', id)
+      .order('published_at', { ascending: false }).limit(3);
+    related = data || [];
+  }
+
+  const summary = article.ai_summary || article.excerpt || '';
+  const image = safeUrl(article.image_url) || CAT_IMAGES[article.category_name] || CAT_IMAGES.progress;
+  const color = CAT_COLORS[article.category_name] || 'cyan';
+  const page = CATEGORY_PAGES[article.category_name];
+  const categoryName = page?.name || article.category_name;
+
+  const body = html`
+<article class="story">
+  <a href="/${page ? article.category_name : ''}" class="ac-cat c-${color}">${categoryName}</a>
+  <h1>${article.title}</h1>
+  <div class="story-meta"><strong>${article.source_name}</strong> · ${timeAgo(article.published_at)}${article.read_time_minutes ? ` · ${article.read_time_minutes} min read` : ''} · Bloom ${article.bloom_score}</div>
+  <img class="story-img" src="${image}" alt="">
+  <p class="story-sum">${summary}</p>
+  <a class="story-link" href="${readUrl(article)}" rel="noopener">Read the full story at ${article.source_name} →</a>
+  ${renderTopicLinks(article)}
+  ${coverage?.length > 0 && html`<h2>Also covered by</h2><ul class="story-cov">${coverage.map(renderCoverageItem)}</ul>`}
+  ${renderBloomPicks(picks)}
+</article>
+${related.length > 0 && html`<div class="sec"><div class="sec-head"><h2 class="sec-t"><span class="dot"></span> ${sharedTags?.length ? 'Related stories' : `More in ${categoryName}`}</h2></div></div>
+<div class="story-more">${related.map(renderArticleCard)}</div>`}`;
+
+  const head = jsonLd({
+    '@context': 'https://schema.org',
+    '@type': 'NewsArticle',
+    headline: article.title,
+    description: summary,
+    image: [image],
+    datePublished: article.published_at,
+    url: `${SITE_URL}${path}`,
+    isBasedOn: safeUrl(article.source_url) || undefined,
+    publisher: { '@type': 'Organization', name: SITE_NAME, url: SITE_URL },
+  });
+
+  return htmlResponse(renderPage({
+    path,
+    title: `${article.title} — ${SITE_NAME}`,
+    description: summary.slice(0, 300),
+    image,
+    type: 'article',
+    body,
+    style: STORY_STYLE,
+    head: `<meta property="article:published_time" content="${escapeHtml(article.published_at)}">\n${head}`,
+  }));
+}
+
+export default async (req, context) => {
+  const supabase = serviceClient();
+  const { pathname } = new URL(req.url);
+
+  try {
+    if (context.params?.id) return await storyPage(supabase, context.params.id);
+    if (context.params?.slug) return await topicPage(supabase, context.params.slug);
+    const slug = pathname.replace(/^\/|\/$/g, '');
+    if (CATEGORY_PAGES[slug]) return await categoryPage(supabase, slug);
+    return notFound(pathname);
+  } catch (err) {
+    console.error(`Render failed for ${pathname}:`, err.message);
+    return new Response('Something went wrong. Please try again shortly.', {
+      status: 503,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store', 'Retry-After': '60' },
+    });
+  }
+};
+
+export const config = {
+  path: [
+    '/innovation', '/science', '/space', '/health', '/environment',
+    '/community', '/education', '/kindness', '/progress', '/weird',
+    '/topic/:slug', '/a/:id',
+  ],
+};
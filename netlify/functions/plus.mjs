@@ -0,0 +1,316 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Newphoria+ Membership
+ * ═══════════════════════════════════════════════════════
+ *
+ * GET  /plus                    → membership page (plans, sign-in)
+ * POST /api/plus/checkout       → { email? } → 303 to Stripe Checkout
+ *                                 (JSON callers get { url }); a Bearer
+ *                                 token reuses the member's customer
+ * POST /api/plus/login          → { email } → mails a sign-in link
+ * GET  /plus/login?token        → page with a "Sign in" button
+ * POST /plus/login?token        → stores an entitlement token in the
+ *                                 browser, then back to /plus
+ * GET  /api/plus/entitlement    → Bearer token → { token, premium, … }
+ * POST /api/plus/portal         → Bearer token → { url } of the Stripe
+ *                                 customer portal
+ *
+ * Membership state itself comes only from the Stripe webhook
+ * (stripe-webhook.mjs). Sign-in is by emailed link, like newsletter
+ * confirmation: single use, 15 minutes, acts only on POST, and the
+ * answer doesn't reveal whether an address is a member.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { serviceClient } from '../lib/supabase.mjs';
+import { clientIp, json, rateLimiter } from '../lib/http.mjs';
+import { SITE_NAME, SITE_URL, htmlResponse, messagePage, renderPage } from '../lib/pages.mjs';
+import { createMailer } from '../lib/mailer.mjs';
+import { createStripe } from '../lib/stripe.mjs';
+import { PLUS_PRICE, PLUS_TRIAL_DAYS, entitlementFrom, signEntitlement } from '../lib/entitlement.mjs';
+import { TOKEN, hashToken, newToken, normalizeEmail } from '../lib/newsletter.mjs';
+import { html } from '../../public/js/templates.js';
+
+const LOGIN_TTL_MS = 15 * 60 * 1000;
+const LOGIN_RESEND_MS = 60 * 1000;  // one sign-in email per address per minute
+const MEMBERSHIP_COLUMNS = 'id, email, is_premium, premium_status, trial_ends_at, current_period_end, cancel_at_period_end, stripe_customer_id';
+
+const allowCheckout = rateLimiter({ limit: 10, windowMs: 10 * 60 * 1000 });
+const allowLogin = rateLimiter({ limit: 5, windowMs: 10 * 60 * 1000 });
+
+const PERKS = [
+  'Ad-free reading', 'Personalized topic feeds', 'Daily audio briefing', 'Extended Wonderfully Weird',
+  'Bloom History — track what inspires you', 'Custom topic alerts', 'Early access to stories',
+];
+
+async function readBody(req) {
+  const type = req.headers.get('content-type') || '';
+  if (type.includes('application/json')) return req.json();
+  return Object.fromEntries(await req.formData());
+}
+
+const wantsJson = (req) => (req.headers.get('content-type') || '').includes('application/json');
+
+// ═══ PAGE ═══
+
+const PAGE_STYLE = `.plus-page{max-width:560px;margin:0 auto;padding:96px 28px 120px;}
+.plus-page h1{font:500 34px/1.2 'Playfair Display',serif;color:var(--text);margin-bottom:8px;}
+.plus-page form{display:flex;flex-direction:column;gap:8px;margin-bottom:8px;}
+.plus-page .notice{margin-bottom:20px;}
+.plus-login{margin-top:28px;padding-top:22px;border-top:1px solid var(--bdr);}
+.plus-status{font-size:14px;color:var(--text-2);line-height:1.6;margin-bottom:16px;}
+.plus-member .load-btn{width:100%;margin-top:10px;padding:12px;}`;
+
+const CHECKOUT_NOTICES = {
+  success: { title: 'Welcome to Newphoria+', message: 'Your membership is being set up. We emailed you the details; sign in below with the same address to go ad-free.' },
+  cancelled: { title: 'Checkout cancelled', message: "You weren't charged. Start again whenever you like." },
+};
+
+function plusPage(url) {
+  const notice = CHECKOUT_NOTICES[url.searchParams.get('checkout')];
+  const body = html`<main class="plus-page">
+  <div class="prem">
+    <div class="prem-badge">Newphoria+</div>
+    <h1>Go Deeper</h1>
+    <p>Remove ads. Personalize your feed. Get the full experience.</p>
+    <ul class="prem-list">${PERKS.map(perk => html`<li>${perk}</li>`)}</ul>
+    ${notice && html`<div class="notice"><h4>${notice.title}</h4><p>${notice.message}</p></div>`}
+    <div class="plus-guest" data-plus="guest">
+      <form action="/api/plus/checkout" method="post">
+        <input type="email" name="email" class="nl-i" placeholder="your@email.com" autocomplete="email" aria-label="Email (optional)">
+        <button type="submit" class="prem-btn">Start ${PLUS_TRIAL_DAYS}-Day Free Trial</button>
+      </form>
+      <p class="prem-price">${PLUS_PRICE} after trial · Cancel anytime</p>
+      <form class="plus-login" action="/api/plus/login" method="post">
+        <h4>Already a member?</h4>
+        <input type="email" name="email" class="nl-i" placeholder="your@email.com" autocomplete="email" required aria-label="Email">
+        <button type="submit" class="nl-b">Email me a sign-in link</button>
+      </form>
+    </div>
+    <div class="plus-member" data-plus="member" hidden>
+      <p class="plus-status"></p>
+      <button type="button" class="prem-btn" data-action="plus-portal">Manage membership</button>
+      <button type="button" class="load-btn" data-action="plus-sign-out">Sign out on this browser</button>
+    </div>
+  </div>
+</main>`;
+
+  const res = htmlResponse(renderPage({
+    path: '/plus',
+    title: `Newphoria+ — ${SITE_NAME}`,
+    description: `Ad-free reading, personalized feeds and more. ${PLUS_TRIAL_DAYS} days free, then ${PLUS_PRICE}.`,
+    style: PAGE_STYLE,
+    body,
+    robots: notice ? 'noindex' : null,
+  }));
+  if (notice) res.headers.set('Cache-Control', 'no-store');
+  return res;
+}
+
+// ═══ CHECKOUT ═══
+
+async function checkout(req, context) {
+  if (req.method !== 'POST') return json({ error: 'method not allowed' }, 405, { Allow: 'POST' });
+  const fail = (status, message) => wantsJson(req)
+    ? json({ error: message }, status)
+    : messagePage('/api/plus/checkout', { title: "That didn't work", message, status, kind: 'error' });
+
+  if (!allowCheckout(clientIp(req, context))) return fail(429, 'Too many attempts. Please try again in a few minutes.');
+  if (!process.env.STRIPE_PRICE_ID) {
+    console.error('STRIPE_PRICE_ID is not set');
+    return fail(503, 'Memberships are not available right now.');
+  }
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch {
+    return fail(400, 'Invalid request.');
+  }
+  const raw = typeof body?.email === 'string' ? body.email.trim() : '';
+  const email = raw ? normalizeEmail(raw) : null;
+  if (raw && !email) return fail(400, 'Please enter a valid email address, or leave it empty.');
+
+  // Only a signed-in member reuses their Stripe customer: a typed address
+  // proves nothing, and its customer carries someone else's saved card.
+  // For guests the address only decides the trial (first memberships only).
+  const claims = entitlementFrom(req);
+  let member = null;
+  if (claims || email) {
+    const query = serviceClient().from('subscribers').select('id, email, stripe_customer_id, stripe_subscription_id');
+    const { data, error } = await (claims ? query.eq('id', claims.sub) : query.eq('email', email)).maybeSingle();
+    if (error) throw new Error(error.message);
+    member = data;
+  }
+  const signedIn = Boolean(claims && member);
+
+  const session = await createStripe().createCheckoutSession({
+    mode: 'subscription',
+    line_items: [{ price: process.env.STRIPE_PRICE_ID, quantity: 1 }],
+    subscription_data: member?.stripe_subscription_id ? null : { trial_period_days: PLUS_TRIAL_DAYS },
+    customer: signedIn ? member.stripe_customer_id : null,
+    customer_email: signedIn ? (member.stripe_customer_id ? null : member.email) : email,
+    client_reference_id: signedIn ? member.id : null,
+    success_url: `${SITE_URL}/plus?checkout=success`,
+    cancel_url: `${SITE_URL}/plus?checkout=cancelled`,
+  });
+
+  if (wantsJson(req)) return json({ url: session.url });
+  return new Response(null, { status: 303, headers: { Location: session.url, 'Cache-Control': 'no-store' } });
+}
+
+// ═══ SIGN-IN ═══
+
+function signInEmail(email, token) {
+  const link = `${SITE_URL}/plus/login?token=${token}`;
+  return {
+    to: email,
+    subject: 'Your Newphoria+ sign-in link',
+    text: `Sign in to Newphoria+ on the browser you asked from:\n\n${link}\n\nThe link works once, for 15 minutes. If you didn't ask for it, ignore this email.\n`,
+    html: html`<p><a href="${link}">Sign in to Newphoria+</a> on the browser you asked from.</p><p>The link works once, for 15 minutes. If you didn't ask for it, ignore this email.</p>`.toString(),
+  };
+}
+
+async function requestLogin(req, context) {
+  if (req.method !== 'POST') return json({ error: 'method not allowed' }, 405, { Allow: 'POST' });
+  const reply = (status, message) => wantsJson(req)
+    ? json(status < 300 ? { ok: true, message } : { error: message }, status)
+    : messagePage('/api/plus/login', { title: status < 300 ? 'Check your inbox' : "That didn't work", message, status, kind: status < 300 ? 'empty' : 'error' });
+
+  if (!allowLogin(clientIp(req, context))) return reply(429, 'Too many sign-in requests. Please try again in a few minutes.');
+  let body;
+  try {
+    body = await readBody(req);
+  } catch {
+    return reply(400, 'Invalid request.');
+  }
+  const email = normalizeEmail(body?.email);
+  if (!email) return reply(400, 'Please enter a valid email address.');
+
+  const accepted = 'If that address has a Newphoria+ membership, a sign-in link is on its way.';
+  const supabase = serviceClient();
+  const { data: member, error } = await supabase
+    .from('subscribers')
+    .select('id, login_sent_at')
+    .eq('email', email)
+    .not('stripe_customer_id', 'is', null)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!member) return reply(202, accepted);
+  if (member.login_sent_at && Date.now() - new Date(member.login_sent_at) < LOGIN_RESEND_MS) return reply(202, accepted);
+
+  const token = newToken();
+  const { error: saveError } = await supabase
+    .from('subscribers')
+    .update({ login_token_hash: hashToken(token), login_sent_at: new Date().toISOString() })
+    .eq('id', member.id);
+  if (saveError) throw new Error(saveError.message);
+
+  try {
+    await createMailer().send(signInEmail(email, token));
+  } catch (err) {
+    console.error('Sign-in email failed:', err.message);
+    await supabase.from('subscribers').update({ login_token_hash: null, login_sent_at: null }).eq('id', member.id);
+    return reply(502, "We couldn't send the sign-in email. Please try again shortly.");
+  }
+  return reply(202, accepted);
+}
+
+async function login(req, path, token) {
+  if (req.method === 'GET') {
+    return messagePage(path, { title: 'Sign in to Newphoria+', message: 'Sign in on this browser to go ad-free and manage your membership.', button: 'Sign in' });
+  }
+
+  const { data, error } = await serviceClient()
+    .from('subscribers')
+    .update({ login_token_hash: null })
+    .eq('login_token_hash', hashToken(token))
+    .gte('login_sent_at', new Date(Date.now() - LOGIN_TTL_MS).toISOString())
+    .select(MEMBERSHIP_COLUMNS);
+  if (error) throw new Error(error.message);
+
+  if (!data?.length) {
+    return messagePage(path, { title: 'This link has expired', message: 'Sign-in links work once, for 15 minutes. Ask for a new one on the Newphoria+ page.', status: 410, kind: 'error' });
+  }
+  // Token characters are base64url and dots, safe inside the script
+  const entitlement = signEntitlement(data[0]);
+  return messagePage(path, {
+    title: "You're signed in",
+    message: 'Taking you back to Newphoria+…',
+    head: `<script>try{localStorage.setItem('np_plus',${JSON.stringify(entitlement)})}catch{}location.replace('/plus')</script>`,
+  });
+}
+
+// ═══ ENTITLEMENT & PORTAL ═══
+
+async function memberFrom(req) {
+  const claims = entitlementFrom(req);
+  if (!claims) return null;
+  const { data, error } = await serviceClient().from('subscribers').select(MEMBERSHIP_COLUMNS).eq('id', claims.sub).maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function entitlement(req) {
+  if (req.method !== 'GET') return json({ error: 'method not allowed' }, 405, { Allow: 'GET' });
+  const member = await memberFrom(req);
+  if (!member) return json({ error: 'sign in again' }, 401);
+  return json({
+    token: signEntitlement(member),
+    premium: Boolean(member.is_premium),
+    status: member.premium_status,
+    trial_ends_at: member.trial_ends_at,
+    current_period_end: member.current_period_end,
+    cancel_at_period_end: member.cancel_at_period_end,
+  });
+}
+
+async function portal(req) {
+  if (req.method !== 'POST') return json({ error: 'method not allowed' }, 405, { Allow: 'POST' });
+  const member = await memberFrom(req);
+  if (!member?.stripe_customer_id) return json({ error: 'sign in again' }, 401);
+  const session = await createStripe().createPortalSession({ customer: member.stripe_customer_id, return_url: `${SITE_URL}/plus` });
+  return json({ url: session.url });
+}
+
+// Called only from data.js; the others also take plain form posts
+const JSON_ONLY = new Set(['/api/plus/entitlement', '/api/plus/portal']);
+
+export default async (req, context) => {
+  const url = new URL(req.url);
+  const routes = {
+    '/api/plus/checkout': () => checkout(req, context),
+    '/api/plus/login': () => requestLogin(req, context),
+    '/api/plus/entitlement': () => entitlement(req),
+    '/api/plus/portal': () => portal(req),
+  };
+
+  if (routes[url.pathname]) {
+    try {
+      return await routes[url.pathname]();
+    } catch (err) {
+      console.error(`Newphoria+ ${url.pathname} failed:`, err.message);
+      return wantsJson(req) || JSON_ONLY.has(url.pathname)
+        ? json({ error: 'Something went wrong. Please try again shortly.' }, 503)
+        : messagePage(url.pathname, { title: 'Something went wrong', message: 'Please try again shortly.', status: 503, kind: 'error' });
+    }
+  }
+
+  if (url.pathname === '/plus') return plusPage(url);
+
+  if (!['GET', 'POST'].includes(req.method)) return json({ error: 'method not allowed' }, 405, { Allow: 'GET, POST' });
+  const token = url.searchParams.get('token') || '';
+  if (!TOKEN.test(token)) {
+    return messagePage(url.pathname, { title: 'Link not recognised', message: 'Check that you opened the whole link from the email.', status: 400, kind: 'error' });
+  }
+  try {
+    return await login(req, url.pathname, token);
+  } catch (err) {
+    console.error('Newphoria+ sign-in failed:', err.message);
+    return messagePage(url.pathname, { title: 'Something went wrong', message: 'Please try the link again shortly.', status: 503, kind: 'error' });
+  }
+};
+
+export const config = {
+  path: ['/plus', '/plus/login', '/api/plus/checkout', '/api/plus/login', '/api/plus/entitlement', '/api/plus/portal'],
+};
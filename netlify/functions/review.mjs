@@ -0,0 +1,145 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Editorial Review API
+ * ═══════════════════════════════════════════════════════
+ *
+ * GET  /api/review            → draft queue + category list
+ * POST /api/review            → apply decisions in bulk
+ *
+ *   { "decisions": [
+ *       { "id": "<article uuid>", "action": "approve" | "reject" | "update",
+ *         "category_name": "space", "bloom_score": 4, "ai_summary": "..." }
+ *   ] }
+ *
+ * "update" edits fields and leaves the article in the queue. Every
+ * decision is written to review_decisions; the pipeline feeds recent
+ * ones back to Claude as examples. Approving, rejecting or rescoring a
+ * clustered story re-elects its primary and recounts its coverage.
+ *
+ * Auth: Authorization: Bearer <token> from REVIEW_TOKENS.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { serviceClient } from '../lib/supabase.mjs';
+import { json, authenticateEditor } from '../lib/http.mjs';
+
+const ACTIONS = { approve: 'published', reject: 'rejected', update: null };
+const EDITABLE = ['category_name', 'bloom_score', 'ai_summary'];
+const MAX_DECISIONS = 100;
+
+async function listQueue(supabase, url) {
+  const limit = Math.min(Number(url.searchParams.get('limit')) || 50, 200);
+
+  const [{ data: articles, error }, { data: categories }] = await Promise.all([
+    supabase
+      .from('articles')
+      .select('id, title, excerpt, ai_summary, source_name, source_url, category_name, bloom_score, is_weird, ai_confidence, review_reason, created_at')
+      .eq('status', 'draft')
+      .order('created_at', { ascending: true })
+      .limit(limit),
+    supabase.from('categories').select('id, name, slug').eq('is_active', true).order('display_order'),
+  ]);
+
+  if (error) return json({ error: error.message }, 500);
+  return json({ articles, categories });
+}
+
+/** Validate one decision; returns an error string or null */
+function checkDecision(d, categoryIds) {
+  if (!d || typeof d.id !== 'string') return 'id is required';
+  if (!(d.action in ACTIONS)) return `unknown action ${JSON.stringify(d.action)}`;
+  if (d.category_name !== undefined && !categoryIds.has(d.category_name)) return `unknown category ${JSON.stringify(d.category_name)}`;
+  if (d.bloom_score !== undefined && !(Number.isInteger(d.bloom_score) && d.bloom_score >= 1 && d.bloom_score <= 5)) return 'bloom_score must be 1-5';
+  if (d.ai_summary !== undefined && (typeof d.ai_summary !== 'string' || !d.ai_summary.trim() || d.ai_summary.length > 600)) return 'ai_summary must be 1-600 characters';
+  return null;
+}
+
+async function applyDecisions(supabase, editor, body) {
+  const decisions = Array.isArray(body?.decisions) ? body.decisions : null;
+  if (!decisions || decisions.length === 0) return json({ error: 'decisions must be a non-empty array' }, 400);
+  if (decisions.length > MAX_DECISIONS) return json({ error: `at most ${MAX_DECISIONS} decisions per request` }, 400);
+
+  const { data: categories } = await supabase.from('categories').select('id, slug');
+  const categoryIds = new Map((categories || []).map(c => [c.slug, c.id]));
+
+  const invalid = decisions
+    .map(d => ({ id: d?.id, error: checkDecision(d, categoryIds) }))
+    .filter(r => r.error);
+  if (invalid.length > 0) return json({ error: 'invalid decisions', details: invalid }, 400);
+
+  const { data: current, error } = await supabase
+    .from('articles')
+    .select('id, status, category_name, bloom_score, ai_summary')
+    .in('id', decisions.map(d => d.id));
+  if (error) return json({ error: error.message }, 500);
+
+  const byId = new Map(current.map(a => [a.id, a]));
+  const results = [];
+  const log = [];
+
+  for (const d of decisions) {
+    const before = byId.get(d.id);
+    if (!before) {
+      results.push({ id: d.id, error: 'not found' });
+      continue;
+    }
+
+    const changes = {};
+    for (const field of EDITABLE) {
+      if (d[field] !== undefined && d[field] !== before[field]) changes[field] = d[field];
+    }
+
+    const patch = { ...changes, reviewed_at: new Date().toISOString(), reviewed_by: editor };
+    if (changes.category_name) patch.category_id = categoryIds.get(changes.category_name);
+    if (ACTIONS[d.action]) patch.status = ACTIONS[d.action];
+
+    const { error: updateError } = await supabase.from('articles').update(patch).eq('id', d.id);
+    if (updateError) {
+      results.push({ id: d.id, error: updateError.message });
+      continue;
+    }
+
+    // Status and bloom score decide which member of a story cluster the
+    // feed shows, and coverage counts only published members
+    let clusterError = null;
+    if (patch.status || changes.bloom_score !== undefined) {
+      ({ error: clusterError } = await supabase.rpc('elect_story_primary', { p_article_id: d.id }));
+    }
+
+    results.push({
+      id: d.id,
+      status: patch.status || before.status,
+      ...(clusterError && { error: `saved, but its story cluster was not updated: ${clusterError.message}` }),
+    });
+    log.push({ article_id: d.id, editor, action: d.action, before, changes });
+  }
+
+  if (log.length > 0) {
+    const { error: logError } = await supabase.from('review_decisions').insert(log);
+    if (logError) console.error('Could not record review decisions:', logError.message);
+  }
+
+  return json({ results });
+}
+
+export default async (req) => {
+  const editor = authenticateEditor(req);
+  if (!editor) return json({ error: 'unauthorized' }, 401);
+
+  const supabase = serviceClient();
+
+  if (req.method === 'GET') return listQueue(supabase, new URL(req.url));
+  if (req.method === 'POST') {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return json({ error: 'invalid JSON' }, 400);
+    }
+    return applyDecisions(supabase, editor, body);
+  }
+
+  return json({ error: 'method not allowed' }, 405, { Allow: 'GET, POST' });
+};
+
+export const config = { path: '/api/review' };
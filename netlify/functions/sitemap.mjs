@@ -0,0 +1,92 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Sitemap
+ * ═══════════════════════════════════════════════════════
+ *
+ * GET /sitemap.xml → home, category pages, static pages, topic pages
+ * with enough stories to be worth indexing, and a /a/<id> entry for
+ * every published story from the last 90 days. Stories from the last
+ * 48 hours also carry Google News tags.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { serviceClient } from '../lib/supabase.mjs';
+import { CATEGORY_PAGES, SITE_NAME, SITE_URL, TOPIC_INDEX_MIN, escapeHtml } from '../lib/pages.mjs';
+
+const MAX_STORIES = 5000;
+const MAX_TOPICS = 1000;
+const STORY_DAYS = 90;
+const NEWS_HOURS = 48;
+const STATIC_PAGES = ['/about', '/privacy', '/terms'];
+
+function entry(path, { lastmod = null, changefreq = null, priority = null, news = null } = {}) {
+  return [
+    '  <url>',
+    `    <loc>${escapeHtml(SITE_URL + path)}</loc>`,
+    lastmod && `    <lastmod>${lastmod}</lastmod>`,
+    changefreq && `    <changefreq>${changefreq}</changefreq>`,
+    priority && `    <priority>${priority}</priority>`,
+    news && [
+      '    <news:news>',
+      `      <news:publication><news:name>${SITE_NAME}</news:name><news:language>en</news:language></news:publication>`,
+      `      <news:publication_date>${news.date}</news:publication_date>`,
+      `      <news:title>${escapeHtml(news.title)}</news:title>`,
+      '    </news:news>',
+    ].join('\n'),
+    '  </url>',
+  ].filter(Boolean).join('\n');
+}
+
+export default async () => {
+  const supabase = serviceClient();
+  const since = new Date(Date.now() - STORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const [{ data: stories, error }, { data: topics }] = await Promise.all([
+    supabase
+      .from('feed_articles')
+      .select('id, title, published_at')
+      .gte('published_at', since)
+      .order('published_at', { ascending: false })
+      .limit(MAX_STORIES),
+    supabase
+      .from('tags')
+      .select('slug, last_published_at')
+      .gte('article_count', TOPIC_INDEX_MIN)
+      .order('article_count', { ascending: false })
+      .limit(MAX_TOPICS),
+  ]);
+
+  if (error) {
+    console.error('Sitemap query failed:', error.message);
+    return new Response('Sitemap temporarily unavailable', { status: 503, headers: { 'Retry-After': '300' } });
+  }
+
+  const newsCutoff = Date.now() - NEWS_HOURS * 60 * 60 * 1000;
+  const urls = [
+    entry('/', { changefreq: 'hourly', priority: '1.0' }),
+    ...Object.keys(CATEGORY_PAGES).map(slug => entry(`/${slug}`, { changefreq: 'hourly', priority: '0.8' })),
+    ...STATIC_PAGES.map(path => entry(path, { changefreq: 'monthly', priority: '0.3' })),
+    ...(topics || []).map(t => entry(`/topic/${t.slug}`, { lastmod: t.last_published_at, changefreq: 'daily', priority: '0.5' })),
+    ...(stories || []).map(s => entry(`/a/${s.id}`, {
+      lastmod: s.published_at,
+      priority: '0.6',
+      news: new Date(s.published_at).getTime() >= newsCutoff ? { date: s.published_at, title: s.title } : null,
+    })),
+  ];
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+
+  return new Response(xml, {
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=0, must-revalidate',
+      'Netlify-CDN-Cache-Control': 'public, s-maxage=3600, stale-while-revalidate=3600',
+    },
+  });
+};
+
+export const config = { path: '/sitemap.xml' };
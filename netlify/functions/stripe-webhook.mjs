@@ -0,0 +1,190 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Stripe Webhook
+ * ═══════════════════════════════════════════════════════
+ *
+ * POST /api/stripe/webhook   (signed with STRIPE_WEBHOOK_SECRET)
+ *
+ *   checkout.session.completed            links the Stripe customer to a
+ *                                         subscribers row (found or created
+ *                                         by email) and mails a welcome
+ *   customer.subscription.created/updated/deleted
+ *                                         keeps is_premium, premium_status,
+ *                                         trial and period dates in step
+ *   customer.subscription.trial_will_end  mails a reminder three days out
+ *
+ * Stripe delivers at least once and in no particular order. Event ids
+ * go into stripe_events so a repeat is a no-op, and an event older than
+ * the last one applied to a member is skipped. Checkout reads the
+ * subscription back from Stripe rather than trusting event order. A
+ * failed event is forgotten and answered with a 500, so Stripe retries.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { serviceClient } from '../lib/supabase.mjs';
+import { json } from '../lib/http.mjs';
+import { SITE_NAME, SITE_URL } from '../lib/pages.mjs';
+import { createMailer } from '../lib/mailer.mjs';
+import { createStripe, verifyWebhook } from '../lib/stripe.mjs';
+import { PLUS_PRICE, membershipColumns } from '../lib/entitlement.mjs';
+import { newToken, normalizeEmail } from '../lib/newsletter.mjs';
+import { html } from '../../public/js/templates.js';
+
+const MEMBER_COLUMNS = 'id, email, stripe_customer_id, stripe_subscription_id';
+
+const longDate = (iso) => new Date(iso).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Write membership columns unless a newer event got there first.
+ * Returns the rows updated.
+ */
+async function applyMembership(supabase, filter, columns, event) {
+  const at = new Date(event.created * 1000).toISOString();
+  const { data, error } = await supabase
+    .from('subscribers')
+    .update({ ...columns, premium_event_at: at })
+    .match(filter)
+    .or(`premium_event_at.is.null,premium_event_at.lte."${at}"`)
+    .select(MEMBER_COLUMNS);
+  if (error) throw new Error(`Could not update membership: ${error.message}`);
+  return data || [];
+}
+
+// ═══ EMAILS ═══
+
+function welcomeEmail(member, columns) {
+  const trial = columns.premium_status === 'trialing' && columns.trial_ends_at;
+  const intro = trial
+    ? `Welcome to Newphoria+. Your free trial runs until ${longDate(columns.trial_ends_at)}; after that it's ${PLUS_PRICE}.`
+    : 'Welcome to Newphoria+. Your membership is active.';
+  const signIn = `To go ad-free, sign in on each browser you read on at ${SITE_URL}/plus with this email address. The same page manages your membership.`;
+  return {
+    to: member.email,
+    subject: 'Welcome to Newphoria+',
+    text: `${intro}\n\n${signIn}\n\n— ${SITE_NAME}\n`,
+    html: html`<p>${intro}</p><p>To go ad-free, <a href="${SITE_URL}/plus">sign in</a> on each browser you read on with this email address. The same page manages your membership.</p><p>— ${SITE_NAME}</p>`.toString(),
+  };
+}
+
+function trialEndingEmail(member, columns) {
+  const ends = longDate(columns.trial_ends_at);
+  const manage = `To cancel or change your card, sign in at ${SITE_URL}/plus and choose "Manage membership".`;
+  return {
+    to: member.email,
+    subject: `Your Newphoria+ trial ends on ${ends}`,
+    text: `Your Newphoria+ free trial ends on ${ends}. After that your membership continues at ${PLUS_PRICE}.\n\n${manage}\n\n— ${SITE_NAME}\n`,
+    html: html`<p>Your Newphoria+ free trial ends on <strong>${ends}</strong>. After that your membership continues at ${PLUS_PRICE}.</p><p>To cancel or change your card, <a href="${SITE_URL}/plus">sign in</a> and choose "Manage membership".</p><p>— ${SITE_NAME}</p>`.toString(),
+  };
+}
+
+/** Emails are a courtesy: a failed send is logged, not retried */
+async function notify(message) {
+  try {
+    await createMailer().send(message);
+  } catch (err) {
+    console.error(`Could not send "${message.subject}":`, err.message);
+  }
+}
+
+// ═══ HANDLERS ═══
+
+/** The member a checkout belongs to: our id if we passed one, then the customer, then the email */
+async function findMember(supabase, session, email) {
+  const lookups = [
+    ['id', session.client_reference_id],
+    ['stripe_customer_id', session.customer],
+    ['email', email],
+  ];
+  for (const [column, value] of lookups) {
+    if (!value) continue;
+    const { data, error } = await supabase.from('subscribers').select(MEMBER_COLUMNS).eq(column, value).maybeSingle();
+    if (error) throw new Error(`Member lookup failed: ${error.message}`);
+    if (data) return data;
+  }
+  return null;
+}
+
+async function checkoutCompleted(supabase, session, event) {
+  if (session.mode !== 'subscription' || !session.subscription) return;
+  const email = normalizeEmail(session.customer_details?.email || session.customer_email);
+  const subscriptionId = typeof session.subscription === 'string' ? session.subscription : session.subscription.id;
+  const columns = membershipColumns(await createStripe().retrieveSubscription(subscriptionId));
+
+  let member = await findMember(supabase, session, email);
+  if (!member) {
+    if (!email) throw new Error(`Checkout ${session.id} has no usable email`);
+    // A member, not a newsletter signup: is_active stays false
+    const { data, error } = await supabase
+      .from('subscribers')
+      .insert({ email, is_active: false, unsubscribe_token: newToken() })
+      .select(MEMBER_COLUMNS)
+      .single();
+    // 23505: created by a parallel delivery; the retry finds it
+    if (error) throw new Error(`Could not create member: ${error.message}`);
+    member = data;
+  }
+
+  const [updated] = await applyMembership(supabase, { id: member.id }, columns, event);
+  if (updated) await notify(welcomeEmail(updated, columns));
+}
+
+async function subscriptionChanged(supabase, subscription, event) {
+  const rows = await applyMembership(supabase, { stripe_subscription_id: subscription.id }, membershipColumns(subscription), event);
+  // Not linked yet (checkout.session.completed reads the latest state
+  // itself), or a newer event was already applied
+  if (rows.length === 0) console.log(`${event.type} ${event.id} matched no member, skipped`);
+}
+
+async function trialWillEnd(supabase, subscription, event) {
+  const columns = membershipColumns(subscription);
+  const [member] = await applyMembership(supabase, { stripe_subscription_id: subscription.id }, columns, event);
+  if (member && columns.trial_ends_at && columns.premium_status === 'trialing') {
+    await notify(trialEndingEmail(member, columns));
+  }
+}
+
+const HANDLERS = {
+  'checkout.session.completed': checkoutCompleted,
+  'customer.subscription.created': subscriptionChanged,
+  'customer.subscription.updated': subscriptionChanged,
+  'customer.subscription.deleted': subscriptionChanged,
+  'customer.subscription.trial_will_end': trialWillEnd,
+};
+
+export default async (req) => {
+  if (req.method !== 'POST') return json({ error: 'method not allowed' }, 405, { Allow: 'POST' });
+
+  // The signature covers the exact bytes, so read the body as text
+  const payload = await req.text();
+  let event;
+  try {
+    event = verifyWebhook(payload, req.headers.get('stripe-signature'), process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    console.error('Stripe webhook rejected:', err.message);
+    return json({ error: 'invalid signature' }, 400);
+  }
+
+  const handle = HANDLERS[event.type];
+  if (!handle) return json({ received: true });
+
+  const supabase = serviceClient();
+  const { error: claimError } = await supabase
+    .from('stripe_events')
+    .insert({ id: event.id, type: event.type, created_at: new Date(event.created * 1000).toISOString() });
+  if (claimError?.code === '23505') return json({ received: true, duplicate: true });
+  if (claimError) {
+    console.error('Could not record Stripe event:', claimError.message);
+    return json({ error: 'could not record event' }, 500);
+  }
+
+  try {
+    await handle(supabase, event.data.object, event);
+  } catch (err) {
+    console.error(`Stripe ${event.type} ${event.id} failed:`, err.message);
+    await supabase.from('stripe_events').delete().eq('id', event.id);
+    return json({ error: 'event not processed' }, 500);
+  }
+  return json({ received: true });
+};
+
+export const config = { path: '/api/stripe/webhook' };
@@ -0,0 +1,86 @@
+/**
+ * Newphoria+ membership: which Stripe subscription states count as
+ * premium, how a subscription maps onto subscribers columns, and the
+ * entitlement token the frontend holds after a magic-link sign-in.
+ *
+ * The token is an HS256 JWT signed with ENTITLEMENT_SECRET:
+ *   { sub: subscriber id, plan: 'plus', premium, status, trial_ends_at, iat, exp }
+ * The site only reads it to switch off ads and show the membership;
+ * anything worth protecting checks it on the server with
+ * verifyEntitlement(). /api/plus/entitlement swaps it for a fresh one,
+ * so a cancelled membership drops out within a day.
+ */
+
+import { createHmac } from 'node:crypto';
+import { safeEqual } from './http.mjs';
+
+export const PLUS_PRICE = '$5.99/month';  // shown on the site; the charge itself is STRIPE_PRICE_ID
+export const PLUS_TRIAL_DAYS = 7;
+
+// past_due keeps access while Stripe retries the card
+export const PREMIUM_STATUSES = new Set(['trialing', 'active', 'past_due']);
+export const TOKEN_TTL_S = 30 * 24 * 60 * 60;
+
+const timestamp = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+/** subscribers columns for a Stripe subscription object */
+export function membershipColumns(subscription) {
+  // Newer API versions keep the period on the subscription item
+  const periodEnd = subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end;
+  return {
+    stripe_customer_id: typeof subscription.customer === 'string' ? subscription.customer : subscription.customer?.id,
+    stripe_subscription_id: subscription.id,
+    premium_status: subscription.status,
+    is_premium: PREMIUM_STATUSES.has(subscription.status),
+    trial_started_at: timestamp(subscription.trial_start),
+    trial_ends_at: timestamp(subscription.trial_end),
+    current_period_end: timestamp(periodEnd),
+    cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+  };
+}
+
+// ═══ TOKEN ═══
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const HEADER = encode({ alg: 'HS256', typ: 'JWT' });
+
+function secretOf(env) {
+  if (!env.ENTITLEMENT_SECRET) throw new Error('ENTITLEMENT_SECRET is not set');
+  return env.ENTITLEMENT_SECRET;
+}
+
+const signature = (data, env) => createHmac('sha256', secretOf(env)).update(data).digest('base64url');
+
+/** Token for a subscribers row (with the membership columns) */
+export function signEntitlement(subscriber, env = process.env, now = Date.now()) {
+  const iat = Math.floor(now / 1000);
+  const payload = encode({
+    sub: subscriber.id,
+    plan: 'plus',
+    premium: Boolean(subscriber.is_premium),
+    status: subscriber.premium_status || null,
+    trial_ends_at: subscriber.trial_ends_at || null,
+    iat,
+    exp: iat + TOKEN_TTL_S,
+  });
+  return `${HEADER}.${payload}.${signature(`${HEADER}.${payload}`, env)}`;
+}
+
+/** The token's claims if it is ours and unexpired, otherwise null */
+export function verifyEntitlement(token, env = process.env, now = Date.now()) {
+  const [header, payload, sig] = String(token || '').split('.');
+  if (header !== HEADER || !payload || !sig) return null;
+  if (!safeEqual(sig, signature(`${header}.${payload}`, env))) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return typeof claims.sub === 'string' && claims.exp > now / 1000 ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Claims from an `Authorization: Bearer <token>` header, or null */
+export function entitlementFrom(req, env = process.env) {
+  const header = req.headers.get('authorization') || '';
+  return header.startsWith('Bearer ') ? verifyEntitlement(header.slice(7).trim(), env) : null;
+}
@@ -0,0 +1,134 @@
+/**
+ * RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents from feed_articles rows.
+ *
+ * Each item links to the original story (source_url) and carries our
+ * /a/<id> page as its permanent id. Bloom score goes in the
+ * newphoria: namespace (XML) or the _newphoria extension (JSON Feed).
+ */
+
+import { SITE_NAME, SITE_URL } from './pages.mjs';
+import { safeUrl } from '../../public/js/templates.js';
+
+export const FEED_NS = `${SITE_URL}/ns/feed`;
+
+// Characters XML 1.0 doesn't allow, even escaped
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+export function xml(value) {
+  return String(value ?? '')
+    .replace(INVALID_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const storyUrl = (a) => `${SITE_URL}/a/${encodeURIComponent(a.id)}`;
+
+/** An http(s) URL from a row, site paths made absolute; `fallback` for anything else */
+function feedUrl(url, fallback) {
+  const safe = safeUrl(url);
+  if (!safe) return fallback;
+  return safe.startsWith('/') ? SITE_URL + safe : safe;
+}
+
+// Readers follow these links, so javascript: and data: URLs from a source never get through
+const linkOf = (a) => feedUrl(a.source_url, storyUrl(a));
+const imageOf = (a) => feedUrl(a.image_url, undefined);
+const summaryOf = (a) => a.ai_summary || a.excerpt || '';
+const tagsOf = (a) => (a.ai_tags || []).filter(Boolean);
+
+/** Newest item date, or now for an empty feed */
+function updatedAt(items) {
+  return items.length ? new Date(items[0].published_at) : new Date();
+}
+
+/**
+ * meta: { title, description, path (the page the feed belongs to),
+ *         self (absolute URL of this feed document) }
+ */
+export function rssFeed(meta, items) {
+  const entries = items.map(a => `    <item>
+      <title>${xml(a.title)}</title>
+      <link>${xml(linkOf(a))}</link>
+      <guid isPermaLink="true">${xml(storyUrl(a))}</guid>
+      <pubDate>${new Date(a.published_at).toUTCString()}</pubDate>
+      <description>${xml(summaryOf(a))}</description>
+      <dc:creator>${xml(a.source_name)}</dc:creator>
+      <category>${xml(a.category_name)}</category>
+${tagsOf(a).map(t => `      <category>${xml(t)}</category>\n`).join('')}      <newphoria:bloom>${xml(a.bloom_score)}</newphoria:bloom>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:newphoria="${FEED_NS}">
+  <channel>
+    <title>${xml(meta.title)}</title>
+    <link>${xml(SITE_URL + meta.path)}</link>
+    <description>${xml(meta.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${updatedAt(items).toUTCString()}</lastBuildDate>
+    <atom:link href="${xml(meta.self)}" rel="self" type="application/rss+xml"/>
+${entries}
+  </channel>
+</rss>
+`;
+}
+
+export function atomFeed(meta, items) {
+  const entries = items.map(a => `  <entry>
+    <title>${xml(a.title)}</title>
+    <id>${xml(storyUrl(a))}</id>
+    <link rel="alternate" href="${xml(linkOf(a))}"/>
+    <link rel="related" type="text/html" href="${xml(storyUrl(a))}"/>
+    <published>${new Date(a.published_at).toISOString()}</published>
+    <updated>${new Date(a.published_at).toISOString()}</updated>
+    <author><name>${xml(a.source_name)}</name></author>
+    <summary>${xml(summaryOf(a))}</summary>
+    <category term="${xml(a.category_name)}"/>
+${tagsOf(a).map(t => `    <category term="${xml(t)}"/>\n`).join('')}    <newphoria:bloom>${xml(a.bloom_score)}</newphoria:bloom>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:newphoria="${FEED_NS}">
+  <title>${xml(meta.title)}</title>
+  <subtitle>${xml(meta.description)}</subtitle>
+  <id>${xml(SITE_URL + meta.path)}</id>
+  <link rel="alternate" type="text/html" href="${xml(SITE_URL + meta.path)}"/>
+  <link rel="self" type="application/atom+xml" href="${xml(meta.self)}"/>
+  <updated>${updatedAt(items).toISOString()}</updated>
+  <author><name>${SITE_NAME}</name></author>
+${entries}
+</feed>
+`;
+}
+
+export function jsonFeed(meta, items) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    description: meta.description,
+    home_page_url: SITE_URL + meta.path,
+    feed_url: meta.self,
+    language: 'en',
+    items: items.map(a => ({
+      id: storyUrl(a),
+      url: storyUrl(a),
+      external_url: linkOf(a),
+      title: a.title,
+      summary: summaryOf(a),
+      content_text: summaryOf(a),
+      image: imageOf(a),
+      date_published: new Date(a.published_at).toISOString(),
+      authors: [{ name: a.source_name }],
+      tags: [a.category_name, ...tagsOf(a)],
+      _newphoria: { about: FEED_NS, bloom_score: a.bloom_score, category: a.category_name, is_weird: a.is_weird },
+    })),
+  }, null, 2);
+}
+
+export const FORMATS = {
+  'feed.xml': { render: rssFeed, type: 'application/rss+xml; charset=utf-8' },
+  'atom.xml': { render: atomFeed, type: 'application/atom+xml; charset=utf-8' },
+  'feed.json': { render: jsonFeed, type: 'application/feed+json; charset=utf-8' },
+};
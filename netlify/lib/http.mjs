@@ -0,0 +1,79 @@
+/**
+ * Small helpers shared by the Netlify functions
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+export function json(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers },
+  });
+}
+
+/** Constant-time string comparison (hashing first evens out the lengths) */
+export function safeEqual(a, b) {
+  const ha = createHash('sha256').update(String(a)).digest();
+  const hb = createHash('sha256').update(String(b)).digest();
+  return timingSafeEqual(ha, hb);
+}
+
+/**
+ * Resolve the editor behind a `Authorization: Bearer <token>` header.
+ * REVIEW_TOKENS holds comma-separated name:token pairs, so every
+ * decision is attributed to a named editor. Returns null if unknown.
+ */
+export function authenticateEditor(req, env = process.env) {
+  const header = req.headers.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!token) return null;
+
+  let editor = null;
+  for (const entry of (env.REVIEW_TOKENS || '').split(',')) {
+    const i = entry.indexOf(':');
+    if (i <= 0) continue;
+    const name = entry.slice(0, i).trim();
+    const secret = entry.slice(i + 1).trim();
+    // Check every entry so timing doesn't reveal which one matched
+    if (secret && safeEqual(token, secret) && !editor) editor = name;
+  }
+  return editor;
+}
+
+/** Caller's IP: Netlify's context first, then the proxy headers */
+export function clientIp(req, context) {
+  return context?.ip
+    || req.headers.get('x-nf-client-connection-ip')
+    || (req.headers.get('x-forwarded-for') || '').split(',')[0].trim()
+    || 'unknown';
+}
+
+const BOT = /bot|crawl|spider|slurp|preview|fetch|monitor|curl|wget|python|httpclient|headless|lighthouse/i;
+
+/** True for crawlers, scripts and prefetches: requests no person made */
+export function isAutomated(req) {
+  const ua = req.headers.get('user-agent') || '';
+  if (!ua || BOT.test(ua)) return true;
+  const purpose = req.headers.get('sec-purpose') || req.headers.get('purpose') || '';
+  return /prefetch|prerender/i.test(purpose);
+}
+
+/**
+ * Fixed-window counter per key, held in memory. Each warm function
+ * instance counts on its own, so this only blunts bursts; anything that
+ * must hold across instances belongs in the database.
+ */
+export function rateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+  return (key) => {
+    const now = Date.now();
+    let w = windows.get(key);
+    if (!w || now - w.start >= windowMs) {
+      if (windows.size > 10000) windows.clear();
+      w = { start: now, count: 0 };
+      windows.set(key, w);
+    }
+    w.count++;
+    return w.count <= limit;
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Newsletter helpers shared by netlify/functions/newsletter.mjs and
+ * the Morning Brief sender: email normalization, tokens, links and the
+ * confirmation email.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { SITE_NAME, SITE_URL } from './pages.mjs';
+import { html } from '../../public/js/templates.js';
+
+const MAX_EMAIL_LENGTH = 254;
+const EMAIL = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+$/;
+export const TOKEN = /^[A-Za-z0-9_-]{32,64}$/;
+
+/**
+ * Trimmed, lowercased address, or null when it isn't one we can send
+ * to. Lowercasing the local part is technically lossy, but no mailbox
+ * provider we'd deliver to treats it as case-sensitive.
+ */
+export function normalizeEmail(raw) {
+  if (typeof raw !== 'string') return null;
+  const email = raw.normalize('NFKC').trim().toLowerCase();
+  if (email.length > MAX_EMAIL_LENGTH || !EMAIL.test(email)) return null;
+  const [local, domain] = email.split('@');
+  if (local.length > 64 || local.startsWith('.') || local.endsWith('.') || local.includes('..')) return null;
+  if (!/\.[a-z]{2,}$/.test(domain)) return null;
+  return email;
+}
+
+export const newToken = () => randomBytes(32).toString('base64url');
+export const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+export const confirmUrl = (token) => `${SITE_URL}/newsletter/confirm?token=${token}`;
+export const unsubscribeUrl = (token) => `${SITE_URL}/newsletter/unsubscribe?token=${token}`;
+
+/** RFC 2369 / RFC 8058 headers: mail clients show an unsubscribe button that POSTs */
+export function listUnsubscribeHeaders(token) {
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl(token)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+  };
+}
+
+/** The double opt-in message for a pending signup */
+export function confirmationEmail(email, token) {
+  const link = confirmUrl(token);
+  return {
+    to: email,
+    subject: 'Confirm your Morning Brief subscription',
+    text: `Hi,
+
+Someone (hopefully you) asked to get The Morning Brief from ${SITE_NAME} at this address. Confirm here:
+
+${link}
+
+The link works for 7 days. If this wasn't you, ignore this email and nothing will be sent.
+`,
+    html: html`<p>Hi,</p><p>Someone (hopefully you) asked to get <strong>The Morning Brief</strong> from ${SITE_NAME} at this address.</p><p><a href="${link}">Confirm your subscription</a></p><p>The link works for 7 days. If this wasn't you, ignore this email and nothing will be sent.</p>`.toString(),
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * Server-rendered page shell: head tags, nav and footer around the
+ * card templates in public/js/templates.js.
+ */
+
+import { escapeHtml, html } from '../../public/js/templates.js';
+
+export { escapeHtml };
+
+export const SITE_URL = (process.env.URL || 'https://newphoria.news').replace(/\/$/, '');
+export const SITE_NAME = 'Newphoria News';
+
+// Routes are listed again in netlify/functions/pages.mjs (Netlify reads config statically)
+export const CATEGORY_PAGES = {
+  innovation: { name: 'Innovation', description: 'Breakthroughs in energy, computing and engineering — the inventions moving the world forward.' },
+  science: { name: 'Science', description: 'Discoveries from labs and field research around the world, explained without the doom.' },
+  space: { name: 'Space', description: 'Missions, telescopes and discoveries from across the solar system and beyond.' },
+  health: { name: 'Health', description: 'Medical advances, new treatments and public health wins.' },
+  environment: { name: 'Environment', description: 'Recovering ecosystems, conservation wins and climate solutions that are working.' },
+  community: { name: 'Community', description: 'People and places solving problems together.' },
+  education: { name: 'Education', description: 'New ways of learning and the teachers and students behind them.' },
+  kindness: { name: 'Kindness', description: 'Acts of generosity, big and small.' },
+  progress: { name: 'Progress', description: 'The long-run trends that are quietly getting better.' },
+  weird: { name: 'The Wonderfully Weird', description: "The parts of this planet — and beyond — that don't quite make sense." },
+};
+
+// Topic pages with fewer stories are noindex and left out of the sitemap
+export const TOPIC_INDEX_MIN = 3;
+
+const NAV = [
+  ['/', 'Today'], ['/innovation', 'Innovation'], ['/science', 'Science'],
+  ['/space', 'Space'], ['/community', 'Community'], ['/weird', 'The Weird'],
+];
+
+
+function nav(path) {
+  const items = NAV.map(([href, label]) => `<li><a href="${href}"${href === path ? ' class="on"' : ''}>${label}</a></li>`).join('');
+  return `<nav>
+  <div class="nav-in">
+    <a href="/" class="brand"><div class="logo">N</div><div class="wordmark">New<span>phoria</span></div></a>
+    <ul class="nav-r">${items}<li><a href="/#nl" class="nav-sub">Subscribe</a></li><li><a href="/plus" class="nav-plus">Newphoria+</a></li></ul>
+    <button class="nav-mob" aria-label="Menu"><span></span><span></span><span></span></button>
+  </div>
+</nav>`;
+}
+
+const FOOTER = `<footer>
+  <div class="ft-in">
+    <div><div class="ft-brand"><div class="logo" style="width:30px;height:30px;font-size:15px;">N</div><span class="wordmark" style="font-size:18px;">New<span>phoria</span></span></div><p class="ft-desc">Constructive journalism, curated by AI. The stories that move the world forward.</p><div class="ft-pow">Powered by <a href="https://coapto.ai">Coaptō</a> intelligence</div></div>
+    <div><h4>Sections</h4><ul><li><a href="/">Today</a></li><li><a href="/innovation">Innovation</a></li><li><a href="/science">Science</a></li><li><a href="/space">Space</a></li><li><a href="/community">Community</a></li><li><a href="/weird">The Wonderfully Weird</a></li></ul></div>
+    <div><h4>Company</h4><ul><li><a href="/about">About</a></li><li><a href="/plus">Newphoria+</a></li></ul></div>
+    <div><h4>Legal</h4><ul><li><a href="/privacy">Privacy Policy</a></li><li><a href="/terms">Terms of Use</a></li></ul></div>
+  </div>
+  <div class="ft-bot"><span>© ${new Date().getFullYear()} Newphoria News · Agapē LAC Inc.</span><span>Calgary, AB, Canada</span></div>
+</footer>`;
+
+/**
+ * Full HTML document. `title` and `description` are plain text;
+ * `body`, `style` and `head` are HTML.
+ */
+export function renderPage({ path, title, description, image = null, type = 'website', body, style = '', head = '', robots = null }) {
+  const url = `${SITE_URL}${path}`;
+  const meta = [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    robots && `<meta name="robots" content="${robots}">`,
+    `<meta property="og:site_name" content="${SITE_NAME}">`,
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    `<meta property="og:type" content="${type}">`,
+    `<meta property="og:url" content="${escapeHtml(url)}">`,
+    image && `<meta property="og:image" content="${escapeHtml(image)}">`,
+    `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+  ].filter(Boolean).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+${meta}
+<link rel="icon" href="/assets/favicon.svg" type="image/svg+xml">
+<link rel="preconnect" href="https://fonts.googleapis.com">
+<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+<link href="https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,400;0,500;0,600;1,400;1,500&family=Outfit:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+<link rel="stylesheet" href="/css/main.css">
+${style ? `<style>${style}</style>\n` : ''}${head}
+</head>
+<body data-rendered="server">
+<div class="space"><div class="space-photo"></div><div class="space-grade"></div></div>
+<div class="wrap">
+${nav(path)}
+${body}
+${FOOTER}
+</div>
+<script>document.querySelector('.nav-mob')?.addEventListener('click',()=>document.querySelector('.nav-r').classList.toggle('open'));</script>
+<script type="module" src="/js/data.js"></script>
+</body>
+</html>`;
+}
+
+/** <link rel="alternate"> tags for a page's feeds (netlify/functions/feeds.mjs) */
+export function feedLinks(prefix, title) {
+  return [
+    ['feed.xml', 'application/rss+xml'],
+    ['atom.xml', 'application/atom+xml'],
+    ['feed.json', 'application/feed+json'],
+  ].map(([file, type]) => `<link rel="alternate" type="${type}" title="${escapeHtml(title)}" href="${prefix}/${file}">`).join('\n');
+}
+
+/** Embed JSON-LD safely inside a <script> element */
+export function jsonLd(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+export function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'public, max-age=0, must-revalidate',
+      // Netlify's CDN keeps pages for 10 minutes; the pipeline runs every 2 hours
+      'Netlify-CDN-Cache-Control': 'public, s-maxage=600, stale-while-revalidate=3600',
+    },
+  });
+}
+
+const MESSAGE_STYLE = '.msg-page{max-width:560px;margin:0 auto;padding:96px 28px 120px;}.msg-page form{margin-top:4px;}';
+
+/**
+ * Small noindex page with one message and an optional POST button, for
+ * the answers to emailed links. Never cached: the answer depends on the
+ * token and the database, not just the URL.
+ */
+export function messagePage(path, { title, message, button = null, status = 200, kind = 'empty', head = '' }) {
+  const res = htmlResponse(renderPage({
+    path,
+    title: `${title} — ${SITE_NAME}`,
+    description: message,
+    robots: 'noindex',
+    style: MESSAGE_STYLE,
+    head,
+    body: html`<div class="msg-page"><div class="notice notice-${kind}"><h4>${title}</h4><p>${message}</p>${button && html`<form method="post"><button type="submit" class="load-btn">${button}</button></form>`}</div></div>`,
+  }), status);
+  res.headers.set('Cache-Control', 'no-store');
+  res.headers.delete('Netlify-CDN-Cache-Control');
+  return res;
+}
@@ -0,0 +1,80 @@
+/**
+ * Minimal Stripe client over fetch: the three API calls Newphoria+
+ * needs, and webhook signature checks. STRIPE_API_BASE points it at
+ * the local stand-in (scripts/stripe-standin.mjs) instead of
+ * api.stripe.com.
+ */
+
+import { createHmac } from 'node:crypto';
+import { safeEqual } from './http.mjs';
+
+export const STRIPE_API_VERSION = '2024-06-20';
+const REQUEST_TIMEOUT_MS = 10000;
+const WEBHOOK_TOLERANCE_S = 300;  // Stripe's own default
+
+// ═══ API ═══
+
+/** Stripe's form encoding: { a: { b: [x] } } → a[b][0]=x */
+export function formEncode(params, prefix = '', out = new URLSearchParams()) {
+  for (const [key, value] of Object.entries(params)) {
+    if (value == null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') formEncode(value, name, out);
+    else out.append(name, String(value));
+  }
+  return out;
+}
+
+export function createStripe(env = process.env) {
+  if (!env.STRIPE_SECRET_KEY) throw new Error('STRIPE_SECRET_KEY is not set');
+  const base = (env.STRIPE_API_BASE || 'https://api.stripe.com').replace(/\/$/, '');
+
+  async function call(method, path, params = null) {
+    const res = await fetch(`${base}/v1${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${env.STRIPE_SECRET_KEY}`,
+        'Stripe-Version': STRIPE_API_VERSION,
+        ...(params && { 'Content-Type': 'application/x-www-form-urlencoded' }),
+      },
+      body: params ? formEncode(params).toString() : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(`Stripe ${method} ${path} failed: ${body?.error?.message || `HTTP ${res.status}`}`);
+    return body;
+  }
+
+  return {
+    createCheckoutSession: (params) => call('POST', '/checkout/sessions', params),
+    createPortalSession: (params) => call('POST', '/billing_portal/sessions', params),
+    retrieveSubscription: (id) => call('GET', `/subscriptions/${encodeURIComponent(id)}`),
+  };
+}
+
+// ═══ WEBHOOKS ═══
+
+/** Stripe-Signature header value for a raw payload ("t=…,v1=…") */
+export function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * The event in `payload` (the raw request body) if `header` (its
+ * Stripe-Signature) was made with `secret` within the last five
+ * minutes. Throws otherwise.
+ */
+export function verifyWebhook(payload, header, secret, { now = Date.now(), tolerance = WEBHOOK_TOLERANCE_S } = {}) {
+  if (!secret) throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+  const fields = String(header || '').split(',').map(field => field.split('='));
+  const timestamp = Number(fields.find(([key]) => key === 't')?.[1]);
+  const signatures = fields.filter(([key]) => key === 'v1').map(([, value]) => value);
+  if (!timestamp || signatures.length === 0) throw new Error('Missing or malformed Stripe-Signature header');
+
+  const expected = createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  // Several v1 signatures are sent while a signing secret is being rolled
+  if (!signatures.some(signature => safeEqual(signature, expected))) throw new Error('Signature does not match');
+  if (Math.abs(now / 1000 - timestamp) > tolerance) throw new Error('Signature is too old');
+  return JSON.parse(payload);
+}
@@ -0,0 +1,20 @@
+/**
+ * Service-role Supabase client for Netlify functions.
+ * Never import this into anything under public/.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+let client = null;
+
+export function serviceClient() {
+  if (!client) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set');
+    }
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+      auth: { persistSession: false },
+    });
+  }
+  return client;
+}
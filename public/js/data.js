@@ -8,9 +8,19 @@
  * live articles from the classification pipeline.
  *
  * Uses Supabase anon key (public, read-only via RLS policies)
+ *
+ * Load as a module: <script type="module" src="/js/data.js"></script>
+ * On server-rendered pages (<body data-rendered="server">) the content
+ * is already in place; only the interactive handlers are attached.
  * ═══════════════════════════════════════════════════════
  */
 
+import {
+  html, trustedHtml, escapeHtml, safeUrl, timeAgo, readUrl, renderArticleCard, renderCoverageItem, renderRelatedItem,
+  renderFeaturedCard, renderWeirdCard, renderTrendingItem, renderSkeletonCards, renderNotice, insertAd,
+  adRotation, renderAd, renderBloomPicks,
+} from './templates.js';
+
 const SUPABASE_URL = 'YOUR_SUPABASE_URL';       // e.g. https://xyzabc.supabase.co
 const SUPABASE_ANON_KEY = 'YOUR_SUPABASE_ANON_KEY';
 
@@ -20,352 +30,825 @@ const HEADERS = {
   'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
 };
 
-// ═══ CATEGORY CONFIG ═══
-const CAT_COLORS = {
-  innovation: 'cyan', science: 'violet', space: 'violet',
-  health: 'rose', environment: 'mint', community: 'mint',
-  education: 'gold', kindness: 'rose', progress: 'gold', weird: 'orange',
-};
+// ═══ REQUEST CLIENT ═══
+// Every Supabase call goes through request(). It checks the status,
+// gives each attempt REQUEST_TIMEOUT_MS, and retries network errors,
+// timeouts, 429 and 5xx with exponential backoff. A caller's own
+// AbortSignal cancels without a retry.
 
-// Fallback images by category when article has no image
-const CAT_IMAGES = {
-  innovation: 'https://images.unsplash.com/photo-1518770660439-4636190af475?w=500&q=80',
-  science: 'https://images.unsplash.com/photo-1532094349884-543bc11b234d?w=500&q=80',
-  space: 'https://images.unsplash.com/photo-1446776811953-b23d57bd21aa?w=500&q=80',
-  health: 'https://images.unsplash.com/photo-1576086213369-97a306d36557?w=500&q=80',
-  environment: 'https://images.unsplash.com/photo-1583212292454-1fe6229603b7?w=500&q=80',
-  community: 'https://images.unsplash.com/photo-1593113598332-cd288d649433?w=500&q=80',
-  education: 'https://images.unsplash.com/photo-1497633762265-9d179a990aa6?w=500&q=80',
-  kindness: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?w=500&q=80',
-  progress: 'https://images.unsplash.com/photo-1451187580459-43490279c0fa?w=500&q=80',
-  weird: 'https://images.unsplash.com/photo-1462332420958-a05d1e002413?w=500&q=80',
-};
+const REQUEST_TIMEOUT_MS = 8000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 500;
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
 
-// ═══ FETCH FUNCTIONS ═══
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-async function fetchArticles({ category = null, limit = 20, offset = 0, weird = false } = {}) {
-  let url = `${API}/feed_articles?select=*&order=published_at.desc&limit=${limit}&offset=${offset}`;
+/** Backoff with jitter, or the server's Retry-After when it sends one */
+function retryDelay(attempt, res = null) {
+  const retryAfter = Number(res?.headers.get('Retry-After'));
+  if (retryAfter > 0) return Math.min(retryAfter, 10) * 1000;
+  return RETRY_BASE_MS * 2 ** attempt * (0.75 + Math.random() * 0.5);
+}
 
-  if (weird) {
-    url = `${API}/weird_articles?select=*&order=published_at.desc&limit=${limit}&offset=${offset}`;
-  } else if (category && category !== 'all') {
-    url += `&category_name=eq.${category}`;
+async function httpError(res) {
+  const detail = await res.json().then(body => body?.message, () => null);
+  const err = new Error(`HTTP ${res.status}${detail ? `: ${detail}` : ''}`);
+  err.status = res.status;
+  return err;
+}
+
+/** One attempt: { res, data } on success, { res, error } on an HTTP error */
+async function send(url, init, { signal, timeout }) {
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  const timer = setTimeout(cancel, timeout);
+  if (signal?.aborted) cancel();
+  else signal?.addEventListener('abort', cancel);
+
+  try {
+    const res = await fetch(url, { ...init, signal: controller.signal });
+    if (!res.ok) return { res, error: await httpError(res) };
+    const text = await res.text();
+    return { res, data: text ? JSON.parse(text) : null };
+  } catch (err) {
+    if (err.name === 'AbortError' && !signal?.aborted) throw new Error(`Request timed out after ${timeout / 1000}s`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
   }
+}
 
-  const res = await fetch(url, { headers: HEADERS });
-  return res.json();
+/**
+ * GET (or POST when `body` is given) a path under /rest/v1 and return
+ * the parsed JSON. Throws once the retries are spent; the error has
+ * `status` when the server answered.
+ */
+async function request(path, { body, headers = {}, signal, timeout = REQUEST_TIMEOUT_MS, retries = MAX_RETRIES } = {}) {
+  const init = body === undefined
+    ? { headers: { ...HEADERS, ...headers } }
+    : { method: 'POST', headers: { ...HEADERS, 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) };
+
+  for (let attempt = 0; ; attempt++) {
+    let result;
+    try {
+      result = await send(`${API}/${path}`, init, { signal, timeout });
+    } catch (err) {
+      if (signal?.aborted || attempt >= retries) throw err;
+      await sleep(retryDelay(attempt));
+      continue;
+    }
+    if (!result.error) return result.data;
+    if (!RETRYABLE_STATUS.has(result.res.status) || attempt >= retries) throw result.error;
+    await sleep(retryDelay(attempt, result.res));
+  }
 }
 
-async function fetchFeatured() {
-  const res = await fetch(
-    `${API}/featured_articles?select=*&limit=3`,
-    { headers: HEADERS }
-  );
-  return res.json();
+/** request() for endpoints that return rows */
+async function requestRows(path, options) {
+  const rows = await request(path, options);
+  if (!Array.isArray(rows)) throw new Error(`Expected a list from ${path.split('?')[0]}`);
+  return rows;
 }
 
-async function fetchTrending() {
-  const res = await fetch(
-    `${API}/feed_articles?select=*&order=view_count.desc&limit=7`,
-    { headers: HEADERS }
-  );
-  return res.json();
-}
-
-// ═══ RENDER FUNCTIONS ═══
-
-function timeAgo(dateStr) {
-  const seconds = Math.floor((Date.now() - new Date(dateStr).getTime()) / 1000);
-  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
-  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
-  if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
-  return new Date(dateStr).toLocaleDateString();
-}
-
-function renderArticleCard(article) {
-  const color = CAT_COLORS[article.category_name] || 'cyan';
-  const image = article.image_url || CAT_IMAGES[article.category_name] || CAT_IMAGES.progress;
-  const bloomClass = article.bloom_score >= 5 ? 'b5' : article.bloom_score >= 4 ? 'b4' : 'b3';
-
-  return `
-    <a href="${article.source_url}" class="ac" target="_blank" rel="noopener" data-category="${article.category_name}">
-      <div class="ac-img">
-        <img src="${image}" alt="" loading="lazy">
-        <div class="ac-ov"></div>
-        <div class="ac-bloom ${bloomClass}">${article.bloom_score}</div>
-        <div class="ac-src">${article.source_name}</div>
-      </div>
-      <div class="ac-body">
-        <div class="ac-cat c-${color}">${article.category_name}</div>
-        <h3 class="ac-t">${article.title}</h3>
-        <p class="ac-ex">${article.ai_summary || article.excerpt || ''}</p>
-        <div class="ac-m">${timeAgo(article.published_at)}${article.read_time_minutes ? ` · ${article.read_time_minutes} min` : ''}</div>
-      </div>
-    </a>
-  };
+// ═══ FETCH FUNCTIONS ═══
+
+function fetchArticles({ category = null, limit = 20, offset = 0, weird = false, signal } = {}) {
+  const view = weird ? 'weird_articles' : 'feed_articles';
+  let path = `${view}?select=*&order=published_at.desc&limit=${limit}&offset=${offset}`;
+  if (!weird && category && category !== 'all') path += `&category_name=eq.${encodeURIComponent(category)}`;
+  return requestRows(path, { signal });
 }
 
-function renderFeaturedCard(article, isMain = false) {
-  const color = CAT_COLORS[article.category_name] || 'cyan';
-  const image = article.image_url || CAT_IMAGES[article.category_name] || CAT_IMAGES.progress;
-
-  return `
-    <a href="${article.source_url}" class="feat" target="_blank" rel="noopener">
-      <div class="feat-img">
-        <img src="${image}" alt="" loading="lazy">
-        <div class="feat-ov"></div>
-        <div class="feat-bloom">Bloom ${article.bloom_score}</div>
-        <div class="feat-src">${article.source_name}</div>
-      </div>
-      <div class="feat-body">
-        <div class="feat-cat c-${color}">${article.category_name}</div>
-        <h3 class="feat-t">${article.title}</h3>
-        <p class="feat-ex">${article.ai_summary || article.excerpt || ''}</p>
-        <div class="feat-m">${timeAgo(article.published_at)}</div>
-      </div>
-    </a>
-  };
+function fetchFeatured() {
+  return requestRows('featured_articles?select=*&limit=3');
 }
 
-function renderWeirdCard(article) {
-  const image = article.image_url || CAT_IMAGES.weird;
-
-  return `
-    <a href="${article.source_url}" class="wc" target="_blank" rel="noopener">
-      <div class="wc-img">
-        <img src="${image}" alt="" loading="lazy">
-        <div class="wc-ov"></div>
-      </div>
-      <div class="wc-body">
-        <h4 class="wc-t">${article.title}</h4>
-        <p class="wc-d">${article.ai_summary || article.excerpt || ''}</p>
-        <div class="wc-tag">${(article.ai_tags || []).join(' · ') || article.category_name}</div>
-      </div>
-    </a>
-  `;
-}
-
-function renderTrendingItem(article, index) {
-  return `
-    <div class="ti" onclick="window.open('${article.source_url}','_blank')">
-      <span class="ti-n">${index + 1}</span>
-      <div>
-        <div class="ti-t">${article.title}</div>
-        <div class="ti-tag">${article.category_name}${article.view_count ? ` · ${(article.view_count / 1000).toFixed(0)}K reads` : ''}</div>
-      </div>
-    </div>
-  `;
+function fetchTrending() {
+  return requestRows('trending_articles?select=*&order=rank.asc&limit=7');
 }
 
-// Insert ad after every N articles
-function insertAd(index) {
-  if (index === 3) {
-    return `<div class="ifad"><div class="ifad-lab">Promoted</div><div class="ifad-img"><img src="https://images.unsplash.com/photo-1545389336-cf090694435e?w=200&q=80" alt=""></div><div><h4>Headspace</h4><p>14-day free trial. Science-backed meditation for better sleep, focus, and clarity.</p><a href="#" rel="sponsored">Try Free →</a></div></div>`;
-  }
-  if (index === 8) {
-    return `<div class="ifad"><div class="ifad-lab">Promoted</div><div class="ifad-img"><img src="https://images.unsplash.com/photo-1512621776951-a57141f2eefd?w=200&q=80" alt=""></div><div><h4>AG1 by Athletic Greens</h4><p>75 vitamins, minerals, and whole food ingredients. One daily habit for comprehensive nutrition.</p><a href="#" rel="sponsored">Learn More →</a></div></div>`;
-  }
-  if (index === 14) {
-    return `<div class="adsense"><span>Google AdSense</span></div>`;
-  }
-  return '';
+function fetchCoverage(articleId) {
+  return requestRows(`story_coverage?primary_article_id=eq.${encodeURIComponent(articleId)}&select=title,source_name,source_url,published_at`);
 }
 
-// ═══ INFINITE SCROLL ═══
+/** Ads that may run today, every slot (active_ads view) */
+function fetchAds() {
+  return requestRows('active_ads?select=*');
+}
+
+/** Bloom Picks matched to stories and a category (bloom_picks_for RPC) */
+function fetchBloomPicks({ storyIds = [], category = null, limit = 4 } = {}) {
+  return requestRows('rpc/bloom_picks_for', { body: { story_ids: storyIds, category, max_results: limit } });
+}
+
+/** Stories sharing tags with one story (related_articles RPC) */
+function fetchRelated(articleId, limit = 3) {
+  return requestRows('rpc/related_articles', { body: { story: articleId, max_results: limit } });
+}
+
+/**
+ * Full-text search (search_articles RPC). `since` is an ISO date;
+ * `sort` is 'relevance' or 'newest'. One retry: the user is waiting.
+ */
+function searchArticles({ query, category = null, minBloom = 3, since = null, sort = 'relevance', limit = 20, offset = 0, signal } = {}) {
+  return requestRows('rpc/search_articles', {
+    body: { q: query, category, min_bloom: minBloom, since, sort, page_size: limit, page_offset: offset },
+    signal,
+    retries: 1,
+  });
+}
+
+// ═══ FEED ═══
 
-let currentOffset = 0;
+const FEED_PAGE = 20;
+
+let currentOffset = 0;  // articles fetched, weird ones included
+let renderedCards = 0;  // story cards in the feed; ad slots follow these
 let currentCategory = 'all';
 let isLoading = false;
 let hasMore = true;
+let feedGeneration = 0;  // bumped when the feed is replaced; late pages for an old feed are dropped
+
+function htmlToElement(markup) {
+  const template = document.createElement('template');
+  template.innerHTML = markup.trim();
+  return template.content.firstChild;
+}
+
+/** Insert before the weird section and the scroll sentinel, which stay last */
+function appendToFeed(feed, markup) {
+  const anchor = feed.querySelector(':scope > .weird, :scope > #scroll-sentinel');
+  const el = htmlToElement(markup);
+  feed.insertBefore(el, anchor);
+  return el;
+}
+
+function appendArticles(feed, articles) {
+  articles.filter(a => !a.is_weird).forEach(article => {  // weird articles go in their own section
+    const ad = isMember() ? '' : insertAd(renderedCards, pickAd);
+    if (ad) observeAd(appendToFeed(feed, ad));
+    appendToFeed(feed, renderArticleCard(article));
+    renderedCards++;
+  });
+}
+
+/** Remove everything but the weird section and the scroll sentinel */
+function clearFeed(feed) {
+  Array.from(feed.children).forEach(child => {
+    if (!child.classList.contains('weird') && child.id !== 'scroll-sentinel') child.remove();
+  });
+}
+
+const categoryLabel = (category) => document.querySelector(`.fil[data-cat="${CSS.escape(category)}"]`)?.textContent.trim() || category;
+
+/** Replace the feed with the first page of a category ('all' for everything) */
+async function showCategory(category) {
+  const feed = document.getElementById('feed');
+  if (!feed) return;
+
+  currentCategory = category;
+  currentOffset = 0;
+  renderedCards = 0;
+  hasMore = true;
+  const generation = ++feedGeneration;
+
+  clearFeed(feed);
+  appendToFeed(feed, renderSkeletonCards(3));
+
+  let articles;
+  try {
+    // Ads load alongside (once); without them the feed just has no ad cards
+    [articles] = await Promise.all([fetchArticles({ category, limit: FEED_PAGE }), loadAds()]);
+  } catch (err) {
+    if (generation !== feedGeneration) return;
+    console.error('Failed to load articles:', err);
+    hasMore = false;
+    clearFeed(feed);
+    appendToFeed(feed, renderNotice({
+      kind: 'error',
+      title: "Couldn't load stories",
+      message: 'Check your connection and try again.',
+      action: 'retry-feed',
+    }));
+    return;
+  }
+  if (generation !== feedGeneration) return;
+
+  clearFeed(feed);
+  if (articles.length === 0) {
+    hasMore = false;
+    appendToFeed(feed, renderNotice({
+      title: category === 'all' ? 'No stories yet' : `No ${categoryLabel(category)} stories right now`,
+      message: 'New stories arrive every two hours.',
+      action: category === 'all' ? null : 'show-all',
+      actionLabel: 'Show all stories',
+    }));
+    return;
+  }
+
+  appendArticles(feed, articles);
+  currentOffset = articles.length;
+  hasMore = articles.length === FEED_PAGE;
+  keepLoadingIfVisible();
+  loadBloomPicks(articles, category);
+}
+
+// ═══ INFINITE SCROLL ═══
 
 async function loadMore() {
   if (isLoading || !hasMore) return;
+  const feed = document.getElementById('feed');
+  if (!feed) return;
   isLoading = true;
+  const generation = feedGeneration;
+
+  feed.querySelector('.notice-more')?.remove();
+  const skeleton = appendToFeed(feed, renderSkeletonCards(2));
+
+  try {
+    const articles = await fetchArticles({ category: currentCategory, limit: FEED_PAGE, offset: currentOffset });
+    if (generation !== feedGeneration) return;
+
+    if (articles.length < FEED_PAGE) hasMore = false;
+    appendArticles(feed, articles);
+    currentOffset += articles.length;
+  } catch (err) {
+    if (generation !== feedGeneration) return;
+    console.error('Failed to load more articles:', err);
+    // Stop loading on scroll until the reader retries (or comes back online)
+    hasMore = false;
+    appendToFeed(feed, renderNotice({
+      kind: 'error',
+      title: "Couldn't load more stories",
+      action: 'retry-more',
+    })).classList.add('notice-more');
+    return;
+  } finally {
+    skeleton.remove();
+    isLoading = false;
+  }
+
+  keepLoadingIfVisible();
+}
 
-  const articles = await fetchArticles({
-    category: currentCategory,
-    limit: 20,
-    offset: currentOffset,
+/**
+ * The observer only fires when the sentinel crosses into view. If a
+ * short page leaves it on screen, nothing would ever fire again — so
+ * check after every page and keep going while it is still visible.
+ */
+function keepLoadingIfVisible() {
+  const sentinel = document.getElementById('scroll-sentinel');
+  if (!sentinel || !hasMore) return;
+  requestAnimationFrame(() => {
+    if (sentinel.getBoundingClientRect().top < window.innerHeight + SCROLL_MARGIN_PX) loadMore();
   });
+}
 
-  if (articles.length < 20) hasMore = false;
+const SCROLL_MARGIN_PX = 600;
 
+function setUpInfiniteScroll() {
   const feed = document.getElementById('feed');
-  const weirdSection = document.querySelector('.weird');
+  if (!feed) return;
 
-  articles.forEach((article, i) => {
-    if (article.is_weird) return; // weird articles go in their own section
+  let sentinel = document.getElementById('scroll-sentinel');
+  if (!sentinel) {
+    sentinel = document.createElement('div');
+    sentinel.id = 'scroll-sentinel';
+    feed.appendChild(sentinel);
+  }
 
-    const ad = insertAd(currentOffset + i);
-    if (ad) feed.insertBefore(htmlToElement(ad), weirdSection);
+  const observer = new IntersectionObserver((entries) => {
+    if (entries[0].isIntersecting) loadMore();
+  }, { rootMargin: `${SCROLL_MARGIN_PX}px` });
+  observer.observe(sentinel);
+}
 
-    feed.insertBefore(htmlToElement(renderArticleCard(article)), weirdSection);
-  });
+function retryLoadMore() {
+  document.querySelector('#feed .notice-more')?.remove();
+  hasMore = true;
+  loadMore();
+}
+
+// A page that failed offline loads again once the connection is back
+window.addEventListener('online', () => {
+  if (document.querySelector('#feed .notice-more')) retryLoadMore();
+});
 
-  currentOffset += articles.length;
-  isLoading = false;
+// ═══ NEWPHORIA+ ═══
+// A member who signed in through the emailed link (/plus/login) holds
+// an entitlement token from netlify/functions/plus.mjs. Members get no
+// ads. The token is swapped for a fresh one once a day, and on every
+// visit to /plus, so a cancelled membership drops out.
+
+const PLUS_TOKEN_KEY = 'np_plus';
+const PLUS_REFRESH_S = 24 * 60 * 60;
+
+/** { token, claims } for an unexpired stored token, else null. The server checks the signature */
+function readPlus() {
+  try {
+    const token = localStorage.getItem(PLUS_TOKEN_KEY);
+    if (!token) return null;
+    const claims = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return claims.exp > Date.now() / 1000 ? { token, claims } : null;
+  } catch {
+    return null;
+  }
 }
 
-function htmlToElement(html) {
-  const template = document.createElement('template');
-  template.innerHTML = html.trim();
-  return template.content.firstChild;
+let plus = readPlus();
+const isMember = () => Boolean(plus?.claims.premium);
+
+const longDate = (iso) => new Date(iso).toLocaleDateString(undefined, { month: 'long', day: 'numeric', year: 'numeric' });
+
+function membershipText(m) {
+  if (m.status === 'trialing' && m.trial_ends_at) return `You're on the free trial until ${longDate(m.trial_ends_at)}.`;
+  if (m.status === 'active' && m.cancel_at_period_end && m.current_period_end) return `Your membership is active until ${longDate(m.current_period_end)} and won't renew.`;
+  if (m.status === 'active') return m.current_period_end ? `Your membership is active and renews on ${longDate(m.current_period_end)}.` : 'Your membership is active.';
+  if (m.status === 'past_due') return "Your last payment didn't go through. Update your card under Manage membership to keep Newphoria+.";
+  return 'Your membership has ended. Start a new one below whenever you like.';
 }
 
-// ═══ INITIALIZATION ═══
+/** Body class for the ad-free layout, and the guest/member blocks on /plus */
+function applyPlus(membership = plus?.claims) {
+  document.body.classList.toggle('plus', isMember());
+  const guest = document.querySelector('[data-plus="guest"]');
+  const member = document.querySelector('[data-plus="member"]');
+  if (!guest || !member) return;
+  guest.hidden = isMember();
+  member.hidden = !plus;
+  if (plus) member.querySelector('.plus-status').textContent = membershipText(membership);
+}
 
-async function init() {
+function signOutPlus() {
   try {
-    // Load featured
-    const featured = await fetchFeatured();
-    if (featured.length > 0) {
-      // Update hero with top featured article
-      const hero = featured[0];
-      const heroImg = document.querySelector('.hero-img');
-      if (heroImg && hero.image_url) {
-        heroImg.style.backgroundImage = `url('${hero.image_url}')`;
-      }
-      const heroTitle = document.querySelector('.hero h1');
-      if (heroTitle) heroTitle.textContent = hero.title;
-      const heroSrc = document.querySelector('.hero-src');
-      if (heroSrc) heroSrc.innerHTML = `<strong>${hero.source_name}</strong> · ${timeAgo(hero.published_at)} · ${hero.read_time_minutes || 5} min read`;
-      const heroExcerpt = document.querySelector('.hero-excerpt');
-      if (heroExcerpt) heroExcerpt.textContent = hero.ai_summary || hero.excerpt;
-      const heroLink = document.querySelector('.hero-link');
-      if (heroLink) heroLink.href = hero.source_url;
-
-      // Render featured row
-      const featRow = document.getElementById('featured');
-      if (featRow) {
-        featRow.innerHTML = featured.map((a, i) => renderFeaturedCard(a, i === 0)).join('');
-      }
-    }
+    localStorage.removeItem(PLUS_TOKEN_KEY);
+  } catch {}
+  plus = null;
+  applyPlus();
+}
+
+async function refreshPlus() {
+  if (!plus) return;
+  const onPlusPage = Boolean(document.querySelector('[data-plus]'));
+  if (!onPlusPage && Date.now() / 1000 - plus.claims.iat < PLUS_REFRESH_S) return;
+  try {
+    const res = await fetch('/api/plus/entitlement', { headers: { Authorization: `Bearer ${plus.token}` } });
+    if (res.status === 401) return signOutPlus();
+    if (!res.ok) return;
+    const membership = await res.json();
+    localStorage.setItem(PLUS_TOKEN_KEY, membership.token);
+    plus = readPlus();
+    applyPlus(membership);
+  } catch (err) {
+    console.error('Could not refresh membership:', err);
+  }
+}
 
-    // Load main feed
-    const articles = await fetchArticles({ limit: 20 });
-    const feed = document.getElementById('feed');
-    if (feed && articles.length > 0) {
-      // Keep the weird section, clear everything else
-      const weirdSection = feed.querySelector('.weird');
-      feed.innerHTML = '';
-
-      articles.filter(a => !a.is_weird).forEach((article, i) => {
-        const ad = insertAd(i);
-        if (ad) feed.appendChild(htmlToElement(ad));
-        feed.appendChild(htmlToElement(renderArticleCard(article)));
-      });
-
-      // Load weird articles
-      const weirdArticles = await fetchArticles({ weird: true, limit: 12 });
-      if (weirdArticles.length > 0) {
-        const weirdHtml = `
-          <div class="weird" id="weird">
-            <div class="weird-head"><h2 class="weird-t">The Wonderfully Weird</h2></div>
-            <p class="weird-sub">The parts of this planet — and beyond — that don't quite make sense</p>
-            <div class="weird-grid">${weirdArticles.map(renderWeirdCard).join('')}</div>
-            <div class="load-more"><button class="load-btn" onclick="loadMoreWeird()">Load More Weird</button></div>
-          </div>
-        `;
-        feed.appendChild(htmlToElement(weirdHtml));
-      }
-
-      currentOffset = articles.length;
+async function openPortal(btn) {
+  btn.disabled = true;
+  try {
+    const res = await fetch('/api/plus/portal', { method: 'POST', headers: { Authorization: `Bearer ${plus?.token}` } });
+    if (res.status === 401) return signOutPlus();
+    const body = await res.json();
+    if (!res.ok || !body.url) throw new Error(body.error || `HTTP ${res.status}`);
+    location.assign(body.url);
+  } catch (err) {
+    console.error('Could not open the membership portal:', err);
+    btn.textContent = 'Try again';
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+document.addEventListener('click', e => {
+  const btn = e.target.closest('[data-action^="plus-"]');
+  if (btn?.dataset.action === 'plus-portal') openPortal(btn);
+  else if (btn?.dataset.action === 'plus-sign-out') signOutPlus();
+});
+
+// ═══ ADS ═══
+// Placements come from the active_ads view and rotate per slot (see
+// adRotation in templates.js). An impression counts once per card per
+// page view, when half of it has been on screen for a second; they are
+// sent in batches to /api/ads/impressions. Clicks are counted by the
+// /ad/<id> redirect. Members (see NEWPHORIA+) get none of this.
+
+const VIEWABLE_RATIO = 0.5;
+const VIEWABLE_MS = 1000;
+const IMPRESSION_BATCH = 20;
+const IMPRESSION_FLUSH_MS = 5000;
+
+let pickAd = () => null;
+let adsLoaded = null;
+
+/** Fetch the placements once; resolves to false if they couldn't be loaded */
+function loadAds() {
+  if (isMember()) return Promise.resolve(false);
+  adsLoaded ??= fetchAds().then(
+    placements => {
+      pickAd = adRotation(placements);
+      return true;
+    },
+    err => {
+      console.error('Failed to load ads:', err);
+      return false;
+    },
+  );
+  return adsLoaded;
+}
+
+/** Swap the static sidebar ads (<div class="sad" data-slot>) for live ones */
+async function loadSidebarAds() {
+  if (!(await loadAds())) return;
+  document.querySelectorAll('.sad[data-slot]').forEach(slot => {
+    const placement = pickAd(slot.dataset.slot);
+    if (!placement) {
+      slot.remove();
+      return;
     }
+    const ad = htmlToElement(renderAd(placement, { sidebar: true }));
+    slot.replaceWith(ad);
+    observeAd(ad);
+  });
+}
 
-    // Load trending
-    const trending = await fetchTrending();
-    const trendEl = document.getElementById('trending');
-    if (trendEl && trending.length > 0) {
-      trendEl.innerHTML = `<h3>Trending</h3>${trending.map(renderTrendingItem).join('')}`;
+const countedAds = new WeakSet();
+const viewTimers = new Map();
+let pendingImpressions = [];
+let flushTimer = null;
+
+const adObserver = 'IntersectionObserver' in window && new IntersectionObserver(entries => {
+  for (const { target, isIntersecting } of entries) {
+    if (!isIntersecting) {
+      clearTimeout(viewTimers.get(target));
+      viewTimers.delete(target);
+      continue;
     }
+    if (viewTimers.has(target)) continue;
+    viewTimers.set(target, setTimeout(() => {
+      viewTimers.delete(target);
+      if (document.visibilityState !== 'visible' || countedAds.has(target)) return;
+      countedAds.add(target);
+      adObserver.unobserve(target);
+      queueImpression(target.dataset.adId);
+    }, VIEWABLE_MS));
+  }
+}, { threshold: VIEWABLE_RATIO });
+
+function observeAd(el) {
+  if (!isMember() && adObserver && el?.dataset?.adId && !countedAds.has(el)) adObserver.observe(el);
+}
 
-    // Set up infinite scroll
-    const observer = new IntersectionObserver((entries) => {
-      if (entries[0].isIntersecting) loadMore();
-    }, { rootMargin: '600px' });
+function queueImpression(id) {
+  pendingImpressions.push(id);
+  if (pendingImpressions.length >= IMPRESSION_BATCH) flushImpressions();
+  else flushTimer ??= setTimeout(flushImpressions, IMPRESSION_FLUSH_MS);
+}
 
-    const sentinel = document.createElement('div');
-    sentinel.id = 'scroll-sentinel';
-    document.getElementById('feed')?.appendChild(sentinel);
-    observer.observe(sentinel);
+function flushImpressions() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (pendingImpressions.length === 0) return;
+  const body = JSON.stringify({ ids: pendingImpressions });
+  pendingImpressions = [];
+  // sendBeacon survives the page closing; fall back to a keepalive fetch
+  if (navigator.sendBeacon?.('/api/ads/impressions', body)) return;
+  fetch('/api/ads/impressions', { method: 'POST', body, keepalive: true }).catch(() => {});
+}
+
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') flushImpressions();
+});
 
+// ═══ BLOOM PICKS ═══
+// Matched to the stories at the top of the feed, and to the category
+// when one is selected. The box hides when bloom_picks_for returns
+// nothing (e.g. the stories are all on sensitive topics) or fails.
+
+const PICK_CONTEXT = 10;
+let picksRequest = 0;
+
+async function loadBloomPicks(articles, category = null) {
+  if (!document.querySelector('.bp')) return;
+  const ticket = ++picksRequest;
+  let picks;
+  try {
+    picks = await fetchBloomPicks({
+      storyIds: articles.slice(0, PICK_CONTEXT).map(a => a.id),
+      category: category === 'all' ? null : category,
+    });
   } catch (err) {
-    console.error('Failed to load articles:', err);
-    // Static content remains as fallback
+    console.error('Failed to load Bloom Picks:', err);
+    picks = [];
+  }
+  const box = document.querySelector('.bp');
+  if (ticket !== picksRequest || !box) return;
+  // No match, or no answer: the static picks in index.html were never
+  // checked against these stories, so show nothing rather than them
+  if (picks.length === 0) box.hidden = true;
+  else box.replaceWith(htmlToElement(renderBloomPicks(picks)));
+}
+
+// ═══ INITIALIZATION ═══
+// Each section loads on its own: if one request fails, the others (and
+// the static content they replace) are unaffected.
+
+async function loadHero() {
+  let featured;
+  try {
+    featured = await fetchFeatured();
+  } catch (err) {
+    console.error('Failed to load featured stories:', err);
+    return;
+  }
+  if (featured.length === 0) return;
+
+  // Update hero with top featured article
+  const hero = featured[0];
+  const heroImg = document.querySelector('.hero-img');
+  const heroImage = safeUrl(hero.image_url);
+  if (heroImg && heroImage) {
+    heroImg.style.backgroundImage = `url(${JSON.stringify(heroImage)})`;
+  }
+  const heroTitle = document.querySelector('.hero h1');
+  if (heroTitle) heroTitle.textContent = hero.title;
+  const heroSrc = document.querySelector('.hero-src');
+  if (heroSrc) heroSrc.innerHTML = html`<strong>${hero.source_name}</strong> · ${timeAgo(hero.published_at)} · ${hero.read_time_minutes || 5} min read`;
+  const heroExcerpt = document.querySelector('.hero-excerpt');
+  if (heroExcerpt) heroExcerpt.textContent = hero.ai_summary || hero.excerpt;
+  const heroLink = document.querySelector('.hero-link');
+  if (heroLink) heroLink.href = readUrl(hero);
+
+  // Render featured row
+  const featRow = document.getElementById('featured');
+  if (featRow) {
+    featRow.innerHTML = featured.map((a, i) => renderFeaturedCard(a, i === 0)).join('');
+  }
+}
+
+/**
+ * First load of the home page. The static cards in index.html are only
+ * placeholders: showCategory swaps them for a skeleton, then for live
+ * stories or a notice with a retry button.
+ */
+async function loadFeed() {
+  const feed = document.getElementById('feed');
+  if (!feed) return;
+  await Promise.all([showCategory('all'), loadWeirdSection(feed)]);
+}
+
+/** The static weird section stays until live weird stories replace it */
+async function loadWeirdSection(feed) {
+  let weirdArticles = [];
+  try {
+    weirdArticles = await fetchArticles({ weird: true, limit: 12 });
+  } catch (err) {
+    console.error('Failed to load weird stories:', err);
+  }
+  if (weirdArticles.length === 0) return;
+
+  const section = htmlToElement(html`
+    <div class="weird" id="weird">
+      <div class="weird-head"><h2 class="weird-t">The Wonderfully Weird</h2></div>
+      <p class="weird-sub">The parts of this planet — and beyond — that don't quite make sense</p>
+      <div class="weird-grid">${weirdArticles.map(renderWeirdCard)}</div>
+      <div class="load-more"><button type="button" class="load-btn">Load More Weird</button></div>
+    </div>
+  `);
+  const staticWeird = feed.querySelector(':scope > .weird');
+  if (staticWeird) staticWeird.replaceWith(section);
+  else feed.insertBefore(section, feed.querySelector(':scope > #scroll-sentinel'));
+}
+
+async function loadTrending() {
+  const trendEl = document.getElementById('trending');
+  if (!trendEl) return;
+  try {
+    const trending = await fetchTrending();
+    if (trending.length > 0) trendEl.innerHTML = html`<h3>Trending</h3>${trending.map(renderTrendingItem)}`;
+  } catch (err) {
+    console.error('Failed to load trending stories:', err);
   }
 }
 
+async function init() {
+  await Promise.all([loadHero(), loadFeed(), loadTrending(), loadSidebarAds()]);
+  setUpInfiniteScroll();
+  keepLoadingIfVisible();
+}
+
 // Lazy load weird articles
 let weirdOffset = 12;
+let weirdLoading = false;
 async function loadMoreWeird() {
+  if (weirdLoading) return;
   const btn = document.querySelector('.weird .load-btn');
+  const grid = document.querySelector('.weird-grid');
+  weirdLoading = true;
   if (btn) btn.textContent = 'Loading...';
 
-  const articles = await fetchArticles({ weird: true, limit: 8, offset: weirdOffset });
-  const grid = document.querySelector('.weird-grid');
-  if (grid) {
-    articles.forEach(a => grid.appendChild(htmlToElement(renderWeirdCard(a))));
+  try {
+    const articles = await fetchArticles({ weird: true, limit: 8, offset: weirdOffset });
+    if (grid) articles.forEach(a => grid.appendChild(htmlToElement(renderWeirdCard(a))));
+    weirdOffset += articles.length;
+    if (btn) {
+      btn.textContent = articles.length < 8 ? 'No more weird (for now)' : 'Load More Weird';
+      btn.disabled = articles.length < 8;
+    }
+  } catch (err) {
+    console.error('Failed to load weird stories:', err);
+    if (btn) btn.textContent = "Couldn't load — try again";
+  } finally {
+    weirdLoading = false;
   }
-  weirdOffset += articles.length;
-
-  if (btn) btn.textContent = articles.length < 8 ? 'No more weird (for now)' : 'Load More Weird';
 }
 
 // ═══ FILTER HANDLING ═══
 document.querySelectorAll('.fil').forEach(btn => {
-  btn.addEventListener('click', async () => {
+  btn.addEventListener('click', () => {
     document.querySelectorAll('.fil').forEach(f => f.classList.remove('on'));
     btn.classList.add('on');
+    showCategory(btn.dataset.cat);
+  });
+});
+
+// Buttons inside the feed: load more weird, retries, "show all"
+document.addEventListener('click', e => {
+  if (e.target.closest('.weird .load-btn')) {
+    loadMoreWeird();
+    return;
+  }
+  const action = e.target.closest('[data-action]')?.dataset.action;
+  if (action === 'retry-feed') showCategory(currentCategory);
+  else if (action === 'retry-more') retryLoadMore();
+  else if (action === 'show-all') document.querySelector('.fil[data-cat="all"]')?.click();
+});
 
-    currentCategory = btn.dataset.cat;
-    currentOffset = 0;
-    hasMore = true;
+// ═══ SEARCH ═══
+const SEARCH_PAGE = 20;
+let searchTimer = null;
+let searchController = null;
+let searchOffset = 0;
 
-    const articles = await fetchArticles({ category: currentCategory, limit: 20 });
-    const feed = document.getElementById('feed');
-    const weirdSection = feed.querySelector('.weird');
+// search_articles wraps matches in \u0002…\u0003; escape the text first
+function highlightHtml(text) {
+  return trustedHtml(escapeHtml(text).replace(/\u0002/g, '<mark>').replace(/\u0003/g, '</mark>'));
+}
 
-    // Remove all articles (keep weird section)
-    Array.from(feed.children).forEach(child => {
-      if (!child.classList.contains('weird') && child.id !== 'scroll-sentinel') {
-        child.remove();
-      }
-    });
+function searchParams(form) {
+  const days = Number(form.range.value);
+  return {
+    query: form.q.value.trim(),
+    category: form.category.value || null,
+    minBloom: Number(form.min_bloom.value) || 3,
+    since: days ? new Date(Date.now() - days * 86400000).toISOString() : null,
+  };
+}
 
-    // Re-render
-    articles.filter(a => !a.is_weird).forEach((article, i) => {
-      const ad = insertAd(i);
-      if (ad) feed.insertBefore(htmlToElement(ad), weirdSection);
-      feed.insertBefore(htmlToElement(renderArticleCard(article)), weirdSection);
-    });
+async function runSearch(form, { append = false } = {}) {
+  const results = document.querySelector('.srch-res');
+  const params = searchParams(form);
+  if (params.query.length < 2) {
+    results.hidden = true;
+    results.innerHTML = '';
+    return;
+  }
+
+  searchController?.abort();
+  searchController = new AbortController();
+  if (!append) {
+    searchOffset = 0;
+    results.hidden = false;
+    results.innerHTML = renderSkeletonCards(2);
+  }
+
+  let rows;
+  try {
+    rows = await searchArticles({ ...params, limit: SEARCH_PAGE, offset: searchOffset, signal: searchController.signal });
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    console.error('Search failed:', err);
+    results.hidden = false;
+    results.querySelector('.srch-more')?.remove();
+    const notice = renderNotice({ kind: 'error', title: 'Search is unavailable right now', action: append ? 'retry-search-more' : 'retry-search' });
+    if (append) results.insertAdjacentHTML('beforeend', notice);
+    else results.innerHTML = notice;
+    return;
+  }
 
-    currentOffset = articles.length;
+  const cards = html`${rows
+    .map(a => ({ ...a, title: highlightHtml(a.title_highlight), ai_summary: highlightHtml(a.summary_highlight) }))
+    .map(renderArticleCard)}`;
+  searchOffset += rows.length;
+
+  results.hidden = false;
+  if (append) {
+    results.querySelector('.srch-more, .notice')?.remove();
+    results.querySelector('.srch-grid').insertAdjacentHTML('beforeend', cards);
+  } else {
+    results.innerHTML = rows.length
+      ? html`<p class="srch-sum">Results for “${params.query}”</p><div class="srch-grid">${cards}</div>`
+      : html`<p class="srch-sum">No stories match “${params.query}”.</p>`;
+  }
+  if (rows.length === SEARCH_PAGE) {
+    results.insertAdjacentHTML('beforeend', '<div class="load-more srch-more"><button type="button" class="load-btn">More results</button></div>');
+  }
+}
+
+const searchForm = document.querySelector('.srch');
+if (searchForm) {
+  searchForm.closest('[hidden]')?.removeAttribute('hidden');
+  searchForm.addEventListener('submit', e => {
+    e.preventDefault();
+    clearTimeout(searchTimer);
+    runSearch(searchForm);
+  });
+  searchForm.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => runSearch(searchForm), 250);
+  });
+  searchForm.addEventListener('keydown', e => {
+    if (e.key !== 'Escape') return;
+    searchForm.q.value = '';
+    runSearch(searchForm);
   });
+  document.querySelector('.srch-res')?.addEventListener('click', e => {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (e.target.closest('.srch-more button') || action === 'retry-search-more') runSearch(searchForm, { append: true });
+    else if (action === 'retry-search') runSearch(searchForm);
+  });
+}
+
+// ═══ STORY COVERAGE & RELATED STORIES ═══
+document.addEventListener('click', async (e) => {
+  const btn = e.target.closest('.ac-cov-btn');
+  if (!btn) return;
+
+  const list = btn.nextElementSibling;
+  const open = btn.getAttribute('aria-expanded') === 'true';
+  btn.setAttribute('aria-expanded', String(!open));
+  list.hidden = open;
+
+  if (!open && !list.dataset.loaded) {
+    list.innerHTML = '<li class="ac-cov-wait">Loading…</li>';
+    const related = Boolean(btn.dataset.related);
+    try {
+      const items = related ? await fetchRelated(btn.dataset.related) : await fetchCoverage(btn.dataset.story);
+      list.innerHTML = items.length
+        ? items.map(related ? renderRelatedItem : renderCoverageItem).join('')
+        : '<li class="ac-cov-wait">Nothing related yet.</li>';
+      list.dataset.loaded = 'true';
+    } catch {
+      list.innerHTML = `<li class="ac-cov-wait">Couldn't load the ${related ? 'related stories' : 'other sources'}.</li>`;
+    }
+  }
 });
 
 // ═══ NEWSLETTER ═══
+// Posts to /api/subscribe (netlify/functions/newsletter.mjs), which
+// mails a confirmation link. Without JavaScript the form posts there
+// directly and gets a page back.
 document.querySelector('.nl-f')?.addEventListener('submit', async (e) => {
   e.preventDefault();
-  const email = e.target.querySelector('input').value;
-  const btn = e.target.querySelector('button');
-
+  const form = e.target;
+  const btn = form.querySelector('button');
+  const msg = form.querySelector('.nl-msg');
+  const label = btn.textContent;
+  btn.disabled = true;
+  btn.textContent = 'Sending…';
+
+  let ok = false;
+  let message;
   try {
-    await fetch(`${API}/subscribers`, {
+    const res = await fetch('/api/subscribe', {
       method: 'POST',
-      headers: { ...HEADERS, 'Content-Type': 'application/json', 'Prefer': 'return=minimal' },
-      body: JSON.stringify({ email }),
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: form.email.value, website: form.website?.value || '' }),
     });
-    btn.textContent = "You're in.";
+    const body = await res.json().catch(() => ({}));
+    ok = res.ok;
+    message = ok ? body.message : body.error;
+  } catch (err) {
+    console.error('Subscribe failed:', err);
+  }
+
+  btn.disabled = false;
+  btn.textContent = ok ? 'Check your inbox' : label;
+  if (ok) {
     btn.style.background = 'var(--mint)';
-    e.target.querySelector('input').value = '';
-  } catch {
-    btn.textContent = 'Error — try again';
+    form.email.value = '';
+  }
+  if (msg) {
+    msg.hidden = false;
+    msg.classList.toggle('err', !ok);
+    msg.textContent = message || (ok ? 'We sent you a link to confirm your subscription.' : "Couldn't subscribe — please try again.");
   }
 });
 
 // ═══ BOOT ═══
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
-} else {
-  init();
-}
+// Module scripts run after parsing, so the DOM is ready
+applyPlus();
+refreshPlus();
+if (document.body.dataset.rendered !== 'server') init();
+else document.querySelectorAll('[data-ad-id]').forEach(observeAd);
@@ -0,0 +1,343 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Card Templates
+ * ═══════════════════════════════════════════════════════
+ *
+ * HTML templates shared by the browser data layer (data.js) and the
+ * server-rendered pages (netlify/functions/pages.mjs). Plain functions
+ * of article rows, no DOM access, so they run in both places.
+ *
+ * Pass rows exactly as they come from Supabase: the templates escape
+ * every value themselves (see html`` below).
+ * ═══════════════════════════════════════════════════════
+ */
+
+// ═══ CATEGORY CONFIG ═══
+export const CAT_COLORS = {
+  innovation: 'cyan', science: 'violet', space: 'violet',
+  health: 'rose', environment: 'mint', community: 'mint',
+  education: 'gold', kindness: 'rose', progress: 'gold', weird: 'orange',
+};
+
+// Fallback images by category when article has no image
+export const CAT_IMAGES = {
+  innovation: 'https://images.unsplash.com/photo-1518770660439-4636190af475?w=500&q=80',
+  science: 'https://images.unsplash.com/photo-1532094349884-543bc11b234d?w=500&q=80',
+  space: 'https://images.unsplash.com/photo-1446776811953-b23d57bd21aa?w=500&q=80',
+  health: 'https://images.unsplash.com/photo-1576086213369-97a306d36557?w=500&q=80',
+  environment: 'https://images.unsplash.com/photo-1583212292454-1fe6229603b7?w=500&q=80',
+  community: 'https://images.unsplash.com/photo-1593113598332-cd288d649433?w=500&q=80',
+  education: 'https://images.unsplash.com/photo-1497633762265-9d179a990aa6?w=500&q=80',
+  kindness: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?w=500&q=80',
+  progress: 'https://images.unsplash.com/photo-1451187580459-43490279c0fa?w=500&q=80',
+  weird: 'https://images.unsplash.com/photo-1462332420958-a05d1e002413?w=500&q=80',
+};
+
+// ═══ ESCAPING ═══
+// Feed content comes from third parties, so every value placed in a
+// template goes through html``, which escapes it. Only the output of
+// another html`` (or trustedHtml()) is inserted as markup. Links and
+// images go through safeUrl() first.
+
+class SafeHtml extends String {}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/** Markup that is already escaped (e.g. search highlights) */
+export function trustedHtml(markup) {
+  return new SafeHtml(markup);
+}
+
+function interpolate(value) {
+  if (value == null || value === false) return '';
+  if (value instanceof SafeHtml) return value.toString();
+  if (Array.isArray(value)) return value.map(interpolate).join('');
+  return escapeHtml(value);
+}
+
+/** Tagged template: html`<p>${text}</p>` escapes `text` */
+export function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => { out += interpolate(value) + strings[i + 1]; });
+  return new SafeHtml(out);
+}
+
+/**
+ * `url` if it is http(s) or a path on this site, otherwise `fallback`.
+ * Keeps javascript:, data: and the like out of href and src.
+ */
+export function safeUrl(url, fallback = '') {
+  if (typeof url !== 'string') return fallback;
+  const trimmed = url.trim();
+  if (/^\/(?![/\\])/.test(trimmed)) return trimmed;
+  try {
+    const parsed = new URL(trimmed);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// ═══ RENDER FUNCTIONS ═══
+
+export function timeAgo(dateStr) {
+  const seconds = Math.floor((Date.now() - new Date(dateStr).getTime()) / 1000);
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+  return new Date(dateStr).toLocaleDateString();
+}
+
+/** Link that counts the read, then redirects to the publisher (netlify/functions/go.mjs) */
+export function readUrl(article) {
+  return `/go/${encodeURIComponent(article.id)}`;
+}
+
+export function formatReads(n) {
+  return n >= 1000 ? `${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}K` : String(n);
+}
+
+/** Topic page slug for a tag. The pipeline stores the same slugs in articles.tag_slugs */
+export function tagSlug(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/** Story image, or the category's stock photo when it has none (or an unsafe one) */
+function imageFor(article, category = article.category_name) {
+  return safeUrl(article.image_url) || CAT_IMAGES[category] || CAT_IMAGES.progress;
+}
+
+const colorFor = (article) => CAT_COLORS[article.category_name] || 'cyan';
+const summaryOf = (article) => article.ai_summary || article.excerpt || '';
+
+/** Tags as /topic/<slug> links */
+export function renderTopicLinks(article) {
+  const tags = (article.ai_tags || []).filter(t => tagSlug(t));
+  if (!tags.length) return '';
+  return html`<div class="tag-list">${tags.map(t => html`<a href="/topic/${tagSlug(t)}">#${t}</a>`)}</div>`;
+}
+
+export function renderArticleCard(article) {
+  const bloomClass = article.bloom_score >= 5 ? 'b5' : article.bloom_score >= 4 ? 'b4' : 'b3';
+
+  const card = html`
+    <a href="${readUrl(article)}" class="ac" target="_blank" rel="noopener" data-category="${article.category_name}">
+      <div class="ac-img">
+        <img src="${imageFor(article)}" alt="" loading="lazy">
+        <div class="ac-ov"></div>
+        <div class="ac-bloom ${bloomClass}">${article.bloom_score}</div>
+        <div class="ac-src">${article.source_name}</div>
+      </div>
+      <div class="ac-body">
+        <div class="ac-cat c-${colorFor(article)}">${article.category_name}</div>
+        <h3 class="ac-t">${article.title}</h3>
+        <p class="ac-ex">${summaryOf(article)}</p>
+        <div class="ac-m">${timeAgo(article.published_at)}${article.read_time_minutes ? ` · ${article.read_time_minutes} min` : ''}</div>
+      </div>
+    </a>
+  `;
+
+  const topics = renderTopicLinks(article);
+  if (!article.coverage_count && !topics) return card;
+
+  // Topic links, other coverage and related stories sit under the card;
+  // the two lists load on demand
+  const n = Number(article.coverage_count) || 0;
+  const coverage = n > 0 && html`
+        <button type="button" class="ac-cov-btn" data-story="${article.id}" aria-expanded="false">Also covered by ${n} source${n === 1 ? '' : 's'}</button>
+        <ul class="ac-cov-list" hidden></ul>`;
+  const related = topics && html`
+        <button type="button" class="ac-cov-btn" data-related="${article.id}" aria-expanded="false">Related stories</button>
+        <ul class="ac-cov-list" hidden></ul>`;
+  return html`
+    <div class="ac-story" data-category="${article.category_name}">
+      ${card}
+      <div class="ac-cov">
+        ${topics}${coverage}${related}
+      </div>
+    </div>
+  `;
+}
+
+export function renderCoverageItem(item) {
+  return html`<li><a href="${safeUrl(item.source_url, '#')}" target="_blank" rel="noopener"><strong>${item.source_name}</strong> — ${item.title}</a></li>`;
+}
+
+export function renderRelatedItem(article) {
+  return html`<li><a href="${readUrl(article)}" target="_blank" rel="noopener"><strong>${article.source_name}</strong> — ${article.title}</a></li>`;
+}
+
+export function renderFeaturedCard(article, isMain = false) {
+  const card = html`
+    <a href="${readUrl(article)}" class="feat" target="_blank" rel="noopener">
+      <div class="feat-img">
+        <img src="${imageFor(article)}" alt="" loading="lazy">
+        <div class="feat-ov"></div>
+        <div class="feat-bloom">Bloom ${article.bloom_score}</div>
+        <div class="feat-src">${article.source_name}</div>
+      </div>
+      <div class="feat-body">
+        <div class="feat-cat c-${colorFor(article)}">${article.category_name}</div>
+        <h3 class="feat-t">${article.title}</h3>
+        <p class="feat-ex">${summaryOf(article)}</p>
+        <div class="feat-m">${timeAgo(article.published_at)}</div>
+      </div>
+    </a>
+  `;
+
+  const topics = renderTopicLinks(article);
+  return topics ? html`<div class="feat-story">${card}<div class="feat-tags">${topics}</div></div>` : card;
+}
+
+export function renderWeirdCard(article) {
+  const topics = renderTopicLinks(article);
+
+  const card = html`
+    <a href="${readUrl(article)}" class="wc" target="_blank" rel="noopener">
+      <div class="wc-img">
+        <img src="${imageFor(article, 'weird')}" alt="" loading="lazy">
+        <div class="wc-ov"></div>
+      </div>
+      <div class="wc-body">
+        <h4 class="wc-t">${article.title}</h4>
+        <p class="wc-d">${summaryOf(article)}</p>
+        ${!topics && html`<div class="wc-tag">${article.category_name}</div>`}
+      </div>
+    </a>
+  `;
+
+  return topics ? html`<div class="wc-story">${card}<div class="wc-tags">${topics}</div></div>` : card;
+}
+
+export function renderTrendingItem(article, index) {
+  return html`
+    <a href="${readUrl(article)}" class="ti" target="_blank" rel="noopener">
+      <span class="ti-n">${index + 1}</span>
+      <div>
+        <div class="ti-t">${article.title}</div>
+        <div class="ti-tag">${article.category_name}${article.view_count ? ` · ${formatReads(article.view_count)} reads` : ''}</div>
+      </div>
+    </a>
+  `;
+}
+
+/** Placeholder cards while a page of stories loads */
+export function renderSkeletonCards(count = 3) {
+  const card = html`
+      <div class="ac ac-skel">
+        <div class="ac-img"></div>
+        <div class="ac-body"><div class="skel-line"></div><div class="skel-line"></div><div class="skel-line short"></div></div>
+      </div>`;
+  return html`<div class="skel-group" role="status" aria-label="Loading stories">${Array.from({ length: count }, () => card)}</div>`;
+}
+
+/**
+ * Empty or error message in place of a list. `action` is the button's
+ * data-action, which data.js listens for.
+ */
+export function renderNotice({ kind = 'empty', title, message = '', action = null, actionLabel = 'Try again' }) {
+  return html`
+    <div class="notice notice-${kind}" role="${kind === 'error' ? 'alert' : 'status'}">
+      <h4>${title}</h4>
+      ${message && html`<p>${message}</p>`}
+      ${action && html`<button type="button" class="load-btn" data-action="${action}">${actionLabel}</button>`}
+    </div>
+  `;
+}
+
+// ═══ ADS ═══
+// In-feed slots come after the third story and then every AD_EVERY
+// stories, cycling through INFEED_SLOTS. `index` is the story's
+// position in the whole feed, not in its page, so pages appended by
+// infinite scroll carry the pattern on instead of restarting it.
+export const INFEED_SLOTS = ['infeed-1', 'infeed-2', 'adsense'];
+const FIRST_AD_AT = 3;
+const AD_EVERY = 6;
+
+export function adSlotAt(index) {
+  if (index < FIRST_AD_AT || (index - FIRST_AD_AT) % AD_EVERY !== 0) return null;
+  return INFEED_SLOTS[((index - FIRST_AD_AT) / AD_EVERY) % INFEED_SLOTS.length];
+}
+
+/**
+ * Creative picker over active_ads rows: pick(slot) returns a placement
+ * or null. Placements sharing a slot take turns in proportion to their
+ * weight (smooth weighted round-robin), from a random starting point.
+ */
+export function adRotation(placements = [], random = Math.random) {
+  const slots = new Map();
+  for (const placement of placements) {
+    const weight = Math.max(1, Number(placement.weight) || 1);
+    const slot = slots.get(placement.slot) || [];
+    slot.push({ placement, weight, current: random() * weight });
+    slots.set(placement.slot, slot);
+  }
+
+  return (slot) => {
+    const entries = slots.get(slot);
+    if (!entries) return null;
+    const total = entries.reduce((sum, e) => sum + e.weight, 0);
+    let best = entries[0];
+    for (const e of entries) {
+      e.current += e.weight;
+      if (e.current > best.current) best = e;
+    }
+    best.current -= total;
+    return best.placement;
+  };
+}
+
+/** One placement from active_ads; clicks go through /ad/<id> (netlify/functions/ads.mjs) */
+export function renderAd(placement, { sidebar = false } = {}) {
+  const href = `/ad/${encodeURIComponent(placement.id)}`;
+  const image = safeUrl(placement.image_url);
+  const cta = placement.cta_text || 'Learn More →';
+  if (sidebar) {
+    return html`<div class="sad" data-slot="${placement.slot}" data-ad-id="${placement.id}"><div class="sad-lab">Promoted</div><div class="sad-in">${image && html`<div class="sad-img"><img src="${image}" alt="" loading="lazy"></div>`}<div class="sad-t">${placement.title}</div><div class="sad-d">${placement.description}</div><a href="${href}" class="sad-cta" target="_blank" rel="sponsored noopener">${cta}</a></div></div>`;
+  }
+  return html`<div class="ifad" data-ad-id="${placement.id}"><div class="ifad-lab">Promoted</div>${image && html`<div class="ifad-img"><img src="${image}" alt="" loading="lazy"></div>`}<div><h4>${placement.title}</h4><p>${placement.description}</p><a href="${href}" target="_blank" rel="sponsored noopener">${cta}</a></div></div>`;
+}
+
+/**
+ * Ad to show before the story at `index`, or ''. `pickAd` is an
+ * adRotation() picker; without one only the AdSense slot renders.
+ */
+export function insertAd(index, pickAd = () => null) {
+  const slot = adSlotAt(index);
+  if (!slot) return '';
+  if (slot === 'adsense') return html`<div class="adsense"><span>Google AdSense</span></div>`;
+  const placement = pickAd(slot);
+  return placement ? renderAd(placement) : '';
+}
+
+// ═══ BLOOM PICKS ═══
+
+const AMAZON_DISCLOSURE = 'As an Amazon Associate we earn from qualifying purchases.';
+
+/** One pick from active_bloom_picks; clicks go through /pick/<id> */
+export function renderBloomPick(pick) {
+  const image = safeUrl(pick.image_url);
+  return html`<a href="/pick/${encodeURIComponent(pick.id)}" class="bpi" target="_blank" rel="sponsored noopener">${image && html`<div class="bpi-img"><img src="${image}" alt="" loading="lazy"></div>`}<div><h4>${pick.name}</h4><p>${pick.description}</p></div></a>`;
+}
+
+/**
+ * The Bloom Picks box with its affiliate disclosure, or '' when there
+ * are no picks (bloom_picks_for returns none next to sensitive stories).
+ */
+export function renderBloomPicks(picks) {
+  if (!picks?.length) return '';
+  const amazon = picks.some(p => p.affiliate_network === 'amazon');
+  return html`<div class="bp"><h3>Bloom Picks</h3><p class="bp-sub">Curated wellness</p><p class="bp-disc">Affiliate links: we may earn a commission if you buy, at no cost to you. Picks never affect which stories we cover.${amazon && ` ${AMAZON_DISCLOSURE}`}</p>${picks.map(renderBloomPick)}</div>`;
+}
@@ -0,0 +1,254 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Reclassification Backfill
+ * ═══════════════════════════════════════════════════════
+ *
+ * Re-runs classifyBatch over stored articles whose classification came
+ * from an older model or prompt (see PROMPT_VERSION in lib/classifier.mjs).
+ *
+ *   npm run backfill -- --since 2026-09-01 [--until 2026-10-01]
+ *                       [--category space] [--limit 500] [--all] [--dry-run]
+ *   npm run backfill -- --report [--since 2026-09-01]
+ *
+ * --all          include articles already on the current version
+ * --dry-run      classify and report, but leave articles untouched
+ * --report       print the shift report from past backfills and exit
+ *
+ * Articles an editor has reviewed are never touched. A new result that
+ * is less confident than the stored one is recorded but not applied.
+ * The prompt carries the same editor examples as the pipeline's, and
+ * tag counts are refreshed after an update.
+ * Status is left alone: a published article whose bloom drops below
+ * the threshold falls out of feed_articles on its own.
+ *
+ * Claude spend is logged to ingestion_log (source 'backfill') and
+ * counts toward DAILY_BUDGET_USD, dry run or not.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { randomUUID } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import Anthropic from '@anthropic-ai/sdk';
+import { createClient } from '@supabase/supabase-js';
+import { classifyBatch, loadReviewExamples, CLASSIFIER_MODEL, PROMPT_VERSION, DEFAULT_CATEGORIES } from './lib/classifier.mjs';
+import { createUsageMeter, loadPrices, loadSpentToday } from './lib/usage.mjs';
+import { createStubAnthropic } from './lib/stub-anthropic.mjs';
+import {
+  versionOf, decideReclassification, reclassificationRow, summarizeShifts, formatShiftReport,
+} from './lib/reclassify.mjs';
+
+// ═══ CONFIG ═══
+const config = {
+  batch_size: 10,
+  classify_content_chars: 1500,
+  min_bloom_score: 3,
+  daily_budget_usd: Number(process.env.DAILY_BUDGET_USD) || 2.00,
+};
+
+const { values: cli } = parseArgs({
+  options: {
+    since: { type: 'string' },
+    until: { type: 'string' },
+    category: { type: 'string' },
+    limit: { type: 'string', default: '500' },
+    all: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    report: { type: 'boolean', default: false },
+  },
+});
+
+// The stub answers with the categories run() loads. Its answers are made
+// up, so a stub backfill is always a dry run and logs no spend.
+const stubbed = process.env.CLASSIFIER_MODE === 'stub';
+let runCategories = DEFAULT_CATEGORIES;
+const anthropic = stubbed
+  ? createStubAnthropic({ categories: () => runCategories })
+  : new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const CURRENT = versionOf({ classifier: CLASSIFIER_MODEL, prompt_version: PROMPT_VERSION });
+
+function parseDate(value, flag) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`${flag} is not a date: ${value}`);
+  return date.toISOString();
+}
+
+// ═══ LOAD ═══
+
+async function loadCategories() {
+  const { data } = await supabase.from('categories').select('id, slug').eq('is_active', true);
+  return data?.length ? data : DEFAULT_CATEGORIES.map(slug => ({ id: null, slug }));
+}
+
+/**
+ * Stored articles to reclassify, newest first. Fallback-model results
+ * are included: they are exactly what a backfill should replace.
+ */
+async function loadArticles({ since, until }) {
+  let query = supabase
+    .from('articles')
+    .select('id, title, excerpt, content, source_name, source_url, bloom_score, category_name, is_weird, ai_confidence, classifier, prompt_version')
+    .is('reviewed_at', null)
+    .not('classified_at', 'is', null)
+    .order('published_at', { ascending: false })
+    .limit(Number(cli.limit) || 500);
+
+  if (since) query = query.gte('published_at', since);
+  if (until) query = query.lt('published_at', until);
+  if (cli.category) query = query.eq('category_name', cli.category);
+  if (!cli.all) {
+    query = query.or(`classifier.is.null,prompt_version.is.null,classifier.neq.${CLASSIFIER_MODEL},prompt_version.neq.${PROMPT_VERSION}`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Could not load articles: ${error.message}`);
+  return data || [];
+}
+
+// ═══ APPLY ═══
+
+async function applyResult(after, categoryIds) {
+  const { error } = await supabase
+    .from('articles')
+    .update({
+      bloom_score: after.bloom_score,
+      category_name: after.category_name,
+      category_id: categoryIds.get(after.category_name) || null,
+      is_weird: after.is_weird,
+      ai_summary: after.ai_summary,
+      ai_tags: after.ai_tags,
+      tag_slugs: after.tag_slugs,
+      ai_confidence: after.ai_confidence,
+      raw_ai_response: after.raw_ai_response,
+      classifier: after.classifier,
+      prompt_version: after.prompt_version,
+      classified_at: after.classified_at,
+    })
+    .eq('id', after.id);
+  return error ? error.message : null;
+}
+
+// ═══ REPORT ═══
+
+async function printReport({ since } = {}) {
+  let query = supabase
+    .from('reclassifications')
+    .select('from_classifier, from_prompt_version, to_classifier, to_prompt_version, bloom_before, bloom_after, category_before, category_after, weird_before, weird_after, applied, skipped_reason')
+    .order('created_at', { ascending: false })
+    .limit(10000);
+  if (since) query = query.gte('created_at', since);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Could not load reclassifications: ${error.message}`);
+  console.log(formatShiftReport(summarizeShifts(data || [], { minBloom: config.min_bloom_score }), { minBloom: config.min_bloom_score }));
+}
+
+// ═══ MAIN ═══
+
+async function run() {
+  const startTime = Date.now();
+  const since = parseDate(cli.since, '--since');
+  const until = parseDate(cli.until, '--until');
+
+  if (cli.report) {
+    console.log('═══ Reclassification shift report ═══');
+    await printReport({ since });
+    return;
+  }
+
+  const dryRun = cli['dry-run'] || stubbed;
+  const backfillId = randomUUID();
+  console.log('═══ Newphoria Reclassification Backfill ═══');
+  console.log(`Target version: ${CURRENT}${dryRun ? ' (dry run — articles are not updated)' : ''}`);
+
+  const articles = await loadArticles({ since, until });
+  console.log(`  ${articles.length} articles to reclassify`);
+  if (articles.length === 0) return;
+
+  const categoryRows = await loadCategories();
+  const categories = categoryRows.map(c => c.slug);
+  runCategories = categories;
+  // The same editor examples the pipeline sends, so the prompt matches PROMPT_VERSION's
+  const examples = await loadReviewExamples(supabase);
+  const categoryIds = new Map(categoryRows.map(c => [c.slug, c.id]));
+
+  const meter = createUsageMeter({ prices: loadPrices() });
+  const spentToday = await loadSpentToday(supabase);
+  meter.setBudget(config.daily_budget_usd, spentToday);
+  console.log(`  Spent today: $${spentToday.toFixed(4)} of $${config.daily_budget_usd.toFixed(2)}`);
+
+  const rows = [];
+  const errors = [];
+  for (let i = 0; i < articles.length; i += config.batch_size) {
+    if (meter.exhausted) {
+      errors.push(`Daily budget reached; ${articles.length - i} articles left for the next backfill`);
+      console.log(`  ${errors.at(-1)}`);
+      break;
+    }
+
+    const batch = articles.slice(i, i + config.batch_size);
+    console.log(`  Batch ${Math.floor(i / config.batch_size) + 1}: reclassifying ${batch.length} articles...`);
+    const results = await classifyBatch(batch, {
+      anthropic,
+      categories,
+      examples,
+      meter,
+      contentChars: config.classify_content_chars,
+    });
+
+    for (let j = 0; j < batch.length; j++) {
+      const before = batch[j];
+      const after = results[j];
+      const decision = decideReclassification(before, after);
+
+      if (decision.applied && !dryRun) {
+        const error = await applyResult(after, categoryIds);
+        if (error) {
+          errors.push(`Update failed for ${before.id}: ${error}`);
+          decision.applied = false;
+          decision.skipped_reason = 'update_failed';
+        }
+      }
+      rows.push(reclassificationRow(backfillId, before, after, decision));
+    }
+  }
+
+  if (!dryRun && rows.length > 0) {
+    const { error } = await supabase.from('reclassifications').insert(rows);
+    if (error) errors.push(`Could not record reclassifications: ${error.message}`);
+  }
+
+  // New tags change the counts topic pages read
+  if (!dryRun && rows.some(r => r.applied)) {
+    const { error } = await supabase.rpc('refresh_tags');
+    if (error) errors.push(`Tag counts: ${error.message}`);
+  }
+
+  // Spend is logged even on a dry run: the Claude calls were real
+  const usage = meter.totals;
+  if (!stubbed) await supabase.from('ingestion_log').insert({
+    source: 'backfill',
+    articles_classified: rows.filter(r => r.bloom_after != null).length,
+    api_cost_usd: Math.round(usage.cost_usd * 10000) / 10000,
+    input_tokens: usage.input_tokens,
+    output_tokens: usage.output_tokens,
+    errors: errors.length > 0 ? errors : null,
+    duration_seconds: Math.round((Date.now() - startTime) / 1000),
+  });
+
+  console.log(`\n═══ Shift report (${dryRun ? 'dry run' : `backfill ${backfillId}`}) ═══`);
+  console.log(formatShiftReport(summarizeShifts(rows, { minBloom: config.min_bloom_score }), { minBloom: config.min_bloom_score }));
+  console.log(`\nClaude usage: ${usage.input_tokens} input / ${usage.output_tokens} output tokens — $${usage.cost_usd.toFixed(4)}`);
+  if (errors.length > 0) {
+    console.log(`Errors: ${errors.length}`);
+    errors.forEach(e => console.log(`  ${e}`));
+  }
+}
+
+// ═══ RUN ═══
+run().catch(err => {
+  console.error('Backfill error:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,172 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Dedup Benchmark
+ * ═══════════════════════════════════════════════════════
+ *
+ * Compares the old per-article word-overlap scan with the batched
+ * MinHash/LSH stage on a synthetic corpus: a window of existing stories,
+ * then an incoming batch where some articles are rewrites of existing
+ * stories (prefixed, re-punctuated, a word swapped or a suffix added) and the
+ * rest are new.
+ *
+ * Usage: node scripts/bench/dedup.mjs [existing=5000] [incoming=200]
+ * No network or database; the existing window is an in-memory lookup.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { dedupBatch, minhash, lshBands, canonicalizeUrl } from '../lib/dedup.mjs';
+
+const EXISTING = Number(process.argv[2]) || 5000;
+const INCOMING = Number(process.argv[3]) || 200;
+const REWRITE_SHARE = 0.4;
+
+// Deterministic PRNG so runs are comparable (mulberry32)
+let seed = 42;
+function rand() {
+  seed |= 0; seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+const pick = (arr) => arr[Math.floor(rand() * arr.length)];
+
+const SUBJECTS = ['Scientists', 'Researchers', 'Engineers', 'Volunteers', 'Students', 'Doctors', 'Farmers', 'Astronomers', 'Teachers', 'Startup', 'City', 'Village', 'Nurses', 'Biologists', 'Coders'];
+const VERBS = ['discover', 'develop', 'build', 'restore', 'launch', 'map', 'grow', 'rescue', 'design', 'test', 'unveil', 'revive', 'train', 'protect', 'clean'];
+const OBJECTS = ['coral reef', 'solar battery', 'malaria vaccine', 'river delta', 'exoplanet', 'seed bank', 'water filter', 'bee colony', 'forest corridor', 'fusion reactor', 'reading program', 'prosthetic hand', 'wind farm', 'kelp forest', 'lunar lander', 'gene therapy', 'bike network', 'wetland', 'food bank', 'robot arm'];
+const TAILS = ['after decade of work', 'with record results', 'using recycled parts', 'for the first time', 'at a fraction of the cost', 'despite long odds', 'in historic first', 'with community help'];
+const SWAPS = { discover: 'find', develop: 'create', build: 'construct', launch: 'start', unveil: 'reveal', Scientists: 'Researchers', Researchers: 'Scientists' };
+const OUTLETS = ['reuters.com', 'apnews.com', 'bbc.com', 'theguardian.com', 'wired.com', 'space.com'];
+
+const SYLLABLES = ['ka', 'lo', 'mi', 'ren', 'to', 'sa', 'vu', 'ne', 'dor', 'ba', 'qui', 'zel', 'ma', 'hi', 'po'];
+
+/** Made-up proper noun, so distinct stories don't collapse onto the small vocabulary above */
+function name() {
+  const n = 2 + Math.floor(rand() * 2);
+  const word = Array.from({ length: n }, () => pick(SYLLABLES)).join('');
+  return word[0].toUpperCase() + word.slice(1);
+}
+
+function headline() {
+  return `${name()} ${pick(SUBJECTS)} ${pick(VERBS)} ${pick(OBJECTS)} in ${name()} ${pick(TAILS)}`;
+}
+
+/** Another outlet's take on the same headline: one or two small edits */
+function rewrite(title) {
+  const edits = [
+    (t) => t.split(' ').map(w => SWAPS[w] || w).join(' '),
+    (t) => `${pick(['Breaking:', 'Watch:', 'Good news:'])} ${t}`,
+    (t) => t.replace(/ in /, ', in '),
+    (t) => `${t}${pick([' - report', ' | Video', ', officials say'])}`,
+  ];
+  let out = title;
+  for (let i = 0; i < 1 + Math.floor(rand() * 2); i++) out = pick(edits)(out);
+  return out;
+}
+
+function url(outlet, i) {
+  const tracking = rand() < 0.3 ? `?utm_source=feed&utm_medium=rss` : '';
+  return `https://${rand() < 0.5 ? 'www.' : ''}${outlet}/news/${i}${rand() < 0.2 ? '/amp' : ''}${tracking}`;
+}
+
+// ═══ CORPUS ═══
+
+const existing = Array.from({ length: EXISTING }, (_, i) => {
+  const title = headline();
+  const source_url = url(pick(OUTLETS), `e${i}`);
+  const sig = minhash(title);
+  return { id: `e${i}`, title, source_url, canonical_url: canonicalizeUrl(source_url), minhash: sig, lsh_bands: lshBands(sig) };
+});
+
+const truth = new Map();  // incoming source_url → existing id it rewrites
+const incoming = Array.from({ length: INCOMING }, (_, i) => {
+  const source_url = url(pick(OUTLETS), `n${i}`);
+  if (rand() < REWRITE_SHARE) {
+    const original = pick(existing);
+    truth.set(source_url, original.id);
+    return { title: rewrite(original.title), source_url };
+  }
+  return { title: headline(), source_url };
+});
+
+// ═══ OLD: word-overlap scan (one query per article, O(n·m) compare) ═══
+
+function oldFindSimilar(title, rows, threshold = 0.6) {
+  const words = title.toLowerCase().split(/\s+/).filter(w => w.length > 3);
+  for (const row of rows) {
+    const rowWords = row.title.toLowerCase().split(/\s+/).filter(w => w.length > 3);
+    const overlap = words.filter(w => rowWords.includes(w)).length;
+    const similarity = overlap / Math.max(words.length, rowWords.length);
+    if (similarity >= threshold) return row;
+  }
+  return null;
+}
+
+function runOld() {
+  let queries = 0;
+  const matches = new Map();
+  for (const article of incoming) {
+    queries += 2;  // isDuplicate + findSimilar
+    const match = oldFindSimilar(article.title, existing);
+    if (match) matches.set(article.source_url, match.id);
+  }
+  return { matches, queries };
+}
+
+// ═══ NEW: MinHash/LSH ═══
+
+async function runNew() {
+  let queries = 0;
+  const byBand = new Map();
+  for (const row of existing) {
+    for (const key of row.lsh_bands) {
+      if (!byBand.has(key)) byBand.set(key, []);
+      byBand.get(key).push(row);
+    }
+  }
+  const lookup = async (urls, bands) => {
+    queries++;
+    const rows = new Set(bands.flatMap(b => byBand.get(b) || []));
+    return [...rows].map(r => ({ ...r, near_candidate: true }));
+  };
+
+  const { articles } = await dedupBatch(incoming, { lookup });
+  const matches = new Map(articles.filter(a => a.similar_to).map(a => [a.source_url, a.similar_to]));
+  return { matches, queries };
+}
+
+// ═══ REPORT ═══
+
+/**
+ * A match counts as correct when it points at the rewritten story or at
+ * an existing story with the same headline (the generator can repeat one).
+ */
+function score(matches) {
+  const titleOf = new Map(existing.map(r => [r.id, r.title]));
+  let tp = 0;
+  for (const [sourceUrl, id] of matches) {
+    const expected = truth.get(sourceUrl);
+    if (expected && (expected === id || titleOf.get(expected) === titleOf.get(id))) tp++;
+  }
+  return {
+    precision: matches.size ? tp / matches.size : 1,
+    recall: truth.size ? tp / truth.size : 1,
+  };
+}
+
+async function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = await fn();
+  return { ...result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+const pct = (n) => `${(n * 100).toFixed(1)}%`;
+
+const old = await time(runOld);
+const batched = await time(runNew);
+
+console.log(`\nDedup benchmark — ${EXISTING} existing, ${INCOMING} incoming, ${truth.size} rewrites\n`);
+for (const [name, r] of [['word-overlap scan', old], ['minhash/lsh', batched]]) {
+  const { precision, recall } = score(r.matches);
+  console.log(`  ${name.padEnd(18)} ${r.ms.toFixed(1).padStart(9)} ms   ${String(r.queries).padStart(4)} queries   precision ${pct(precision)}   recall ${pct(recall)}`);
+}
+console.log('  (the scan also pays a database round trip per query)\n');
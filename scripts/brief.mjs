@@ -0,0 +1,245 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — The Morning Brief
+ * ═══════════════════════════════════════════════════════
+ *
+ * Picks the day's stories (lib/brief.mjs), stores the issue in
+ * brief_issues and mails it to every active subscriber in batches
+ * through netlify/lib/mailer.mjs. Each send is logged in
+ * brief_deliveries.
+ *
+ *   npm run brief [-- --preview] [--out brief-preview]
+ *
+ * --preview      write the rendered email to <out>/morning-brief-<date>.html
+ *                and .txt; nothing is sent or stored
+ * --out          preview directory (default brief-preview)
+ *
+ * One issue per UTC day. Running again the same day resumes it with the
+ * same stories: subscribers already sent are skipped and failed sends
+ * are retried, so a run that stopped halfway is safe to repeat. Once
+ * every send has gone out the issue is marked sent and later runs that
+ * day do nothing.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import {
+  DEFAULT_BRIEF, pickBrief, briefReady, briefFromIds, briefArticleIds, briefSubject, renderBrief,
+} from './lib/brief.mjs';
+import { createMailer } from '../netlify/lib/mailer.mjs';
+import { listUnsubscribeHeaders, unsubscribeUrl } from '../netlify/lib/newsletter.mjs';
+
+// ═══ CONFIG ═══
+const config = {
+  batch_size: Number(process.env.BRIEF_BATCH_SIZE) || 10,  // sends in flight at once
+  batch_pause_ms: 1000,
+};
+
+const PAGE_SIZE = 1000;
+const HOUR = 60 * 60 * 1000;
+const ARTICLE_COLUMNS = 'id, title, excerpt, ai_summary, image_url, category_name, bloom_score, is_weird, source_name, published_at, coverage_count';
+
+const { values: cli } = parseArgs({
+  options: {
+    preview: { type: 'boolean', default: false },
+    out: { type: 'string', default: 'brief-preview' },
+  },
+});
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ═══ STORIES ═══
+
+/** Today's selection, widening the window when the last day is thin */
+function pickStories() {
+  return pickBrief(async (hours) => {
+    const { data, error } = await supabase
+      .from('feed_articles')
+      .select(ARTICLE_COLUMNS)
+      .gte('published_at', new Date(Date.now() - hours * HOUR).toISOString())
+      .order('bloom_score', { ascending: false })
+      .limit(500);
+    if (error) throw new Error(`Could not load stories: ${error.message}`);
+    return data || [];
+  });
+}
+
+/** The stories an existing issue was created with */
+async function loadIssueStories(issue) {
+  const { data, error } = await supabase.from('feed_articles').select(ARTICLE_COLUMNS).in('id', issue.article_ids);
+  if (error) throw new Error(`Could not load the issue's stories: ${error.message}`);
+  return briefFromIds(issue.article_ids, data || []);
+}
+
+async function loadIssue(issueDate) {
+  const { data, error } = await supabase.from('brief_issues').select('*').eq('issue_date', issueDate).maybeSingle();
+  if (error) throw new Error(`Could not load brief_issues: ${error.message}`);
+  return data;
+}
+
+async function createIssue(issueDate, brief) {
+  const { data, error } = await supabase
+    .from('brief_issues')
+    .insert({ issue_date: issueDate, subject: briefSubject(brief), article_ids: briefArticleIds(brief) })
+    .select('*')
+    .single();
+  if (error?.code === '23505') return loadIssue(issueDate);  // another run got there first
+  if (error) throw new Error(`Could not create the issue: ${error.message}`);
+  return data;
+}
+
+// ═══ RECIPIENTS ═══
+
+async function loadPages(query) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await query().range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(error.message);
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/** Active subscribers, and what this issue already did for each */
+async function loadRecipients(issue) {
+  const subscribers = await loadPages(() => supabase
+    .from('subscribers')
+    .select('id, email, unsubscribe_token')
+    .eq('is_active', true)
+    .not('unsubscribe_token', 'is', null)
+    .order('id'))
+    .catch(err => { throw new Error(`Could not load subscribers: ${err.message}`); });
+
+  const deliveries = await loadPages(() => supabase
+    .from('brief_deliveries')
+    .select('subscriber_id, status, attempts')
+    .eq('issue_id', issue.id)
+    .order('subscriber_id'))
+    .catch(err => { throw new Error(`Could not load deliveries: ${err.message}`); });
+
+  return { subscribers, deliveries: new Map(deliveries.map(d => [d.subscriber_id, d])) };
+}
+
+// ═══ SENDING ═══
+
+async function sendBatch(mailer, issue, brief, batch, deliveries) {
+  const results = await Promise.allSettled(batch.map(subscriber => {
+    const { html, text } = renderBrief(brief, {
+      issueDate: issue.issue_date,
+      subject: issue.subject,
+      unsubscribeUrl: unsubscribeUrl(subscriber.unsubscribe_token),
+    });
+    return mailer.send({
+      to: subscriber.email,
+      subject: issue.subject,
+      text,
+      html,
+      headers: listUnsubscribeHeaders(subscriber.unsubscribe_token),
+    });
+  }));
+
+  const rows = batch.map((subscriber, i) => ({
+    issue_id: issue.id,
+    subscriber_id: subscriber.id,
+    status: results[i].status === 'fulfilled' ? 'sent' : 'failed',
+    error: results[i].status === 'fulfilled' ? null : String(results[i].reason?.message || results[i].reason).slice(0, 500),
+    attempts: (deliveries.get(subscriber.id)?.attempts || 0) + 1,
+    updated_at: new Date().toISOString(),
+  }));
+  const { error } = await supabase.from('brief_deliveries').upsert(rows, { onConflict: 'issue_id,subscriber_id' });
+  // Without the log a re-run would send these again, so stop here
+  if (error) throw new Error(`Could not log deliveries: ${error.message}`);
+  return rows;
+}
+
+// ═══ MAIN ═══
+
+async function preview(issueDate, brief) {
+  const subject = briefSubject(brief);
+  const { html, text } = renderBrief(brief, { issueDate, subject, unsubscribeUrl: unsubscribeUrl('preview') });
+  await mkdir(cli.out, { recursive: true });
+  const base = join(cli.out, `morning-brief-${issueDate}`);
+  await writeFile(`${base}.html`, html);
+  await writeFile(`${base}.txt`, text);
+  console.log(`  Subject: ${subject}`);
+  console.log(`  Wrote ${base}.html and ${base}.txt`);
+}
+
+async function run() {
+  const issueDate = new Date().toISOString().slice(0, 10);
+  console.log('═══ Newphoria Morning Brief ═══');
+  console.log(`  Issue ${issueDate}${cli.preview ? ' — preview, nothing is sent' : ''}`);
+
+  let issue = await loadIssue(issueDate);
+  if (issue?.status === 'sent' && !cli.preview) {
+    console.log(`  Already sent to ${issue.sent} subscribers, nothing to do`);
+    return;
+  }
+
+  const brief = issue ? await loadIssueStories(issue) : await pickStories();
+  console.log(`  ${brief.stories.length} stories${brief.weird ? ' + 1 Wonderfully Weird' : ''}`);
+  brief.stories.forEach((a, i) => console.log(`  ${i + 1}. [${a.bloom_score}] ${a.category_name} — ${a.title}`));
+  if (brief.weird) console.log(`  W. ${brief.weird.title}`);
+
+  if (!briefReady(brief)) {
+    console.log(`  Fewer than ${DEFAULT_BRIEF.min_stories} stories, no brief today`);
+    return;
+  }
+  if (cli.preview) return preview(issueDate, brief);
+
+  // Fails on a bad MAIL_TRANSPORT before anything is stored
+  const mailer = createMailer();
+  issue ??= await createIssue(issueDate, brief);
+
+  const { subscribers, deliveries } = await loadRecipients(issue);
+  const pending = subscribers.filter(s => deliveries.get(s.id)?.status !== 'sent');
+  const alreadySent = subscribers.length - pending.length;
+  console.log(`  ${subscribers.length} active subscribers, ${pending.length} to send${alreadySent ? ` (${alreadySent} sent earlier)` : ''}`);
+
+  let sent = 0;
+  let failed = 0;
+  const errors = new Map();  // message → count
+  for (let i = 0; i < pending.length; i += config.batch_size) {
+    if (i > 0) await sleep(config.batch_pause_ms);
+    const rows = await sendBatch(mailer, issue, brief, pending.slice(i, i + config.batch_size), deliveries);
+    for (const row of rows) {
+      if (row.status === 'sent') sent++;
+      else {
+        failed++;
+        errors.set(row.error, (errors.get(row.error) || 0) + 1);
+      }
+    }
+    // A whole batch failing means the transport is down, not bad addresses
+    if (rows.every(r => r.status === 'failed')) {
+      console.log('  Every send in a batch failed, stopping. Run again to resume.');
+      break;
+    }
+  }
+
+  const unsent = pending.length - sent;
+  const { error } = await supabase.from('brief_issues').update({
+    recipients: subscribers.length,
+    sent: alreadySent + sent,
+    failed: unsent,
+    status: unsent === 0 ? 'sent' : 'sending',
+    completed_at: unsent === 0 ? new Date().toISOString() : null,
+  }).eq('id', issue.id);
+  if (error) console.log(`  Could not update the issue: ${error.message}`);
+
+  console.log(`  Sent ${sent}, failed ${failed}${unsent > failed ? `, not attempted ${unsent - failed}` : ''}`);
+  if (unsent > 0) {
+    for (const [message, n] of errors) console.log(`  ${String(n).padStart(5)}× ${message}`);
+    process.exitCode = 1;
+  }
+}
+
+// ═══ RUN ═══
+run().catch(err => {
+  console.error('Morning Brief error:', err.message);
+  process.exitCode = 1;
+});
@@ -5,12 +5,21 @@
  * ═══════════════════════════════════════════════════════
  *
  * This script:
- * 1. INTERPRET — Pulls articles from multiple news APIs & RSS feeds
+ * 1. INTERPRET — Pulls articles from multiple news APIs & RSS feeds,
+ *                then (optionally) fetches each page for its full text
  * 2. NORMALIZE — Classifies each article with Claude Haiku (bloom score, category, weird-factor)
- * 3. CONNECT  — Deduplicates, stores in Supabase, flags featured/trending
+ * 3. CONNECT  — Deduplicates, stores in Supabase, ranks featured/trending, counts tags
  *
  * Runs via GitHub Actions every 2 hours (see .github/workflows/classify.yml)
  *
+ * CLI:
+ *   --dry-run              fetch and classify, print what would be stored, write nothing
+ *                          but the Claude spend
+ *   --from-fixture <dir>   replay a recorded run: no network, no database (implies --dry-run)
+ *   CLASSIFIER_MODE=stub   also implies --dry-run, and its made-up spend is not logged
+ *   --record <dir>         save source payloads, model responses and results to <dir>
+ *   --only <source>        run only these adapters (comma-separated: rss,guardian)
+ *
  * Same pattern works for any Coaptō vertical:
  *   - Replace news APIs with document upload endpoints
  *   - Replace the knowledge prompt with industry-specific instructions
@@ -20,9 +29,20 @@
  * ═══════════════════════════════════════════════════════
  */
 
+import { parseArgs } from 'node:util';
 import Anthropic from '@anthropic-ai/sdk';
 import { createClient } from '@supabase/supabase-js';
-import Parser from 'rss-parser';
+import { loadSourceRows, groupByAdapter, listAdapters, runAdapter } from './sources/index.mjs';
+import { MAX_CONSECUTIVE_FAILURES } from './sources/health.mjs';
+import { extractArticles } from './lib/extract.mjs';
+import { classifyBatch, loadReviewExamples, DEFAULT_CATEGORIES, CLASSIFIER_MODEL, REVIEW_EXAMPLES } from './lib/classifier.mjs';
+import { createUsageMeter, loadPrices, loadSpentToday } from './lib/usage.mjs';
+import { createStubAnthropic } from './lib/stub-anthropic.mjs';
+import { createRecorder, loadFixture, diffResults } from './lib/replay.mjs';
+import { dedupBatch, supabaseLookup } from './lib/dedup.mjs';
+import { linkDuplicate } from './lib/clusters.mjs';
+import { DEFAULT_RANKING, refreshRankings } from './lib/ranking.mjs';
+import { trainFallbackModel, classifyOffline, isFallbackClassification } from './lib/fallback.mjs';
 
 // ═══ CONFIG ═══
 const config = {
@@ -31,328 +51,110 @@ const config = {
     url: process.env.SUPABASE_URL,
     serviceKey: process.env.SUPABASE_SERVICE_KEY,  // use service key for writes
   },
-  newsapi: { key: process.env.NEWSAPI_KEY },       // newsapi.org free tier
-  guardian: { key: process.env.GUARDIAN_API_KEY },   // open-platform.theguardian.com
-  gnews: { key: process.env.GNEWS_API_KEY },        // gnews.io free tier
   batch_size: 10,       // articles per Claude API call
   max_articles: 200,    // max articles per run
   min_bloom_score: 3,   // minimum score to publish
+  extract_content: process.env.EXTRACT_CONTENT !== 'false',  // fetch full article text
+  classify_content_chars: 1500,  // full-text characters sent to Claude per article
+  classifier_mode: process.env.CLASSIFIER_MODE || 'claude',  // 'claude' | 'offline' (fallback model only) | 'stub' (fake Claude, no API calls)
+  daily_budget_usd: Number(process.env.DAILY_BUDGET_USD) || 2.00,  // Claude spend ceiling per UTC day, across runs
+  fallback_min_confidence: 0.7,  // fallback results below this are held as drafts
+  review: {
+    min_confidence: 0.6,          // Claude results below this go to the review queue
+    at_threshold: true,           // bloom exactly at min_bloom_score is borderline
+    weird_min_reliability: 3,     // weird stories from sources below this get a human look
+    examples: REVIEW_EXAMPLES,    // recent editor decisions sent to Claude as examples
+  },
+  fallback_training_rows: 2000,
+  dedup_window_hours: 48,        // near-duplicates are matched against this window
+  similarity_threshold: 0.65,    // estimated title Jaccard to count as the same story
+  ranking: DEFAULT_RANKING,      // featured/trending weights, decay and diversity caps (lib/ranking.mjs)
 };
 
+// ═══ CLI ═══
+const { values: cli } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    'from-fixture': { type: 'string' },
+    record: { type: 'string' },
+    only: { type: 'string' },
+  },
+});
+// Replayed data is never written, and neither is the stub's: its
+// classifications and token counts are made up
+const stubbed = config.classifier_mode === 'stub';
+const dryRun = cli['dry-run'] || Boolean(cli['from-fixture']) || stubbed;
+const only = cli.only ? cli.only.split(',').map(s => s.trim()).filter(Boolean) : null;
+
 // ═══ INIT CLIENTS ═══
-const anthropic = new Anthropic({ apiKey: config.anthropic.apiKey });
-const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
-const rssParser = new Parser({ timeout: 10000 });
+// A fixture replays recorded model responses; requests it has no
+// recording for fall through to the stub, or to Claude if there's a key.
+// The stub answers with the categories run() loads, so its replies go
+// through the same validation as Claude's.
+let runCategories = DEFAULT_CATEGORIES;
+const liveAnthropic = stubbed
+  ? createStubAnthropic({ categories: () => runCategories })
+  : (config.anthropic.apiKey || !cli['from-fixture'] ? new Anthropic({ apiKey: config.anthropic.apiKey }) : null);
+const fixture = cli['from-fixture'] ? loadFixture(cli['from-fixture'], { fallthrough: liveAnthropic }) : null;
+const recorder = cli.record
+  ? createRecorder(cli.record, { fetchImpl: fixture?.fetch, anthropic: fixture?.anthropic || liveAnthropic })
+  : null;
+
+const anthropic = recorder?.anthropic || fixture?.anthropic || liveAnthropic;
+const fetchImpl = recorder?.fetch || fixture?.fetch || fetch;
+const supabase = fixture ? null : createClient(config.supabase.url, config.supabase.serviceKey);
 
 // ═══════════════════════════════════════════════════════
 // STEP 1: INTERPRET — Fetch articles from multiple sources
 // ═══════════════════════════════════════════════════════
-
-/**
- * Fetch from NewsAPI.org (free: 100 req/day)
- * Searches for constructive/positive news across top sources
- */
-async function fetchNewsAPI() {
-  if (!config.newsapi.key) return [];
-
-  const queries = [
-    'breakthrough OR discovery OR innovation OR milestone',
-    'renewable energy OR clean technology OR sustainability',
-    'medical breakthrough OR cure OR treatment approved',
-    'community OR volunteers OR nonprofit success',
-    'space exploration OR NASA OR telescope discovery',
-  ];
-
-  const articles = [];
-
-  for (const q of queries) {
-    try {
-      const res = await fetch(
-        `https://newsapi.org/v2/everything?q=${encodeURIComponent(q)}&sortBy=publishedAt&pageSize=20&language=en`,
-        { headers: { 'X-Api-Key': config.newsapi.key } }
-      );
-      const data = await res.json();
-      if (data.articles) {
-        articles.push(...data.articles.map(a => ({
-          title: a.title,
-          excerpt: a.description,
-          source_url: a.url,
-          image_url: a.urlToImage,
-          source_name: a.source?.name || 'Unknown',
-          author: a.author,
-          published_at: a.publishedAt,
-          raw_content: a.content,
-          api_source: 'newsapi',
-        })));
-      }
-    } catch (err) {
-      console.error(`NewsAPI query failed: ${q}`, err.message);
-    }
-  }
-
-  return articles;
-}
-
-/**
- * Fetch from The Guardian API (free: 5,000 req/day)
- */
-async function fetchGuardian() {
-  if (!config.guardian.key) return [];
-
-  const sections = ['science', 'technology', 'environment', 'society'];
-  const articles = [];
-
-  for (const section of sections) {
-    try {
-      const res = await fetch(
-        `https://content.guardianapis.com/search?section=${section}&order-by=newest&page-size=20&show-fields=trailText,thumbnail,byline&api-key=${config.guardian.key}`
-      );
-      const data = await res.json();
-      if (data.response?.results) {
-        articles.push(...data.response.results.map(a => ({
-          title: a.webTitle,
-          excerpt: a.fields?.trailText || '',
-          source_url: a.webUrl,
-          image_url: a.fields?.thumbnail || null,
-          source_name: 'The Guardian',
-          author: a.fields?.byline || null,
-          published_at: a.webPublicationDate,
-          raw_content: null,
-          api_source: 'guardian',
-        })));
-      }
-    } catch (err) {
-      console.error(`Guardian fetch failed: ${section}`, err.message);
-    }
-  }
-
-  return articles;
-}
-
-/**
- * Fetch from GNews.io (free: 100 req/day)
- */
-async function fetchGNews() {
-  if (!config.gnews.key) return [];
-
-  const topics = ['science', 'technology', 'health', 'world'];
-  const articles = [];
-
-  for (const topic of topics) {
-    try {
-      const res = await fetch(
-        `https://gnews.io/api/v4/top-headlines?topic=${topic}&lang=en&max=20&apikey=${config.gnews.key}`
-      );
-      const data = await res.json();
-      if (data.articles) {
-        articles.push(...data.articles.map(a => ({
-          title: a.title,
-          excerpt: a.description,
-          source_url: a.url,
-          image_url: a.image,
-          source_name: a.source?.name || 'Unknown',
-          author: null,
-          published_at: a.publishedAt,
-          raw_content: a.content,
-          api_source: 'gnews',
-        })));
-      }
-    } catch (err) {
-      console.error(`GNews fetch failed: ${topic}`, err.message);
-    }
-  }
-
-  return articles;
-}
-
-/**
- * Fetch from RSS feeds (unlimited, free)
- */
-async function fetchRSSFeeds() {
-  const feeds = [
-    { url: 'https://www.goodnewsnetwork.org/feed/', source: 'Good News Network' },
-    { url: 'https://reasonstobecheerful.world/feed/', source: 'Reasons to be Cheerful' },
-    { url: 'https://positive.news/feed/', source: 'Positive News' },
-    { url: 'https://www.sciencedaily.com/rss/all.xml', source: 'Science Daily' },
-    { url: 'https://www.nasa.gov/rss/dyn/breaking_news.rss', source: 'NASA' },
-    { url: 'https://www.newscientist.com/feed/home/', source: 'New Scientist' },
-    { url: 'https://feeds.arstechnica.com/arstechnica/science', source: 'Ars Technica' },
-    { url: 'https://www.space.com/feeds/all', source: 'Space.com' },
-    { url: 'https://www.wired.com/feed/rss', source: 'Wired' },
-  ];
-
-  const articles = [];
-
-  for (const feed of feeds) {
-    try {
-      const parsed = await rssParser.parseURL(feed.url);
-      articles.push(...(parsed.items || []).slice(0, 15).map(item => ({
-        title: item.title,
-        excerpt: item.contentSnippet || item.content?.substring(0, 300) || '',
-        source_url: item.link,
-        image_url: item.enclosure?.url || extractImageFromContent(item.content) || null,
-        source_name: feed.source,
-        author: item.creator || item.author || null,
-        published_at: item.isoDate || item.pubDate || new Date().toISOString(),
-        raw_content: item.content,
-        api_source: 'rss',
-      })));
-    } catch (err) {
-      console.error(`RSS fetch failed: ${feed.source}`, err.message);
-    }
-  }
-
-  return articles;
-}
-
-/** Extract first image URL from HTML content */
-function extractImageFromContent(html) {
-  if (!html) return null;
-  const match = html.match(/<img[^>]+src=["']([^"']+)["']/);
-  return match ? match[1] : null;
-}
+//
+// Providers live in ./sources as adapters (NewsAPI, Guardian, GNews, RSS).
+// Which ones run is decided by the `sources` table — see sources/index.mjs.
 
 // ═══════════════════════════════════════════════════════
 // STEP 2: NORMALIZE — Classify with Claude Haiku
 // ═══════════════════════════════════════════════════════
 
-/**
- * THE COAPTŌ KNOWLEDGE PROMPT
- *
- * This is the core of the engine. For Newphoria, it teaches AI
- * how to evaluate news. For a capital projects vertical, you'd
- * replace this with supply chain expertise. Same pattern.
- */
-const CLASSIFICATION_PROMPT = `You are the Newphoria News classification engine. Your job is to evaluate news articles for constructive value and categorize them.
-
-For each article, provide:
-
-1. BLOOM SCORE (1-5):
-   5 = Solutions-focused, genuinely inspiring, demonstrates human progress
-   4 = Constructive, forward-looking, provides useful knowledge
-   3 = Neutral but informative, balanced reporting on important topics
-   2 = Negative-leaning, focuses on problems without solutions
-   1 = Fear-driven, sensationalized, doom content
-
-2. CATEGORY (exactly one):
-   innovation — Technology breakthroughs, engineering, clean energy, new inventions
-   science — Research discoveries, physics, biology, chemistry, archaeology
-   space — Astronomy, space exploration, cosmology, planetary science
-   health — Medical breakthroughs, mental health progress, public health wins
-   environment — Conservation success, climate solutions, ecosystem recovery
-   community — Local impact, volunteerism, social programs, civic progress
-   education — Learning innovation, literacy, skills development
-   kindness — Acts of generosity, humanitarian efforts, human connection
-   progress — Economic improvement, poverty reduction, infrastructure, equality
-   weird — Genuinely strange, fascinating, or unexplained phenomena (NOT scary — fascinating)
-
-3. IS_WEIRD (true/false):
-   Mark true for articles about: unexplained phenomena, UAP/UFO reports from credible sources,
-   bizarre animal behavior, quantum strangeness, archaeological mysteries, unusual natural
-   phenomena, quirky inventions, strange scientific findings. The tone should be wonder and
-   curiosity, never fear. If it makes you say "wait, really?" it's weird.
-
-4. SUMMARY: A clean 1-2 sentence summary capturing the key finding or story.
-
-5. TAGS: 2-4 topic tags for the article.
-
-6. CONFIDENCE: 0.0-1.0 how confident you are in your classification.
-
-Respond in JSON format. Evaluate each article independently.`;
+// The knowledge prompt, schema validation and retry logic live in
+// lib/classifier.mjs so other jobs can reuse them.
 
 /**
- * Classify a batch of articles with Claude Haiku
+ * Load the category slugs the classifier is allowed to return
  */
-async function classifyBatch(articles) {
-  const articleTexts = articles.map((a, i) =>
-    `ARTICLE ${i + 1}:\nTitle: ${a.title}\nExcerpt: ${a.excerpt || 'N/A'}\nSource: ${a.source_name}`
-  ).join('\n\n---\n\n');
-
-  try {
-    const response = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 4096,
-      system: CLASSIFICATION_PROMPT,
-      messages: [{
-        role: 'user',
-        content: `Classify these ${articles.length} articles. Return a JSON array with one object per article, each containing: bloom_score, category, is_weird, summary, tags, confidence.\n\n${articleTexts}`,
-      }],
-    });
-
-    const text = response.content[0].text;
-    // Extract JSON from response (handle markdown code blocks)
-    const jsonStr = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const classifications = JSON.parse(jsonStr);
-
-    return articles.map((article, i) => ({
-      ...article,
-      bloom_score: classifications[i]?.bloom_score || 3,
-      category_name: classifications[i]?.category || 'progress',
-      is_weird: classifications[i]?.is_weird || false,
-      ai_summary: classifications[i]?.summary || article.excerpt,
-      ai_tags: classifications[i]?.tags || [],
-      ai_confidence: classifications[i]?.confidence || 0.5,
-      raw_ai_response: classifications[i],
-      classified_at: new Date().toISOString(),
-    }));
-  } catch (err) {
-    console.error('Classification failed:', err.message);
-    // Return articles with default scores so pipeline continues
-    return articles.map(a => ({
-      ...a,
-      bloom_score: 3,
-      category_name: 'progress',
-      is_weird: false,
-      ai_summary: a.excerpt,
-      ai_tags: [],
-      ai_confidence: 0,
-      raw_ai_response: { error: err.message },
-      classified_at: new Date().toISOString(),
-    }));
-  }
-}
-// ═══════════════════════════════════════════════════════
-// STEP 3: CONNECT — Deduplicate, store, and organize
-// ═══════════════════════════════════════════════════════
-
-/**
- * Check if article already exists (by source_url)
- */
-async function isDuplicate(sourceUrl) {
+async function loadCategories() {
   const { data } = await supabase
-    .from('articles')
-    .select('id')
-    .eq('source_url', sourceUrl)
-    .limit(1);
+    .from('categories')
+    .select('slug')
+    .eq('is_active', true);
 
-  return data && data.length > 0;
+  return data?.length ? data.map(c => c.slug) : DEFAULT_CATEGORIES;
 }
 
 /**
- * Find similar articles by title (fuzzy dedup)
- * Uses trigram similarity — catches "same story, different source"
+ * Train the offline fallback model from recent Claude classifications.
+ * Returns null when there isn't enough history yet.
  */
-async function findSimilar(title, threshold = 0.6) {
-  // Simple approach: check if any recent article has >60% word overlap
-  const words = title.toLowerCase().split(/\s+/).filter(w => w.length > 3);
-  const { data } = await supabase
+async function loadFallbackModel() {
+  const { data, error } = await supabase
     .from('articles')
-    .select('id, title')
-    .gte('published_at', new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString())
-    .eq('status', 'published');
+    .select('title, excerpt, category_name, bloom_score, is_weird, classifier:raw_ai_response->>classifier')
+    .not('classified_at', 'is', null)
+    .order('classified_at', { ascending: false })
+    .limit(config.fallback_training_rows);
 
-  if (!data) return null;
-
-  for (const existing of data) {
-    const existingWords = existing.title.toLowerCase().split(/\s+/).filter(w => w.length > 3);
-    const overlap = words.filter(w => existingWords.includes(w)).length;
-    const similarity = overlap / Math.max(words.length, existingWords.length);
-    if (similarity >= threshold) return existing;
+  if (error) {
+    console.error('Could not load fallback training data:', error.message);
+    return null;
   }
 
-  return null;
+  const rows = (data || []).filter(r => !String(r.classifier || '').startsWith('fallback'));
+  return trainFallbackModel(rows);
 }
 
+// ═══════════════════════════════════════════════════════
+// STEP 3: CONNECT — Deduplicate, store, and organize
+// ═══════════════════════════════════════════════════════
+
 /**
  * Store classified article in Supabase
  */
@@ -360,7 +162,7 @@ async function storeArticle(article) {
   // Look up source
   const { data: sourceData } = await supabase
     .from('sources')
-    .select('id')
+    .select('id, reliability_score')
     .eq('name', article.source_name)
     .limit(1);
 
@@ -374,7 +176,11 @@ async function storeArticle(article) {
   const record = {
     title: article.title,
     excerpt: article.excerpt,
+    content: article.content || null,
     source_url: article.source_url,
+    canonical_url: article.canonical_url,
+    minhash: article.minhash,
+    lsh_bands: article.lsh_bands,
     image_url: article.image_url,
     category_id: catData?.[0]?.id || null,
     category_name: article.category_name,
@@ -386,11 +192,14 @@ async function storeArticle(article) {
     published_at: article.published_at,
     ai_summary: article.ai_summary,
     ai_tags: article.ai_tags,
+    tag_slugs: article.tag_slugs,
     ai_confidence: article.ai_confidence,
     raw_ai_response: article.raw_ai_response,
+    classifier: article.classifier,
+    prompt_version: article.prompt_version,
     classified_at: article.classified_at,
-    status: article.bloom_score >= config.min_bloom_score ? 'published' : 'rejected',
-    read_time_minutes: estimateReadTime(article.excerpt),
+    ...articleStatus(article, sourceData?.[0]),
+    read_time_minutes: estimateReadTime(article.content || article.excerpt),
   };
 
   const { data, error } = await supabase
@@ -400,13 +209,56 @@ async function storeArticle(article) {
     .single();
 
   if (error) {
-    // Unique constraint violation = already exists, skip
-    if (error.code === '23505') return { skipped: true };
+    // Unique source_url: stored since dedup_lookup ran (an overlapping run)
+    if (error.code === '23505') {
+      console.log(`  Already stored, skipped: ${article.source_url}`);
+      return { skipped: true };
+    }
     console.error('Insert failed:', error.message);
     return { error: error.message };
   }
 
-  return { id: data.id, published: record.status === 'published' };
+  return {
+    id: data.id,
+    status: record.status,
+    review_reason: record.review_reason,
+    published: record.status === 'published',
+    draft: record.status === 'draft',
+  };
+}
+
+/**
+ * What storeArticle would do, without touching the database (--dry-run)
+ */
+function previewArticle(article, sourcesByName) {
+  const { status, review_reason } = articleStatus(article, sourcesByName.get(article.source_name));
+  return { status, review_reason, published: status === 'published', draft: status === 'draft' };
+}
+
+/**
+ * Publish, reject, or hold for review. Borderline stories go to the
+ * draft queue with the reason an editor should look at them.
+ */
+function articleStatus(article, source) {
+  if (article.bloom_score < config.min_bloom_score) return { status: 'rejected', review_reason: null };
+
+  const reason = reviewReason(article, source);
+  return reason
+    ? { status: 'draft', review_reason: reason }
+    : { status: 'published', review_reason: null };
+}
+
+function reviewReason(article, source) {
+  if (isFallbackClassification(article) && article.ai_confidence < config.fallback_min_confidence) {
+    return 'fallback_low_confidence';
+  }
+  if (article.ai_confidence < config.review.min_confidence) return 'low_confidence';
+  if (config.review.at_threshold && article.bloom_score === config.min_bloom_score) return 'at_threshold';
+  // Unknown sources count as unreliable
+  if (article.is_weird && (source?.reliability_score ?? 0) < config.review.weird_min_reliability) {
+    return 'weird_low_reliability';
+  }
+  return null;
 }
 
 /** Estimate read time from text length */
@@ -416,32 +268,159 @@ function estimateReadTime(text) {
   return Math.max(2, Math.min(15, Math.round(words / 200)));
 }
 
+// ═══════════════════════════════════════════════════════
+// DRY RUN & REPLAY
+// ═══════════════════════════════════════════════════════
+
+/** Adapters' config keys filled with placeholders: fixtures need no credentials */
+function fixtureEnv() {
+  const placeholders = listAdapters().flatMap(a => a.configKeys).map(k => [k, 'fixture']);
+  return { ...Object.fromEntries(placeholders), ...process.env };
+}
+
+function dedupLookup() {
+  const lookup = fixture
+    ? fixture.lookup
+    : supabaseLookup(supabase, { windowHours: config.dedup_window_hours });
+  return recorder ? recorder.lookup(lookup) : lookup;
+}
+
+/** The part of a stored article worth comparing between runs */
+function resultRow(article, result) {
+  return {
+    source_url: article.source_url,
+    title: article.title,
+    source_name: article.source_name,
+    api_source: article.api_source,
+    status: result.status,
+    review_reason: result.review_reason,
+    bloom_score: article.bloom_score,
+    category_name: article.category_name,
+    is_weird: article.is_weird,
+    ai_confidence: article.ai_confidence,
+    classifier: article.raw_ai_response?.classifier || null,
+    similar_to: article.similar_to || article.similar_to_url || null,
+  };
+}
+
+const clip = (text, n = 72) => (text.length > n ? `${text.slice(0, n - 1)}…` : text);
+const describe = (r) => `[${r.status}] bloom ${r.bloom_score} ${r.category_name}${r.is_weird ? ' weird' : ''}`;
+
 /**
- * Update featured articles (top 3 by bloom score from last 24h)
+ * Print what a dry run would have stored — as a diff against the
+ * fixture's recorded results when there are any.
  */
-async function updateFeatured() {
-  // Clear existing featured
-  await supabase
-    .from('articles')
-    .update({ is_featured: false })
-    .eq('is_featured', true);
+function printDryRun(results, baseline) {
+  const count = (status) => results.filter(r => r.status === status).length;
+  console.log(`\n  Would store ${results.length} articles (${count('published')} published, ${count('draft')} draft, ${count('rejected')} rejected)`);
 
-  // Set new featured
-  const { data } = await supabase
-    .from('articles')
-    .select('id')
-    .eq('status', 'published')
-    .gte('published_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString())
-    .order('bloom_score', { ascending: false })
-    .order('published_at', { ascending: false })
-    .limit(3);
-
-  if (data?.length) {
-    await supabase
-      .from('articles')
-      .update({ is_featured: true })
-      .in('id', data.map(d => d.id));
+  if (!baseline) {
+    for (const r of results) console.log(`  + ${describe(r).padEnd(36)} ${clip(r.title)}`);
+    return;
+  }
+
+  const { added, removed, changed, unchanged } = diffResults(results, baseline);
+  console.log(`  Against the recording: ${changed.length} changed, ${added.length} added, ${removed.length} removed, ${unchanged} unchanged`);
+  for (const { result, changes } of changed) {
+    console.log(`  ~ ${clip(result.title)}`);
+    for (const [field, before, after] of changes) console.log(`      ${field}: ${before} → ${after}`);
+  }
+  for (const r of added) console.log(`  + ${describe(r).padEnd(36)} ${clip(r.title)}`);
+  for (const r of removed) console.log(`  - ${describe(r).padEnd(36)} ${clip(r.title)}`);
+}
+
+// ═══════════════════════════════════════════════════════
+// RUN LOG
+// ═══════════════════════════════════════════════════════
+
+const emptySourceCounts = () => ({
+  fetched: 0, dropped: 0, new: 0, deduplicated: 0, published: 0, rejected: 0, drafts: 0,
+});
+
+/** Per-adapter counters, created on first use */
+function countsFor(bySource, name = 'unknown') {
+  if (!bySource.has(name)) bySource.set(name, emptySourceCounts());
+  return bySource.get(name);
+}
+
+/**
+ * One ingestion_log_sources row per adapter: article counts from the
+ * run, request stats from its adapter report, and its share of Claude cost.
+ */
+function sourceLogRows(logId, bySource, reports, usageBySource) {
+  const names = new Set([...bySource.keys(), ...reports.keys()]);
+  return [...names].map(name => {
+    const counts = bySource.get(name) || emptySourceCounts();
+    const report = reports.get(name) || {};
+    const usage = usageBySource[name];
+    return {
+      log_id: logId,
+      source: name,
+      articles_fetched: counts.fetched,
+      articles_dropped: counts.dropped,
+      articles_new: counts.new,
+      articles_deduplicated: counts.deduplicated,
+      articles_published: counts.published,
+      articles_rejected: counts.rejected,
+      articles_drafts: counts.drafts,
+      requests: report.requests ?? 0,
+      latency_ms: report.latency_ms ?? null,
+      duration_ms: report.duration_ms ?? null,
+      http_errors: report.http_errors?.length ? report.http_errors : null,
+      errors: report.errors?.length ? report.errors : null,
+      quota: report.quota || null,
+      feeds: report.feeds && Object.keys(report.feeds).length ? report.feeds : null,
+      api_cost_usd: usage?.cost_usd ?? null,
+      input_tokens: usage?.input_tokens ?? null,
+      output_tokens: usage?.output_tokens ?? null,
+    };
+  });
+}
+
+/**
+ * One ingestion_log row for the run, plus its per-source rows
+ */
+async function writeRunLog({ stats, usage, duration, bySource, reports, meter }) {
+  const { data: logRow, error: logError } = await supabase.from('ingestion_log').insert({
+    source: 'all',
+    articles_fetched: stats.fetched,
+    articles_classified: stats.classified,
+    articles_published: stats.published,
+    articles_rejected: stats.rejected,
+    articles_deduplicated: stats.deduplicated,
+    api_cost_usd: Math.round(usage.cost_usd * 10000) / 10000,
+    input_tokens: usage.input_tokens,
+    output_tokens: usage.output_tokens,
+    errors: stats.errors.length > 0 ? stats.errors : null,
+    duration_seconds: duration,
+  }).select('id').single();
+
+  if (logError) {
+    console.error('Could not write ingestion log:', logError.message);
+    return;
   }
+
+  const rows = sourceLogRows(logRow.id, bySource, reports, meter.bySource());
+  if (rows.length === 0) return;
+  const { error } = await supabase.from('ingestion_log_sources').insert(rows);
+  if (error) console.error('Could not write per-source log:', error.message);
+}
+
+/**
+ * A dry run stores no articles, but its Claude calls were real: log the
+ * spend so it counts toward the daily budget
+ */
+async function writeDryRunSpend({ stats, usage, duration }) {
+  const { error } = await supabase.from('ingestion_log').insert({
+    source: 'dry-run',
+    articles_classified: stats.classified,
+    api_cost_usd: Math.round(usage.cost_usd * 10000) / 10000,
+    input_tokens: usage.input_tokens,
+    output_tokens: usage.output_tokens,
+    errors: stats.errors.length > 0 ? stats.errors : null,
+    duration_seconds: duration,
+  });
+  if (error) console.error('Could not log dry-run spend:', error.message);
 }
 
 // ═══════════════════════════════════════════════════════
@@ -459,111 +438,266 @@ async function run() {
     published: 0,
     rejected: 0,
     deduplicated: 0,
+    unclassified: 0,
+    clustered: 0,
+    promoted: 0,
+    fallback: 0,
+    drafts: 0,
+    over_budget: 0,
+    deactivated: [],
     errors: [],
   };
 
+  const prices = loadPrices();
+  if (!prices[CLASSIFIER_MODEL]) throw new Error(`No price configured for ${CLASSIFIER_MODEL}; add it to MODEL_PRICES_JSON`);
+  const meter = createUsageMeter({ prices });
+  const bySource = new Map();   // adapter name → article counts
+  const reports = new Map();    // adapter name → request stats from runAdapter
+  const stored = [];            // what was (or, in a dry run, would be) stored
+  const manifest = {};          // database reads, for --record
+
+  if (dryRun) console.log(`Dry run${fixture ? ` from fixture ${cli['from-fixture']}` : stubbed ? ' (stub client)' : ''} — nothing will be written`);
+
   try {
     // ── STEP 1: INTERPRET — Fetch from all sources ──
     console.log('\n[1/3] INTERPRET — Fetching articles...');
 
-    const [newsapi, guardian, gnews, rss] = await Promise.allSettled([
-      fetchNewsAPI(),
-      fetchGuardian(),
-      fetchGNews(),
-      fetchRSSFeeds(),
-    ]);
-
-    let allArticles = [
-      ...(newsapi.status === 'fulfilled' ? newsapi.value : []),
-      ...(guardian.status === 'fulfilled' ? guardian.value : []),
-      ...(gnews.status === 'fulfilled' ? gnews.value : []),
-      ...(rss.status === 'fulfilled' ? rss.value : []),
-    ];
-
-    // Filter out articles without titles or URLs
-    allArticles = allArticles.filter(a => a.title && a.source_url);
-
-    // Remove exact URL duplicates from this batch
-    const seen = new Set();
-    allArticles = allArticles.filter(a => {
-      if (seen.has(a.source_url)) return false;
-      seen.add(a.source_url);
-      return true;
+    manifest.sources = fixture ? fixture.manifest.sources : await loadSourceRows(supabase);
+    recorder?.writeManifest(manifest);
+
+    const adapters = groupByAdapter(manifest.sources, fixture ? fixtureEnv() : process.env)
+      .filter(({ adapter }) => !only || only.includes(adapter.name));
+    const unknown = (only || []).filter(name => !listAdapters().some(a => a.name === name));
+    if (unknown.length > 0) throw new Error(`--only: unknown source ${unknown.join(', ')}`);
+
+    const results = await Promise.allSettled(
+      adapters.map(({ adapter, sources }) => runAdapter(adapter, sources, { supabase: dryRun ? null : supabase, fetchImpl }))
+    );
+
+    let allArticles = [];
+    results.forEach((result, i) => {
+      const name = adapters[i].adapter.name;
+      if (result.status === 'fulfilled') {
+        const { articles, report } = result.value;
+        allArticles.push(...articles);
+        reports.set(name, report);
+        countsFor(bySource, name).fetched = articles.length;
+        for (const source of report.deactivated) {
+          stats.deactivated.push(source);
+          stats.errors.push(`${name}: deactivated ${source} after ${MAX_CONSECUTIVE_FAILURES} consecutive failures`);
+        }
+        if (report.failed) stats.errors.push(`${name}: ${report.errors.at(-1)}`);
+      } else {
+        console.error(`Source ${name} failed:`, result.reason?.message);
+        stats.errors.push(`${name}: ${result.reason?.message}`);
+        reports.set(name, { errors: [result.reason?.message] });
+      }
     });
 
-    // Cap at max
-    allArticles = allArticles.slice(0, config.max_articles);
+    // Filter out articles without titles or URLs, then cap at max
+    const usable = allArticles.filter(a => a.title && a.source_url);
+    const kept = new Set(usable.slice(0, config.max_articles));
+    for (const a of allArticles) {
+      if (!kept.has(a)) countsFor(bySource, a.api_source).dropped++;
+    }
+    allArticles = [...kept];
     stats.fetched = allArticles.length;
 
-    console.log(`  Fetched ${stats.fetched} unique articles from ${4} sources`);
-
-    // ── Check against existing articles ──
-    const newArticles = [];
-    for (const article of allArticles) {
-      const exists = await isDuplicate(article.source_url);
-      if (exists) {
-        stats.deduplicated++;
-        continue;
-      }
-      const similar = await findSimilar(article.title);
-      if (similar) {
-        stats.deduplicated++;
-        continue;
-      }
-      newArticles.push(article);
+    console.log(`  Fetched ${stats.fetched} unique articles from ${adapters.length} sources`);
+    for (const [name, report] of reports) {
+      if (!report.http_errors?.length && !report.errors?.length) continue;
+      console.log(`  ${name}: ${report.errors.length} failed requests (${(report.http_errors || []).map(e => e.status ?? 'network').join(', ') || 'no HTTP errors'})`);
+    }
+    if (stats.deactivated.length > 0) {
+      console.log(`  Deactivated failing feeds: ${stats.deactivated.join(', ')}`);
     }
 
-    console.log(`  ${newArticles.length} new articles (${stats.deduplicated} duplicates skipped)`);
+    // ── Check against existing articles (one bulk lookup) ──
+    // Exact duplicates are dropped. Same story from another outlet is kept,
+    // and linked into the story's cluster after storing.
+    const { articles: newArticles, duplicates } = await dedupBatch(allArticles, {
+      lookup: dedupLookup(),
+      threshold: config.similarity_threshold,
+    });
+    stats.deduplicated += duplicates;
+    for (const a of newArticles) countsFor(bySource, a.api_source).new++;
+    for (const counts of bySource.values()) counts.deduplicated = counts.fetched - counts.dropped - counts.new;
+
+    const covered = newArticles.filter(a => a.similar_to || a.similar_to_url).length;
+    console.log(`  ${newArticles.length} new articles (${stats.deduplicated} duplicates skipped, ${covered} extra coverage of known stories)`);
 
+    // Nothing new still gets a run log, and rankings and tag counts are refreshed
+    const classified = [];
     if (newArticles.length === 0) {
-      console.log('  No new articles to classify. Done.');
-      return;
-    }
+      console.log('  No new articles to classify.');
+    } else {
+      // ── Full-text extraction (only for articles we haven't seen) ──
+      let toClassify = newArticles;
+      if (config.extract_content) {
+        const { articles, extracted } = await extractArticles(newArticles, { fetchImpl });
+        toClassify = articles;
+        console.log(`  Extracted full text for ${extracted}/${newArticles.length} articles`);
+      }
 
-    // ── STEP 2: NORMALIZE — Classify with Claude Haiku ──
-    console.log('\n[2/3] NORMALIZE — Classifying with Claude Haiku...');
+      // ── STEP 2: NORMALIZE — Classify with Claude Haiku ──
+      const offline = config.classifier_mode === 'offline';
+      const engine = offline ? 'the offline fallback model' : `Claude Haiku${stubbed ? ' (stub client)' : ''}`;
+      console.log(`\n[2/3] NORMALIZE — Classifying with ${engine}...`);
 
-    const classified = [];
-    for (let i = 0; i < newArticles.length; i += config.batch_size) {
-      const batch = newArticles.slice(i, i + config.batch_size);
-      console.log(`  Batch ${Math.floor(i / config.batch_size) + 1}: classifying ${batch.length} articles...`);
-      const results = await classifyBatch(batch);
-      classified.push(...results);
-      stats.classified += results.length;
-
-      // Small delay to avoid rate limiting
-      if (i + config.batch_size < newArticles.length) {
-        await new Promise(r => setTimeout(r, 500));
+      if (!offline) {
+        const spentToday = fixture ? 0 : await loadSpentToday(supabase);
+        meter.setBudget(config.daily_budget_usd, spentToday);
+        console.log(`  Spent today: $${spentToday.toFixed(4)} of $${config.daily_budget_usd.toFixed(2)}`);
+      }
+
+      const categories = fixture ? fixture.manifest.categories : await loadCategories();
+      runCategories = categories;
+      const examples = offline ? [] : (fixture ? fixture.manifest.examples : await loadReviewExamples(supabase, { limit: config.review.examples }));
+      const fallbackModel = fixture ? null : await loadFallbackModel();
+      if (offline && !fallbackModel) {
+        throw new Error(fixture
+          ? 'Offline mode needs the database to train the fallback model; it is not available from a fixture'
+          : 'Offline mode needs at least 50 classified articles to train the fallback model');
+      }
+      Object.assign(manifest, { categories, examples });
+      recorder?.writeManifest(manifest);
+
+      for (let i = 0; i < toClassify.length; i += config.batch_size) {
+        const batch = toClassify.slice(i, i + config.batch_size);
+        console.log(`  Batch ${Math.floor(i / config.batch_size) + 1}: classifying ${batch.length} articles...`);
+        let results;
+        if (offline) {
+          results = batch.map(a => ({ ...a, classification_error: 'offline mode' }));
+        } else if (meter.exhausted) {
+          results = batch.map(a => ({ ...a, classification_error: 'daily budget reached' }));
+        } else {
+          results = await classifyBatch(batch, {
+            anthropic,
+            categories,
+            examples,
+            meter,
+            contentChars: config.classify_content_chars,
+          });
+        }
+        stats.over_budget += results.filter(r => r.classification_error === 'daily budget reached').length;
+
+        // Claude failures go to the fallback model; if there is none, the
+        // article is not stored and the next run picks it up again
+        for (const result of results) {
+          if (!result.classification_error) {
+            classified.push(result);
+            stats.classified++;
+          } else if (fallbackModel) {
+            const { classification_error: reason, ...article } = result;
+            classified.push(classifyOffline(fallbackModel, article, { reason }));
+            stats.classified++;
+            stats.fallback++;
+          } else {
+            stats.unclassified++;
+            stats.errors.push(`Not classified: ${result.source_url} (${result.classification_error})`);
+          }
+        }
+
+        // Small delay to avoid rate limiting
+        if (config.classifier_mode === 'claude' && !meter.exhausted && i + config.batch_size < toClassify.length) {
+          await new Promise(r => setTimeout(r, 500));
+        }
       }
-    }
 
-    console.log(`  Classified ${stats.classified} articles`);
+      console.log(`  Classified ${stats.classified} articles`);
+      if (!offline) {
+        const usage = meter.totals;
+        console.log(`  Claude usage: ${usage.input_tokens} input / ${usage.output_tokens} output tokens in ${usage.calls} calls — $${usage.cost_usd.toFixed(4)}`);
+      }
+      if (stats.over_budget > 0) {
+        console.log(`  Daily budget of $${config.daily_budget_usd.toFixed(2)} reached: ${stats.over_budget} articles not sent to Claude`);
+        stats.errors.push(`Daily budget of $${config.daily_budget_usd.toFixed(2)} reached; ${stats.over_budget} articles not sent to Claude`);
+      }
+      if (stats.fallback > 0) {
+        console.log(`  ${stats.fallback} classified by the fallback model`);
+      }
+      if (stats.unclassified > 0) {
+        console.log(`  ${stats.unclassified} could not be classified and will be retried next run`);
+      }
+    }
 
     // ── STEP 3: CONNECT — Store in Supabase ──
-    console.log('\n[3/3] CONNECT -- Storing in Supabase...');
+    console.log(`\n[3/3] CONNECT -- ${dryRun ? 'Previewing (dry run)' : 'Storing in Supabase'}...`);
 
+    const sourcesByName = new Map(manifest.sources.map(row => [row.name, row]));
+    const storedIds = new Map();  // source_url → id, for clusters formed within this run
     for (const article of classified) {
-      const result = await storeArticle(article);
+      const result = dryRun ? previewArticle(article, sourcesByName) : await storeArticle(article);
+      if (result.id) storedIds.set(article.source_url, result.id);
+      if (result.status) stored.push(resultRow(article, result));
+      if (dryRun && (article.similar_to || article.similar_to_url)) stats.clustered++;
+
+      const matchId = article.similar_to || storedIds.get(article.similar_to_url);
+      if (result.id && matchId) {
+        try {
+          const { promoted } = await linkDuplicate(supabase, {
+            articleId: result.id,
+            matchId,
+            similarity: article.similarity,
+          });
+          stats.clustered++;
+          if (promoted) stats.promoted++;
+        } catch (err) {
+          stats.errors.push(`Cluster link failed for ${article.source_url}: ${err.message}`);
+        }
+      }
+
+      const counts = countsFor(bySource, article.api_source);
       if (result.skipped) {
         stats.deduplicated++;
+        counts.deduplicated++;
       } else if (result.error) {
         stats.errors.push(result.error);
       } else if (result.published) {
         stats.published++;
+        counts.published++;
+      } else if (result.draft) {
+        stats.drafts++;
+        counts.drafts++;
       } else {
         stats.rejected++;
+        counts.rejected++;
       }
     }
 
-    // Update featured articles
-    await updateFeatured();
+    // Rank featured & trending and snapshot both lists
+    if (!dryRun) {
+      try {
+        const lists = await refreshRankings(supabase, config.ranking);
+        console.log(`  Ranked: ${lists.featured.length} featured, ${lists.trending.length} trending`);
+      } catch (err) {
+        stats.errors.push(err.message);
+      }
+
+      // Topic pages read the counts in the tags table
+      const { data: tagCount, error: tagError } = await supabase.rpc('refresh_tags');
+      if (tagError) stats.errors.push(`Tag counts: ${tagError.message}`);
+      else console.log(`  Tags counted: ${tagCount}`);
+    }
 
     console.log(`  Published: ${stats.published}`);
     console.log(`  Rejected (bloom < 3): ${stats.rejected}`);
+    if (stats.drafts > 0) {
+      console.log(`  Held as draft: ${stats.drafts}`);
+    }
+    if (stats.clustered > 0) {
+      console.log(`  Linked into story clusters: ${stats.clustered} (${stats.promoted} became the new primary)`);
+    }
     if (stats.errors.length > 0) {
       console.log(`  Errors: ${stats.errors.length}`);
     }
 
+    recorder?.writeResults(stored);
+    if (dryRun) printDryRun(stored, fixture?.baseline);
+    if (fixture) {
+      console.log(`  Model responses: ${fixture.replay.hits} replayed, ${fixture.replay.misses} not in the recording`);
+    }
+
   } catch (err) {
     console.error('Pipeline error:', err);
     stats.errors.push(err.message);
@@ -572,19 +706,12 @@ async function run() {
   // ── Log the run ──
   const duration = Math.round((Date.now() - startTime) / 1000);
 
-  await supabase.from('ingestion_log').insert({
-    source: 'all',
-    articles_fetched: stats.fetched,
-    articles_classified: stats.classified,
-    articles_published: stats.published,
-    articles_rejected: stats.rejected,
-    articles_deduplicated: stats.deduplicated,
-    errors: stats.errors.length > 0 ? stats.errors : null,
-    duration_seconds: duration,
-  });
+  const usage = meter.totals;
+  if (!dryRun) await writeRunLog({ stats, usage, duration, bySource, reports, meter });
+  else if (!fixture && !stubbed && usage.calls > 0) await writeDryRunSpend({ stats, usage, duration });
 
   console.log(`\n═══ Pipeline complete in ${duration}s ═══`);
-  console.log(`Fetched: ${stats.fetched} | Classified: ${stats.classified} | Published: ${stats.published} | Rejected: ${stats.rejected} | Deduped: ${stats.deduplicated}`);
+  console.log(`Fetched: ${stats.fetched} | Classified: ${stats.classified} | Published: ${stats.published} | Rejected: ${stats.rejected} | Deduped: ${stats.deduplicated} | Cost: $${usage.cost_usd.toFixed(4)}`);
 }
 
 // ═══ RUN ═══
@@ -0,0 +1,221 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — The Morning Brief
+ * ═══════════════════════════════════════════════════════
+ *
+ * Story selection and the email template for the daily digest that
+ * scripts/brief.mjs sends.
+ *
+ * Stories are the day's feed_articles ordered by bloom score, then
+ * coverage (other outlets on the story), then recency. The list takes
+ * at most one story per category and per source, relaxed only if that
+ * would leave it short (diversify() in ranking.mjs), and ends with the
+ * best Wonderfully Weird story.
+ *
+ * The email is a table layout with inline styles, the only layout every
+ * mail client agrees on, and a plain-text twin. Story links go to the
+ * story pages on the site.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { diversify } from './ranking.mjs';
+import { CAT_IMAGES, html, safeUrl } from '../../public/js/templates.js';
+import { CATEGORY_PAGES, SITE_NAME, SITE_URL } from '../../netlify/lib/pages.mjs';
+
+export const DEFAULT_BRIEF = {
+  stories: 6,
+  max_per_category: 1,
+  max_per_source: 1,
+  window_hours: [24, 72],  // the wider window is used when the last day has fewer than min_stories
+  min_stories: 3,
+  subject_chars: 90,
+};
+
+// ═══ SELECTION ═══
+
+const isWeird = (a) => a.is_weird || a.category_name === 'weird';
+
+function byBloom(a, b) {
+  return (b.bloom_score || 0) - (a.bloom_score || 0)
+    || (b.coverage_count || 0) - (a.coverage_count || 0)
+    || new Date(b.published_at) - new Date(a.published_at);
+}
+
+/**
+ * { stories, weird } from feed_articles rows. `weird` is null when
+ * there is no Weird story in the rows.
+ */
+export function selectBrief(articles, options = DEFAULT_BRIEF) {
+  const ranked = [...articles].sort(byBloom);
+  const stories = diversify(ranked.filter(a => !isWeird(a)), {
+    limit: options.stories,
+    max_per_source: options.max_per_source,
+    max_per_category: options.max_per_category,
+  });
+  return { stories, weird: ranked.find(isWeird) || null };
+}
+
+/** Whether a brief has enough stories to send */
+export const briefReady = (brief, options = DEFAULT_BRIEF) => brief.stories.length >= options.min_stories;
+
+/**
+ * Selection from the narrowest window in options.window_hours that
+ * fills the brief. `loadSince(hours)` returns the feed_articles rows
+ * published in the last `hours`. When no window is enough, the widest
+ * one's selection is returned; check it with briefReady().
+ */
+export async function pickBrief(loadSince, options = DEFAULT_BRIEF) {
+  let brief = { stories: [], weird: null };
+  for (const hours of options.window_hours) {
+    brief = selectBrief(await loadSince(hours), options);
+    if (briefReady(brief, options)) break;
+  }
+  return brief;
+}
+
+/** Issue rows store the article ids in order; put loaded rows back in it */
+export function briefFromIds(ids, articles) {
+  const byId = new Map(articles.map(a => [a.id, a]));
+  const rows = ids.map(id => byId.get(id)).filter(Boolean);
+  return { stories: rows.filter(a => !isWeird(a)), weird: rows.find(isWeird) || null };
+}
+
+export const briefArticleIds = (brief) => [...brief.stories, brief.weird].filter(Boolean).map(a => a.id);
+
+// ═══ EMAIL ═══
+
+const COLORS = {
+  page: '#EEF1F5', card: '#FFFFFF', ink: '#0C1525', muted: '#5B6472', rule: '#E3E7ED',
+  cyan: '#2BA89F', violet: '#5B48D6', rose: '#C93D62', mint: '#1F9E70', gold: '#B8860B', orange: '#C46A24',
+};
+const CATEGORY_COLORS = {
+  innovation: 'cyan', science: 'violet', space: 'violet', health: 'rose', environment: 'mint',
+  community: 'mint', education: 'gold', kindness: 'rose', progress: 'gold', weird: 'orange',
+};
+const SERIF = "Georgia,'Times New Roman',serif";
+const SANS = "'Helvetica Neue',Helvetica,Arial,sans-serif";
+
+const storyUrl = (a) => `${SITE_URL}/a/${encodeURIComponent(a.id)}`;
+const summaryOf = (a) => a.ai_summary || a.excerpt || '';
+const categoryName = (a) => CATEGORY_PAGES[a.category_name]?.name || a.category_name || '';
+const accentOf = (a) => COLORS[CATEGORY_COLORS[a.category_name]] || COLORS.cyan;
+
+/** Absolute http(s) image for the lead story (relative paths mean nothing in a mail client) */
+function imageOf(a) {
+  const url = safeUrl(a.image_url);
+  return /^https?:\/\//i.test(url) ? url : CAT_IMAGES[a.category_name] || CAT_IMAGES.progress;
+}
+
+/** "Monday, October 19, 2026" for an issue date ("2026-10-19") */
+export function formatIssueDate(issueDate) {
+  return new Date(`${issueDate}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC',
+  });
+}
+
+export function briefSubject(brief, options = DEFAULT_BRIEF) {
+  const lead = brief.stories[0]?.title || 'Today’s constructive stories';
+  const subject = `The Morning Brief: ${lead}`.replace(/\s+/g, ' ').trim();
+  return subject.length > options.subject_chars ? `${subject.slice(0, options.subject_chars - 1).trimEnd()}…` : subject;
+}
+
+function label(text, color) {
+  return html`<div style="font-family:${SANS};font-size:11px;font-weight:700;letter-spacing:1.5px;text-transform:uppercase;color:${color};">${text}</div>`;
+}
+
+function leadStory(a) {
+  return html`<tr><td style="padding:0;">
+    <a href="${storyUrl(a)}"><img src="${imageOf(a)}" width="600" alt="" class="lead-img" style="display:block;width:100%;max-width:600px;height:auto;border:0;"></a>
+  </td></tr>
+  <tr><td class="pad" style="padding:28px 40px 8px;">
+    ${label(categoryName(a), accentOf(a))}
+    <h1 style="margin:10px 0 12px;font-family:${SERIF};font-size:28px;line-height:1.25;font-weight:normal;"><a href="${storyUrl(a)}" style="color:${COLORS.ink};text-decoration:none;">${a.title}</a></h1>
+    <p style="margin:0 0 12px;font-family:${SANS};font-size:16px;line-height:1.6;color:${COLORS.ink};">${summaryOf(a)}</p>
+    <p style="margin:0;font-family:${SANS};font-size:13px;color:${COLORS.muted};">${a.source_name} · <a href="${storyUrl(a)}" style="color:${accentOf(a)};font-weight:600;text-decoration:none;">Read the story →</a></p>
+  </td></tr>`;
+}
+
+function story(a) {
+  return html`<tr><td class="pad" style="padding:24px 40px 0;">
+    <div style="border-top:1px solid ${COLORS.rule};padding-top:24px;">
+      ${label(categoryName(a), accentOf(a))}
+      <h2 style="margin:8px 0 8px;font-family:${SERIF};font-size:21px;line-height:1.3;font-weight:normal;"><a href="${storyUrl(a)}" style="color:${COLORS.ink};text-decoration:none;">${a.title}</a></h2>
+      <p style="margin:0 0 8px;font-family:${SANS};font-size:15px;line-height:1.6;color:${COLORS.ink};">${summaryOf(a)}</p>
+      <p style="margin:0;font-family:${SANS};font-size:13px;color:${COLORS.muted};">${a.source_name}</p>
+    </div>
+  </td></tr>`;
+}
+
+function weirdStory(a) {
+  return html`<tr><td class="pad" style="padding:32px 40px 0;">
+    <div style="background:#FDF3EA;border-radius:10px;padding:22px 24px;">
+      ${label('The Wonderfully Weird', COLORS.orange)}
+      <h2 style="margin:8px 0 8px;font-family:${SERIF};font-size:20px;line-height:1.3;font-weight:normal;font-style:italic;"><a href="${storyUrl(a)}" style="color:${COLORS.ink};text-decoration:none;">${a.title}</a></h2>
+      <p style="margin:0;font-family:${SANS};font-size:15px;line-height:1.6;color:${COLORS.ink};">${summaryOf(a)}</p>
+    </div>
+  </td></tr>`;
+}
+
+/**
+ * { html, text } for one subscriber. Only `unsubscribeUrl` differs
+ * between subscribers.
+ */
+export function renderBrief(brief, { issueDate, subject, unsubscribeUrl }) {
+  const [lead, ...rest] = brief.stories;
+  const date = formatIssueDate(issueDate);
+  const preheader = rest.map(a => a.title).slice(0, 2).join(' · ');
+
+  const body = html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="color-scheme" content="light">
+<title>${subject}</title>
+<style>
+@media only screen and (max-width: 620px) {
+  .container { width: 100% !important; border-radius: 0 !important; }
+  .pad { padding-left: 20px !important; padding-right: 20px !important; }
+  h1 { font-size: 24px !important; }
+}
+</style>
+</head>
+<body style="margin:0;padding:0;background:${COLORS.page};">
+<div style="display:none;max-height:0;overflow:hidden;">${preheader}</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background:${COLORS.page};">
+<tr><td align="center" style="padding:24px 0;">
+  <table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" border="0" style="width:600px;max-width:600px;background:${COLORS.card};border-radius:12px;overflow:hidden;">
+  <tr><td class="pad" style="padding:28px 40px 24px;background:${COLORS.ink};">
+    <div style="font-family:${SERIF};font-size:26px;color:#F0F2F5;">New<span style="color:#4ECDC4;">phoria</span></div>
+    <div style="margin-top:6px;font-family:${SANS};font-size:13px;letter-spacing:0.5px;color:#A9B4C4;">The Morning Brief · ${date}</div>
+  </td></tr>
+  ${lead && leadStory(lead)}
+  ${rest.map(story)}
+  ${brief.weird && weirdStory(brief.weird)}
+  <tr><td class="pad" style="padding:36px 40px 32px;">
+    <p style="margin:0 0 8px;font-family:${SANS};font-size:12px;line-height:1.6;color:${COLORS.muted};">You're getting The Morning Brief because you subscribed at <a href="${SITE_URL}" style="color:${COLORS.muted};">${SITE_URL.replace(/^https?:\/\//, '')}</a>. <a href="${unsubscribeUrl}" style="color:${COLORS.muted};">Unsubscribe</a> with one click.</p>
+    <p style="margin:0;font-family:${SANS};font-size:12px;color:${COLORS.muted};">${SITE_NAME} · Agapē LAC Inc. · Calgary, AB, Canada</p>
+  </td></tr>
+  </table>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+
+  const entry = (a, n) => `${n}. ${a.title}\n${summaryOf(a) ? `${summaryOf(a)}\n` : ''}${categoryName(a)} · ${a.source_name}\n${storyUrl(a)}\n`;
+  const text = [
+    `THE MORNING BRIEF — ${date}`,
+    SITE_NAME,
+    '',
+    ...brief.stories.map((a, i) => entry(a, i + 1)),
+    ...(brief.weird ? ['THE WONDERFULLY WEIRD', '', `${brief.weird.title}\n${summaryOf(brief.weird)}\n${storyUrl(brief.weird)}\n`] : []),
+    '--',
+    `You're getting The Morning Brief because you subscribed at ${SITE_URL.replace(/^https?:\/\//, '')}.`,
+    `Unsubscribe: ${unsubscribeUrl}`,
+    `${SITE_NAME} · Agapē LAC Inc. · Calgary, AB, Canada`,
+    '',
+  ].join('\n');
+
+  return { html: body.toString(), text };
+}
@@ -0,0 +1,298 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Classifier
+ * The NORMALIZE stage of the Coaptō engine
+ * ═══════════════════════════════════════════════════════
+ *
+ * Sends batches of articles to Claude Haiku and validates every
+ * result against a strict schema. Each article carries a stable ID,
+ * so results are matched by ID, never by array position.
+ *
+ * Anything that fails validation or goes missing is re-sent: a
+ * batch that produced nothing usable is split in half, a single
+ * article gets one more attempt. Articles that still fail come back
+ * with `classification_error` set and must not be stored.
+ *
+ * Every result is stamped with the model and PROMPT_VERSION that
+ * produced it, so scripts/backfill.mjs can find stale classifications.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { createHash } from 'node:crypto';
+import { tagColumns } from './tags.mjs';
+
+export const CLASSIFIER_MODEL = 'claude-haiku-4-5-20251001';
+
+export const DEFAULT_CATEGORIES = [
+  'innovation', 'science', 'space', 'health', 'environment',
+  'community', 'education', 'kindness', 'progress', 'weird',
+];
+
+/**
+ * THE COAPTŌ KNOWLEDGE PROMPT
+ *
+ * This is the core of the engine. For Newphoria, it teaches AI
+ * how to evaluate news. For a capital projects vertical, you'd
+ * replace this with supply chain expertise. Same pattern.
+ */
+export const CLASSIFICATION_PROMPT = `You are the Newphoria News classification engine. Your job is to evaluate news articles for constructive value and categorize them.
+
+For each article, provide:
+
+1. BLOOM SCORE (1-5):
+   5 = Solutions-focused, genuinely inspiring, demonstrates human progress
+   4 = Constructive, forward-looking, provides useful knowledge
+   3 = Neutral but informative, balanced reporting on important topics
+   2 = Negative-leaning, focuses on problems without solutions
+   1 = Fear-driven, sensationalized, doom content
+
+2. CATEGORY (exactly one):
+   innovation — Technology breakthroughs, engineering, clean energy, new inventions
+   science — Research discoveries, physics, biology, chemistry, archaeology
+   space — Astronomy, space exploration, cosmology, planetary science
+   health — Medical breakthroughs, mental health progress, public health wins
+   environment — Conservation success, climate solutions, ecosystem recovery
+   community — Local impact, volunteerism, social programs, civic progress
+   education — Learning innovation, literacy, skills development
+   kindness — Acts of generosity, humanitarian efforts, human connection
+   progress — Economic improvement, poverty reduction, infrastructure, equality
+   weird — Genuinely strange, fascinating, or unexplained phenomena (NOT scary — fascinating)
+
+3. IS_WEIRD (true/false):
+   Mark true for articles about: unexplained phenomena, UAP/UFO reports from credible sources,
+   bizarre animal behavior, quantum strangeness, archaeological mysteries, unusual natural
+   phenomena, quirky inventions, strange scientific findings. The tone should be wonder and
+   curiosity, never fear. If it makes you say "wait, really?" it's weird.
+
+4. SUMMARY: A clean 1-2 sentence summary capturing the key finding or story.
+
+5. TAGS: 2-4 topic tags for the article.
+
+6. CONFIDENCE: 0.0-1.0 how confident you are in your classification.
+
+Respond with a JSON array only. Each article has an ID — copy it exactly into the
+"id" field of its result. Evaluate each article independently.`;
+
+/**
+ * Changes whenever CLASSIFICATION_PROMPT does — derived from its text
+ * so a prompt edit can't ship without a new version.
+ */
+export const PROMPT_VERSION = createHash('sha1').update(CLASSIFICATION_PROMPT).digest('hex').slice(0, 8);
+
+// Recent editor decisions sent to Claude as examples
+export const REVIEW_EXAMPLES = 12;
+
+/**
+ * Turn recent editor decisions into few-shot examples appended to the
+ * system prompt. Each example is { title, excerpt, category_name,
+ * bloom_score, is_weird, status } after the editor's changes.
+ */
+export function formatReviewExamples(examples) {
+  if (!examples?.length) return '';
+
+  const lines = examples.map(e => {
+    const verdict = e.status === 'rejected'
+      ? 'REJECTED by an editor — should score below 3'
+      : `bloom_score ${e.bloom_score}, category ${e.category_name}, is_weird ${!!e.is_weird}`;
+    return `- "${e.title}"${e.excerpt ? ` — ${e.excerpt.slice(0, 160)}` : ''}\n  Editor verdict: ${verdict}`;
+  });
+
+  return `\n\nEDITOR CORRECTIONS — recent human review decisions. Where a new article resembles one of these, follow the editor's judgement:\n${lines.join('\n')}`;
+}
+
+/**
+ * The most recent editor decisions, as the articles now stand, ready
+ * for formatReviewExamples(). The pipeline and the backfill both use
+ * this, so articles stamped with the same PROMPT_VERSION saw the same
+ * kind of prompt.
+ */
+export async function loadReviewExamples(supabase, { limit = REVIEW_EXAMPLES } = {}) {
+  const { data, error } = await supabase
+    .from('review_decisions')
+    .select('action, articles(title, excerpt, category_name, bloom_score, is_weird, status)')
+    .in('action', ['approve', 'reject'])
+    .order('decided_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('Could not load review examples:', error.message);
+    return [];
+  }
+  return (data || []).map(d => d.articles).filter(Boolean);
+}
+
+/** Stable per-article ID, the same across retries and bisection */
+export function articleRef(article) {
+  return createHash('sha1').update(article.source_url || article.title || '').digest('hex').slice(0, 10);
+}
+
+/**
+ * Validate one classification object.
+ * Returns a list of problems — empty means valid.
+ */
+export function validateClassification(obj, { categories = DEFAULT_CATEGORIES } = {}) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return ['not an object'];
+
+  const problems = [];
+  if (typeof obj.id !== 'string' || !obj.id) problems.push('id missing');
+  if (!Number.isInteger(obj.bloom_score) || obj.bloom_score < 1 || obj.bloom_score > 5) {
+    problems.push(`bloom_score ${JSON.stringify(obj.bloom_score)} not an integer 1-5`);
+  }
+  if (!categories.includes(obj.category)) problems.push(`unknown category ${JSON.stringify(obj.category)}`);
+  if (typeof obj.is_weird !== 'boolean') problems.push('is_weird not a boolean');
+  if (typeof obj.summary !== 'string' || !obj.summary.trim()) problems.push('summary missing');
+  if (!Array.isArray(obj.tags) || !obj.tags.every(t => typeof t === 'string' && t.trim())) {
+    problems.push('tags not an array of strings');
+  }
+  if (typeof obj.confidence !== 'number' || !(obj.confidence >= 0 && obj.confidence <= 1)) {
+    problems.push(`confidence ${JSON.stringify(obj.confidence)} not between 0 and 1`);
+  }
+  return problems;
+}
+
+/** Pull the JSON array out of a model reply (tolerates code fences and chatter) */
+export function parseClassificationReply(text) {
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start === -1 || end < start) throw new Error('no JSON array in reply');
+  const parsed = JSON.parse(text.slice(start, end + 1));
+  if (!Array.isArray(parsed)) throw new Error('reply is not an array');
+  return parsed;
+}
+
+function formatArticle(article, contentChars) {
+  let text = `ID: ${articleRef(article)}\nTitle: ${article.title}\nExcerpt: ${article.excerpt || 'N/A'}\nSource: ${article.source_name}`;
+  if (article.content) text += `\nText: ${article.content.slice(0, contentChars)}`;
+  return text;
+}
+
+/**
+ * One model call. Returns a Map of ref → valid classification;
+ * invalid, unknown and missing items are simply absent.
+ */
+async function requestClassifications(batch, { anthropic, categories, contentChars, examples, meter }) {
+  const articleTexts = batch.map(a => formatArticle(a, contentChars)).join('\n\n---\n\n');
+
+  const response = await anthropic.messages.create({
+    model: CLASSIFIER_MODEL,
+    max_tokens: 4096,
+    system: CLASSIFICATION_PROMPT + formatReviewExamples(examples),
+    messages: [{
+      role: 'user',
+      content: `Classify these ${batch.length} articles. Return a JSON array with one object per article, each containing: id, bloom_score, category, is_weird, summary, tags, confidence.\n\n${articleTexts}`,
+    }],
+  });
+  meter?.record({ model: CLASSIFIER_MODEL, usage: response.usage, articles: batch });
+
+  const expected = new Set(batch.map(articleRef));
+  const valid = new Map();
+
+  let items;
+  try {
+    items = parseClassificationReply(response.content[0]?.text || '');
+  } catch (err) {
+    console.error(`  Unparseable reply for ${batch.length} articles: ${err.message}`);
+    return valid;
+  }
+
+  for (const item of items) {
+    const problems = validateClassification(item, { categories });
+    if (problems.length > 0) {
+      console.error(`  Invalid classification${item?.id ? ` for ${item.id}` : ''}: ${problems.join('; ')}`);
+      continue;
+    }
+    if (!expected.has(item.id) || valid.has(item.id)) continue;
+    valid.set(item.id, item);
+  }
+
+  return valid;
+}
+
+const AUTH_ERROR_STATUSES = new Set([401, 403]);
+
+/**
+ * Classify until every article has a valid result or has run out of
+ * attempts. Only replies with missing or invalid items are retried;
+ * each retry either shrinks the batch or spends an attempt, so this
+ * always terminates.
+ */
+async function resolveBatch(batch, results, failures, options, retriesLeft) {
+  if (options.meter?.exhausted) {
+    for (const a of batch) {
+      if (!results.has(articleRef(a))) failures.set(articleRef(a), 'daily budget reached');
+    }
+    return;
+  }
+
+  // A failed request says nothing about the articles (the SDK has
+  // already retried it), so the batch fails as a whole rather than
+  // being split into ever more calls. A bad key fails every call: stop.
+  let valid;
+  try {
+    valid = await requestClassifications(batch, options);
+  } catch (err) {
+    if (AUTH_ERROR_STATUSES.has(err.status)) throw new Error(`Claude rejected the API key: ${err.message}`);
+    console.error(`  Classification request failed (${batch.length} articles): ${err.message}`);
+    for (const a of batch) {
+      if (!results.has(articleRef(a))) failures.set(articleRef(a), err.message);
+    }
+    return;
+  }
+
+  for (const [ref, cls] of valid) {
+    results.set(ref, cls);
+    failures.delete(ref);
+  }
+
+  const missing = batch.filter(a => !results.has(articleRef(a)));
+  if (missing.length === 0) return;
+
+  for (const a of missing) {
+    if (!failures.has(articleRef(a))) failures.set(articleRef(a), 'missing or invalid in model reply');
+  }
+
+  if (missing.length === 1) {
+    if (retriesLeft > 0) await resolveBatch(missing, results, failures, options, retriesLeft - 1);
+  } else if (missing.length < batch.length) {
+    await resolveBatch(missing, results, failures, options, retriesLeft);
+  } else {
+    const mid = Math.ceil(batch.length / 2);
+    await resolveBatch(batch.slice(0, mid), results, failures, options, retriesLeft);
+    await resolveBatch(batch.slice(mid), results, failures, options, retriesLeft);
+  }
+}
+
+/**
+ * Classify a batch of articles with Claude Haiku.
+ * Every article comes back: either classified, or with
+ * `classification_error` set and no scores. Throws only when Claude
+ * rejects the API key.
+ *
+ * Pass a usage meter (lib/usage.mjs) to record tokens and cost; no
+ * further calls are made once it reports the budget exhausted.
+ */
+export async function classifyBatch(articles, { anthropic, categories = DEFAULT_CATEGORIES, contentChars = 1500, examples = [], maxRetries = 1, meter = null } = {}) {
+  const results = new Map();
+  const failures = new Map();
+  await resolveBatch(articles, results, failures, { anthropic, categories, contentChars, examples, meter }, maxRetries);
+
+  return articles.map(article => {
+    const ref = articleRef(article);
+    const cls = results.get(ref);
+    if (!cls) return { ...article, classification_error: failures.get(ref) || 'not classified' };
+
+    return {
+      ...article,
+      bloom_score: cls.bloom_score,
+      category_name: cls.category,
+      is_weird: cls.is_weird,
+      ai_summary: cls.summary.trim(),
+      ...tagColumns(cls.tags),
+      ai_confidence: cls.confidence,
+      raw_ai_response: { ...cls, classifier: CLASSIFIER_MODEL, prompt_version: PROMPT_VERSION },
+      classifier: CLASSIFIER_MODEL,
+      prompt_version: PROMPT_VERSION,
+      classified_at: new Date().toISOString(),
+    };
+  });
+}
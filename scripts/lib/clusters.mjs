@@ -0,0 +1,59 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Story Clusters
+ * Coaptō equivalent: Entity Resolution
+ * ═══════════════════════════════════════════════════════
+ *
+ * Near-duplicates are kept, not dropped: each one is linked to its
+ * story's primary article through `article_duplicates`. The primary is
+ * the version we show in the feed — published first, then the most
+ * reliable source, then the highest bloom score, then the earliest.
+ * The election itself runs in the database (elect_story_primary).
+ *
+ * Denormalized on articles for fast reads:
+ *   duplicate_of    — primary article id (null for primaries)
+ *   coverage_count  — how many other sources covered the story (published
+ *                     duplicates, the ones the story_coverage view lists)
+ * ═══════════════════════════════════════════════════════
+ */
+
+/**
+ * Re-elect the primary of the cluster `articleId` belongs to and refresh
+ * its coverage_count. elect_story_primary() in sql/schema.sql does it in
+ * one transaction, so a failure can't leave a cluster with two primaries.
+ * Returns the primary's id.
+ */
+export async function electPrimary(supabase, articleId) {
+  const { data, error } = await supabase.rpc('elect_story_primary', { p_article_id: articleId });
+  if (error) throw new Error(`Could not elect the story's primary: ${error.message}`);
+  return data;
+}
+
+/**
+ * Link a newly stored article into the cluster of an existing match.
+ * Returns { primaryId, promoted } — promoted is true when the new
+ * article took over as the cluster's primary.
+ */
+export async function linkDuplicate(supabase, { articleId, matchId, similarity }) {
+  const { data: match, error } = await supabase
+    .from('articles')
+    .select('id, duplicate_of')
+    .eq('id', matchId)
+    .maybeSingle();
+  if (error) throw new Error(`Could not load cluster articles: ${error.message}`);
+  if (!match) throw new Error('Cluster article not found');
+
+  // Always attach to the cluster's current primary, then let the election decide
+  const primaryId = match.duplicate_of || matchId;
+  const { error: linkError } = await supabase
+    .from('article_duplicates')
+    .upsert({ primary_article_id: primaryId, duplicate_article_id: articleId, similarity_score: similarity },
+      { onConflict: 'duplicate_article_id' });
+  if (linkError) throw new Error(`Could not link duplicate: ${linkError.message}`);
+
+  const { error: updateError } = await supabase.from('articles').update({ duplicate_of: primaryId }).eq('id', articleId);
+  if (updateError) throw new Error(`Could not link duplicate: ${updateError.message}`);
+
+  const elected = await electPrimary(supabase, articleId);
+  return { primaryId: elected, promoted: elected === articleId };
+}
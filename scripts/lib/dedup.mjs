@@ -0,0 +1,243 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Batched Deduplication
+ * ═══════════════════════════════════════════════════════
+ *
+ * Two kinds of duplicate:
+ *
+ *   Exact — the same article under a different URL. URLs are
+ *   canonicalized (tracking params, AMP paths, trailing slashes,
+ *   www.) before comparing.
+ *
+ *   Near — the same story from another outlet. Titles are broken into
+ *   character shingles and summarized as a MinHash signature. The
+ *   signature is cut into LSH bands; any two articles sharing a band
+ *   are candidates, and candidates are confirmed by estimated Jaccard
+ *   similarity. Signatures and band keys are stored per article.
+ *
+ * A whole run costs one database round trip (the dedup_lookup RPC).
+ * ═══════════════════════════════════════════════════════
+ */
+
+export const SHINGLE_SIZE = 5;
+export const NUM_BANDS = 15;
+export const ROWS_PER_BAND = 4;
+export const NUM_HASHES = NUM_BANDS * ROWS_PER_BAND;
+
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|ocid|cmpid|ncid|ref|ref_src|src|smid|sr_share|taid|guccounter|_ga|__twitter_impression|amp|outputtype)$/i;
+
+// ═══ URL CANONICALIZATION ═══
+
+/**
+ * Canonical form of an article URL, or the input unchanged if it
+ * doesn't parse.
+ */
+export function canonicalizeUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return url;
+  }
+
+  u.protocol = 'https:';
+  u.hash = '';
+  u.hostname = u.hostname.toLowerCase().replace(/^(www|amp|m)\./, '');
+  u.port = '';
+
+  let path = u.pathname
+    .replace(/\/amp(\.html)?\/?$/i, '/')   // /story/amp, /story/amp.html
+    .replace(/^\/amp\//i, '/')             // /amp/story
+    .replace(/\.amp(\.html)?$/i, '')       // /story.amp.html
+    .replace(/\/{2,}/g, '/');
+  if (path.length > 1) path = path.replace(/\/+$/, '');
+  u.pathname = path;
+
+  const params = [...u.searchParams.entries()]
+    .filter(([k]) => !TRACKING_PARAMS.test(k))
+    .sort(([a], [b]) => a.localeCompare(b));
+  u.search = params.length ? `?${new URLSearchParams(params)}` : '';
+
+  return u.href;
+}
+
+// ═══ SHINGLES + MINHASH ═══
+
+export function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/** Set of k-character shingles */
+export function shingles(text, k = SHINGLE_SIZE) {
+  const s = normalizeTitle(text);
+  const out = new Set();
+  if (s.length <= k) {
+    if (s) out.add(s);
+    return out;
+  }
+  for (let i = 0; i <= s.length - k; i++) out.add(s.slice(i, i + k));
+  return out;
+}
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** murmur3 finalizer — cheap, well-mixed 32-bit hash */
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// Fixed seeds so signatures are comparable across runs
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => fmix32(0x9e3779b9 + i * 0x632be5ab));
+
+/**
+ * MinHash signature of a title. Values are 31-bit so they fit a
+ * Postgres int[] column.
+ */
+export function minhash(text) {
+  const sig = new Array(NUM_HASHES).fill(0x7fffffff);
+  for (const sh of shingles(text)) {
+    const base = fnv1a(sh);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = fmix32(base ^ SEEDS[i]) & 0x7fffffff;
+      if (h < sig[i]) sig[i] = h;
+    }
+  }
+  return sig;
+}
+
+/** LSH band keys ("<band>-<hash>") for a signature */
+export function lshBands(sig) {
+  const keys = [];
+  for (let b = 0; b < NUM_BANDS; b++) {
+    const rows = sig.slice(b * ROWS_PER_BAND, (b + 1) * ROWS_PER_BAND).join('.');
+    keys.push(`${b}-${fnv1a(rows).toString(16)}`);
+  }
+  return keys;
+}
+
+/** Estimated Jaccard similarity of two signatures */
+export function signatureSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+// ═══ BATCH DEDUP ═══
+
+/**
+ * Annotate incoming articles and drop exact duplicates.
+ *
+ * Every returned article carries canonical_url, minhash and lsh_bands.
+ * Near-duplicates also carry `similarity` and either `similar_to` (an
+ * existing article id) or `similar_to_url` (an earlier article in this
+ * same batch — resolve it to an id once that article is stored).
+ *
+ * `lookup(urls, bands)` returns existing rows { id, canonical_url,
+ * source_url, minhash, near_candidate }; pass a stub to run without a
+ * database. Only rows with near_candidate set (recent and published)
+ * are considered for story matching.
+ */
+export async function dedupBatch(articles, { lookup, threshold = 0.65 }) {
+  const prepared = [];
+  const seenUrls = new Set();
+  let duplicates = 0;
+
+  for (const article of articles) {
+    const canonical = canonicalizeUrl(article.source_url);
+    if (seenUrls.has(canonical)) {
+      duplicates++;
+      continue;
+    }
+    seenUrls.add(canonical);
+
+    const sig = minhash(article.title);
+    prepared.push({ ...article, canonical_url: canonical, minhash: sig, lsh_bands: lshBands(sig) });
+  }
+
+  const existing = prepared.length
+    ? await lookup(
+      [...new Set(prepared.flatMap(a => [a.canonical_url, a.source_url]))],
+      [...new Set(prepared.flatMap(a => a.lsh_bands))],
+    )
+    : [];
+
+  const knownUrls = new Set(existing.flatMap(r => [r.canonical_url, r.source_url]).filter(Boolean));
+
+  // Band key → candidates (existing rows first, then this batch as we go)
+  const buckets = new Map();
+  const addToBuckets = (bands, candidate) => {
+    for (const key of bands) {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(candidate);
+    }
+  };
+  for (const row of existing) {
+    if (row.near_candidate && row.minhash) addToBuckets(lshBands(row.minhash), { id: row.id, minhash: row.minhash });
+  }
+
+  const fresh = [];
+  for (const article of prepared) {
+    if (knownUrls.has(article.canonical_url) || knownUrls.has(article.source_url)) {
+      duplicates++;
+      continue;
+    }
+
+    let best = null;
+    const checked = new Set();
+    for (const key of article.lsh_bands) {
+      for (const candidate of buckets.get(key) || []) {
+        if (checked.has(candidate)) continue;
+        checked.add(candidate);
+        const similarity = signatureSimilarity(article.minhash, candidate.minhash);
+        if (similarity >= threshold && (!best || similarity > best.similarity)) best = { candidate, similarity };
+      }
+    }
+
+    if (best) {
+      const link = best.candidate.id
+        ? { similar_to: best.candidate.id }
+        : { similar_to_url: best.candidate.source_url };
+      fresh.push({ ...article, ...link, similarity: Math.round(best.similarity * 100) / 100 });
+    } else {
+      fresh.push(article);
+    }
+
+    addToBuckets(article.lsh_bands, { source_url: article.source_url, minhash: article.minhash });
+  }
+
+  return { articles: fresh, duplicates };
+}
+
+/**
+ * dedup_lookup RPC wrapper: existing articles matching any of the URLs,
+ * or sharing an LSH band within the time window.
+ */
+export function supabaseLookup(supabase, { windowHours = 48 } = {}) {
+  return async (urls, bands) => {
+    const { data, error } = await supabase.rpc('dedup_lookup', {
+      urls,
+      bands,
+      since: new Date(Date.now() - windowHours * 60 * 60 * 1000).toISOString(),
+    });
+    if (error) throw new Error(`dedup_lookup failed: ${error.message}`);
+    return data || [];
+  };
+}
@@ -0,0 +1,291 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Full-Text Extraction
+ * Runs between INTERPRET and NORMALIZE
+ * ═══════════════════════════════════════════════════════
+ *
+ * Fetches each article page and pulls out the main readable text with a
+ * small Readability-style scorer: paragraphs vote for their parent and
+ * grandparent containers, link-heavy and boilerplate containers are
+ * penalized, and the best container's paragraphs become the content.
+ *
+ * extractFromHTML() is pure (HTML string in, text out) so it can be run
+ * against saved pages with no network.
+ * ═══════════════════════════════════════════════════════
+ */
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'ul', 'ol', 'li', 'table', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'figure']);
+const SKIP_TAGS = new Set(['nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'textarea', 'figcaption', 'svg', 'iframe']);
+const TEXT_TAGS = new Set(['p', 'pre', 'blockquote', 'h2', 'h3', 'li']);
+
+const UNLIKELY = /comment|sidebar|footer|header|nav|menu|share|social|related|promo|advert|sponsor|newsletter|subscribe|cookie|popup|modal|breadcrumb|byline|caption/i;
+const POSITIVE = /article|body|content|entry|main|post|story|text/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', mdash: '—', ndash: '–', hellip: '…' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    }
+    return ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+function parseAttrs(str) {
+  const attrs = {};
+  const re = /([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let m;
+  while ((m = re.exec(str))) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * Build a minimal element tree. Forgiving about unclosed tags, which is
+ * all we need for scoring — not a spec-compliant parser.
+ */
+function parseHTML(html) {
+  const root = { tag: '#root', attrs: {}, children: [], parent: null };
+  let node = root;
+
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+  const re = /<\/?([a-zA-Z][\w:-]*)([^>]*)>|([^<]+)|</g;
+  let m;
+  while ((m = re.exec(cleaned))) {
+    if (m[3] !== undefined) {
+      node.children.push({ text: decodeEntities(m[3]) });
+      continue;
+    }
+    if (!m[1]) continue;
+
+    const tag = m[1].toLowerCase();
+    if (m[0][1] === '/') {
+      let open = node;
+      while (open && open.tag !== tag) open = open.parent;
+      if (open && open.parent) node = open.parent;
+      continue;
+    }
+
+    // An open <p> (or <li>) is implicitly closed by the next block
+    if ((node.tag === 'p' && BLOCK_TAGS.has(tag)) || (node.tag === 'li' && tag === 'li')) {
+      node = node.parent;
+    }
+
+    const el = { tag, attrs: parseAttrs(m[2]), children: [], parent: node };
+    node.children.push(el);
+    if (!VOID_TAGS.has(tag) && !m[2].trim().endsWith('/')) node = el;
+  }
+
+  return root;
+}
+
+function textOf(node) {
+  if (node.text !== undefined) return node.text;
+  if (node.tag === 'br') return '\n';
+  return node.children.map(textOf).join('');
+}
+
+function normalizeSpace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function linkDensity(node) {
+  const total = normalizeSpace(textOf(node)).length;
+  if (!total) return 0;
+  let linked = 0;
+  walk(node, el => {
+    if (el.tag === 'a') {
+      linked += normalizeSpace(textOf(el)).length;
+      return false;
+    }
+  });
+  return linked / total;
+}
+
+/** Depth-first walk; returning false from visit skips the element's children */
+function walk(node, visit) {
+  for (const child of node.children || []) {
+    if (child.text !== undefined) continue;
+    if (visit(child) === false) continue;
+    walk(child, visit);
+  }
+}
+
+function isUnlikely(el) {
+  if (SKIP_TAGS.has(el.tag)) return true;
+  const hint = `${el.attrs.class || ''} ${el.attrs.id || ''} ${el.attrs.role || ''}`;
+  return UNLIKELY.test(hint) && !POSITIVE.test(hint);
+}
+
+function classWeight(el) {
+  const hint = `${el.attrs.class || ''} ${el.attrs.id || ''}`;
+  let weight = 0;
+  if (POSITIVE.test(hint)) weight += 25;
+  if (UNLIKELY.test(hint)) weight -= 25;
+  if (el.tag === 'article' || el.tag === 'main') weight += 10;
+  return weight;
+}
+
+function findMeta(root, names) {
+  let value = null;
+  walk(root, el => {
+    if (value) return false;
+    if (el.tag !== 'meta') return;
+    const key = (el.attrs.property || el.attrs.name || '').toLowerCase();
+    if (names.includes(key) && el.attrs.content) value = el.attrs.content;
+  });
+  return value;
+}
+
+function resolveUrl(url, baseUrl) {
+  if (!url) return null;
+  try {
+    return new URL(url, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract readable text and a lead image from an article page.
+ * Returns { content, wordCount, image } — content is null when nothing
+ * article-like was found.
+ */
+export function extractFromHTML(html, baseUrl) {
+  const root = parseHTML(html || '');
+  const image = resolveUrl(findMeta(root, ['og:image', 'og:image:url', 'twitter:image']), baseUrl);
+
+  // Score containers by the paragraphs they hold
+  const scores = new Map();
+  const addScore = (el, amount) => {
+    if (!el || el.tag === '#root') return;
+    if (!scores.has(el)) scores.set(el, classWeight(el));
+    scores.set(el, scores.get(el) + amount);
+  };
+
+  walk(root, el => {
+    if (isUnlikely(el)) return false;
+    if (el.tag !== 'p' && el.tag !== 'pre') return;
+
+    const text = normalizeSpace(textOf(el));
+    if (text.length < 25) return;
+
+    // One point per paragraph, one per comma, up to three for length
+    const commas = text.split(',').length - 1;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    addScore(el.parent, score);
+    addScore(el.parent?.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+
+  if (!best) return { content: null, wordCount: 0, image };
+
+  const blocks = [];
+  walk(best, el => {
+    if (isUnlikely(el)) return false;
+    if (!TEXT_TAGS.has(el.tag)) return;
+    const text = normalizeSpace(textOf(el));
+    if (text.length >= 2 && linkDensity(el) < 0.5) blocks.push(text);
+    return false;
+  });
+
+  const content = blocks.join('\n\n') || null;
+  const wordCount = content ? content.split(/\s+/).length : 0;
+  return { content, wordCount, image };
+}
+
+/**
+ * The first `maxBytes` of a response body as text. Stops reading there,
+ * so a huge page never sits in memory whole.
+ */
+async function readCapped(res, maxBytes) {
+  const reader = res.body?.getReader();
+  if (!reader) return '';
+
+  const decoder = new TextDecoder();
+  let text = '';
+  let bytes = 0;
+  while (bytes < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) return text + decoder.decode();
+    const chunk = value.byteLength > maxBytes - bytes ? value.subarray(0, maxBytes - bytes) : value;
+    bytes += chunk.byteLength;
+    text += decoder.decode(chunk, { stream: true });
+  }
+  await reader.cancel().catch(() => {});
+  return text + decoder.decode();
+}
+
+/**
+ * Download an article page, up to `maxBytes` of it. Returns null for
+ * anything that isn't HTML.
+ */
+export async function fetchArticleHTML(url, { fetchImpl = fetch, timeoutMs = 10000, maxBytes = 2_000_000 } = {}) {
+  const res = await fetchImpl(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; NewphoriaBot/1.0; +https://newphoria.news/about)',
+      'Accept': 'text/html,application/xhtml+xml',
+    },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  if (!/html/i.test(res.headers.get('content-type') || '')) {
+    await res.body?.cancel().catch(() => {});
+    return null;
+  }
+
+  return readCapped(res, maxBytes);
+}
+
+/**
+ * Fill in `content` (and a missing `image_url`) for a list of articles.
+ * Failures are logged and leave the article as it was.
+ */
+export async function extractArticles(articles, { concurrency = 4, minWords = 80, fetchImpl = fetch } = {}) {
+  const results = [...articles];
+  let extracted = 0;
+  let next = 0;
+
+  async function worker() {
+    while (next < results.length) {
+      const i = next++;
+      const article = results[i];
+      try {
+        const html = await fetchArticleHTML(article.source_url, { fetchImpl });
+        if (!html) continue;
+
+        const { content, wordCount, image } = extractFromHTML(html, article.source_url);
+        const update = {};
+        if (content && wordCount >= minWords) {
+          update.content = content;
+          extracted++;
+        }
+        if (!article.image_url && image) update.image_url = image;
+        results[i] = { ...article, ...update };
+      } catch (err) {
+        console.error(`  Extraction failed: ${article.source_url}`, err.message);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, results.length) }, worker));
+  return { articles: results, extracted };
+}
@@ -0,0 +1,195 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Fallback Classifier
+ * Offline, dependency-free stand-in for Claude
+ * ═══════════════════════════════════════════════════════
+ *
+ * A multinomial naive Bayes model trained on articles Claude has
+ * already classified. It predicts category, bloom score and the weird
+ * flag from title + excerpt, with no network access.
+ *
+ * Naive Bayes posteriors are badly overconfident, so confidence is
+ * calibrated: a slice of the training rows is held out, and each
+ * posterior bucket is mapped to how often it was actually right.
+ * ═══════════════════════════════════════════════════════
+ */
+
+export const FALLBACK_CLASSIFIER = 'fallback-nb-v1';
+
+const MIN_TRAINING_ROWS = 50;
+const BINS = 10;
+
+const STOPWORDS = new Set(`
+  the and for are but not you all any can had her was one our out day get has him his how man new now old see
+  two way who its did let put say she too use that with have this will your from they know want been good much
+  some time very when come here just like long make many more only over such take than them well were what
+  into year said says after first would could about their there which other these those while where being
+  also because between through during before under again further then once both each most should
+`.trim().split(/\s+/));
+
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/<[^>]+>/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length >= 3 && !STOPWORDS.has(w) && !/^\d+$/.test(w));
+}
+
+function articleTokens(article) {
+  return tokenize(`${article.title} ${article.title} ${article.excerpt || article.ai_summary || ''}`);
+}
+
+// ═══ NAIVE BAYES ═══
+
+function trainNB(examples) {
+  const classes = {};
+  const vocab = new Set();
+
+  for (const { tokens, label } of examples) {
+    const c = classes[label] ||= { docs: 0, total: 0, counts: {} };
+    c.docs++;
+    for (const t of tokens) {
+      c.counts[t] = (c.counts[t] || 0) + 1;
+      c.total++;
+      vocab.add(t);
+    }
+  }
+
+  return { classes, docs: examples.length, vocabSize: vocab.size };
+}
+
+/** Posterior probability per label (softmax over log-likelihoods) */
+function predictNB(nb, tokens) {
+  const logs = {};
+  for (const [label, c] of Object.entries(nb.classes)) {
+    let lp = Math.log(c.docs / nb.docs);
+    for (const t of tokens) {
+      lp += Math.log(((c.counts[t] || 0) + 1) / (c.total + nb.vocabSize));
+    }
+    logs[label] = lp;
+  }
+
+  const max = Math.max(...Object.values(logs));
+  const exp = Object.fromEntries(Object.entries(logs).map(([k, v]) => [k, Math.exp(v - max)]));
+  const sum = Object.values(exp).reduce((a, b) => a + b, 0);
+  return Object.fromEntries(Object.entries(exp).map(([k, v]) => [k, v / sum]));
+}
+
+function argmax(probs) {
+  return Object.entries(probs).reduce((best, cur) => (cur[1] > best[1] ? cur : best));
+}
+
+// ═══ CALIBRATION ═══
+
+/**
+ * Map raw posterior → observed accuracy with histogram binning.
+ * Empty bins fall back to the raw value.
+ */
+function fitCalibration(pairs) {
+  const bins = Array.from({ length: BINS }, () => ({ n: 0, correct: 0 }));
+  for (const { p, correct } of pairs) {
+    const b = bins[Math.min(BINS - 1, Math.floor(p * BINS))];
+    b.n++;
+    if (correct) b.correct++;
+  }
+  return bins.map(b => (b.n >= 3 ? b.correct / b.n : null));
+}
+
+function calibrate(table, p) {
+  const value = table?.[Math.min(BINS - 1, Math.floor(p * BINS))];
+  return value ?? p;
+}
+
+// ═══ PUBLIC API ═══
+
+function buildModels(rows) {
+  const withTokens = rows.map(r => ({ row: r, tokens: articleTokens(r) }));
+  return {
+    category: trainNB(withTokens.map(({ row, tokens }) => ({ tokens, label: row.category_name }))),
+    bloom: trainNB(withTokens.map(({ row, tokens }) => ({ tokens, label: String(row.bloom_score) }))),
+    weird: trainNB(withTokens.map(({ row, tokens }) => ({ tokens, label: String(!!row.is_weird) }))),
+  };
+}
+
+/**
+ * Train from already-classified rows
+ * ({ title, excerpt, category_name, bloom_score, is_weird }).
+ * Returns null when there isn't enough data to be useful.
+ */
+export function trainFallbackModel(rows) {
+  const usable = rows.filter(r => r.title && r.category_name && r.bloom_score);
+  if (usable.length < MIN_TRAINING_ROWS) return null;
+
+  // Hold out every 5th row to fit the calibration tables
+  const train = usable.filter((_, i) => i % 5 !== 0);
+  const holdout = usable.filter((_, i) => i % 5 === 0);
+  const probe = buildModels(train);
+
+  const categoryPairs = [];
+  const bloomPairs = [];
+  for (const row of holdout) {
+    const tokens = articleTokens(row);
+    const [cat, pCat] = argmax(predictNB(probe.category, tokens));
+    const [bloom, pBloom] = argmax(predictNB(probe.bloom, tokens));
+    categoryPairs.push({ p: pCat, correct: cat === row.category_name });
+    bloomPairs.push({ p: pBloom, correct: Math.abs(Number(bloom) - row.bloom_score) <= 1 });
+  }
+
+  return {
+    version: FALLBACK_CLASSIFIER,
+    trainedOn: usable.length,
+    ...buildModels(usable),
+    calibration: {
+      category: fitCalibration(categoryPairs),
+      bloom: fitCalibration(bloomPairs),
+    },
+  };
+}
+
+/**
+ * Classify one article. Output matches the classifier's fields so it
+ * can be stored the same way.
+ */
+export function classifyOffline(model, article, { reason } = {}) {
+  const tokens = articleTokens(article);
+  const categoryProbs = predictNB(model.category, tokens);
+  const bloomProbs = predictNB(model.bloom, tokens);
+  const weirdProbs = predictNB(model.weird, tokens);
+
+  const [category, pCategory] = argmax(categoryProbs);
+  const expectedBloom = Object.entries(bloomProbs).reduce((sum, [k, p]) => sum + Number(k) * p, 0);
+  const bloomScore = Math.min(5, Math.max(1, Math.round(expectedBloom)));
+  const isWeird = (weirdProbs.true || 0) > 0.5;
+
+  const confidence = Math.min(
+    calibrate(model.calibration.category, pCategory),
+    calibrate(model.calibration.bloom, argmax(bloomProbs)[1]),
+  );
+
+  return {
+    ...article,
+    bloom_score: bloomScore,
+    category_name: category,
+    is_weird: isWeird,
+    ai_summary: article.excerpt,
+    ai_tags: [],
+    tag_slugs: [],
+    ai_confidence: Math.round(confidence * 100) / 100,
+    raw_ai_response: {
+      classifier: model.version,
+      reason: reason || null,
+      trained_on: model.trainedOn,
+      category_probs: categoryProbs,
+      bloom_probs: bloomProbs,
+      weird_prob: weirdProbs.true || 0,
+    },
+    classifier: model.version,
+    prompt_version: null,
+    classified_at: new Date().toISOString(),
+  };
+}
+
+/** True when a stored classification came from this module */
+export function isFallbackClassification(article) {
+  return String(article.raw_ai_response?.classifier || '').startsWith('fallback');
+}
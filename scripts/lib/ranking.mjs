@@ -0,0 +1,169 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Featured & Trending Ranking
+ * ═══════════════════════════════════════════════════════
+ *
+ * Each published primary gets a quality score, discounted by age:
+ *
+ *   score = (w.bloom × bloom + w.reliability × reliability
+ *            + w.coverage × coverage + w.views × views) × 0.5^(age / halfLife)
+ *
+ * Every term is scaled to 0–1. Coverage is the story's cluster size
+ * (other outlets covering it), views is reads in the last 24 hours
+ * (the recent_reads view) relative to the busiest candidate. Lists
+ * are then picked greedily in score order with per-source and
+ * per-category caps, relaxed only if the caps would leave a list
+ * short.
+ *
+ * Each refresh writes a `trending` snapshot (kind 'featured' or
+ * 'trending'); the featured_articles and trending_articles views read
+ * the latest one.
+ * ═══════════════════════════════════════════════════════
+ */
+
+export const DEFAULT_RANKING = {
+  half_life_hours: 18,
+  window_days: 7,          // older stories can't rank, however good
+  min_bloom_score: 3,
+  featured: { limit: 3, max_per_source: 1, max_per_category: 1,
+    weights: { bloom: 0.5, reliability: 0.2, coverage: 0.2, views: 0.1 } },
+  trending: { limit: 7, max_per_source: 2, max_per_category: 2,
+    weights: { bloom: 0.2, reliability: 0.1, coverage: 0.3, views: 0.4 } },
+  keep_snapshots_days: 30,
+};
+
+const HOUR = 60 * 60 * 1000;
+
+/** Reads per hour since publication */
+export function viewVelocity(article, now = Date.now()) {
+  const ageHours = Math.max(1, (now - new Date(article.published_at).getTime()) / HOUR);
+  return (article.view_count || 0) / ageHours;
+}
+
+/**
+ * Score candidates for one list. `recentViews` maps article id → recent
+ * read count; without it, view velocity stands in.
+ */
+export function scoreArticles(articles, { weights, half_life_hours, now = Date.now(), recentViews = null }) {
+  const views = new Map(articles.map(a => [a.id, recentViews ? recentViews.get(a.id) || 0 : viewVelocity(a, now)]));
+  const maxViews = Math.max(0, ...views.values());
+
+  return articles
+    .map(a => {
+      const ageHours = Math.max(0, (now - new Date(a.published_at).getTime()) / HOUR);
+      const parts = {
+        bloom: Math.min(1, Math.max(0, ((a.bloom_score ?? 3) - 1) / 4)),
+        reliability: ((a.sources?.reliability_score ?? a.reliability_score ?? 3) - 1) / 4,
+        coverage: Math.min(1, Math.log1p(a.coverage_count || 0) / Math.log(6)),  // 5+ other outlets = 1
+        views: maxViews > 0 ? Math.log1p(views.get(a.id)) / Math.log1p(maxViews) : 0,
+      };
+      const quality = Object.entries(weights).reduce((sum, [k, w]) => sum + w * parts[k], 0);
+      const decay = Math.pow(0.5, ageHours / half_life_hours);
+      return { ...a, score: quality * decay, score_parts: parts };
+    })
+    .sort((a, b) => b.score - a.score || new Date(b.published_at) - new Date(a.published_at));
+}
+
+/**
+ * Take the best `limit` articles with at most `max_per_source` per
+ * source and `max_per_category` per category. If that leaves the list
+ * short, the remaining slots go to the next best regardless of caps.
+ */
+export function diversify(ranked, { limit, max_per_source, max_per_category }) {
+  const picked = [];
+  const perSource = new Map();
+  const perCategory = new Map();
+
+  for (const a of ranked) {
+    if (picked.length >= limit) break;
+    if ((perSource.get(a.source_name) || 0) >= max_per_source) continue;
+    if ((perCategory.get(a.category_name) || 0) >= max_per_category) continue;
+    picked.push(a);
+    perSource.set(a.source_name, (perSource.get(a.source_name) || 0) + 1);
+    perCategory.set(a.category_name, (perCategory.get(a.category_name) || 0) + 1);
+  }
+
+  for (const a of ranked) {
+    if (picked.length >= limit) break;
+    if (!picked.includes(a)) picked.push(a);
+  }
+  return picked;
+}
+
+/** Featured and trending lists from one candidate set */
+export function rankLists(candidates, options = DEFAULT_RANKING) {
+  const now = options.now ?? Date.now();
+  const lists = {};
+  for (const kind of ['featured', 'trending']) {
+    const list = options[kind];
+    const ranked = scoreArticles(candidates, {
+      weights: list.weights,
+      half_life_hours: options.half_life_hours,
+      recentViews: options.recentViews,
+      now,
+    });
+    lists[kind] = diversify(ranked, list);
+  }
+  return lists;
+}
+
+// ═══ SUPABASE ═══
+
+/** article id → reads in the last 24 hours */
+async function loadRecentReads(supabase) {
+  const { data, error } = await supabase.from('recent_reads').select('article_id, reads');
+  if (error) throw new Error(`Could not load recent reads: ${error.message}`);
+  return new Map((data || []).map(r => [r.article_id, r.reads]));
+}
+
+async function replaceFlag(supabase, column, ids) {
+  await supabase.from('articles').update({ [column]: false }).eq(column, true);
+  if (ids.length > 0) await supabase.from('articles').update({ [column]: true }).in('id', ids);
+}
+
+/**
+ * Rank recent published primaries, write a snapshot of both lists and
+ * update is_featured / is_trending to match. Returns the lists.
+ */
+export async function refreshRankings(supabase, options = DEFAULT_RANKING) {
+  const since = new Date(Date.now() - options.window_days * 24 * HOUR).toISOString();
+
+  const { data: candidates, error } = await supabase
+    .from('articles')
+    .select('id, title, category_name, bloom_score, source_name, published_at, coverage_count, view_count, sources(reliability_score)')
+    .eq('status', 'published')
+    .is('duplicate_of', null)
+    .gte('bloom_score', options.min_bloom_score)
+    .gte('published_at', since)
+    .order('published_at', { ascending: false })
+    .limit(1000);
+
+  if (error) throw new Error(`Could not load ranking candidates: ${error.message}`);
+
+  const recentViews = await loadRecentReads(supabase);
+  const lists = rankLists(candidates || [], { ...options, recentViews });
+  const snapshotAt = new Date().toISOString();
+
+  const rows = Object.entries(lists).flatMap(([kind, list]) => list.map((a, i) => ({
+    article_id: a.id,
+    kind,
+    rank: i + 1,
+    score: Math.round(a.score * 10000) / 10000,
+    read_count: recentViews.get(a.id) || 0,
+    snapshot_at: snapshotAt,
+  })));
+
+  if (rows.length > 0) {
+    const { error: insertError } = await supabase.from('trending').insert(rows);
+    if (insertError) throw new Error(`Could not write trending snapshot: ${insertError.message}`);
+  }
+
+  await replaceFlag(supabase, 'is_featured', lists.featured.map(a => a.id));
+  await replaceFlag(supabase, 'is_trending', lists.trending.map(a => a.id));
+
+  const cutoff = new Date(Date.now() - options.keep_snapshots_days * 24 * HOUR).toISOString();
+  await supabase.from('trending').delete().lt('snapshot_at', cutoff);
+  await supabase.from('article_read_counts').delete().lt('hour', cutoff);
+
+  return lists;
+}
@@ -0,0 +1,124 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Reclassification
+ * ═══════════════════════════════════════════════════════
+ *
+ * Decides whether a backfill result replaces an article's stored
+ * classification, and summarizes how scores and categories moved
+ * between classifier versions. A version is "<model>@<prompt_version>".
+ *
+ * A new result never replaces one with higher confidence.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { CLASSIFIER_MODEL, PROMPT_VERSION } from './classifier.mjs';
+
+export function versionOf({ classifier, prompt_version } = {}) {
+  return `${classifier || 'unknown'}@${prompt_version || 'unknown'}`;
+}
+
+/**
+ * Compare a stored article with its new classification.
+ * Returns { applied, skipped_reason }.
+ */
+export function decideReclassification(before, after) {
+  if (after.classification_error) return { applied: false, skipped_reason: 'classification_failed' };
+  if ((after.ai_confidence ?? 0) < (before.ai_confidence ?? 0)) return { applied: false, skipped_reason: 'lower_confidence' };
+  return { applied: true, skipped_reason: null };
+}
+
+/** One `reclassifications` row */
+export function reclassificationRow(backfillId, before, after, { applied, skipped_reason }) {
+  return {
+    backfill_id: backfillId,
+    article_id: before.id,
+    from_classifier: before.classifier || null,
+    from_prompt_version: before.prompt_version || null,
+    // A failed attempt is still an attempt at the current version
+    to_classifier: after.classifier || CLASSIFIER_MODEL,
+    to_prompt_version: after.classifier ? after.prompt_version || null : PROMPT_VERSION,
+    bloom_before: before.bloom_score,
+    bloom_after: after.bloom_score ?? null,
+    category_before: before.category_name,
+    category_after: after.category_name ?? null,
+    weird_before: before.is_weird,
+    weird_after: after.is_weird ?? null,
+    confidence_before: before.ai_confidence,
+    confidence_after: after.ai_confidence ?? null,
+    applied,
+    skipped_reason,
+  };
+}
+
+// ═══ SHIFT REPORT ═══
+
+/**
+ * Aggregate reclassification rows per version pair. Rows without a new
+ * result (failed classifications) only count toward `skipped`.
+ */
+export function summarizeShifts(rows, { minBloom = 3 } = {}) {
+  const pairs = new Map();
+
+  for (const row of rows) {
+    const from = versionOf({ classifier: row.from_classifier, prompt_version: row.from_prompt_version });
+    const to = versionOf({ classifier: row.to_classifier, prompt_version: row.to_prompt_version });
+    const key = `${from} → ${to}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, {
+        from, to, total: 0, applied: 0, skipped: {},
+        bloom: { up: 0, down: 0, same: 0, delta: 0, matrix: {} },
+        categories: {}, weird: { gained: 0, lost: 0 },
+        threshold: { now_below: 0, now_above: 0 },
+      });
+    }
+    const s = pairs.get(key);
+    s.total++;
+    if (row.applied) s.applied++;
+    else s.skipped[row.skipped_reason] = (s.skipped[row.skipped_reason] || 0) + 1;
+    if (row.bloom_after == null) continue;
+
+    const delta = row.bloom_after - row.bloom_before;
+    s.bloom.delta += delta;
+    s.bloom[delta > 0 ? 'up' : delta < 0 ? 'down' : 'same']++;
+    const cell = `${row.bloom_before}→${row.bloom_after}`;
+    s.bloom.matrix[cell] = (s.bloom.matrix[cell] || 0) + 1;
+
+    if (row.category_after !== row.category_before) {
+      const move = `${row.category_before}→${row.category_after}`;
+      s.categories[move] = (s.categories[move] || 0) + 1;
+    }
+    if (row.weird_after && !row.weird_before) s.weird.gained++;
+    if (!row.weird_after && row.weird_before) s.weird.lost++;
+    if (row.bloom_before >= minBloom && row.bloom_after < minBloom) s.threshold.now_below++;
+    if (row.bloom_before < minBloom && row.bloom_after >= minBloom) s.threshold.now_above++;
+  }
+
+  return [...pairs.values()].map(s => {
+    const compared = s.bloom.up + s.bloom.down + s.bloom.same;
+    return { ...s, bloom: { ...s.bloom, mean_delta: compared ? s.bloom.delta / compared : 0 } };
+  });
+}
+
+/** Plain-text report, one block per version pair */
+export function formatShiftReport(summaries, { minBloom = 3 } = {}) {
+  if (summaries.length === 0) return '  No reclassifications recorded.';
+
+  const lines = [];
+  for (const s of summaries) {
+    const skipped = Object.entries(s.skipped).map(([reason, n]) => `${n} ${reason.replace(/_/g, ' ')}`).join(', ');
+    lines.push(`  ${s.from} → ${s.to}`);
+    lines.push(`    ${s.total} articles, ${s.applied} updated${skipped ? `, skipped: ${skipped}` : ''}`);
+    lines.push(`    Bloom: ${s.bloom.up} up, ${s.bloom.down} down, ${s.bloom.same} same (mean ${s.bloom.mean_delta >= 0 ? '+' : ''}${s.bloom.mean_delta.toFixed(2)})`);
+    lines.push(`    Crossed the publish threshold (${minBloom}): ${s.threshold.now_below} fell below, ${s.threshold.now_above} rose above`);
+
+    const moves = Object.entries(s.bloom.matrix)
+      .filter(([cell]) => cell[0] !== cell.at(-1))
+      .sort((a, b) => b[1] - a[1]);
+    if (moves.length > 0) lines.push(`    Bloom moves: ${moves.map(([cell, n]) => `${cell} ×${n}`).join(', ')}`);
+
+    const categories = Object.entries(s.categories).sort((a, b) => b[1] - a[1]).slice(0, 8);
+    if (categories.length > 0) lines.push(`    Category moves: ${categories.map(([move, n]) => `${move} ×${n}`).join(', ')}`);
+    if (s.weird.gained || s.weird.lost) lines.push(`    Weird flag: ${s.weird.gained} gained, ${s.weird.lost} lost`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,186 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Record & Replay
+ * ═══════════════════════════════════════════════════════
+ *
+ * `--record <dir>` saves everything a run read from the outside world;
+ * `--from-fixture <dir>` plays it back with no network and no database.
+ *
+ *   <dir>/manifest.json   sources rows, categories, review examples
+ *   <dir>/http/*.json     source and article-page responses
+ *   <dir>/model/*.json    Claude responses, keyed by the exact request
+ *   <dir>/dedup.json      what the dedup lookup returned
+ *   <dir>/results.json    what was (or would have been) stored
+ *
+ * Model responses are keyed by a hash of the whole request, so a
+ * changed prompt misses the recording and goes to the fallthrough
+ * client instead — that is how a prompt change is compared against a
+ * frozen corpus.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+
+// Query params that carry credentials; never written to disk or used in keys
+const SECRET_PARAM = /^(api[-_]?key|apikey|key|token|access_token)$/i;
+
+const hash = (value) => createHash('sha1').update(value).digest('hex').slice(0, 16);
+
+/** URL with credential params removed */
+export function redactUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return String(url);
+  }
+  for (const name of [...u.searchParams.keys()]) {
+    if (SECRET_PARAM.test(name)) u.searchParams.delete(name);
+  }
+  return u.href;
+}
+
+const httpKey = (url, init) => hash(`${init?.method || 'GET'} ${redactUrl(url)}`);
+const modelKey = (params) => hash(JSON.stringify({ model: params.model, system: params.system, messages: params.messages }));
+
+function readJSON(path, fallback) {
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : fallback;
+}
+
+function writeJSON(path, value) {
+  writeFileSync(path, JSON.stringify(value, null, 2));
+}
+
+// ═══ RECORD ═══
+
+/**
+ * Wrap the live fetch and Anthropic client so every response is also
+ * written to `dir`.
+ */
+export function createRecorder(dir, { fetchImpl = fetch, anthropic } = {}) {
+  for (const sub of ['http', 'model']) mkdirSync(join(dir, sub), { recursive: true });
+
+  return {
+    async fetch(url, init) {
+      const res = await fetchImpl(url, init);
+      const body = await res.text();
+      writeJSON(join(dir, 'http', `${httpKey(url, init)}.json`), {
+        url: redactUrl(url),
+        status: res.status,
+        headers: Object.fromEntries(res.headers),
+        body,
+      });
+      return new Response(res.status === 204 || res.status === 304 ? null : body, {
+        status: res.status,
+        headers: res.headers,
+      });
+    },
+
+    anthropic: anthropic && {
+      messages: {
+        async create(params) {
+          const response = await anthropic.messages.create(params);
+          writeJSON(join(dir, 'model', `${modelKey(params)}.json`), response);
+          return response;
+        },
+      },
+    },
+
+    /** Record a dedup lookup function's results */
+    lookup(lookupFn) {
+      return async (...args) => {
+        const rows = await lookupFn(...args);
+        writeJSON(join(dir, 'dedup.json'), rows);
+        return rows;
+      };
+    },
+
+    writeManifest(manifest) {
+      writeJSON(join(dir, 'manifest.json'), { recorded_at: new Date().toISOString(), ...manifest });
+    },
+
+    writeResults(results) {
+      writeJSON(join(dir, 'results.json'), results);
+    },
+  };
+}
+
+// ═══ REPLAY ═══
+
+/**
+ * Load a recorded run. `fallthrough` is the Anthropic client used for
+ * requests that have no recording (null to fail them instead).
+ */
+export function loadFixture(dir, { fallthrough = null } = {}) {
+  const manifest = readJSON(join(dir, 'manifest.json'), null);
+  if (!manifest) throw new Error(`No manifest.json in ${dir} — record one with --record ${dir}`);
+
+  const replay = { hits: 0, misses: 0 };
+
+  return {
+    manifest,
+    replay,
+    baseline: readJSON(join(dir, 'results.json'), null),
+
+    async fetch(url, init) {
+      const recorded = readJSON(join(dir, 'http', `${httpKey(url, init)}.json`), null);
+      if (!recorded) throw new Error(`No recorded response for ${redactUrl(url)}`);
+      const empty = recorded.status === 204 || recorded.status === 304;
+      return new Response(empty ? null : recorded.body, { status: recorded.status, headers: recorded.headers });
+    },
+
+    anthropic: {
+      messages: {
+        async create(params) {
+          const recorded = readJSON(join(dir, 'model', `${modelKey(params)}.json`), null);
+          if (recorded) {
+            replay.hits++;
+            return recorded;
+          }
+          replay.misses++;
+          if (!fallthrough) throw new Error('No recorded model response for this request (prompt or input changed)');
+          return fallthrough.messages.create(params);
+        },
+      },
+    },
+
+    async lookup() {
+      return readJSON(join(dir, 'dedup.json'), []);
+    },
+  };
+}
+
+// ═══ DIFF ═══
+
+const DIFF_FIELDS = ['status', 'review_reason', 'bloom_score', 'category_name', 'is_weird'];
+
+/**
+ * Compare this run's results with a recorded baseline, by source_url.
+ * Returns { added, removed, changed: [{ result, changes: [[field, before, after]] }], unchanged }.
+ */
+export function diffResults(results, baseline = []) {
+  const before = new Map(baseline.map(r => [r.source_url, r]));
+  const seen = new Set();
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const result of results) {
+    seen.add(result.source_url);
+    const old = before.get(result.source_url);
+    if (!old) {
+      diff.added.push(result);
+      continue;
+    }
+    const changes = DIFF_FIELDS
+      .filter(f => JSON.stringify(old[f] ?? null) !== JSON.stringify(result[f] ?? null))
+      .map(f => [f, old[f] ?? null, result[f] ?? null]);
+    if (changes.length > 0) diff.changed.push({ result, changes });
+    else diff.unchanged++;
+  }
+
+  for (const old of baseline) {
+    if (!seen.has(old.source_url)) diff.removed.push(old);
+  }
+  return diff;
+}
@@ -0,0 +1,73 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Stub Anthropic Client
+ * ═══════════════════════════════════════════════════════
+ *
+ * Stands in for `new Anthropic()` so the pipeline, the classifier's
+ * retry logic and cost accounting can run offline:
+ *
+ *   CLASSIFIER_MODE=stub npm run classify
+ *
+ * Replies with a deterministic, schema-valid classification for every
+ * "ID:" in the request and reports token usage estimated at four
+ * characters per token, the way a real response does.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { createHash } from 'node:crypto';
+import { DEFAULT_CATEGORIES } from './classifier.mjs';
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+function hashInt(text) {
+  return parseInt(createHash('sha1').update(text).digest('hex').slice(0, 8), 16);
+}
+
+/** Deterministic classification for one article block of the prompt */
+function classify(id, title, categories) {
+  const h = hashInt(`${id}:${title}`);
+  return {
+    id,
+    bloom_score: 1 + (h % 5),
+    category: categories[h % categories.length],
+    is_weird: h % 11 === 0,
+    summary: `Stub summary: ${title}`.slice(0, 200),
+    tags: ['stub'],
+    confidence: 0.5 + (h % 50) / 100,
+  };
+}
+
+/**
+ * `categories` limits what the stub returns: a list, or a function
+ * returning one for callers that load it after creating the client.
+ * `failEvery` makes every Nth call throw, to exercise the retry path.
+ */
+export function createStubAnthropic({ categories = DEFAULT_CATEGORIES, failEvery = 0 } = {}) {
+  const allowed = typeof categories === 'function' ? categories : () => categories;
+  let calls = 0;
+
+  return {
+    messages: {
+      async create(params) {
+        calls++;
+        if (failEvery && calls % failEvery === 0) throw new Error('stub: simulated API failure');
+
+        const prompt = [params.system || '', ...params.messages.map(m => m.content)].join('\n');
+        const user = params.messages.at(-1).content;
+        const items = [...user.matchAll(/^ID: (\S+)\nTitle: (.*)$/gm)]
+          .map(([, id, title]) => classify(id, title, allowed()));
+        const text = JSON.stringify(items, null, 2);
+
+        return {
+          id: `msg_stub_${calls}`,
+          type: 'message',
+          role: 'assistant',
+          model: params.model,
+          content: [{ type: 'text', text }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: estimateTokens(prompt), output_tokens: estimateTokens(text) },
+        };
+      },
+    },
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Tag Normalization
+ * ═══════════════════════════════════════════════════════
+ *
+ * The classifier returns 2–4 free-form tags per article ("Solar
+ * Panels", "solar panel", "EVs"). Before they are stored they are
+ * folded into one canonical name each:
+ *
+ *   1. trim, collapse whitespace, drop punctuation (& becomes "and")
+ *   2. lowercase everything but acronyms (NASA, CRISPR)
+ *   3. singularize the last word (batteries → battery, EVs → EV)
+ *   4. map synonyms onto one name (global warming → climate change)
+ *
+ * What's left is letters, digits, spaces and hyphens only, so a name
+ * can go into HTML as it is.
+ *
+ * The topic page for a tag lives at /topic/<tagSlug(name)>. The
+ * articles.tag_slugs column holds those slugs, and the tags table
+ * counts them (refresh_tags() in sql/schema.sql).
+ *
+ * Changing the synonym map or the rules? Run `npm run retag` to
+ * rewrite the stored tags.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { tagSlug } from '../../public/js/templates.js';
+
+export { tagSlug };
+
+export const MAX_TAGS = 4;
+const MAX_TAG_LENGTH = 40;
+
+// Keyed by the slug of the singularized tag
+export const SYNONYMS = {
+  'ai': 'AI',
+  'a-i': 'AI',
+  'artificial-intelligence': 'AI',
+  'machine-learning': 'machine learning',
+  'ml': 'machine learning',
+  'global-warming': 'climate change',
+  'climate-crisis': 'climate change',
+  'climate': 'climate change',
+  'renewable': 'renewable energy',
+  'clean-energy': 'renewable energy',
+  'solar-power': 'solar energy',
+  'solar': 'solar energy',
+  'wind-power': 'wind energy',
+  'ev': 'electric vehicle',
+  'electric-car': 'electric vehicle',
+  'covid': 'COVID-19',
+  'covid-19': 'COVID-19',
+  'coronavirus': 'COVID-19',
+  'crispr': 'gene editing',
+  'gene-therapy': 'gene therapy',
+  'quantum-computer': 'quantum computing',
+  'mental-wellbeing': 'mental health',
+  'space-travel': 'space exploration',
+  'reef': 'coral reef',
+  'coral': 'coral reef',
+  'wildlife-protection': 'conservation',
+};
+
+// Words that end in -s but aren't plural
+const INVARIANT = new Set([
+  'news', 'species', 'series', 'diabetes', 'measles', 'mumps', 'rabies', 'herpes',
+  'sars', 'mars', 'gas', 'bus', 'lens', 'atlas', 'chaos', 'cosmos', 'biomass',
+  'canvas', 'alias', 'bias', 'analysis', 'prognosis', 'diagnosis', 'thesis',
+  'arthritis', 'sclerosis', 'tuberculosis', 'fungus', 'virus', 'campus', 'status',
+  'us', 'uk', 'aids',
+]);
+
+const IRREGULAR = {
+  children: 'child', people: 'people', women: 'woman', men: 'man', mice: 'mouse',
+  teeth: 'tooth', feet: 'foot', geese: 'goose', data: 'data', media: 'media',
+  bacteria: 'bacteria', fungi: 'fungus', cacti: 'cactus', nuclei: 'nucleus',
+  wolves: 'wolf', leaves: 'leaf', lives: 'life', knives: 'knife', shelves: 'shelf',
+  halves: 'half', calves: 'calf', wives: 'wife',
+  heroes: 'hero', potatoes: 'potato', tomatoes: 'tomato', volcanoes: 'volcano',
+  tornadoes: 'tornado', mosquitoes: 'mosquito', echoes: 'echo',
+};
+
+const isAcronym = (word) => /^[A-Z0-9][A-Z0-9-]*[A-Z0-9]$/.test(word) && /[A-Z]/.test(word) && word.length <= 6;
+
+/** Singular form of one lowercase word (best effort, English only) */
+export function singularize(word) {
+  if (IRREGULAR[word]) return IRREGULAR[word];
+  if (word.length <= 3 || INVARIANT.has(word)) return word;
+  if (/(ics|ss|us|is|ous)$/.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  // churches, boxes, buses (but houses, causes)
+  if (/(ches|shes|xes|zes|sses|[^aeiou]uses)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Canonical name for one raw tag, or null when nothing usable is left.
+ */
+export function normalizeTag(raw) {
+  if (typeof raw !== 'string') return null;
+  const cleaned = raw
+    .normalize('NFKC')
+    .replace(/^#+/, '')
+    .replace(/['’]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^-+|-+$/g, '');
+  if (!cleaned) return null;
+
+  const words = cleaned.split(' ');
+  const last = words.length - 1;
+  // EVs → EV before acronyms are told apart from words
+  if (/s$/.test(words[last]) && isAcronym(words[last].slice(0, -1))) words[last] = words[last].slice(0, -1);
+  for (let i = 0; i < words.length; i++) {
+    if (isAcronym(words[i])) continue;
+    words[i] = words[i].toLowerCase();
+    if (i === last) words[i] = singularize(words[i]);
+  }
+
+  const name = words.join(' ');
+  const canonical = SYNONYMS[tagSlug(name)] || name;
+  if (!tagSlug(canonical) || canonical.length > MAX_TAG_LENGTH) return null;
+  return canonical;
+}
+
+/**
+ * Normalized, de-duplicated tags in the classifier's order (at most
+ * MAX_TAGS). Two tags that end up with the same slug count once.
+ */
+export function normalizeTags(rawTags) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of rawTags || []) {
+    const name = normalizeTag(raw);
+    const slug = name && tagSlug(name);
+    if (!slug || seen.has(slug)) continue;
+    seen.add(slug);
+    out.push(name);
+    if (out.length === MAX_TAGS) break;
+  }
+  return out;
+}
+
+/** Columns to write for an article's tags: the names and their slugs */
+export function tagColumns(tags) {
+  const ai_tags = normalizeTags(tags);
+  return { ai_tags, tag_slugs: ai_tags.map(tagSlug) };
+}
@@ -0,0 +1,129 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Token Usage & Cost
+ * ═══════════════════════════════════════════════════════
+ *
+ * Every Anthropic response carries `usage` (input/output tokens). The
+ * meter prices each call from MODEL_PRICES and attributes it to the
+ * sources of the articles in that call, split evenly per article.
+ *
+ * Prices are USD per million tokens. Override or extend the table with
+ * MODEL_PRICES_JSON, e.g. {"claude-haiku-4-5-20251001":{"input":1,"output":5}}
+ * ═══════════════════════════════════════════════════════
+ */
+
+export const MODEL_PRICES = {
+  'claude-haiku-4-5-20251001': { input: 1.00, output: 5.00 },
+  'claude-3-5-haiku-20241022': { input: 0.80, output: 4.00 },
+  'claude-sonnet-4-5-20250929': { input: 3.00, output: 15.00 },
+};
+
+/** Built-in table merged with MODEL_PRICES_JSON, if set */
+export function loadPrices(env = process.env) {
+  if (!env.MODEL_PRICES_JSON) return { ...MODEL_PRICES };
+  let overrides;
+  try {
+    overrides = JSON.parse(env.MODEL_PRICES_JSON);
+  } catch (err) {
+    throw new Error(`MODEL_PRICES_JSON is not valid JSON: ${err.message}`);
+  }
+  return { ...MODEL_PRICES, ...overrides };
+}
+
+/** Dollar cost of one response's usage */
+export function priceUsage(prices, model, usage = {}) {
+  const price = prices[model];
+  if (!price) throw new Error(`No price configured for model ${model}`);
+  return ((usage.input_tokens || 0) * price.input + (usage.output_tokens || 0) * price.output) / 1_000_000;
+}
+
+const emptyTotals = () => ({ calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+
+/**
+ * Running totals for one pipeline run.
+ *
+ * After setBudget(budgetUsd, spentToday) — spentToday being what earlier
+ * runs already spent — `exhausted` turns true once that plus this run's
+ * cost reaches the budget. The meter only reports; callers decide to stop.
+ */
+export function createUsageMeter({ prices = MODEL_PRICES } = {}) {
+  const run = emptyTotals();
+  const bySource = new Map();
+  let budgetUsd = null;
+  let spentToday = 0;
+
+  return {
+    setBudget(budget, spent = 0) {
+      budgetUsd = budget;
+      spentToday = spent;
+    },
+
+    /** Record one model call made for `articles` */
+    record({ model, usage, articles = [] }) {
+      const cost = priceUsage(prices, model, usage);
+      const input = usage?.input_tokens || 0;
+      const output = usage?.output_tokens || 0;
+
+      run.calls++;
+      run.input_tokens += input;
+      run.output_tokens += output;
+      run.cost_usd += cost;
+
+      const share = articles.length || 1;
+      for (const article of articles) {
+        const key = article.api_source || 'unknown';
+        if (!bySource.has(key)) bySource.set(key, emptyTotals());
+        const totals = bySource.get(key);
+        totals.calls += 1 / share;
+        totals.input_tokens += input / share;
+        totals.output_tokens += output / share;
+        totals.cost_usd += cost / share;
+      }
+      return cost;
+    },
+
+    get totals() {
+      return { ...run };
+    },
+
+    /** { source: { calls, input_tokens, output_tokens, cost_usd } }, rounded */
+    bySource() {
+      const out = {};
+      for (const [source, t] of bySource) {
+        out[source] = {
+          calls: Math.round(t.calls * 100) / 100,
+          input_tokens: Math.round(t.input_tokens),
+          output_tokens: Math.round(t.output_tokens),
+          cost_usd: Math.round(t.cost_usd * 10000) / 10000,
+        };
+      }
+      return out;
+    },
+
+    get spentToday() {
+      return spentToday + run.cost_usd;
+    },
+
+    get exhausted() {
+      return budgetUsd != null && spentToday + run.cost_usd >= budgetUsd;
+    },
+  };
+}
+
+/**
+ * What earlier runs (pipeline and backfills) spent since midnight UTC,
+ * from ingestion_log
+ */
+export async function loadSpentToday(supabase) {
+  const midnight = new Date();
+  midnight.setUTCHours(0, 0, 0, 0);
+
+  const { data, error } = await supabase
+    .from('ingestion_log')
+    .select('api_cost_usd')
+    .gte('run_at', midnight.toISOString())
+    .not('api_cost_usd', 'is', null);
+
+  if (error) throw new Error(`Could not load today's spend: ${error.message}`);
+  return (data || []).reduce((sum, r) => sum + Number(r.api_cost_usd), 0);
+}
@@ -0,0 +1,94 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Retag Stored Articles
+ * ═══════════════════════════════════════════════════════
+ *
+ * Runs the tag normalization in lib/tags.mjs over every stored article
+ * and rewrites ai_tags and tag_slugs where they change, then rebuilds
+ * the counts in the tags table. Needed once after migration 012, and
+ * again whenever the synonym map or the rules change.
+ *
+ *   npm run retag [-- --dry-run]
+ *
+ * --dry-run      print the changes, update nothing
+ *
+ * No Claude calls: the stored tags are re-normalized, not regenerated.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { tagColumns } from './lib/tags.mjs';
+
+const PAGE_SIZE = 1000;
+
+const { values: cli } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const same = (a, b) => (a || []).length === (b || []).length && (a || []).every((v, i) => v === b[i]);
+
+// ═══ MAIN ═══
+
+async function run() {
+  const dryRun = cli['dry-run'];
+  console.log('═══ Newphoria Retag ═══');
+  if (dryRun) console.log('  Dry run — articles are not updated');
+
+  let scanned = 0;
+  let changed = 0;
+  const errors = [];
+  const renames = new Map();  // "raw → normalized" → articles
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('articles')
+      .select('id, ai_tags, tag_slugs')
+      .not('ai_tags', 'is', null)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`Could not load articles: ${error.message}`);
+
+    for (const article of data) {
+      scanned++;
+      const next = tagColumns(article.ai_tags);
+      if (same(next.ai_tags, article.ai_tags) && same(next.tag_slugs, article.tag_slugs)) continue;
+
+      changed++;
+      const key = `${article.ai_tags.join(', ')} → ${next.ai_tags.join(', ')}`;
+      renames.set(key, (renames.get(key) || 0) + 1);
+      if (dryRun) continue;
+
+      const { error: updateError } = await supabase.from('articles').update(next).eq('id', article.id);
+      if (updateError) errors.push(`Update failed for ${article.id}: ${updateError.message}`);
+    }
+
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  console.log(`  ${scanned} articles scanned, ${changed} ${dryRun ? 'would change' : 'changed'}`);
+  const common = [...renames].sort((a, b) => b[1] - a[1]).slice(0, 25);
+  for (const [rename, n] of common) console.log(`  ${String(n).padStart(5)}× ${rename}`);
+
+  if (!dryRun) {
+    const { data: tagCount, error } = await supabase.rpc('refresh_tags');
+    if (error) errors.push(`Tag counts: ${error.message}`);
+    else console.log(`  Tags counted: ${tagCount}`);
+  }
+
+  if (errors.length > 0) {
+    console.log(`Errors: ${errors.length}`);
+    errors.forEach(e => console.log(`  ${e}`));
+    process.exitCode = 1;
+  }
+}
+
+// ═══ RUN ═══
+run().catch(err => {
+  console.error('Retag error:', err.message);
+  process.exitCode = 1;
+});
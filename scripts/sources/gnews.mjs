@@ -0,0 +1,42 @@
+/**
+ * GNews.io adapter (free: 100 req/day)
+ */
+
+const TOPICS = ['science', 'technology', 'health', 'world'];
+
+export default {
+  name: 'gnews',
+  configKeys: ['GNEWS_API_KEY'],
+  // 12 runs/day × 4 topics = 48 of the 100/day free tier
+  rateLimit: { maxRequestsPerRun: TOPICS.length, minIntervalMs: 1000 },
+
+  async fetch(ctx) {
+    const items = [];
+
+    for (const topic of TOPICS) {
+      try {
+        const data = await ctx.json(
+          `https://gnews.io/api/v4/top-headlines?topic=${topic}&lang=en&max=20&apikey=${ctx.config.GNEWS_API_KEY}`
+        );
+        if (data.articles) items.push(...data.articles);
+      } catch (err) {
+        ctx.error(`fetch failed: ${topic}: ${err.message}`);
+      }
+    }
+
+    return items;
+  },
+
+  normalize(a) {
+    return {
+      title: a.title,
+      excerpt: a.description,
+      source_url: a.url,
+      image_url: a.image,
+      source_name: a.source?.name || 'Unknown',
+      author: null,
+      published_at: a.publishedAt,
+      raw_content: a.content,
+    };
+  },
+};
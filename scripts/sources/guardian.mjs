@@ -0,0 +1,41 @@
+/**
+ * The Guardian Open Platform adapter (free: 5,000 req/day)
+ */
+
+const SECTIONS = ['science', 'technology', 'environment', 'society'];
+
+export default {
+  name: 'guardian',
+  configKeys: ['GUARDIAN_API_KEY'],
+  rateLimit: { maxRequestsPerRun: SECTIONS.length, minIntervalMs: 100 },
+
+  async fetch(ctx) {
+    const items = [];
+
+    for (const section of SECTIONS) {
+      try {
+        const data = await ctx.json(
+          `https://content.guardianapis.com/search?section=${section}&order-by=newest&page-size=20&show-fields=trailText,thumbnail,byline&api-key=${ctx.config.GUARDIAN_API_KEY}`
+        );
+        if (data.response?.results) items.push(...data.response.results);
+      } catch (err) {
+        ctx.error(`fetch failed: ${section}: ${err.message}`);
+      }
+    }
+
+    return items;
+  },
+
+  normalize(a) {
+    return {
+      title: a.webTitle,
+      excerpt: a.fields?.trailText || '',
+      source_url: a.webUrl,
+      image_url: a.fields?.thumbnail || null,
+      source_name: 'The Guardian',
+      author: a.fields?.byline || null,
+      published_at: a.webPublicationDate,
+      raw_content: null,
+    };
+  },
+};
@@ -0,0 +1,51 @@
+/**
+ * Per-source fetch health
+ *
+ * Stores conditional-GET validators and success/failure counters on the
+ * `sources` row, and switches a source off once it has failed
+ * MAX_CONSECUTIVE_FAILURES runs in a row.
+ */
+
+export const MAX_CONSECUTIVE_FAILURES = Number(process.env.SOURCE_MAX_FAILURES) || 5;
+
+/**
+ * Record the outcome of one fetch against a `sources` row.
+ * Returns { deactivated } so the caller can surface it in the run report.
+ */
+export async function recordSourceHealth(supabase, source, { ok, notModified = false, itemCount = 0, etag, lastModified, error }) {
+  const now = new Date().toISOString();
+  let patch;
+
+  if (ok) {
+    patch = {
+      last_fetched_at: now,
+      last_success_at: now,
+      consecutive_failures: 0,
+      last_error: null,
+    };
+    // A 304 keeps the validators and item count from the last real download
+    if (!notModified) {
+      patch.etag = etag || null;
+      patch.last_modified = lastModified || null;
+      patch.last_item_count = itemCount;
+    }
+  } else {
+    const failures = (source.consecutive_failures || 0) + 1;
+    patch = {
+      last_fetched_at: now,
+      consecutive_failures: failures,
+      last_error: error || 'Unknown error',
+    };
+    if (failures >= MAX_CONSECUTIVE_FAILURES) patch.is_active = false;
+  }
+
+  const { error: updateError } = await supabase
+    .from('sources')
+    .update(patch)
+    .eq('id', source.id);
+
+  if (updateError) console.error(`Could not update health for ${source.name}:`, updateError.message);
+
+  Object.assign(source, patch);
+  return { deactivated: patch.is_active === false };
+}
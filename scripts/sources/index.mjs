@@ -0,0 +1,222 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Source Adapter Registry
+ * The INTERPRET stage of the Coaptō engine
+ * ═══════════════════════════════════════════════════════
+ *
+ * Every provider is an adapter object:
+ *
+ *   {
+ *     name:       'newsapi',            // matches sources.api_source
+ *     configKeys: ['NEWSAPI_KEY'],      // env vars required to run
+ *     rateLimit:  { maxRequestsPerRun, minIntervalMs },
+ *     fetch(ctx, sources) → raw items   // ctx.request / ctx.json are rate-limited,
+ *                                       // ctx.recordHealth(source, result) tracks feeds,
+ *                                       // ctx.error(message) reports a failed request
+ *     normalize(item)     → article     // the shape classifyBatch expects
+ *   }
+ *
+ * Adapters are switched on from the `sources` table: an adapter runs
+ * when at least one active row has its name in `api_source`. To add a
+ * provider, drop a file in this folder and register it below.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import newsapi from './newsapi.mjs';
+import guardian from './guardian.mjs';
+import gnews from './gnews.mjs';
+import rss from './rss.mjs';
+import { recordSourceHealth } from './health.mjs';
+
+const registry = new Map();
+
+/**
+ * Add an adapter to the registry
+ */
+export function registerAdapter(adapter) {
+  for (const key of ['name', 'fetch', 'normalize']) {
+    if (!adapter?.[key]) throw new Error(`Source adapter is missing "${key}"`);
+  }
+  if (registry.has(adapter.name)) {
+    throw new Error(`Source adapter "${adapter.name}" is already registered`);
+  }
+  registry.set(adapter.name, { configKeys: [], rateLimit: {}, ...adapter });
+}
+
+export function getAdapter(name) {
+  return registry.get(name) || null;
+}
+
+export function listAdapters() {
+  return [...registry.values()];
+}
+
+// Provider quota headers worth keeping (X-RateLimit-Remaining-Day, Retry-After, ...)
+const QUOTA_HEADER = /ratelimit|rate-limit|quota|retry-after|requests-remaining/i;
+
+/** URL without its query string, which often carries an API key */
+function redact(url) {
+  return String(url).split('?')[0];
+}
+
+/**
+ * Build the per-run context handed to an adapter: its config values,
+ * a fetch wrapper that enforces the adapter's declared rate limit, and
+ * a health recorder that collects deactivated sources into ctx.report.
+ *
+ * ctx.report also collects what the ingestion log needs per adapter:
+ * request count, total latency, HTTP errors, failure messages and the
+ * most recent quota headers.
+ */
+export function createContext(adapter, { supabase, env = process.env, fetchImpl = fetch } = {}) {
+  const { maxRequestsPerRun = Infinity, minIntervalMs = 0 } = adapter.rateLimit;
+  const config = Object.fromEntries(adapter.configKeys.map(k => [k, env[k]]));
+  let requests = 0;
+  let lastRequestAt = 0;
+
+  const ctx = {
+    config,
+    report: {
+      source: adapter.name,
+      deactivated: [],
+      requests: 0,
+      latency_ms: 0,
+      http_errors: [],
+      errors: [],
+      quota: null,
+      feeds: {},    // per sources row, from recordHealth
+    },
+
+    async request(url, init) {
+      if (requests >= maxRequestsPerRun) {
+        throw new Error(`${adapter.name} rate limit reached (${maxRequestsPerRun} requests per run)`);
+      }
+      const wait = lastRequestAt + minIntervalMs - Date.now();
+      if (wait > 0) await new Promise(r => setTimeout(r, wait));
+      requests++;
+      lastRequestAt = Date.now();
+      ctx.report.requests++;
+
+      let res;
+      try {
+        res = await fetchImpl(url, init);
+      } catch (err) {
+        ctx.report.http_errors.push({ url: redact(url), status: null, error: err.message });
+        throw err;
+      } finally {
+        ctx.report.latency_ms += Date.now() - lastRequestAt;
+      }
+
+      const quota = {};
+      res.headers.forEach((value, name) => {
+        if (QUOTA_HEADER.test(name)) quota[name] = value;
+      });
+      if (Object.keys(quota).length > 0) ctx.report.quota = quota;
+      if (!res.ok && res.status !== 304) ctx.report.http_errors.push({ url: redact(url), status: res.status });
+
+      return res;
+    },
+
+    async json(url, init) {
+      const res = await ctx.request(url, init);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    },
+
+    /** Log a failure the adapter recovered from, and keep it for the run report */
+    error(message) {
+      console.error(`${adapter.name}: ${message}`);
+      ctx.report.errors.push(message);
+    },
+
+    async recordHealth(source, result) {
+      ctx.report.feeds[source.name] = result.ok
+        ? { ok: true, items: result.notModified ? 0 : result.itemCount || 0, not_modified: !!result.notModified }
+        : { ok: false, error: result.error };
+      if (!supabase) return;
+      const { deactivated } = await recordSourceHealth(supabase, source, result);
+      if (deactivated) ctx.report.deactivated.push(source.name);
+    },
+  };
+
+  return ctx;
+}
+
+/**
+ * Active rows from `sources`
+ */
+export async function loadSourceRows(supabase) {
+  const { data, error } = await supabase
+    .from('sources')
+    .select('id, name, slug, feed_url, api_source, reliability_score, etag, last_modified, consecutive_failures')
+    .eq('is_active', true);
+
+  if (error) throw new Error(`Could not load sources: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Group `sources` rows under their adapter.
+ * Returns [{ adapter, sources }] for every adapter that can run.
+ */
+export function groupByAdapter(rows, env = process.env) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!row.api_source) continue;
+    if (!groups.has(row.api_source)) groups.set(row.api_source, []);
+    groups.get(row.api_source).push(row);
+  }
+
+  const enabled = [];
+  for (const [name, sources] of groups) {
+    const adapter = getAdapter(name);
+    if (!adapter) {
+      console.warn(`  No adapter registered for api_source "${name}" (${sources.length} sources skipped)`);
+      continue;
+    }
+    const missing = adapter.configKeys.filter(k => !env[k]);
+    if (missing.length > 0) {
+      console.warn(`  Skipping ${name}: missing ${missing.join(', ')}`);
+      continue;
+    }
+    enabled.push({ adapter, sources });
+  }
+
+  return enabled;
+}
+
+/**
+ * Load active rows from `sources` and group them under their adapter.
+ */
+export async function loadEnabledAdapters(supabase, env = process.env) {
+  return groupByAdapter(await loadSourceRows(supabase), env);
+}
+
+/**
+ * Fetch and normalize one adapter's articles.
+ * Returns { articles, report } — report lists sources switched off this
+ * run, plus the request stats collected by the context. An adapter that
+ * throws still resolves, with the error in report.errors.
+ */
+export async function runAdapter(adapter, sources, { supabase, env = process.env, fetchImpl } = {}) {
+  const ctx = createContext(adapter, { supabase, env, fetchImpl });
+  const startedAt = Date.now();
+
+  let articles = [];
+  try {
+    const items = await adapter.fetch(ctx, sources);
+    articles = items.map(item => ({
+      ...adapter.normalize(item),
+      api_source: adapter.name,
+    }));
+  } catch (err) {
+    ctx.error(err.message);
+    ctx.report.failed = true;
+  }
+
+  ctx.report.duration_ms = Date.now() - startedAt;
+  return { articles, report: ctx.report };
+}
+
+// ═══ BUILT-IN ADAPTERS ═══
+[newsapi, guardian, gnews, rss].forEach(registerAdapter);
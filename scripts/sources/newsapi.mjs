@@ -0,0 +1,50 @@
+/**
+ * NewsAPI.org adapter (free: 100 req/day)
+ * Searches for constructive/positive news across top sources
+ */
+
+const QUERIES = [
+  'breakthrough OR discovery OR innovation OR milestone',
+  'renewable energy OR clean technology OR sustainability',
+  'medical breakthrough OR cure OR treatment approved',
+  'community OR volunteers OR nonprofit success',
+  'space exploration OR NASA OR telescope discovery',
+];
+
+export default {
+  name: 'newsapi',
+  configKeys: ['NEWSAPI_KEY'],
+  // 12 runs/day × 5 queries stays well under the 100/day free tier
+  rateLimit: { maxRequestsPerRun: QUERIES.length, minIntervalMs: 250 },
+
+  async fetch(ctx) {
+    const items = [];
+
+    for (const q of QUERIES) {
+      try {
+        const data = await ctx.json(
+          `https://newsapi.org/v2/everything?q=${encodeURIComponent(q)}&sortBy=publishedAt&pageSize=20&language=en`,
+          { headers: { 'X-Api-Key': ctx.config.NEWSAPI_KEY } }
+        );
+        if (data.articles) items.push(...data.articles);
+      } catch (err) {
+        ctx.error(`query failed: ${q}: ${err.message}`);
+      }
+    }
+
+    return items;
+  },
+
+  normalize(a) {
+    return {
+      title: a.title,
+      excerpt: a.description,
+      source_url: a.url,
+      image_url: a.urlToImage,
+      source_name: a.source?.name || 'Unknown',
+      author: a.author,
+      published_at: a.publishedAt,
+      raw_content: a.content,
+    };
+  },
+};
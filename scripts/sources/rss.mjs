@@ -0,0 +1,72 @@
+/**
+ * RSS/Atom adapter (unlimited, free)
+ * One feed per active `sources` row with api_source = 'rss' and a feed_url.
+ * Feeds are fetched with the stored ETag / Last-Modified so unchanged
+ * feeds come back as an empty 304.
+ */
+
+import Parser from 'rss-parser';
+
+const rssParser = new Parser();
+
+/** Extract first image URL from HTML content */
+export function extractImageFromContent(html) {
+  if (!html) return null;
+  const match = html.match(/<img[^>]+src=["']([^"']+)["']/);
+  return match ? match[1] : null;
+}
+
+export default {
+  name: 'rss',
+  configKeys: [],
+  rateLimit: { maxRequestsPerRun: 100, minIntervalMs: 0 },
+
+  async fetch(ctx, sources) {
+    const items = [];
+
+    for (const feed of sources.filter(s => s.feed_url)) {
+      const headers = {};
+      if (feed.etag) headers['If-None-Match'] = feed.etag;
+      if (feed.last_modified) headers['If-Modified-Since'] = feed.last_modified;
+
+      try {
+        const res = await ctx.request(feed.feed_url, { headers, signal: AbortSignal.timeout(10000) });
+
+        if (res.status === 304) {
+          await ctx.recordHealth(feed, { ok: true, notModified: true });
+          continue;
+        }
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+        const parsed = await rssParser.parseString(await res.text());
+        const feedItems = (parsed.items || []).slice(0, 15);
+        items.push(...feedItems.map(item => ({ ...item, feedSource: feed.name })));
+
+        await ctx.recordHealth(feed, {
+          ok: true,
+          itemCount: feedItems.length,
+          etag: res.headers.get('etag'),
+          lastModified: res.headers.get('last-modified'),
+        });
+      } catch (err) {
+        ctx.error(`fetch failed: ${feed.name}: ${err.message}`);
+        await ctx.recordHealth(feed, { ok: false, error: err.message });
+      }
+    }
+
+    return items;
+  },
+
+  normalize(item) {
+    return {
+      title: item.title,
+      excerpt: item.contentSnippet || item.content?.substring(0, 300) || '',
+      source_url: item.link,
+      image_url: item.enclosure?.url || extractImageFromContent(item.content) || null,
+      source_name: item.feedSource,
+      author: item.creator || item.author || null,
+      published_at: item.isoDate || item.pubDate || new Date().toISOString(),
+      raw_content: item.content,
+    };
+  },
+};
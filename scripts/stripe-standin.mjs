@@ -0,0 +1,387 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Local Stripe Stand-in
+ * ═══════════════════════════════════════════════════════
+ *
+ * Plays Stripe for Newphoria+ so checkout, the webhook and the customer
+ * portal can be tried without a Stripe account:
+ *
+ *   npm run stripe:standin [-- --port 12111] [--webhook http://localhost:8888/api/stripe/webhook]
+ *   npm run stripe:standin -- --replay fixtures/stripe [--replay file.json …]
+ *
+ * Run `netlify dev` with
+ *   STRIPE_API_BASE=http://localhost:12111  STRIPE_SECRET_KEY=sk_test_standin
+ *   STRIPE_WEBHOOK_SECRET=whsec_standin     STRIPE_PRICE_ID=price_standin
+ *
+ * Serves the API calls netlify/lib/stripe.mjs makes, plus:
+ *   /checkout/<session>   a test payment page; paying creates the
+ *                         customer and a trialing subscription
+ *   /portal/<customer>    what a member can do in the real portal
+ *                         (cancel, resume), and the changes Stripe makes
+ *                         on its own schedule (trial ending, trial over,
+ *                         failed and recovered payments)
+ * Every change is posted to --webhook as a signed event, as Stripe would.
+ *
+ * --replay posts recorded events (a directory of .json files, or single
+ * files) in the order they happened, with fresh signatures, while
+ * serving the subscriptions they refer to; then it exits.
+ *
+ * State lives in memory and is gone when the process stops.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import { randomBytes } from 'node:crypto';
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { STRIPE_API_VERSION, signPayload } from '../netlify/lib/stripe.mjs';
+import { html } from '../public/js/templates.js';
+
+const DAY_S = 24 * 60 * 60;
+const MONTH_S = 30 * DAY_S;
+
+const { values: cli } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.STRIPE_STANDIN_PORT || '12111' },
+    webhook: { type: 'string', default: 'http://localhost:8888/api/stripe/webhook' },
+    secret: { type: 'string', default: process.env.STRIPE_WEBHOOK_SECRET || 'whsec_standin' },
+    replay: { type: 'string', multiple: true },
+  },
+});
+
+const base = `http://localhost:${cli.port}`;
+const sessions = new Map();
+const subscriptions = new Map();
+const customers = new Map();
+
+const newId = (prefix) => `${prefix}_${randomBytes(12).toString('base64url').replace(/[-_]/g, '')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+// ═══ WEBHOOKS ═══
+
+/** Sign and post a raw event payload; returns the response status (0 when unreachable) */
+async function deliver(payload, type) {
+  try {
+    const res = await fetch(cli.webhook, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signPayload(payload, cli.secret) },
+      body: payload,
+      signal: AbortSignal.timeout(15000),
+    });
+    console.log(`  → ${type} ${res.status} ${(await res.text()).slice(0, 200)}`);
+    return res.status;
+  } catch (err) {
+    console.log(`  → ${type} not delivered: ${err.message}`);
+    return 0;
+  }
+}
+
+function sendEvent(type, object, previous = null) {
+  const event = {
+    id: newId('evt'),
+    object: 'event',
+    api_version: STRIPE_API_VERSION,
+    created: now(),
+    data: previous ? { object, previous_attributes: previous } : { object },
+    livemode: false,
+    pending_webhooks: 1,
+    request: { id: null, idempotency_key: null },
+    type,
+  };
+  return deliver(JSON.stringify(event, null, 2), type);
+}
+
+// ═══ API ═══
+
+function apiError(res, status, message) {
+  send(res, status, JSON.stringify({ error: { message, type: 'invalid_request_error' } }), 'application/json');
+}
+
+function createSession(params) {
+  const price = params.get('line_items[0][price]');
+  if (params.get('mode') !== 'subscription') return [400, 'Only mode=subscription is supported by the stand-in'];
+  if (!price || !params.get('success_url') || !params.get('cancel_url')) return [400, 'Missing required param: line_items[0][price], success_url or cancel_url'];
+  const customer = params.get('customer');
+  if (customer && !customers.has(customer)) return [400, `No such customer: '${customer}'`];
+
+  const session = {
+    id: newId('cs_test'),
+    object: 'checkout.session',
+    mode: 'subscription',
+    status: 'open',
+    price,
+    trial_days: Number(params.get('subscription_data[trial_period_days]')) || 0,
+    customer: customer || null,
+    customer_email: params.get('customer_email') || null,
+    client_reference_id: params.get('client_reference_id') || null,
+    success_url: params.get('success_url'),
+    cancel_url: params.get('cancel_url'),
+    subscription: null,
+    created: now(),
+  };
+  session.url = `${base}/checkout/${session.id}`;
+  sessions.set(session.id, session);
+  return [200, session];
+}
+
+async function api(req, res, path, body) {
+  if (!/^Bearer sk_test_/.test(req.headers.authorization || '')) return apiError(res, 401, 'Invalid API Key provided (the stand-in takes any sk_test_ key)');
+  const params = new URLSearchParams(body);
+
+  if (req.method === 'POST' && path === '/v1/checkout/sessions') {
+    const [status, result] = createSession(params);
+    return status === 200 ? send(res, 200, JSON.stringify(result), 'application/json') : apiError(res, status, result);
+  }
+
+  const subscription = /^\/v1\/subscriptions\/([^/]+)$/.exec(path);
+  if (req.method === 'GET' && subscription) {
+    const found = subscriptions.get(decodeURIComponent(subscription[1]));
+    return found ? send(res, 200, JSON.stringify(found), 'application/json') : apiError(res, 404, `No such subscription: '${subscription[1]}'`);
+  }
+
+  if (req.method === 'POST' && path === '/v1/billing_portal/sessions') {
+    const customer = params.get('customer');
+    if (!customers.has(customer)) return apiError(res, 400, `No such customer: '${customer}'`);
+    const returnUrl = params.get('return_url') || '';
+    const url = `${base}/portal/${customer}?return_url=${encodeURIComponent(returnUrl)}`;
+    return send(res, 200, JSON.stringify({ id: newId('bps'), object: 'billing_portal.session', customer, return_url: returnUrl, url }), 'application/json');
+  }
+
+  apiError(res, 404, `Unrecognized request URL (${req.method}: ${path}). The stand-in only serves what Newphoria+ uses.`);
+}
+
+// ═══ CHECKOUT PAGE ═══
+
+function page(title, content) {
+  return html`<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>${title}</title>
+<style>body{font:15px/1.5 system-ui,sans-serif;max-width:520px;margin:60px auto;padding:0 20px;color:#1a1f36;}h1{font-size:22px;}.test{background:#ffde92;color:#6b4b00;font-size:12px;font-weight:700;padding:2px 8px;border-radius:4px;}form{margin:12px 0;}input{padding:8px;width:100%;box-sizing:border-box;margin:6px 0 12px;}button{padding:10px 16px;margin:4px 4px 4px 0;cursor:pointer;}dl{display:grid;grid-template-columns:auto 1fr;gap:4px 16px;}dt{color:#697386;}</style>
+</head><body><p><span class="test">TEST MODE · Stripe stand-in</span></p><h1>${title}</h1>${content}</body></html>`.toString();
+}
+
+function checkoutPage(session) {
+  if (session.status !== 'open') return page('Checkout finished', html`<p>This session is ${session.status}.</p>`);
+  const email = session.customer ? customers.get(session.customer).email : session.customer_email;
+  return page('Subscribe to Newphoria+', html`
+<p>${session.price} · monthly${session.trial_days ? ` · ${session.trial_days}-day free trial` : ''}</p>
+<form method="post">
+  <label>Email<input type="email" name="email" value="${email || ''}" required ${session.customer ? 'readonly' : ''}></label>
+  <button type="submit">${session.trial_days ? 'Start trial' : 'Subscribe'}</button>
+  <a href="${session.cancel_url}">Cancel</a>
+</form>`);
+}
+
+function subscriptionFor(session, customer) {
+  const created = now();
+  const trialEnd = session.trial_days ? created + session.trial_days * DAY_S : null;
+  return {
+    id: newId('sub'),
+    object: 'subscription',
+    cancel_at: null,
+    cancel_at_period_end: false,
+    canceled_at: null,
+    created,
+    current_period_start: created,
+    current_period_end: trialEnd || created + MONTH_S,
+    customer,
+    ended_at: null,
+    items: { object: 'list', data: [{ id: newId('si'), object: 'subscription_item', price: { id: session.price, object: 'price', currency: 'usd', unit_amount: 599, recurring: { interval: 'month', interval_count: 1 } }, quantity: 1 }] },
+    livemode: false,
+    metadata: {},
+    status: trialEnd ? 'trialing' : 'active',
+    trial_start: trialEnd ? created : null,
+    trial_end: trialEnd,
+  };
+}
+
+async function pay(session, email) {
+  let customer = session.customer;
+  if (!customer) {
+    customer = newId('cus');
+    customers.set(customer, { id: customer, email });
+  }
+  const subscription = subscriptionFor(session, customer);
+  subscriptions.set(subscription.id, subscription);
+  Object.assign(session, { status: 'complete', customer, subscription: subscription.id });
+
+  console.log(`Checkout ${session.id}: ${email} → ${subscription.id} (${subscription.status})`);
+  // Stripe sends these in no fixed order; the subscription event often comes first
+  await sendEvent('customer.subscription.created', subscription);
+  await sendEvent('checkout.session.completed', {
+    id: session.id,
+    object: 'checkout.session',
+    mode: 'subscription',
+    status: 'complete',
+    payment_status: session.trial_days ? 'no_payment_required' : 'paid',
+    customer,
+    customer_details: { email, name: null },
+    customer_email: session.customer_email,
+    client_reference_id: session.client_reference_id,
+    subscription: subscription.id,
+    success_url: session.success_url,
+    cancel_url: session.cancel_url,
+    created: session.created,
+    livemode: false,
+    metadata: {},
+  });
+}
+
+// ═══ PORTAL PAGE ═══
+
+const PORTAL_ACTIONS = {
+  'cancel-at-period-end': { label: 'Cancel at period end', when: s => s.status !== 'canceled' && !s.cancel_at_period_end },
+  resume: { label: "Don't cancel", when: s => s.status !== 'canceled' && s.cancel_at_period_end },
+  'cancel-now': { label: 'Cancel now', when: s => s.status !== 'canceled' },
+  'trial-will-end': { label: 'Stripe: trial ends in 3 days', when: s => s.status === 'trialing' },
+  'end-trial': { label: 'Stripe: trial over, first payment', when: s => s.status === 'trialing' },
+  'payment-failed': { label: 'Stripe: renewal payment fails', when: s => s.status === 'active' },
+  'payment-recovered': { label: 'Stripe: retried payment succeeds', when: s => s.status === 'past_due' },
+};
+
+function portalPage(customer, returnUrl) {
+  const owned = [...subscriptions.values()].filter(s => s.customer === customer.id);
+  const date = (t) => (t ? new Date(t * 1000).toISOString().slice(0, 10) : '—');
+  return page(`Membership for ${customer.email}`, html`
+${owned.map(s => html`<dl><dt>Subscription</dt><dd>${s.id}</dd><dt>Status</dt><dd>${s.status}${s.cancel_at_period_end ? ' (cancels at period end)' : ''}</dd><dt>Trial ends</dt><dd>${date(s.trial_end)}</dd><dt>Period ends</dt><dd>${date(s.current_period_end)}</dd></dl>
+<form method="post"><input type="hidden" name="subscription" value="${s.id}">${Object.entries(PORTAL_ACTIONS).filter(([, a]) => a.when(s)).map(([action, a]) => html`<button name="action" value="${action}">${a.label}</button>`)}</form>`)}
+${returnUrl && html`<p><a href="${returnUrl}">← Return to Newphoria</a></p>`}`);
+}
+
+/** Apply a portal action and send the event Stripe would */
+async function portalAction(subscription, action) {
+  const t = now();
+  const before = { status: subscription.status, cancel_at_period_end: subscription.cancel_at_period_end, trial_end: subscription.trial_end, current_period_end: subscription.current_period_end };
+  const previous = (keys) => Object.fromEntries(keys.map(k => [k, before[k]]));
+  console.log(`Portal ${subscription.id}: ${action}`);
+
+  switch (action) {
+    case 'cancel-at-period-end':
+      Object.assign(subscription, { cancel_at_period_end: true, cancel_at: subscription.current_period_end, canceled_at: t });
+      return sendEvent('customer.subscription.updated', subscription, previous(['cancel_at_period_end']));
+    case 'resume':
+      Object.assign(subscription, { cancel_at_period_end: false, cancel_at: null, canceled_at: null });
+      return sendEvent('customer.subscription.updated', subscription, previous(['cancel_at_period_end']));
+    case 'cancel-now':
+      Object.assign(subscription, { status: 'canceled', canceled_at: t, ended_at: t });
+      return sendEvent('customer.subscription.deleted', subscription);
+    case 'trial-will-end':
+      subscription.trial_end = subscription.current_period_end = t + 3 * DAY_S;
+      return sendEvent('customer.subscription.trial_will_end', subscription);
+    case 'end-trial':
+      Object.assign(subscription, { status: 'active', trial_end: t, current_period_start: t, current_period_end: t + MONTH_S });
+      return sendEvent('customer.subscription.updated', subscription, previous(['status', 'trial_end', 'current_period_end']));
+    case 'payment-failed':
+      subscription.status = 'past_due';
+      return sendEvent('customer.subscription.updated', subscription, previous(['status']));
+    case 'payment-recovered':
+      Object.assign(subscription, { status: 'active', current_period_start: t, current_period_end: t + MONTH_S });
+      return sendEvent('customer.subscription.updated', subscription, previous(['status', 'current_period_end']));
+  }
+}
+
+// ═══ SERVER ═══
+
+function send(res, status, body, type = 'text/html; charset=utf-8', headers = {}) {
+  res.writeHead(status, { 'Content-Type': type, ...headers });
+  res.end(body);
+}
+
+const redirect = (res, location) => send(res, 303, '', 'text/plain', { Location: location });
+
+async function route(req, res) {
+  const url = new URL(req.url, base);
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  const form = new URLSearchParams(body);
+
+  if (url.pathname.startsWith('/v1/')) return api(req, res, url.pathname, body);
+
+  const checkout = /^\/checkout\/([\w-]+)$/.exec(url.pathname);
+  const session = checkout && sessions.get(checkout[1]);
+  if (session && req.method === 'GET') return send(res, 200, checkoutPage(session));
+  if (session && req.method === 'POST' && session.status === 'open') {
+    await pay(session, form.get('email') || 'member@example.com');
+    return redirect(res, session.success_url);
+  }
+
+  const portal = /^\/portal\/([\w-]+)$/.exec(url.pathname);
+  const customer = portal && customers.get(portal[1]);
+  if (customer && req.method === 'GET') return send(res, 200, portalPage(customer, url.searchParams.get('return_url')));
+  if (customer && req.method === 'POST') {
+    const subscription = subscriptions.get(form.get('subscription'));
+    const action = PORTAL_ACTIONS[form.get('action')];
+    if (subscription?.customer === customer.id && action?.when(subscription)) await portalAction(subscription, form.get('action'));
+    return redirect(res, `${url.pathname}${url.search}`);
+  }
+
+  send(res, 404, page('Not found', html`<p>The stand-in has nothing at ${url.pathname}.</p>`));
+}
+
+function listen() {
+  const server = createServer((req, res) => route(req, res).catch(err => {
+    console.error('Stand-in error:', err);
+    send(res, 500, JSON.stringify({ error: { message: err.message } }), 'application/json');
+  }));
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(Number(cli.port), () => resolve(server));
+  });
+}
+
+// ═══ REPLAY ═══
+
+async function eventFiles(paths) {
+  const files = [];
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) {
+      files.push(...(await readdir(path)).filter(f => f.endsWith('.json')).sort().map(f => join(path, f)));
+    } else files.push(path);
+  }
+  return files;
+}
+
+async function replay() {
+  const events = [];
+  for (const file of await eventFiles(cli.replay)) {
+    const payload = await readFile(file, 'utf8');
+    events.push({ file, payload, event: JSON.parse(payload) });
+  }
+  events.sort((a, b) => a.event.created - b.event.created);
+
+  // Serve each subscription as its earliest recorded state, then move it
+  // forward as its events are posted
+  for (const { event } of events) {
+    const object = event.data.object;
+    if (object.object === 'subscription' && !subscriptions.has(object.id)) subscriptions.set(object.id, object);
+    if (object.customer && !customers.has(object.customer)) customers.set(object.customer, { id: object.customer, email: object.customer_details?.email || null });
+  }
+
+  const server = await listen();
+  let failed = 0;
+  try {
+    for (const { file, payload, event } of events) {
+      if (event.data.object.object === 'subscription') subscriptions.set(event.data.object.id, event.data.object);
+      console.log(file);
+      const status = await deliver(payload, event.type);
+      if (status < 200 || status >= 300) failed++;
+    }
+  } finally {
+    server.close();
+  }
+  console.log(`Replayed ${events.length} events, ${failed} not accepted`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+// ═══ RUN ═══
+const run = cli.replay?.length
+  ? replay
+  : async () => {
+    await listen();
+    console.log('═══ Stripe stand-in ═══');
+    console.log(`  API ${base} · webhooks to ${cli.webhook}`);
+  };
+
+run().catch(err => {
+  console.error('Stripe stand-in error:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,202 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Morning Brief Tests
+ * ═══════════════════════════════════════════════════════
+ *
+ * Story selection, the window widening and the email template in
+ * scripts/lib/brief.mjs.
+ *
+ * Run with `npm test`. No network or database.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_BRIEF, briefArticleIds, briefFromIds, briefReady, briefSubject, pickBrief, renderBrief, selectBrief,
+} from '../lib/brief.mjs';
+import { SITE_URL } from '../../netlify/lib/pages.mjs';
+
+let nextId = 0;
+const story = (overrides = {}) => ({
+  id: `story-${++nextId}`,
+  title: `Story ${nextId}`,
+  ai_summary: `What happened in story ${nextId}`,
+  category_name: 'science',
+  source_name: `Source ${nextId}`,
+  bloom_score: 4,
+  is_weird: false,
+  coverage_count: 0,
+  published_at: '2026-10-19T06:00:00Z',
+  ...overrides,
+});
+
+const CATEGORIES = ['innovation', 'science', 'space', 'health', 'environment', 'community', 'education', 'kindness'];
+/** One story per category, each from its own source */
+const spread = (n, overrides = {}) => CATEGORIES.slice(0, n).map(category_name => story({ category_name, ...overrides }));
+
+// ═══ selectBrief ═══
+
+test('selectBrief orders stories by bloom score, then coverage, then recency', () => {
+  const low = story({ category_name: 'space', bloom_score: 3 });
+  const covered = story({ category_name: 'health', coverage_count: 4 });
+  const recent = story({ category_name: 'science', published_at: '2026-10-19T08:00:00Z' });
+  const older = story({ category_name: 'education' });
+  const best = story({ category_name: 'kindness', bloom_score: 5 });
+
+  const { stories } = selectBrief([low, older, recent, covered, best]);
+  assert.deepEqual(stories, [best, covered, recent, older, low]);
+});
+
+test('selectBrief takes at most one story per category', () => {
+  const rows = [...spread(6), ...spread(6, { bloom_score: 5 })];
+  const { stories } = selectBrief(rows);
+
+  assert.equal(stories.length, DEFAULT_BRIEF.stories);
+  assert.equal(new Set(stories.map(a => a.category_name)).size, stories.length);
+  assert.ok(stories.every(a => a.bloom_score === 5));
+});
+
+test('selectBrief takes at most one story per source', () => {
+  const rows = [
+    ...spread(6, { source_name: 'Wire', bloom_score: 5 }),
+    ...spread(6),
+  ];
+  const { stories } = selectBrief(rows);
+
+  assert.equal(stories.length, DEFAULT_BRIEF.stories);
+  assert.equal(stories.filter(a => a.source_name === 'Wire').length, 1);
+  assert.equal(new Set(stories.map(a => a.category_name)).size, stories.length);
+});
+
+test('selectBrief relaxes the limits rather than send a short brief', () => {
+  const rows = Array.from({ length: 8 }, () => story({ category_name: 'space', source_name: 'NASA' }));
+  assert.equal(selectBrief(rows).stories.length, DEFAULT_BRIEF.stories);
+});
+
+test('selectBrief keeps the Weird story out of the main list', () => {
+  const weird = story({ category_name: 'weird', is_weird: true, bloom_score: 5 });
+  const flagged = story({ category_name: 'science', is_weird: true, bloom_score: 5 });
+  const rows = [weird, flagged, ...spread(3)];
+
+  const brief = selectBrief(rows);
+  assert.equal(brief.weird, weird, 'the best Weird story');
+  assert.ok(!brief.stories.includes(weird));
+  assert.ok(!brief.stories.includes(flagged));
+  assert.equal(brief.stories.length, 3);
+});
+
+test('selectBrief has no Weird story when none qualifies', () => {
+  assert.equal(selectBrief(spread(3)).weird, null);
+});
+
+// ═══ pickBrief ═══
+
+/** Rows by window, and the windows asked for */
+function loaderOf(rowsByHours) {
+  const asked = [];
+  const load = async (hours) => {
+    asked.push(hours);
+    return rowsByHours[hours] || [];
+  };
+  return Object.assign(load, { asked });
+}
+
+test('pickBrief stays with the last 24 hours when they fill the brief', async () => {
+  const load = loaderOf({ 24: spread(6), 72: spread(8) });
+  const brief = await pickBrief(load);
+
+  assert.deepEqual(load.asked, [24]);
+  assert.equal(brief.stories.length, 6);
+  assert.ok(briefReady(brief));
+});
+
+test('pickBrief widens to 72 hours when the last day is short', async () => {
+  const lastDay = spread(DEFAULT_BRIEF.min_stories - 1);
+  const load = loaderOf({ 24: lastDay, 72: [...lastDay, ...spread(4)] });
+  const brief = await pickBrief(load);
+
+  assert.deepEqual(load.asked, [24, 72]);
+  assert.equal(brief.stories.length, DEFAULT_BRIEF.min_stories + 3);
+  assert.ok(briefReady(brief));
+});
+
+test('exactly min_stories is enough', async () => {
+  const load = loaderOf({ 24: spread(DEFAULT_BRIEF.min_stories) });
+  assert.ok(briefReady(await pickBrief(load)));
+  assert.deepEqual(load.asked, [24]);
+});
+
+test('a brief still short after 72 hours is not ready', async () => {
+  const weird = story({ category_name: 'weird', is_weird: true });
+  const load = loaderOf({ 24: [weird], 72: [weird, ...spread(DEFAULT_BRIEF.min_stories - 1)] });
+  const brief = await pickBrief(load);
+
+  assert.deepEqual(load.asked, [24, 72]);
+  assert.equal(brief.stories.length, DEFAULT_BRIEF.min_stories - 1);
+  assert.equal(brief.weird, weird, 'the Weird story does not count toward min_stories');
+  assert.equal(briefReady(brief), false);
+});
+
+// ═══ briefFromIds ═══
+
+test('briefFromIds restores an issue\'s order and its Weird story', () => {
+  const [a, b, c] = spread(3);
+  const weird = story({ category_name: 'weird', is_weird: true });
+  const ids = briefArticleIds({ stories: [c, a, b], weird });
+  assert.deepEqual(ids, [c.id, a.id, b.id, weird.id]);
+
+  const brief = briefFromIds(ids, [a, weird, b, c]);
+  assert.deepEqual(brief, { stories: [c, a, b], weird });
+});
+
+test('briefFromIds skips stories that are gone', () => {
+  const [a, b] = spread(2);
+  assert.deepEqual(briefFromIds([a.id, 'deleted', b.id], [b, a]), { stories: [a, b], weird: null });
+});
+
+// ═══ renderBrief ═══
+
+const UNSUBSCRIBE = `${SITE_URL}/unsubscribe?token=tok_abc123`;
+
+function render(brief) {
+  return renderBrief(brief, { issueDate: '2026-10-19', subject: briefSubject(brief), unsubscribeUrl: UNSUBSCRIBE });
+}
+
+test('renderBrief puts the unsubscribe link in both parts', () => {
+  const { html, text } = render({ stories: spread(3), weird: null });
+  assert.ok(html.includes(`<a href="${UNSUBSCRIBE}"`));
+  assert.ok(text.includes(`Unsubscribe: ${UNSUBSCRIBE}`));
+});
+
+test('renderBrief lists every story, linked to its page, with the Weird story last', () => {
+  const stories = spread(3);
+  const weird = story({ category_name: 'weird', is_weird: true, title: 'A very odd fish' });
+  const { html, text } = render({ stories, weird });
+
+  assert.ok(html.includes('Monday, October 19, 2026'));
+  assert.ok(text.startsWith('THE MORNING BRIEF — Monday, October 19, 2026'));
+  for (const [i, a] of stories.entries()) {
+    assert.ok(html.includes(`href="${SITE_URL}/a/${a.id}"`));
+    assert.ok(text.includes(`${i + 1}. ${a.title}\n`));
+  }
+  assert.ok(html.indexOf('The Wonderfully Weird') > html.indexOf(stories.at(-1).title));
+  assert.ok(text.indexOf('THE WONDERFULLY WEIRD') > text.indexOf(stories.at(-1).title));
+  assert.ok(text.includes(`A very odd fish\n`));
+});
+
+test('renderBrief escapes story text in the HTML part', () => {
+  const hostile = story({ title: '<img src=x onerror=alert(1)>', image_url: 'javascript:alert(1)' });
+  const { html } = render({ stories: [hostile, ...spread(2)], weird: null });
+  assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(!html.includes('javascript:'));
+});
+
+test('briefSubject leads with the top story and stays short', () => {
+  const brief = { stories: [story({ title: 'Reef   recovers' })], weird: null };
+  assert.equal(briefSubject(brief), 'The Morning Brief: Reef recovers');
+
+  const long = { stories: [story({ title: 'word '.repeat(40) })], weird: null };
+  assert.ok(briefSubject(long).length <= DEFAULT_BRIEF.subject_chars);
+  assert.ok(briefSubject(long).endsWith('…'));
+});
@@ -0,0 +1,213 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Classifier Tests
+ * ═══════════════════════════════════════════════════════
+ *
+ * Runs classifyBatch in scripts/lib/classifier.mjs against the stub
+ * client (scripts/lib/stub-anthropic.mjs) and checks the results and
+ * the usage they are metered at, then against scripted replies to
+ * check which failures are retried, split or given up on.
+ *
+ * Run with `npm test`. No network or database.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { articleRef, classifyBatch, validateClassification, DEFAULT_CATEGORIES, CLASSIFIER_MODEL, PROMPT_VERSION } from '../lib/classifier.mjs';
+import { createStubAnthropic } from '../lib/stub-anthropic.mjs';
+import { createUsageMeter } from '../lib/usage.mjs';
+
+const articles = (n) => Array.from({ length: n }, (_, i) => ({
+  title: `Story ${i + 1}`,
+  excerpt: `What happened in story ${i + 1}`,
+  source_name: 'Example News',
+  source_url: `https://example.com/story-${i + 1}`,
+  api_source: i % 2 ? 'guardian' : 'rss',
+}));
+
+// ═══ STUB CLIENT ═══
+
+test('classifyBatch classifies every article with the stub client', async () => {
+  const anthropic = createStubAnthropic();
+  const input = articles(5);
+  const out = await classifyBatch(input, { anthropic });
+
+  assert.equal(out.length, 5);
+  out.forEach((article, i) => {
+    assert.equal(article.source_url, input[i].source_url, 'results keep their order');
+    assert.equal(article.classification_error, undefined);
+    assert.deepEqual(validateClassification(article.raw_ai_response), []);
+    assert.ok(DEFAULT_CATEGORIES.includes(article.category_name));
+    assert.equal(article.ai_summary, `Stub summary: Story ${i + 1}`);
+    assert.equal(article.classifier, CLASSIFIER_MODEL);
+    assert.equal(article.prompt_version, PROMPT_VERSION);
+  });
+});
+
+test('the stub is deterministic', async () => {
+  const first = await classifyBatch(articles(4), { anthropic: createStubAnthropic() });
+  const second = await classifyBatch(articles(4), { anthropic: createStubAnthropic() });
+  const scores = (out) => out.map(a => [a.bloom_score, a.category_name, a.is_weird, a.ai_confidence]);
+  assert.deepEqual(scores(first), scores(second));
+});
+
+test('the stub answers only with the categories it is given', async () => {
+  let runCategories = ['space'];
+  const anthropic = createStubAnthropic({ categories: () => runCategories });
+
+  const space = await classifyBatch(articles(6), { anthropic, categories: runCategories });
+  assert.ok(space.every(a => a.category_name === 'space'));
+
+  runCategories = ['oceans', 'forests'];
+  const later = await classifyBatch(articles(6), { anthropic, categories: runCategories });
+  assert.ok(later.every(a => runCategories.includes(a.category_name)));
+});
+
+test('the stub\'s usage is metered like a real response', async () => {
+  const meter = createUsageMeter();
+  await classifyBatch(articles(4), { anthropic: createStubAnthropic(), meter });
+
+  const { calls, input_tokens, output_tokens, cost_usd } = meter.totals;
+  assert.equal(calls, 1);
+  assert.ok(input_tokens > 0 && output_tokens > 0);
+  assert.ok(cost_usd > 0);
+  assert.deepEqual(Object.keys(meter.bySource()).sort(), ['guardian', 'rss']);
+});
+
+test('a simulated API failure fails the batch, and the next one goes through', async () => {
+  const anthropic = createStubAnthropic({ failEvery: 1 });
+  const out = await classifyBatch(articles(3), { anthropic });
+  assert.ok(out.every(a => a.classification_error === 'stub: simulated API failure'));
+  assert.ok(out.every(a => a.bloom_score === undefined));
+
+  const flaky = createStubAnthropic({ failEvery: 2 });
+  assert.ok((await classifyBatch(articles(2), { anthropic: flaky })).every(a => !a.classification_error));
+  assert.ok((await classifyBatch(articles(2), { anthropic: flaky })).every(a => a.classification_error));
+});
+
+test('no calls are made once the meter\'s budget is spent', async () => {
+  const meter = createUsageMeter();
+  meter.setBudget(1, 1);
+  const out = await classifyBatch(articles(3), { anthropic: createStubAnthropic(), meter });
+
+  assert.equal(meter.totals.calls, 0);
+  assert.ok(out.every(a => a.classification_error === 'daily budget reached'));
+});
+
+// ═══ RETRIES ═══
+
+/** Client answering each call with reply(ids, call); records the ids asked for */
+function scriptedAnthropic(reply) {
+  const calls = [];
+  return {
+    calls,
+    messages: {
+      async create(params) {
+        const ids = [...params.messages.at(-1).content.matchAll(/^ID: (\S+)$/gm)].map(m => m[1]);
+        calls.push(ids);
+        const text = await reply(ids, calls.length);
+        return { content: [{ type: 'text', text }], usage: { input_tokens: 100, output_tokens: 50 } };
+      },
+    },
+  };
+}
+
+const valid = (id) => ({ id, bloom_score: 4, category: 'space', is_weird: false, summary: `About ${id}`, tags: ['orbit'], confidence: 0.9 });
+
+/** An error shaped like the SDK's APIError */
+function apiError(status, message) {
+  return Object.assign(new Error(`${status} ${message}`), { status });
+}
+
+test('a partial reply retries only the missing articles', async () => {
+  const input = articles(5);
+  const refs = input.map(articleRef);
+  const dropped = new Set([refs[1], refs[3]]);
+  const anthropic = scriptedAnthropic((ids, call) => JSON.stringify(
+    ids.filter(id => call > 1 || !dropped.has(id)).map(valid),
+  ));
+
+  const out = await classifyBatch(input, { anthropic });
+
+  assert.deepEqual(anthropic.calls, [refs, [refs[1], refs[3]]]);
+  assert.ok(out.every(a => a.bloom_score === 4 && !a.classification_error));
+});
+
+test('an invalid item is retried like a missing one', async () => {
+  const input = articles(3);
+  const refs = input.map(articleRef);
+  const anthropic = scriptedAnthropic((ids, call) => JSON.stringify(
+    ids.map(id => (call === 1 && id === refs[2] ? { ...valid(id), bloom_score: 9 } : valid(id))),
+  ));
+
+  const out = await classifyBatch(input, { anthropic });
+
+  assert.deepEqual(anthropic.calls, [refs, [refs[2]]]);
+  assert.ok(out.every(a => !a.classification_error));
+});
+
+test('a reply with nothing usable bisects the batch, then retries single articles once', async () => {
+  const input = articles(4);
+  const refs = input.map(articleRef);
+  const anthropic = scriptedAnthropic(() => 'Sorry, I cannot help with that.');
+
+  const out = await classifyBatch(input, { anthropic, maxRetries: 1 });
+
+  assert.deepEqual(anthropic.calls, [
+    refs,
+    refs.slice(0, 2), [refs[0]], [refs[0]], [refs[1]], [refs[1]],
+    refs.slice(2), [refs[2]], [refs[2]], [refs[3]], [refs[3]],
+  ]);
+  assert.ok(out.every(a => a.classification_error === 'missing or invalid in model reply'));
+  assert.ok(out.every(a => a.bloom_score === undefined));
+});
+
+test('bisection keeps what each half classified', async () => {
+  const input = articles(4);
+  const refs = input.map(articleRef);
+  // A whole batch is garbage; halves and single articles answer properly
+  const anthropic = scriptedAnthropic((ids) => (ids.length === 4 ? '[{"id": "' : JSON.stringify(ids.map(valid))));
+
+  const out = await classifyBatch(input, { anthropic });
+
+  assert.deepEqual(anthropic.calls, [refs, refs.slice(0, 2), refs.slice(2)]);
+  assert.ok(out.every(a => !a.classification_error));
+});
+
+test('a server error fails the batch without splitting it', async () => {
+  const anthropic = scriptedAnthropic(() => {
+    throw apiError(500, 'Internal server error');
+  });
+
+  const out = await classifyBatch(articles(6), { anthropic });
+
+  assert.equal(anthropic.calls.length, 1);
+  assert.ok(out.every(a => a.classification_error === '500 Internal server error'));
+});
+
+test('a failed batch keeps what earlier calls classified', async () => {
+  const input = articles(3);
+  const refs = input.map(articleRef);
+  const anthropic = scriptedAnthropic((ids, call) => {
+    if (call > 1) throw apiError(529, 'Overloaded');
+    return JSON.stringify(ids.filter(id => id !== refs[0]).map(valid));
+  });
+
+  const out = await classifyBatch(input, { anthropic });
+
+  assert.deepEqual(anthropic.calls, [refs, [refs[0]]]);
+  assert.equal(out[0].classification_error, '529 Overloaded');
+  assert.ok(out.slice(1).every(a => a.bloom_score === 4));
+});
+
+for (const status of [401, 403]) {
+  test(`a ${status} makes classifyBatch reject`, async () => {
+    const anthropic = scriptedAnthropic(() => {
+      throw apiError(status, 'invalid x-api-key');
+    });
+
+    await assert.rejects(classifyBatch(articles(4), { anthropic }), /Claude rejected the API key/);
+    assert.equal(anthropic.calls.length, 1);
+  });
+}
@@ -0,0 +1,176 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Batched Deduplication Tests
+ * ═══════════════════════════════════════════════════════
+ *
+ * URL canonicalization, MinHash signatures and dedupBatch in
+ * scripts/lib/dedup.mjs, with a stand-in for the dedup_lookup RPC.
+ *
+ * Run with `npm test`. No network or database.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NUM_BANDS, NUM_HASHES, canonicalizeUrl, dedupBatch, lshBands, minhash, signatureSimilarity,
+} from '../lib/dedup.mjs';
+
+const REEF = 'Great Barrier Reef Records Highest Coral Cover in 36 Years';
+const REEF_AGAIN = 'Great Barrier Reef records highest coral cover in 36 years of monitoring';
+const FINLAND = 'Finland Makes AI Literacy Mandatory Across All Schools';
+
+// ═══ canonicalizeUrl ═══
+
+test('canonicalizeUrl folds the variants of one article URL together', () => {
+  const canonical = 'https://example.com/news/story';
+  for (const url of [
+    'http://www.example.com/news/story',
+    'https://Example.COM:8443/news/story/',
+    'https://example.com/news/story#comments',
+    'https://example.com//news//story///',
+    'https://m.example.com/news/story',
+    'https://amp.example.com/amp/news/story',
+    'https://example.com/news/story/amp/',
+    'https://example.com/news/story/amp.html',
+    'https://example.com/news/story.amp.html',
+    'https://example.com/news/story?utm_source=rss&utm_medium=feed&fbclid=abc&ref=home',
+  ]) {
+    assert.equal(canonicalizeUrl(url), canonical, url);
+  }
+});
+
+test('canonicalizeUrl keeps meaningful query parameters, sorted', () => {
+  assert.equal(canonicalizeUrl('https://example.com/story?page=2&id=7&utm_campaign=x'), 'https://example.com/story?id=7&page=2');
+  assert.notEqual(canonicalizeUrl('https://example.com/story?id=7'), canonicalizeUrl('https://example.com/story?id=8'));
+});
+
+test('canonicalizeUrl keeps other subdomains and the root path', () => {
+  assert.equal(canonicalizeUrl('https://news.example.com/a'), 'https://news.example.com/a');
+  assert.equal(canonicalizeUrl('https://example.com/?gclid=1'), 'https://example.com/');
+});
+
+test('canonicalizeUrl returns an unparseable URL unchanged', () => {
+  assert.equal(canonicalizeUrl('not a url'), 'not a url');
+  assert.equal(canonicalizeUrl(''), '');
+});
+
+// ═══ MINHASH ═══
+
+test('minhash gives a fixed-length, deterministic signature of 31-bit values', () => {
+  const sig = minhash(REEF);
+  assert.equal(sig.length, NUM_HASHES);
+  assert.deepEqual(minhash(REEF), sig);
+  assert.ok(sig.every(v => Number.isInteger(v) && v >= 0 && v <= 0x7fffffff));
+});
+
+test('minhash ignores case, accents and punctuation', () => {
+  assert.deepEqual(minhash('Café opens — again!'), minhash('cafe OPENS again'));
+});
+
+test('similar titles score high and unrelated ones low', () => {
+  assert.ok(signatureSimilarity(minhash(REEF), minhash(REEF_AGAIN)) >= 0.65);
+  assert.ok(signatureSimilarity(minhash(REEF), minhash(FINLAND)) < 0.2);
+  assert.equal(signatureSimilarity(minhash(REEF), minhash(REEF)), 1);
+  assert.equal(signatureSimilarity(minhash(REEF), null), 0);
+});
+
+test('lshBands gives one key per band, shared by similar titles', () => {
+  const reef = lshBands(minhash(REEF));
+  assert.equal(reef.length, NUM_BANDS);
+  assert.equal(new Set(reef.map(key => key.split('-')[0])).size, NUM_BANDS);
+  assert.ok(lshBands(minhash(REEF_AGAIN)).some(key => reef.includes(key)));
+});
+
+// ═══ dedupBatch ═══
+
+const article = (title, source_url) => ({ title, source_url, source_name: 'Example News' });
+
+/** dedup_lookup stand-in returning `rows`; records what it was asked */
+function lookupOf(rows) {
+  const calls = [];
+  const lookup = async (urls, bands) => {
+    calls.push({ urls, bands });
+    return rows;
+  };
+  return Object.assign(lookup, { calls });
+}
+
+test('dedupBatch annotates new articles and drops repeats within the batch', async () => {
+  const lookup = lookupOf([]);
+  const { articles, duplicates } = await dedupBatch([
+    article(REEF, 'https://example.com/reef?utm_source=rss'),
+    article(REEF, 'https://www.example.com/reef/'),
+    article(FINLAND, 'https://other.example/finland'),
+  ], { lookup });
+
+  assert.equal(duplicates, 1);
+  assert.deepEqual(articles.map(a => a.canonical_url), ['https://example.com/reef', 'https://other.example/finland']);
+  assert.deepEqual(articles[0].minhash, minhash(REEF));
+  assert.deepEqual(articles[0].lsh_bands, lshBands(minhash(REEF)));
+  assert.equal(articles[1].similar_to, undefined);
+
+  assert.equal(lookup.calls.length, 1, 'one round trip per batch');
+  assert.ok(lookup.calls[0].urls.includes('https://example.com/reef'));
+  assert.ok(lookup.calls[0].urls.includes('https://example.com/reef?utm_source=rss'));
+});
+
+test('dedupBatch drops articles already stored under either URL', async () => {
+  const lookup = lookupOf([
+    { id: 'a1', canonical_url: 'https://example.com/reef', source_url: 'https://example.com/reef?utm_source=x', minhash: null, near_candidate: false },
+    { id: 'a2', canonical_url: null, source_url: 'https://legacy.example/finland', minhash: null, near_candidate: false },
+  ]);
+  const { articles, duplicates } = await dedupBatch([
+    article(REEF, 'https://example.com/reef/'),
+    article(FINLAND, 'https://legacy.example/finland'),
+  ], { lookup });
+
+  assert.equal(duplicates, 2);
+  assert.deepEqual(articles, []);
+});
+
+test('dedupBatch links a near-duplicate to a recent published story', async () => {
+  const lookup = lookupOf([
+    { id: 'reef-id', canonical_url: 'https://first.example/reef', source_url: 'https://first.example/reef', minhash: minhash(REEF), near_candidate: true },
+  ]);
+  const { articles, duplicates } = await dedupBatch([
+    article(REEF_AGAIN, 'https://second.example/reef'),
+    article(FINLAND, 'https://second.example/finland'),
+  ], { lookup });
+
+  assert.equal(duplicates, 0);
+  assert.equal(articles[0].similar_to, 'reef-id');
+  assert.ok(articles[0].similarity >= 0.65 && articles[0].similarity <= 1);
+  assert.equal(articles[1].similar_to, undefined);
+});
+
+test('dedupBatch only matches stories the lookup marked as candidates', async () => {
+  const lookup = lookupOf([
+    { id: 'old-reef', canonical_url: 'https://first.example/reef', source_url: 'https://first.example/reef', minhash: minhash(REEF), near_candidate: false },
+  ]);
+  const { articles } = await dedupBatch([article(REEF_AGAIN, 'https://second.example/reef')], { lookup });
+  assert.equal(articles[0].similar_to, undefined);
+});
+
+test('dedupBatch links a near-duplicate to an earlier article in the same batch', async () => {
+  const { articles } = await dedupBatch([
+    article(REEF, 'https://first.example/reef'),
+    article(REEF_AGAIN, 'https://second.example/reef'),
+  ], { lookup: lookupOf([]) });
+
+  assert.equal(articles[0].similar_to_url, undefined);
+  assert.equal(articles[1].similar_to_url, 'https://first.example/reef');
+  assert.equal(articles[1].similar_to, undefined);
+});
+
+test('dedupBatch respects the similarity threshold', async () => {
+  const batch = [article(REEF, 'https://first.example/reef'), article(REEF_AGAIN, 'https://second.example/reef')];
+  const { articles } = await dedupBatch(batch, { lookup: lookupOf([]), threshold: 0.99 });
+  assert.equal(articles[1].similar_to_url, undefined);
+});
+
+test('dedupBatch skips the lookup for an empty batch', async () => {
+  const lookup = lookupOf([]);
+  assert.deepEqual(await dedupBatch([], { lookup }), { articles: [], duplicates: 0 });
+  assert.equal(lookup.calls.length, 0);
+});
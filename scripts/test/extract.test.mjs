@@ -0,0 +1,132 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Full-Text Extraction Tests
+ * ═══════════════════════════════════════════════════════
+ *
+ * Runs scripts/lib/extract.mjs against the saved pages in
+ * fixtures/extract (a news story, a paywalled page, a video page with
+ * no article text) and a fake fetch. No network.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { extractArticles, extractFromHTML, fetchArticleHTML } from '../lib/extract.mjs';
+
+const page = (name) => readFileSync(new URL(`../../fixtures/extract/${name}.html`, import.meta.url), 'utf8');
+const BASE_URL = 'https://example.com/news/story';
+
+/** fetch stand-in answering each URL with a saved page */
+function fixtureFetch(pages) {
+  return async (url) => {
+    const name = pages[url];
+    if (!name) return new Response('not found', { status: 404 });
+    return new Response(page(name), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+  };
+}
+
+// ═══ extractFromHTML ═══
+
+test('an article page yields its paragraphs in order, without boilerplate', () => {
+  const { content, wordCount, image } = extractFromHTML(page('article'), BASE_URL);
+  const paragraphs = content.split('\n\n');
+
+  assert.match(paragraphs[0], /^For most of the last forty years, the orchard/);
+  assert.match(paragraphs.at(-1), /^The first public harvest day/);
+  assert.ok(paragraphs.includes('A library of apples'));
+  assert.ok(content.includes('“People kept telling me the old varieties were gone,” said Margaret Osei'));
+  assert.ok(wordCount > 150);
+
+  for (const boilerplate of ['cookies', 'Sign up for our newsletter', 'Great story', 'All rights reserved', 'Read more:', 'By Jamie Rivera', 'photo by', 'Ten things']) {
+    assert.ok(!content.includes(boilerplate), `kept boilerplate: ${boilerplate}`);
+  }
+  assert.equal(image, 'https://example.com/images/orchard-lead.jpg');
+});
+
+test('a paywalled page yields only its teaser, not the subscribe pitch', () => {
+  const { content, wordCount, image } = extractFromHTML(page('paywall'), BASE_URL);
+  assert.ok(wordCount < 80, `teaser should be under the default minWords, got ${wordCount}`);
+  for (const boilerplate of ['Subscribe', 'cookies', 'Special offer', 'Terms of use']) {
+    assert.ok(!content?.includes(boilerplate), `kept boilerplate: ${boilerplate}`);
+  }
+  assert.equal(image, 'https://cdn.example.com/storage.jpg');
+});
+
+test('a page with no article text yields no content', () => {
+  const { content, wordCount, image } = extractFromHTML(page('no-content'), BASE_URL);
+  assert.equal(content, null);
+  assert.equal(wordCount, 0);
+  assert.equal(image, 'https://media.example.tv/otter-poster.jpg');
+});
+
+test('empty or missing HTML yields no content', () => {
+  assert.deepEqual(extractFromHTML('', BASE_URL), { content: null, wordCount: 0, image: null });
+  assert.deepEqual(extractFromHTML(null, BASE_URL), { content: null, wordCount: 0, image: null });
+});
+
+// ═══ extractArticles ═══
+
+test('extractArticles keeps full text only where there is enough of it', async () => {
+  const articles = [
+    { source_url: 'https://example.com/orchard' },
+    { source_url: 'https://example.com/grid', image_url: 'https://img.example.com/own.jpg' },
+    { source_url: 'https://example.com/otter' },
+    { source_url: 'https://example.com/gone' },
+  ];
+  const fetchImpl = fixtureFetch({
+    'https://example.com/orchard': 'article',
+    'https://example.com/grid': 'paywall',
+    'https://example.com/otter': 'no-content',
+  });
+
+  const { articles: out, extracted } = await extractArticles(articles, { fetchImpl });
+
+  assert.equal(extracted, 1);
+  assert.match(out[0].content, /^For most of the last forty years/);
+  assert.equal(out[0].image_url, 'https://example.com/images/orchard-lead.jpg');
+  assert.equal(out[1].content, undefined);
+  assert.equal(out[1].image_url, 'https://img.example.com/own.jpg', 'an existing image is kept');
+  assert.equal(out[2].content, undefined);
+  assert.equal(out[2].image_url, 'https://media.example.tv/otter-poster.jpg');
+  assert.deepEqual(out[3], articles[3], 'a failed fetch leaves the article as it was');
+});
+
+// ═══ fetchArticleHTML ═══
+
+test('fetchArticleHTML stops reading at maxBytes', async () => {
+  const chunk = new TextEncoder().encode('<p>' + 'a'.repeat(4093));
+  let pulls = 0;
+  let cancelled = false;
+  const endless = new ReadableStream({
+    pull(controller) {
+      pulls++;
+      controller.enqueue(chunk);
+    },
+    cancel() {
+      cancelled = true;
+    },
+  }, { highWaterMark: 0 });
+  const fetchImpl = async () => new Response(endless, { headers: { 'Content-Type': 'text/html' } });
+
+  const html = await fetchArticleHTML('https://example.com/huge', { fetchImpl, maxBytes: 10_000 });
+
+  assert.equal(html.length, 10_000);
+  assert.ok(pulls <= 4, `read ${pulls} chunks for a 10 KB cap`);
+  assert.ok(cancelled, 'the rest of the body is cancelled');
+});
+
+test('fetchArticleHTML returns a small page whole', async () => {
+  const fetchImpl = fixtureFetch({ 'https://example.com/orchard': 'article' });
+  assert.equal(await fetchArticleHTML('https://example.com/orchard', { fetchImpl }), page('article'));
+});
+
+test('fetchArticleHTML skips anything that is not HTML', async () => {
+  const fetchImpl = async () => new Response('%PDF-1.7', { headers: { 'Content-Type': 'application/pdf' } });
+  assert.equal(await fetchArticleHTML('https://example.com/report.pdf', { fetchImpl }), null);
+});
+
+test('fetchArticleHTML throws on an HTTP error', async () => {
+  const fetchImpl = async () => new Response('gone', { status: 410 });
+  await assert.rejects(fetchArticleHTML('https://example.com/gone', { fetchImpl }), /HTTP 410/);
+});
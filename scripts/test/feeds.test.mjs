@@ -0,0 +1,133 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Feed Output Tests
+ * ═══════════════════════════════════════════════════════
+ *
+ * Renders the RSS, Atom and JSON feeds in netlify/lib/feeds.mjs from a
+ * normal row and a hostile one, and checks that every link and image
+ * is http(s) and every text field comes out escaped.
+ *
+ * Run with `npm test`. No network or database.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FORMATS, atomFeed, jsonFeed, rssFeed, xml } from '../../netlify/lib/feeds.mjs';
+import { SITE_URL } from '../../netlify/lib/pages.mjs';
+
+const META = { title: 'Newphoria — Space', description: 'Space & beyond', path: '/category/space', self: `${SITE_URL}/category/space/feed.xml` };
+
+const STORY = {
+  id: '0b7e7c52-9a4e-4b8e-8d0e-6c1f2a3b4c5d',
+  title: 'Voyager 1 sends new data',
+  excerpt: 'From interstellar space.',
+  ai_summary: 'The spacecraft is still talking.',
+  source_url: 'https://nasa.example/voyager',
+  source_name: 'NASA',
+  image_url: 'https://img.example/voyager.jpg',
+  category_name: 'space',
+  bloom_score: 5,
+  is_weird: false,
+  ai_tags: ['Voyager', 'deep space'],
+  published_at: '2026-10-18T09:30:00Z',
+};
+
+const HOSTILE = {
+  ...STORY,
+  id: '"><script>alert(1)</script>',
+  title: '<img src=x onerror=alert(1)>',
+  ai_summary: ']]><script>alert(1)</script>',
+  source_url: 'javascript:alert(document.cookie)',
+  source_name: 'Evil & Co "quoted"',
+  image_url: 'data:image/svg+xml,<svg onload=alert(1)>',
+  category_name: `space" onload="alert(1)`,
+  bloom_score: '<b>5</b>',
+  ai_tags: ['<script>', "' autofocus='"],
+};
+
+const storyUrl = (id) => `${SITE_URL}/a/${encodeURIComponent(id)}`;
+const SAFE_URL = /^https?:\/\//;
+
+/** Every link target in an XML feed: <link>…</link> and href="…" */
+function xmlLinks(doc) {
+  return [
+    ...[...doc.matchAll(/<link>([^<]*)<\/link>/g)].map(m => m[1]),
+    ...[...doc.matchAll(/\shref="([^"]*)"/g)].map(m => m[1]),
+  ];
+}
+
+/** No raw markup from the row, and every link http(s) */
+function assertSafeXml(doc) {
+  assert.doesNotMatch(doc, /<script|<img|<svg|<b>|javascript:|data:image/i);
+  for (const link of xmlLinks(doc)) assert.match(link, SAFE_URL, `unsafe link ${link}`);
+  // Every '&' starts an entity
+  assert.doesNotMatch(doc, /&(?!(?:amp|lt|gt|quot|apos);)/);
+}
+
+// ═══ RSS ═══
+
+test('rssFeed links each item to its source and our story page', () => {
+  const doc = rssFeed(META, [STORY]);
+  assertSafeXml(doc);
+  assert.ok(doc.includes('<link>https://nasa.example/voyager</link>'));
+  assert.ok(doc.includes(`<guid isPermaLink="true">${storyUrl(STORY.id)}</guid>`));
+  assert.ok(doc.includes('<newphoria:bloom>5</newphoria:bloom>'));
+});
+
+test('rssFeed escapes a hostile row and drops its unsafe link', () => {
+  const doc = rssFeed(META, [HOSTILE]);
+  assertSafeXml(doc);
+  assert.ok(doc.includes(`<link>${xml(storyUrl(HOSTILE.id))}</link>`), 'falls back to our story page');
+  assert.ok(doc.includes('<title>&lt;img src=x onerror=alert(1)&gt;</title>'));
+  assert.ok(doc.includes('<dc:creator>Evil &amp; Co &quot;quoted&quot;</dc:creator>'));
+  assert.ok(doc.includes('<category>&lt;script&gt;</category>'));
+  assert.ok(doc.includes('<newphoria:bloom>&lt;b&gt;5&lt;/b&gt;</newphoria:bloom>'));
+});
+
+// ═══ ATOM ═══
+
+test('atomFeed links each entry to its source and our story page', () => {
+  const doc = atomFeed(META, [STORY]);
+  assertSafeXml(doc);
+  assert.ok(doc.includes('<link rel="alternate" href="https://nasa.example/voyager"/>'));
+  assert.ok(doc.includes(`<link rel="related" type="text/html" href="${storyUrl(STORY.id)}"/>`));
+});
+
+test('atomFeed escapes a hostile row and drops its unsafe link', () => {
+  const doc = atomFeed(META, [HOSTILE]);
+  assertSafeXml(doc);
+  assert.ok(doc.includes(`<link rel="alternate" href="${xml(storyUrl(HOSTILE.id))}"/>`));
+  assert.ok(doc.includes('<category term="space&quot; onload=&quot;alert(1)"/>'));
+  assert.ok(doc.includes('<category term="&apos; autofocus=&apos;"/>'));
+});
+
+// ═══ JSON FEED ═══
+
+test('jsonFeed carries the source link and image', () => {
+  const [item] = JSON.parse(jsonFeed(META, [STORY])).items;
+  assert.equal(item.url, storyUrl(STORY.id));
+  assert.equal(item.external_url, 'https://nasa.example/voyager');
+  assert.equal(item.image, 'https://img.example/voyager.jpg');
+  assert.deepEqual(item.tags, ['space', 'Voyager', 'deep space']);
+});
+
+test('jsonFeed drops a hostile row\'s unsafe link and image', () => {
+  const [item] = JSON.parse(jsonFeed(META, [HOSTILE])).items;
+  assert.equal(item.external_url, storyUrl(HOSTILE.id));
+  assert.equal(item.image, undefined);
+  assert.equal(item.title, HOSTILE.title, 'text stays as it is; readers escape JSON Feed fields');
+});
+
+test('site paths in a row become absolute URLs', () => {
+  const row = { ...STORY, source_url: '/a/local-story', image_url: '/img/local.jpg' };
+  const [item] = JSON.parse(jsonFeed(META, [row])).items;
+  assert.equal(item.external_url, `${SITE_URL}/a/local-story`);
+  assert.equal(item.image, `${SITE_URL}/img/local.jpg`);
+  assert.ok(rssFeed(META, [row]).includes(`<link>${SITE_URL}/a/local-story</link>`));
+});
+
+test('every format renders an empty feed', () => {
+  for (const { render } of Object.values(FORMATS)) assert.ok(render(META, []).length > 0);
+  assert.deepEqual(JSON.parse(jsonFeed(META, [])).items, []);
+});
@@ -0,0 +1,231 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Newsletter & Mailer Tests
+ * ═══════════════════════════════════════════════════════
+ *
+ * Address normalization (netlify/lib/newsletter.mjs), the messages
+ * netlify/lib/mailer.mjs builds, and both transports: file, read back
+ * from a temporary MAIL_DIR, and smtp against a scripted server on
+ * localhost.
+ *
+ * Run with `npm test`. No network or database.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:net';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { TRANSPORTS, addressOf, buildMessage, createMailer } from '../../netlify/lib/mailer.mjs';
+import {
+  confirmUrl, confirmationEmail, listUnsubscribeHeaders, newToken, normalizeEmail, unsubscribeUrl, TOKEN,
+} from '../../netlify/lib/newsletter.mjs';
+
+// ═══ normalizeEmail ═══
+
+test('normalizeEmail trims and lowercases an address', () => {
+  assert.equal(normalizeEmail('  Reader@Example.COM '), 'reader@example.com');
+  assert.equal(normalizeEmail('first.last+news@mail.example.co.uk'), 'first.last+news@mail.example.co.uk');
+  assert.equal(normalizeEmail('ｒｅａｄｅｒ@example.com'), 'reader@example.com', 'full-width letters fold to ASCII');
+});
+
+test('normalizeEmail rejects what it cannot send to', () => {
+  for (const raw of [
+    '', 'reader', 'reader@', '@example.com', 'reader@example', 'reader@localhost',
+    'reader@@example.com', 'read er@example.com', '.reader@example.com', 'reader.@example.com',
+    'rea..der@example.com', 'reader@-example.com', 'reader@example.c0m', 'reader@example.com\r\nBcc: x@example.com',
+    `${'a'.repeat(65)}@example.com`, `reader@${'a'.repeat(250)}.com`, null, undefined, 42, ['reader@example.com'],
+  ]) {
+    assert.equal(normalizeEmail(raw), null, JSON.stringify(raw));
+  }
+});
+
+test('newToken makes tokens the links accept', () => {
+  const token = newToken();
+  assert.match(token, TOKEN);
+  assert.notEqual(newToken(), token);
+});
+
+// ═══ buildMessage ═══
+
+/** { headers: Map of lowercase name → value, parts: [{ type, body }] } from a raw message */
+function parseMessage(raw) {
+  const [head, ...rest] = raw.split('\r\n\r\n');
+  const headers = new Map(head.split('\r\n').map(line => {
+    const i = line.indexOf(':');
+    return [line.slice(0, i).toLowerCase(), line.slice(i + 1).trim()];
+  }));
+  const body = rest.join('\r\n\r\n');
+  const boundary = /boundary="([^"]+)"/.exec(headers.get('content-type') || '')?.[1];
+  const rawParts = boundary
+    ? body.split(`--${boundary}`).slice(1, -1).map(p => p.replace(/^\r\n/, ''))
+    : [raw.slice(raw.indexOf('Content-Type: text/'))];
+  const parts = rawParts.map(p => {
+    const [partHead, encoded] = p.split('\r\n\r\n');
+    return { type: /Content-Type: ([^;]+)/.exec(partHead)[1], body: Buffer.from(encoded.replace(/\s/g, ''), 'base64').toString('utf8') };
+  });
+  return { headers, parts };
+}
+
+const FROM = 'Newphoria News <brief@newphoria.news>';
+
+test('buildMessage writes a plain-text message', () => {
+  const raw = buildMessage({ from: FROM, to: 'reader@example.com', subject: 'Hello', text: 'Line one\nLine two' });
+  const { headers, parts } = parseMessage(raw);
+
+  assert.equal(headers.get('from'), FROM);
+  assert.equal(headers.get('to'), 'reader@example.com');
+  assert.equal(headers.get('subject'), 'Hello');
+  assert.equal(headers.get('mime-version'), '1.0');
+  assert.match(headers.get('message-id'), /^<[0-9a-f-]{36}@newphoria\.news>$/);
+  assert.deepEqual(parts, [{ type: 'text/plain', body: 'Line one\nLine two' }]);
+  assert.ok(raw.endsWith('\r\n'));
+});
+
+test('buildMessage writes text and HTML as multipart/alternative, with CRLF line ends', () => {
+  const raw = buildMessage({ from: FROM, to: 'reader@example.com', subject: 'Hi', text: 'Plain', html: '<p>Rich</p>' });
+  const { headers, parts } = parseMessage(raw);
+
+  assert.match(headers.get('content-type'), /^multipart\/alternative; boundary="np-/);
+  assert.deepEqual(parts, [{ type: 'text/plain', body: 'Plain' }, { type: 'text/html', body: '<p>Rich</p>' }]);
+  assert.doesNotMatch(raw, /[^\r]\n/, 'every line ends in CRLF');
+});
+
+test('buildMessage keeps line breaks out of header values', () => {
+  const raw = buildMessage({
+    from: 'Newphoria\r\nBcc: spy@example.com <brief@newphoria.news>',
+    to: 'reader@example.com\nBcc: spy@example.com',
+    subject: 'Hi\r\nBcc: spy@example.com',
+    text: 'Body',
+    headers: { 'X-Campaign': 'brief\r\n\r\n<script>' },
+  });
+  const head = raw.slice(0, raw.indexOf('\r\n\r\n'));
+
+  assert.doesNotMatch(head, /^Bcc:/im);
+  assert.equal(parseMessage(raw).headers.get('subject'), 'Hi Bcc: spy@example.com');
+  assert.equal(parseMessage(raw).headers.get('x-campaign'), 'brief <script>');
+  assert.equal(parseMessage(raw).parts[0].body, 'Body');
+});
+
+test('buildMessage encodes a non-ASCII subject', () => {
+  const { headers } = parseMessage(buildMessage({ from: FROM, to: 'r@example.com', subject: 'Bloom — Café', text: 'x' }));
+  assert.equal(headers.get('subject'), `=?UTF-8?B?${Buffer.from('Bloom — Café').toString('base64')}?=`);
+});
+
+test('addressOf takes the address out of a mailbox', () => {
+  assert.equal(addressOf(FROM), 'brief@newphoria.news');
+  assert.equal(addressOf(' reader@example.com '), 'reader@example.com');
+});
+
+// ═══ FILE TRANSPORT ═══
+
+async function withMailDir(fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'newphoria-mail-test-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function readMail(dir) {
+  const files = (await readdir(dir)).filter(f => f.endsWith('.eml'));
+  return Promise.all(files.sort().map(f => readFile(join(dir, f), 'utf8')));
+}
+
+test('the confirmation email round-trips through the file transport', () => withMailDir(async (dir) => {
+  const token = newToken();
+  const mailer = createMailer({ MAIL_TRANSPORT: 'file', MAIL_DIR: dir, MAIL_FROM: FROM });
+  await mailer.send(confirmationEmail('reader@example.com', token));
+
+  const [raw, ...others] = await readMail(dir);
+  assert.equal(others.length, 0);
+  const { headers, parts } = parseMessage(raw);
+
+  assert.equal(headers.get('to'), 'reader@example.com');
+  assert.equal(headers.get('subject'), 'Confirm your Morning Brief subscription');
+  const [text, html] = parts;
+  assert.ok(text.body.includes(`\n${confirmUrl(token)}\n`));
+  assert.ok(html.body.includes(`<a href="${confirmUrl(token)}">Confirm your subscription</a>`));
+  assert.equal(headers.has('list-unsubscribe'), false, 'nothing to unsubscribe from before confirming');
+}));
+
+test('List-Unsubscribe headers round-trip through the file transport', () => withMailDir(async (dir) => {
+  const token = newToken();
+  const mailer = createMailer({ MAIL_TRANSPORT: 'file', MAIL_DIR: dir, MAIL_FROM: FROM });
+  await mailer.send({ to: 'reader@example.com', subject: 'The Morning Brief', text: 'Stories', html: '<p>Stories</p>', headers: listUnsubscribeHeaders(token) });
+
+  const [raw] = await readMail(dir);
+  const { headers } = parseMessage(raw);
+  assert.equal(headers.get('list-unsubscribe'), `<${unsubscribeUrl(token)}>`);
+  assert.equal(headers.get('list-unsubscribe-post'), 'List-Unsubscribe=One-Click');
+}));
+
+// ═══ SMTP TRANSPORT ═══
+
+/**
+ * One-connection SMTP server on localhost that accepts everything.
+ * Resolves { port, session } where session resolves to the commands and
+ * the raw DATA it received.
+ */
+function smtpSink() {
+  return new Promise(resolve => {
+    let finish;
+    const session = new Promise(r => { finish = r; });
+    const server = createServer(socket => {
+      const commands = [];
+      let buffer = '';
+      let data = null;
+      socket.write('220 sink ready\r\n');
+      socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        if (data !== null) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          data = buffer.slice(0, end + 2);
+          buffer = buffer.slice(end + 5);
+          socket.write('250 queued\r\n');
+        }
+        let i;
+        while ((i = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, i);
+          buffer = buffer.slice(i + 2);
+          commands.push(line);
+          if (line.startsWith('EHLO')) socket.write('250-sink\r\n250 8BITMIME\r\n');
+          else if (line === 'DATA') {
+            data = '';
+            socket.write('354 go ahead\r\n');
+            return;
+          } else if (line === 'QUIT') socket.end('221 bye\r\n');
+          else socket.write('250 ok\r\n');
+        }
+      });
+      socket.on('close', () => {
+        server.close();
+        finish({ commands, data });
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, session }));
+  });
+}
+
+test('the smtp transport dot-stuffs lines that start with a dot', async () => {
+  const { port, session } = await smtpSink();
+  const raw = 'Subject: dots\r\n\r\n.hidden line\r\n..two dots\r\nmiddle . dot\r\n.\r\nlast\r\n';
+  await TRANSPORTS.smtp({ from: 'brief@newphoria.news', to: 'reader@example.com' }, raw, { SMTP_URL: `smtp://127.0.0.1:${port}` });
+
+  const { commands, data } = await session;
+  assert.deepEqual(commands.slice(0, 4), ['EHLO newphoria.local', 'MAIL FROM:<brief@newphoria.news>', 'RCPT TO:<reader@example.com>', 'DATA']);
+  assert.equal(data, 'Subject: dots\r\n\r\n..hidden line\r\n...two dots\r\nmiddle . dot\r\n..\r\nlast\r\n');
+  // What the server stores once it strips one leading dot per line
+  assert.equal(data.replace(/^\./gm, ''), raw);
+});
+
+test('the smtp transport refuses an envelope address with a line break', async () => {
+  await assert.rejects(
+    TRANSPORTS.smtp({ from: 'brief@newphoria.news', to: 'reader@example.com\r\nRCPT TO:<spy@example.com>' }, 'x\r\n', { SMTP_URL: 'smtp://127.0.0.1:9' }),
+    /Invalid envelope address/,
+  );
+});
@@ -0,0 +1,162 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Reclassification Tests
+ * ═══════════════════════════════════════════════════════
+ *
+ * When a backfill result replaces a stored classification, and the
+ * shift report built from reclassification rows (scripts/lib/reclassify.mjs).
+ *
+ * Run with `npm test`. No network or database.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decideReclassification, formatShiftReport, reclassificationRow, summarizeShifts, versionOf,
+} from '../lib/reclassify.mjs';
+import { CLASSIFIER_MODEL, PROMPT_VERSION } from '../lib/classifier.mjs';
+
+const APPLIED = { applied: true, skipped_reason: null };
+const LOWER = { applied: false, skipped_reason: 'lower_confidence' };
+
+// ═══ decideReclassification ═══
+
+test('a result with higher or equal confidence replaces the stored one', () => {
+  assert.deepEqual(decideReclassification({ ai_confidence: 0.6 }, { ai_confidence: 0.9 }), APPLIED);
+  assert.deepEqual(decideReclassification({ ai_confidence: 0.8 }, { ai_confidence: 0.8 }), APPLIED);
+});
+
+test('a result with lower confidence leaves the article alone', () => {
+  assert.deepEqual(decideReclassification({ ai_confidence: 0.9 }, { ai_confidence: 0.6 }), LOWER);
+});
+
+test('a missing confidence counts as zero', () => {
+  assert.deepEqual(decideReclassification({ ai_confidence: null }, { ai_confidence: 0.4 }), APPLIED, 'never-scored article');
+  assert.deepEqual(decideReclassification({}, { ai_confidence: 0 }), APPLIED);
+  assert.deepEqual(decideReclassification({ ai_confidence: null }, { ai_confidence: null }), APPLIED);
+  assert.deepEqual(decideReclassification({ ai_confidence: 0.5 }, { ai_confidence: null }), LOWER, 'unscored result');
+  assert.deepEqual(decideReclassification({ ai_confidence: 0.5 }, {}), LOWER);
+});
+
+test('a failed classification never replaces the stored one', () => {
+  const failed = { classification_error: 'invalid JSON', ai_confidence: 1 };
+  assert.deepEqual(decideReclassification({ ai_confidence: 0.2 }, failed), { applied: false, skipped_reason: 'classification_failed' });
+  assert.deepEqual(decideReclassification({ ai_confidence: null }, failed), { applied: false, skipped_reason: 'classification_failed' });
+});
+
+// ═══ reclassificationRow ═══
+
+const BEFORE = {
+  id: 'article-1', classifier: 'claude-old', prompt_version: 'v1',
+  bloom_score: 3, category_name: 'science', is_weird: false, ai_confidence: 0.7,
+};
+
+test('reclassificationRow records both classifications', () => {
+  const after = { classifier: 'claude-new', prompt_version: 'v2', bloom_score: 4, category_name: 'space', is_weird: true, ai_confidence: 0.9 };
+  assert.deepEqual(reclassificationRow('backfill-1', BEFORE, after, APPLIED), {
+    backfill_id: 'backfill-1', article_id: 'article-1',
+    from_classifier: 'claude-old', from_prompt_version: 'v1',
+    to_classifier: 'claude-new', to_prompt_version: 'v2',
+    bloom_before: 3, bloom_after: 4,
+    category_before: 'science', category_after: 'space',
+    weird_before: false, weird_after: true,
+    confidence_before: 0.7, confidence_after: 0.9,
+    applied: true, skipped_reason: null,
+  });
+});
+
+test('reclassificationRow credits a failed attempt to the current version', () => {
+  const row = reclassificationRow('backfill-1', BEFORE, { classification_error: 'timeout' }, { applied: false, skipped_reason: 'classification_failed' });
+  assert.equal(row.to_classifier, CLASSIFIER_MODEL);
+  assert.equal(row.to_prompt_version, PROMPT_VERSION);
+  assert.equal(row.bloom_after, null);
+  assert.equal(row.category_after, null);
+  assert.equal(row.confidence_after, null);
+});
+
+test('versionOf names a classifier and prompt version', () => {
+  assert.equal(versionOf({ classifier: 'claude-new', prompt_version: 'v2' }), 'claude-new@v2');
+  assert.equal(versionOf({}), 'unknown@unknown');
+  assert.equal(versionOf(), 'unknown@unknown');
+});
+
+// ═══ summarizeShifts ═══
+
+/** A reclassifications row from claude-old@v1 to claude-new@v2 */
+const row = (overrides = {}) => ({
+  from_classifier: 'claude-old', from_prompt_version: 'v1',
+  to_classifier: 'claude-new', to_prompt_version: 'v2',
+  bloom_before: 3, bloom_after: 3,
+  category_before: 'science', category_after: 'science',
+  weird_before: false, weird_after: false,
+  applied: true, skipped_reason: null,
+  ...overrides,
+});
+
+test('summarizeShifts counts bloom moves, category moves and Weird flags', () => {
+  const [s, ...others] = summarizeShifts([
+    row({ bloom_after: 5 }),
+    row({ bloom_before: 4, bloom_after: 2, category_after: 'health' }),
+    row({ bloom_before: 2, bloom_after: 3, weird_after: true }),
+    row({ weird_before: true, category_after: 'health' }),
+  ]);
+
+  assert.equal(others.length, 0);
+  assert.equal(s.from, 'claude-old@v1');
+  assert.equal(s.to, 'claude-new@v2');
+  assert.equal(s.total, 4);
+  assert.equal(s.applied, 4);
+  assert.deepEqual(s.skipped, {});
+  assert.deepEqual(s.bloom, {
+    up: 2, down: 1, same: 1, delta: 1, mean_delta: 0.25,
+    matrix: { '3→5': 1, '4→2': 1, '2→3': 1, '3→3': 1 },
+  });
+  assert.deepEqual(s.categories, { 'science→health': 2 });
+  assert.deepEqual(s.weird, { gained: 1, lost: 1 });
+  assert.deepEqual(s.threshold, { now_below: 1, now_above: 1 });
+});
+
+test('summarizeShifts counts skipped rows, and failed ones only as skipped', () => {
+  const [s] = summarizeShifts([
+    row({ bloom_after: 4 }),
+    row({ bloom_after: 1, applied: false, skipped_reason: 'lower_confidence' }),
+    row({ bloom_after: null, category_after: null, weird_after: null, applied: false, skipped_reason: 'classification_failed' }),
+    row({ bloom_after: null, category_after: null, weird_after: null, applied: false, skipped_reason: 'classification_failed' }),
+  ]);
+
+  assert.equal(s.total, 4);
+  assert.equal(s.applied, 1);
+  assert.deepEqual(s.skipped, { lower_confidence: 1, classification_failed: 2 });
+  assert.equal(s.bloom.up + s.bloom.down + s.bloom.same, 2, 'failed rows are not compared');
+  assert.equal(s.bloom.mean_delta, -0.5);
+  assert.deepEqual(s.categories, {});
+});
+
+test('summarizeShifts groups rows by version pair', () => {
+  const summaries = summarizeShifts([
+    row(),
+    row({ from_classifier: null, from_prompt_version: null }),
+    row(),
+  ]);
+  assert.deepEqual(summaries.map(s => [s.from, s.to, s.total]), [
+    ['claude-old@v1', 'claude-new@v2', 2],
+    ['unknown@unknown', 'claude-new@v2', 1],
+  ]);
+});
+
+test('summarizeShifts takes the publish threshold as an option', () => {
+  const [s] = summarizeShifts([row({ bloom_before: 3, bloom_after: 4 })], { minBloom: 4 });
+  assert.deepEqual(s.threshold, { now_below: 0, now_above: 1 });
+});
+
+test('summarizeShifts of nothing is empty, and so is its report', () => {
+  assert.deepEqual(summarizeShifts([]), []);
+  assert.equal(formatShiftReport([]), '  No reclassifications recorded.');
+});
+
+test('a mean delta of zero is reported when every row failed', () => {
+  const [s] = summarizeShifts([row({ bloom_after: null, applied: false, skipped_reason: 'classification_failed' })]);
+  assert.equal(s.bloom.mean_delta, 0);
+  assert.match(formatShiftReport([s]), /1 articles, 0 updated, skipped: 1 classification failed/);
+});
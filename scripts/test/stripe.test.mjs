@@ -0,0 +1,180 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Newphoria+ Stripe & Entitlement Tests
+ * ═══════════════════════════════════════════════════════
+ *
+ * Webhook signature checks (netlify/lib/stripe.mjs), the entitlement
+ * token (netlify/lib/entitlement.mjs), and the subscribers columns each
+ * recorded event in fixtures/stripe maps onto.
+ *
+ * Run with `npm test`. No network or database.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { signPayload, verifyWebhook } from '../../netlify/lib/stripe.mjs';
+import { TOKEN_TTL_S, membershipColumns, signEntitlement, verifyEntitlement } from '../../netlify/lib/entitlement.mjs';
+
+const SECRET = 'whsec_test_secret';
+const NOW = Date.UTC(2026, 9, 1, 14, 5);
+const NOW_S = Math.floor(NOW / 1000);
+const PAYLOAD = JSON.stringify({ id: 'evt_test', type: 'customer.subscription.updated' });
+
+const FIXTURE_DIR = new URL('../../fixtures/stripe/', import.meta.url);
+const fixture = (name) => JSON.parse(readFileSync(new URL(name, FIXTURE_DIR), 'utf8'));
+
+// ═══ WEBHOOK SIGNATURES ═══
+
+test('verifyWebhook returns the event for a fresh, valid signature', () => {
+  const event = verifyWebhook(PAYLOAD, signPayload(PAYLOAD, SECRET, NOW_S), SECRET, { now: NOW });
+  assert.deepEqual(event, JSON.parse(PAYLOAD));
+});
+
+test('verifyWebhook rejects a signature made with another secret', () => {
+  const header = signPayload(PAYLOAD, 'whsec_someone_else', NOW_S);
+  assert.throws(() => verifyWebhook(PAYLOAD, header, SECRET, { now: NOW }), /Signature does not match/);
+});
+
+test('verifyWebhook rejects a payload changed after signing', () => {
+  const header = signPayload(PAYLOAD, SECRET, NOW_S);
+  const tampered = PAYLOAD.replace('updated', 'deleted');
+  assert.throws(() => verifyWebhook(tampered, header, SECRET, { now: NOW }), /Signature does not match/);
+});
+
+test('verifyWebhook rejects a signature older than the tolerance', () => {
+  const header = signPayload(PAYLOAD, SECRET, NOW_S - 301);
+  assert.throws(() => verifyWebhook(PAYLOAD, header, SECRET, { now: NOW }), /Signature is too old/);
+  assert.ok(verifyWebhook(PAYLOAD, signPayload(PAYLOAD, SECRET, NOW_S - 299), SECRET, { now: NOW }));
+  assert.ok(verifyWebhook(PAYLOAD, header, SECRET, { now: NOW, tolerance: 600 }));
+});
+
+test('verifyWebhook rejects a timestamp from the future', () => {
+  const header = signPayload(PAYLOAD, SECRET, NOW_S + 301);
+  assert.throws(() => verifyWebhook(PAYLOAD, header, SECRET, { now: NOW }), /Signature is too old/);
+});
+
+test('verifyWebhook accepts any one of several v1 signatures', () => {
+  const [timestamp, current] = signPayload(PAYLOAD, SECRET, NOW_S).split(',');
+  const [, rolled] = signPayload(PAYLOAD, 'whsec_old_secret', NOW_S).split(',');
+  for (const header of [`${timestamp},${rolled},${current}`, `${timestamp},${current},${rolled}`]) {
+    assert.deepEqual(verifyWebhook(PAYLOAD, header, SECRET, { now: NOW }), JSON.parse(PAYLOAD));
+  }
+  assert.throws(() => verifyWebhook(PAYLOAD, `${timestamp},${rolled},v0=${current.slice(3)}`, SECRET, { now: NOW }), /Signature does not match/);
+});
+
+test('verifyWebhook rejects a missing or malformed header', () => {
+  for (const header of [undefined, '', 'garbage', `t=${NOW_S}`, 'v1=abc', `t=later,v1=abc`]) {
+    assert.throws(() => verifyWebhook(PAYLOAD, header, SECRET, { now: NOW }), /Missing or malformed/, String(header));
+  }
+});
+
+test('verifyWebhook refuses to run without a secret', () => {
+  assert.throws(() => verifyWebhook(PAYLOAD, signPayload(PAYLOAD, SECRET, NOW_S), '', { now: NOW }), /STRIPE_WEBHOOK_SECRET is not set/);
+});
+
+// ═══ ENTITLEMENT TOKENS ═══
+
+const ENV = { ENTITLEMENT_SECRET: 'entitlement-test-secret' };
+const MEMBER = { id: '5b0c8f1e-2d7a-4c39-9e61-0f3a7b2c4d10', is_premium: true, premium_status: 'trialing', trial_ends_at: '2026-10-08T14:03:27.000Z' };
+
+/** The token with its payload rewritten but the old signature kept */
+function withClaims(token, changes) {
+  const [header, payload, sig] = token.split('.');
+  const claims = { ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')), ...changes };
+  return `${header}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${sig}`;
+}
+
+test('verifyEntitlement returns the claims of a token it signed', () => {
+  const claims = verifyEntitlement(signEntitlement(MEMBER, ENV, NOW), ENV, NOW + 1000);
+  assert.deepEqual(claims, {
+    sub: MEMBER.id,
+    plan: 'plus',
+    premium: true,
+    status: 'trialing',
+    trial_ends_at: MEMBER.trial_ends_at,
+    iat: NOW_S,
+    exp: NOW_S + TOKEN_TTL_S,
+  });
+});
+
+test('verifyEntitlement rejects a tampered token', () => {
+  const token = signEntitlement({ ...MEMBER, is_premium: false, premium_status: 'canceled' }, ENV, NOW);
+  assert.equal(verifyEntitlement(withClaims(token, { premium: true }), ENV, NOW), null);
+  assert.equal(verifyEntitlement(withClaims(token, { sub: 'another-member' }), ENV, NOW), null);
+  assert.equal(verifyEntitlement(`${token.slice(0, -2)}AA`, ENV, NOW), null);
+  assert.equal(verifyEntitlement(token, { ENTITLEMENT_SECRET: 'another-secret' }, NOW), null);
+});
+
+test('verifyEntitlement rejects a token signed with another algorithm', () => {
+  const [, payload, sig] = signEntitlement(MEMBER, ENV, NOW).split('.');
+  const none = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+  assert.equal(verifyEntitlement(`${none}.${payload}.${sig}`, ENV, NOW), null);
+  assert.equal(verifyEntitlement(`${none}.${payload}.`, ENV, NOW), null);
+});
+
+test('verifyEntitlement rejects an expired token', () => {
+  const token = signEntitlement(MEMBER, ENV, NOW);
+  assert.ok(verifyEntitlement(token, ENV, NOW + (TOKEN_TTL_S - 1) * 1000));
+  assert.equal(verifyEntitlement(token, ENV, NOW + TOKEN_TTL_S * 1000), null);
+});
+
+test('verifyEntitlement rejects anything that is not a token', () => {
+  for (const token of [undefined, null, '', 'a.b', 'not.a.token']) {
+    assert.equal(verifyEntitlement(token, ENV, NOW), null, String(token));
+  }
+});
+
+test('signEntitlement refuses to run without a secret', () => {
+  assert.throws(() => signEntitlement(MEMBER, {}, NOW), /ENTITLEMENT_SECRET is not set/);
+});
+
+// ═══ MEMBERSHIP COLUMNS ═══
+
+const TRIAL = {
+  stripe_customer_id: 'cus_QtR8fXk2LmN4pA',
+  stripe_subscription_id: 'sub_1Q2wErTyUiOp3aSd',
+  premium_status: 'trialing',
+  is_premium: true,
+  trial_started_at: '2026-10-01T14:03:27.000Z',
+  trial_ends_at: '2026-10-08T14:03:27.000Z',
+  current_period_end: '2026-10-08T14:03:27.000Z',
+  cancel_at_period_end: false,
+};
+const PAID = { ...TRIAL, premium_status: 'active', current_period_end: '2026-11-08T14:03:27.000Z' };
+
+const EXPECTED_COLUMNS = {
+  '01-customer.subscription.created.json': TRIAL,
+  '03-customer.subscription.trial_will_end.json': TRIAL,
+  '04-customer.subscription.updated-trial-ended.json': PAID,
+  '05-customer.subscription.updated-cancel-at-period-end.json': { ...PAID, cancel_at_period_end: true },
+  '06-customer.subscription.deleted.json': { ...PAID, premium_status: 'canceled', is_premium: false, cancel_at_period_end: true },
+};
+
+for (const name of readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.json')).sort()) {
+  const event = fixture(name);
+  if (event.data.object.object !== 'subscription') continue;
+
+  test(`membershipColumns maps ${name}`, () => {
+    assert.ok(EXPECTED_COLUMNS[name], `no expected columns for ${name}`);
+    assert.deepEqual(membershipColumns(event.data.object), EXPECTED_COLUMNS[name]);
+  });
+}
+
+test('membershipColumns maps the subscription a completed checkout points to', () => {
+  const session = fixture('02-checkout.session.completed.json').data.object;
+  const subscription = fixture('01-customer.subscription.created.json').data.object;
+  assert.equal(session.subscription, subscription.id);
+
+  const columns = membershipColumns(subscription);
+  assert.equal(columns.stripe_customer_id, session.customer);
+  assert.equal(columns.stripe_subscription_id, session.subscription);
+});
+
+test('membershipColumns reads the period end from the item on newer API versions', () => {
+  const { current_period_end, ...subscription } = fixture('04-customer.subscription.updated-trial-ended.json').data.object;
+  subscription.customer = { id: subscription.customer };
+  subscription.items.data[0].current_period_end = current_period_end;
+  assert.deepEqual(membershipColumns(subscription), PAID);
+});
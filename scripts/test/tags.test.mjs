@@ -0,0 +1,97 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Tag Normalization Tests
+ * ═══════════════════════════════════════════════════════
+ *
+ * The raw tags the classifier returns and the canonical names
+ * scripts/lib/tags.mjs folds them into.
+ *
+ * Run with `npm test`. No network or database.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_TAGS, normalizeTag, normalizeTags, singularize, tagColumns } from '../lib/tags.mjs';
+
+// ═══ singularize ═══
+
+test('singularize handles regular plurals', () => {
+  const cases = {
+    batteries: 'battery', panels: 'panel', churches: 'church', boxes: 'box',
+    wishes: 'wish', houses: 'house', causes: 'cause', buses: 'bus', classes: 'class',
+  };
+  for (const [plural, singular] of Object.entries(cases)) assert.equal(singularize(plural), singular, plural);
+});
+
+test('singularize handles irregular plurals', () => {
+  const cases = { children: 'child', women: 'woman', mice: 'mouse', wolves: 'wolf', heroes: 'hero', fungi: 'fungus', people: 'people', data: 'data' };
+  for (const [plural, singular] of Object.entries(cases)) assert.equal(singularize(plural), singular, plural);
+});
+
+test('singularize leaves words that only end in -s alone', () => {
+  for (const word of ['bus', 'news', 'species', 'virus', 'analysis', 'physics', 'glass', 'famous', 'gas', 'us']) {
+    assert.equal(singularize(word), word);
+  }
+});
+
+test('singularize leaves singular words alone', () => {
+  for (const word of ['battery', 'hero', 'ocean', 'child']) assert.equal(singularize(word), word);
+});
+
+// ═══ normalizeTag ═══
+
+test('normalizeTag folds spellings of one tag into a canonical name', () => {
+  const cases = {
+    'EVs': 'electric vehicle',
+    'Electric Cars': 'electric vehicle',
+    'Batteries': 'battery',
+    'bus': 'bus',
+    '#AI': 'AI',
+    'Artificial Intelligence': 'AI',
+    'Solar Panels': 'solar panel',
+    'solar  panel ': 'solar panel',
+    'Global Warming': 'climate change',
+    'Coral Reefs': 'coral reef',
+    'COVID': 'COVID-19',
+    'CRISPR': 'gene editing',
+  };
+  for (const [raw, name] of Object.entries(cases)) assert.equal(normalizeTag(raw), name, raw);
+});
+
+test('normalizeTag keeps acronyms uppercase and lowercases other words', () => {
+  assert.equal(normalizeTag('NASA'), 'NASA');
+  assert.equal(normalizeTag('DNA Tests'), 'DNA test');
+  assert.equal(normalizeTag('Ocean Conservation'), 'ocean conservation');
+});
+
+test('normalizeTag leaves only letters, digits, spaces and hyphens', () => {
+  assert.equal(normalizeTag("Women's Health"), 'womens health');
+  assert.equal(normalizeTag('Art & Design'), 'art and design');
+  assert.equal(normalizeTag('<b>Oceans</b>'), 'b oceans b');
+  assert.equal(normalizeTag('-- Wind Power --'), 'wind energy');
+});
+
+test('normalizeTag returns null when nothing usable is left', () => {
+  for (const raw of ['', '   ', '##', '!!!', null, undefined, 42, 'x'.repeat(41)]) {
+    assert.equal(normalizeTag(raw), null, JSON.stringify(raw));
+  }
+});
+
+// ═══ normalizeTags & tagColumns ═══
+
+test('normalizeTags drops tags that normalize to the same name, keeping order', () => {
+  assert.deepEqual(normalizeTags(['Solar', 'solar energy', 'EVs', 'Electric Car', '##']), ['solar energy', 'electric vehicle']);
+});
+
+test(`normalizeTags keeps at most ${MAX_TAGS} tags`, () => {
+  assert.deepEqual(normalizeTags(['AI', 'ML', 'climate', 'reef', 'oceans']), ['AI', 'machine learning', 'climate change', 'coral reef']);
+  assert.deepEqual(normalizeTags(null), []);
+});
+
+test('tagColumns pairs each name with its slug', () => {
+  assert.deepEqual(tagColumns(['Coral Reefs', '#AI', 'COVID']), {
+    ai_tags: ['coral reef', 'AI', 'COVID-19'],
+    tag_slugs: ['coral-reef', 'ai', 'covid-19'],
+  });
+});
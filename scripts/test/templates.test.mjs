@@ -0,0 +1,185 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Template Escaping Tests
+ * ═══════════════════════════════════════════════════════
+ *
+ * Feeds hostile rows through every renderer in public/js/templates.js
+ * and checks the markup that comes out: each tag is well formed, no
+ * event-handler attribute got in, every href and src is http(s) or a
+ * path on this site, and the payloads show up as escaped text.
+ *
+ * Run with `npm test`. No network or database.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CAT_IMAGES, renderArticleCard, renderFeaturedCard, renderWeirdCard,
+  renderTrendingItem, renderAd, renderBloomPicks,
+} from '../../public/js/templates.js';
+
+// ═══ FIXTURES ═══
+
+const SCRIPT = '<script>alert(1)</script>';
+const IMG_ONERROR = '<img src=x onerror=alert(1)>';
+const ATTR_BREAKOUT = '" onmouseover="alert(1)';
+const SINGLE_QUOTE = "' onfocus='alert(1)' autofocus='";
+
+const article = (overrides = {}) => ({
+  id: `"><svg onload=alert(1)>`,
+  title: IMG_ONERROR,
+  excerpt: SCRIPT,
+  ai_summary: `</p>${SCRIPT}<p>`,
+  source_name: ATTR_BREAKOUT,
+  source_url: 'javascript:alert(1)',
+  image_url: 'javascript:alert(document.cookie)',
+  category_name: `health${ATTR_BREAKOUT}`,
+  bloom_score: '<b>5</b>',
+  ai_tags: [SCRIPT, SINGLE_QUOTE],
+  coverage_count: '2"><script>',
+  published_at: new Date().toISOString(),
+  read_time_minutes: '<i>3</i>',
+  view_count: 1200,
+  ...overrides,
+});
+
+const HOSTILE_ARTICLES = {
+  'javascript: image': article(),
+  'data: image': article({ image_url: 'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==' }),
+  'protocol-relative image': article({ image_url: '//evil.example/x.png' }),
+  'padded javascript: image': article({ image_url: '  JaVaScRiPt:alert(1)' }),
+};
+
+const placement = (overrides = {}) => ({
+  id: `1" onclick="alert(1)`,
+  slot: `sidebar-1"><script>`,
+  advertiser: SCRIPT,
+  title: IMG_ONERROR,
+  description: `</div>${SCRIPT}`,
+  image_url: 'javascript:alert(1)',
+  cta_text: ATTR_BREAKOUT,
+  weight: 1,
+  ...overrides,
+});
+
+const pick = (overrides = {}) => ({
+  id: `"><script>alert(1)</script>`,
+  name: IMG_ONERROR,
+  description: SINGLE_QUOTE,
+  image_url: 'data:image/svg+xml,<svg onload=alert(1)>',
+  affiliate_network: 'amazon',
+  ...overrides,
+});
+
+// ═══ CHECKS ═══
+
+// Escaped text has no '<', so every '<' in the output opens a real tag
+const TAG = /<[^>]*>/g;
+const WELL_FORMED = /^<\/?[a-z][a-z0-9]*(?:\s+[a-z][a-z-]*(?:="[^"<>]*")?)*\s*\/?>$/;
+const ATTRIBUTE = /\s([a-z][a-z-]*)(?:="([^"]*)")?/g;
+const SAFE_URL = /^(?:https?:\/\/|\/(?![/\\])|#$)/;
+
+/** Every tag well formed, no on* attributes, no unsafe links */
+function assertSafeMarkup(markup) {
+  const out = String(markup);
+  assert.ok(out.length > 0, 'renderer returned nothing');
+  assert.doesNotMatch(out, /<script|<svg|<iframe/i);
+
+  for (const [tag] of out.matchAll(TAG)) {
+    assert.match(tag, WELL_FORMED, `malformed tag: ${tag}`);
+    for (const [, name, value] of tag.matchAll(ATTRIBUTE)) {
+      assert.ok(!name.startsWith('on'), `event handler attribute in ${tag}`);
+      if (name === 'href' || name === 'src') {
+        assert.match(value, SAFE_URL, `unsafe ${name} in ${tag}`);
+      }
+    }
+  }
+  return out;
+}
+
+/** Image URLs in the markup, with &amp; decoded */
+const srcs = (markup) => [...String(markup).matchAll(/\ssrc="([^"]*)"/g)].map(m => m[1].replaceAll('&amp;', '&'));
+
+// ═══ STORIES ═══
+
+for (const [name, row] of Object.entries(HOSTILE_ARTICLES)) {
+  test(`renderArticleCard escapes a hostile row (${name})`, () => {
+    const out = assertSafeMarkup(renderArticleCard(row));
+    assert.ok(out.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(out.includes('&lt;/p&gt;&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(out.includes('&quot; onmouseover=&quot;alert(1)'));
+    assert.ok(out.includes('&lt;b&gt;5&lt;/b&gt;'));
+    assert.deepEqual(srcs(out), [CAT_IMAGES.progress]);
+  });
+
+  test(`renderFeaturedCard escapes a hostile row (${name})`, () => {
+    const out = assertSafeMarkup(renderFeaturedCard(row, true));
+    assert.ok(out.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(out.includes('Bloom &lt;b&gt;5&lt;/b&gt;'));
+    assert.deepEqual(srcs(out), [CAT_IMAGES.progress]);
+  });
+
+  test(`renderWeirdCard escapes a hostile row (${name})`, () => {
+    const out = assertSafeMarkup(renderWeirdCard(row));
+    assert.ok(out.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.deepEqual(srcs(out), [CAT_IMAGES.weird]);
+  });
+
+  test(`renderTrendingItem escapes a hostile row (${name})`, () => {
+    const out = assertSafeMarkup(renderTrendingItem(row, 0));
+    assert.ok(out.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(out.includes('health&quot; onmouseover=&quot;alert(1) · 1.2K reads'));
+  });
+}
+
+test('story links go through /go/ with the id encoded', () => {
+  const out = String(renderArticleCard(article()));
+  assert.ok(out.includes('href="/go/%22%3E%3Csvg%20onload%3Dalert(1)%3E"'));
+});
+
+test('topic links keep only the slug of a hostile tag', () => {
+  const out = assertSafeMarkup(renderArticleCard(article({ coverage_count: 0 })));
+  assert.ok(out.includes('href="/topic/script-alert-1-script"'));
+  assert.ok(out.includes('#&#39; onfocus=&#39;alert(1)&#39; autofocus=&#39;'));
+});
+
+test('a safe image_url is kept', () => {
+  const out = renderArticleCard(article({ image_url: 'https://cdn.example.com/a.jpg?x=1&y=2' }));
+  assert.ok(String(out).includes('src="https://cdn.example.com/a.jpg?x=1&amp;y=2"'));
+});
+
+// ═══ ADS ═══
+
+for (const sidebar of [false, true]) {
+  const kind = sidebar ? 'sidebar' : 'in-feed';
+
+  test(`renderAd escapes a hostile ${kind} placement`, () => {
+    const out = assertSafeMarkup(renderAd(placement(), { sidebar }));
+    assert.ok(out.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(out.includes('&lt;/div&gt;&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(out.includes('href="/ad/1%22%20onclick%3D%22alert(1)"'));
+    assert.deepEqual(srcs(out), [], 'an unsafe image is left out');
+  });
+
+  test(`renderAd drops a data: image (${kind})`, () => {
+    const out = assertSafeMarkup(renderAd(placement({ image_url: 'data:image/png;base64,AAAA' }), { sidebar }));
+    assert.deepEqual(srcs(out), []);
+  });
+}
+
+// ═══ BLOOM PICKS ═══
+
+test('renderBloomPicks escapes hostile picks', () => {
+  const out = assertSafeMarkup(renderBloomPicks([pick(), pick({ image_url: 'javascript:alert(1)', affiliate_network: 'other' })]));
+  assert.ok(out.includes('&lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(out.includes('&#39; onfocus=&#39;alert(1)&#39; autofocus=&#39;'));
+  assert.ok(out.includes('href="/pick/%22%3E%3Cscript%3Ealert(1)%3C%2Fscript%3E"'));
+  assert.ok(out.includes('As an Amazon Associate'));
+  assert.deepEqual(srcs(out), []);
+});
+
+test('renderBloomPicks renders nothing without picks', () => {
+  assert.equal(renderBloomPicks([]), '');
+  assert.equal(renderBloomPicks(null), '');
+});
@@ -0,0 +1,108 @@
+/**
+ * ═══════════════════════════════════════════════════════
+ * NEWPHORIA NEWS — Token Usage & Cost Tests
+ * ═══════════════════════════════════════════════════════
+ *
+ * Prices, per-source attribution and the daily budget check in
+ * scripts/lib/usage.mjs.
+ *
+ * Run with `npm test`. No network or database.
+ * ═══════════════════════════════════════════════════════
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MODEL_PRICES, loadPrices, priceUsage, createUsageMeter } from '../lib/usage.mjs';
+
+const PRICES = { 'test-model': { input: 1, output: 5 } };
+const usage = (input_tokens, output_tokens) => ({ input_tokens, output_tokens });
+
+// ═══ priceUsage ═══
+
+test('priceUsage charges input and output tokens per million', () => {
+  assert.equal(priceUsage(PRICES, 'test-model', usage(1_000_000, 0)), 1);
+  assert.equal(priceUsage(PRICES, 'test-model', usage(0, 1_000_000)), 5);
+  assert.equal(priceUsage(PRICES, 'test-model', usage(2000, 400)), 0.004);
+});
+
+test('priceUsage treats missing usage as zero tokens', () => {
+  assert.equal(priceUsage(PRICES, 'test-model', {}), 0);
+  assert.equal(priceUsage(PRICES, 'test-model'), 0);
+});
+
+test('priceUsage refuses a model with no price', () => {
+  assert.throws(() => priceUsage(PRICES, 'unknown-model', usage(1, 1)), /No price configured for model unknown-model/);
+});
+
+// ═══ loadPrices ═══
+
+test('loadPrices merges MODEL_PRICES_JSON over the built-in table', () => {
+  assert.deepEqual(loadPrices({}), MODEL_PRICES);
+  const prices = loadPrices({ MODEL_PRICES_JSON: '{"test-model":{"input":2,"output":8}}' });
+  assert.deepEqual(prices['test-model'], { input: 2, output: 8 });
+  assert.deepEqual(prices['claude-haiku-4-5-20251001'], MODEL_PRICES['claude-haiku-4-5-20251001']);
+});
+
+test('loadPrices rejects malformed MODEL_PRICES_JSON', () => {
+  assert.throws(() => loadPrices({ MODEL_PRICES_JSON: '{input:' }), /MODEL_PRICES_JSON is not valid JSON/);
+});
+
+// ═══ createUsageMeter ═══
+
+test('the meter totals every call', () => {
+  const meter = createUsageMeter({ prices: PRICES });
+  assert.equal(meter.record({ model: 'test-model', usage: usage(1000, 200) }), 0.002);
+  meter.record({ model: 'test-model', usage: usage(3000, 600) });
+
+  assert.deepEqual(meter.totals, { calls: 2, input_tokens: 4000, output_tokens: 800, cost_usd: 0.008 });
+});
+
+test('the meter splits each call evenly across its articles\' sources', () => {
+  const meter = createUsageMeter({ prices: PRICES });
+  meter.record({
+    model: 'test-model',
+    usage: usage(3000, 300),
+    articles: [{ api_source: 'rss' }, { api_source: 'rss' }, { api_source: 'guardian' }],
+  });
+  meter.record({ model: 'test-model', usage: usage(1000, 0), articles: [{}] });
+
+  assert.deepEqual(meter.bySource(), {
+    rss: { calls: 0.67, input_tokens: 2000, output_tokens: 200, cost_usd: 0.003 },
+    guardian: { calls: 0.33, input_tokens: 1000, output_tokens: 100, cost_usd: 0.0015 },
+    unknown: { calls: 1, input_tokens: 1000, output_tokens: 0, cost_usd: 0.001 },
+  });
+});
+
+test('the meter refuses a call for a model with no price', () => {
+  const meter = createUsageMeter({ prices: PRICES });
+  assert.throws(() => meter.record({ model: 'unknown-model', usage: usage(1, 1) }), /No price configured/);
+  assert.equal(meter.totals.calls, 0);
+});
+
+// ═══ exhausted ═══
+
+test('without a budget the meter is never exhausted', () => {
+  const meter = createUsageMeter({ prices: PRICES });
+  meter.record({ model: 'test-model', usage: usage(0, 10_000_000) });
+  assert.equal(meter.exhausted, false);
+});
+
+test('exhausted turns true once earlier spend plus this run reaches the budget', () => {
+  const meter = createUsageMeter({ prices: PRICES });
+  meter.setBudget(1, 0.5);
+  assert.equal(meter.exhausted, false);
+  assert.equal(meter.spentToday, 0.5);
+
+  meter.record({ model: 'test-model', usage: usage(400_000, 0) });
+  assert.equal(meter.exhausted, false);
+
+  meter.record({ model: 'test-model', usage: usage(100_000, 0) });
+  assert.equal(meter.spentToday, 1);
+  assert.equal(meter.exhausted, true, 'reaching the budget exactly counts');
+});
+
+test('a day already over budget is exhausted before any call', () => {
+  const meter = createUsageMeter({ prices: PRICES });
+  meter.setBudget(1, 1.25);
+  assert.equal(meter.exhausted, true);
+});
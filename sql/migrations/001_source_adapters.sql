@@ -0,0 +1,20 @@
+-- ═══════════════════════════════════════════════════════
+-- 001 — Source adapters driven by the sources table
+-- Moves the RSS feed list out of classify.mjs and adds a
+-- GNews row so the gnews adapter has something to enable it.
+-- Safe to re-run.
+-- ═══════════════════════════════════════════════════════
+
+update sources set api_source = 'rss', feed_url = 'https://www.wired.com/feed/rss' where slug = 'wired';
+update sources set feed_url = 'https://www.nasa.gov/rss/dyn/breaking_news.rss' where slug = 'nasa';
+update sources set feed_url = 'https://feeds.arstechnica.com/arstechnica/science' where slug = 'arstechnica';
+update sources set feed_url = 'https://www.goodnewsnetwork.org/feed/' where slug = 'gnn';
+update sources set feed_url = 'https://reasonstobecheerful.world/feed/' where slug = 'rtbc';
+update sources set feed_url = 'https://www.space.com/feeds/all' where slug = 'spacecom';
+update sources set feed_url = 'https://www.sciencedaily.com/rss/all.xml' where slug = 'sciencedaily';
+update sources set feed_url = 'https://positive.news/feed/' where slug = 'positivenews';
+update sources set feed_url = 'https://www.newscientist.com/feed/home/' where slug = 'newscientist';
+
+insert into sources (name, slug, url, api_source, reliability_score)
+values ('GNews', 'gnews', 'https://gnews.io', 'gnews', 3)
+on conflict (slug) do nothing;
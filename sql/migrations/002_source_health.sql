@@ -0,0 +1,11 @@
+-- ═══════════════════════════════════════════════════════
+-- 002 — Conditional GET and fetch health on sources
+-- ═══════════════════════════════════════════════════════
+
+alter table sources add column if not exists etag text;
+alter table sources add column if not exists last_modified text;
+alter table sources add column if not exists last_fetched_at timestamptz;
+alter table sources add column if not exists last_success_at timestamptz;
+alter table sources add column if not exists consecutive_failures int default 0;
+alter table sources add column if not exists last_item_count int;
+alter table sources add column if not exists last_error text;
@@ -0,0 +1,22 @@
+-- ═══════════════════════════════════════════════════════
+-- 003 — Editorial review queue
+-- ═══════════════════════════════════════════════════════
+
+alter table articles add column if not exists review_reason text;
+alter table articles add column if not exists reviewed_at timestamptz;
+alter table articles add column if not exists reviewed_by text;
+
+create table if not exists review_decisions (
+  id uuid primary key default uuid_generate_v4(),
+  article_id uuid references articles(id) on delete cascade,
+  editor text not null,
+  action text not null check (action in ('approve', 'reject', 'update')),
+  before jsonb,
+  changes jsonb,
+  decided_at timestamptz default now()
+);
+
+create index if not exists idx_articles_review_queue on articles(created_at) where status = 'draft';
+create index if not exists idx_review_decisions_decided_at on review_decisions(decided_at desc);
+
+alter table review_decisions enable row level security;
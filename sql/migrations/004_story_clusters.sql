@@ -0,0 +1,101 @@
+-- ═══════════════════════════════════════════════════════
+-- 004 — Story clusters instead of dropped near-duplicates
+-- ═══════════════════════════════════════════════════════
+
+alter table articles add column if not exists duplicate_of uuid references articles(id) on delete set null;
+alter table articles add column if not exists coverage_count int default 0;
+
+-- An article belongs to one cluster. A unique constraint's name is also
+-- its index's, so a re-run fails with duplicate_table, not duplicate_object.
+do $$
+begin
+  alter table article_duplicates add constraint article_duplicates_duplicate_article_id_key unique (duplicate_article_id);
+exception when duplicate_table or duplicate_object then
+  null;
+end;
+$$;
+
+create index if not exists idx_articles_duplicate_of on articles(duplicate_of) where duplicate_of is not null;
+create index if not exists idx_article_duplicates_primary on article_duplicates(primary_article_id);
+
+create or replace view feed_articles as
+select
+  a.id, a.title, a.excerpt, a.source_url, a.image_url,
+  a.category_name, a.bloom_score, a.is_weird, a.is_featured, a.is_trending,
+  a.source_name, a.published_at, a.read_time_minutes, a.view_count,
+  a.ai_tags, a.ai_summary, a.coverage_count
+from articles a
+where a.status = 'published' and a.bloom_score >= 3 and a.duplicate_of is null
+order by a.published_at desc;
+
+-- Dependent views pick up the new column
+create or replace view weird_articles as
+select * from feed_articles where is_weird = true;
+
+create or replace view featured_articles as
+select * from feed_articles where is_featured = true
+order by published_at desc limit 3;
+
+create or replace view story_coverage as
+select
+  d.primary_article_id, a.id, a.title, a.source_name, a.source_url, a.published_at
+from article_duplicates d
+join articles a on a.id = d.duplicate_article_id
+where a.status = 'published'
+order by a.published_at asc;
+
+-- ═══ STORY CLUSTERS ═══
+-- Re-elect the primary of the cluster an article belongs to and recount
+-- its coverage, in one transaction. The primary is the published member
+-- from the most reliable source, then the highest bloom score, then the
+-- earliest; on a tie the current primary stays. Returns the primary.
+create or replace function elect_story_primary(p_article_id uuid)
+returns uuid
+language plpgsql as $$
+declare
+  v_primary uuid;
+  v_best uuid;
+  v_similarity float;
+begin
+  select coalesce(a.duplicate_of, a.id) into v_primary from articles a where a.id = p_article_id;
+  if v_primary is null then
+    raise exception 'Cluster article not found: %', p_article_id;
+  end if;
+
+  -- Concurrent elections of the same cluster wait for each other
+  perform 1 from articles a where a.id = v_primary or a.duplicate_of = v_primary for update;
+
+  select a.id into v_best
+  from articles a
+  left join sources s on s.id = a.source_id
+  where a.id = v_primary or a.duplicate_of = v_primary
+  order by (a.status = 'published') desc,
+    coalesce(s.reliability_score, 0) desc,
+    coalesce(a.bloom_score, 0) desc,
+    coalesce(a.published_at, 'epoch') asc,
+    (a.id = v_primary) desc
+  limit 1;
+
+  -- Move the whole cluster under the new primary
+  if v_best <> v_primary then
+    delete from article_duplicates where duplicate_article_id = v_best
+    returning similarity_score into v_similarity;
+    update article_duplicates set primary_article_id = v_best where primary_article_id = v_primary;
+    insert into article_duplicates (primary_article_id, duplicate_article_id, similarity_score)
+    values (v_best, v_primary, v_similarity);
+
+    update articles set duplicate_of = v_best where duplicate_of = v_primary and id <> v_best;
+    update articles set duplicate_of = v_best, coverage_count = 0, is_featured = false where id = v_primary;
+    update articles set duplicate_of = null where id = v_best;
+  end if;
+
+  -- Published duplicates only, the ones story_coverage lists
+  update articles set coverage_count = (
+    select count(*) from story_coverage c where c.primary_article_id = v_best
+  ) where id = v_best;
+
+  return v_best;
+end;
+$$;
+
+revoke execute on function elect_story_primary(uuid) from public, anon, authenticated;
@@ -0,0 +1,29 @@
+-- ═══════════════════════════════════════════════════════
+-- 005 — Batched dedup: canonical URLs + MinHash/LSH
+-- ═══════════════════════════════════════════════════════
+
+alter table articles add column if not exists canonical_url text;
+alter table articles add column if not exists minhash int[];
+alter table articles add column if not exists lsh_bands text[];
+
+-- Existing rows keep a null canonical_url; the lookup still matches on source_url.
+-- Not unique: canonicalization can fold two different articles together,
+-- and dedup_lookup already does the exact matching. Dropped first in case
+-- an earlier version of this migration made it unique.
+drop index if exists idx_articles_canonical_url;
+create index idx_articles_canonical_url on articles(canonical_url);
+create index if not exists idx_articles_lsh_bands on articles using gin(lsh_bands);
+
+create or replace function dedup_lookup(urls text[], bands text[], since timestamptz)
+returns table (id uuid, canonical_url text, source_url text, minhash int[], near_candidate boolean)
+language sql stable as $$
+  select a.id, a.canonical_url, a.source_url, a.minhash, false
+  from articles a
+  where a.source_url = any(urls) or a.canonical_url = any(urls)
+  union all
+  select a.id, a.canonical_url, a.source_url, a.minhash, true
+  from articles a
+  where a.lsh_bands && bands and a.status = 'published' and a.published_at >= since
+$$;
+
+revoke execute on function dedup_lookup(text[], text[], timestamptz) from public, anon, authenticated;
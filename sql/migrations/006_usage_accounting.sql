@@ -0,0 +1,24 @@
+-- ═══════════════════════════════════════════════════════
+-- 006 — Token usage and cost per run
+-- ═══════════════════════════════════════════════════════
+
+alter table ingestion_log add column if not exists input_tokens int;
+alter table ingestion_log add column if not exists output_tokens int;
+alter table ingestion_log add column if not exists usage_by_source jsonb;
+
+create index if not exists idx_ingestion_log_run_at on ingestion_log(run_at desc);
+
+-- New columns are appended, so this can replace the view in place
+create or replace view pipeline_stats as
+select
+  date_trunc('day', run_at) as day,
+  sum(articles_fetched) as total_fetched,
+  sum(articles_published) as total_published,
+  sum(articles_rejected) as total_rejected,
+  sum(articles_deduplicated) as total_deduped,
+  sum(api_cost_usd) as total_cost,
+  sum(input_tokens) as total_input_tokens,
+  sum(output_tokens) as total_output_tokens
+from ingestion_log
+group by date_trunc('day', run_at)
+order by day desc;
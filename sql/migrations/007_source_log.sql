@@ -0,0 +1,50 @@
+-- ═══════════════════════════════════════════════════════
+-- 007 — Per-source rows for each pipeline run
+-- ═══════════════════════════════════════════════════════
+
+create table if not exists ingestion_log_sources (
+  id uuid primary key default uuid_generate_v4(),
+  log_id uuid not null references ingestion_log(id) on delete cascade,
+  source text not null,
+  articles_fetched int default 0,
+  articles_dropped int default 0,
+  articles_new int default 0,
+  articles_deduplicated int default 0,
+  articles_published int default 0,
+  articles_rejected int default 0,
+  articles_drafts int default 0,
+  requests int default 0,
+  latency_ms int,
+  duration_ms int,
+  http_errors jsonb,
+  errors text[],
+  quota jsonb,
+  feeds jsonb,
+  api_cost_usd decimal(8,4),
+  input_tokens int,
+  output_tokens int
+);
+
+create index if not exists idx_ingestion_log_sources_log on ingestion_log_sources(log_id);
+create index if not exists idx_ingestion_log_sources_source on ingestion_log_sources(source);
+
+alter table ingestion_log_sources enable row level security;  -- service key only
+
+-- Per-source cost now lives in ingestion_log_sources
+alter table ingestion_log drop column if exists usage_by_source;
+
+create or replace view source_stats as
+select
+  date_trunc('day', l.run_at) as day,
+  s.source,
+  sum(s.articles_fetched) as total_fetched,
+  sum(s.articles_new) as total_new,
+  sum(s.articles_published) as total_published,
+  sum(s.requests) as total_requests,
+  sum(jsonb_array_length(coalesce(s.http_errors, '[]'::jsonb))) as total_http_errors,
+  round(avg(s.latency_ms::numeric / nullif(s.requests, 0))) as avg_latency_ms,
+  sum(s.api_cost_usd) as total_cost
+from ingestion_log_sources s
+join ingestion_log l on l.id = s.log_id
+group by date_trunc('day', l.run_at), s.source
+order by day desc, s.source;
@@ -0,0 +1,37 @@
+-- ═══════════════════════════════════════════════════════
+-- 008 — Classifier versioning and reclassification backfills
+-- ═══════════════════════════════════════════════════════
+
+alter table articles add column if not exists classifier text;
+alter table articles add column if not exists prompt_version text;
+
+-- Earlier rows recorded the model in raw_ai_response; their prompt version is unknown
+update articles
+set classifier = raw_ai_response->>'classifier'
+where classifier is null and raw_ai_response ? 'classifier';
+
+create table if not exists reclassifications (
+  id uuid primary key default uuid_generate_v4(),
+  backfill_id uuid not null,
+  article_id uuid references articles(id) on delete cascade,
+  from_classifier text,
+  from_prompt_version text,
+  to_classifier text,
+  to_prompt_version text,
+  bloom_before int,
+  bloom_after int,
+  category_before text,
+  category_after text,
+  weird_before boolean,
+  weird_after boolean,
+  confidence_before float,
+  confidence_after float,
+  applied boolean not null default false,
+  skipped_reason text,
+  created_at timestamptz default now()
+);
+
+create index if not exists idx_articles_classifier_version on articles(classifier, prompt_version);
+create index if not exists idx_reclassifications_created_at on reclassifications(created_at desc);
+
+alter table reclassifications enable row level security;  -- service key only
@@ -0,0 +1,32 @@
+-- ═══════════════════════════════════════════════════════
+-- 009 — Ranked featured/trending snapshots
+-- ═══════════════════════════════════════════════════════
+
+alter table trending add column if not exists kind text not null default 'trending'
+  check (kind in ('featured', 'trending'));
+alter table trending add column if not exists score float;
+
+drop index if exists idx_trending_snapshot;
+create index idx_trending_snapshot on trending(kind, snapshot_at desc);
+
+-- The snapshots pick the homepage hero: anyone may read them, only the
+-- service key (the pipeline) writes them
+alter table trending enable row level security;
+drop policy if exists "Public read trending" on trending;
+create policy "Public read trending" on trending for select using (true);
+
+-- Featured articles (latest ranking snapshot)
+create or replace view featured_articles as
+select f.* from feed_articles f
+join trending t on t.article_id = f.id
+where t.kind = 'featured'
+  and t.snapshot_at = (select max(snapshot_at) from trending where kind = 'featured')
+order by t.rank limit 3;
+
+-- Trending articles (latest ranking snapshot)
+create or replace view trending_articles as
+select f.*, t.rank, t.score from feed_articles f
+join trending t on t.article_id = f.id
+where t.kind = 'trending'
+  and t.snapshot_at = (select max(snapshot_at) from trending where kind = 'trending')
+order by t.rank;
@@ -0,0 +1,84 @@
+-- ═══════════════════════════════════════════════════════
+-- 010 — Cookie-free read counting
+-- ═══════════════════════════════════════════════════════
+
+-- A visitor is a hash of IP + user agent with a salt replaced every UTC day
+create table if not exists read_salts (
+  day date primary key,
+  salt text not null
+);
+
+-- One row per visitor per article per day; only today's rows are kept
+create table if not exists article_reads (
+  day date not null,
+  visitor_hash text not null,
+  article_id uuid not null references articles(id) on delete cascade,
+  primary key (day, visitor_hash, article_id)
+);
+
+-- Hourly totals; the ranking step sums the last 24 hours
+create table if not exists article_read_counts (
+  article_id uuid not null references articles(id) on delete cascade,
+  hour timestamptz not null,
+  reads int not null default 0,
+  primary key (article_id, hour)
+);
+
+create index if not exists idx_article_read_counts_hour on article_read_counts(hour);
+
+alter table read_salts enable row level security;  -- service key only
+alter table article_reads enable row level security;  -- service key only
+alter table article_read_counts enable row level security;  -- service key only
+
+-- Reads per article in the last 24 hours (ranking input)
+create or replace view recent_reads as
+select article_id, sum(reads)::int as reads
+from article_read_counts
+where hour >= now() - interval '24 hours'
+group by article_id;
+
+revoke select on recent_reads from anon, authenticated;
+
+-- Count one read of a published article. Returns false when it isn't
+-- counted: already read by this visitor today, or the visitor is over
+-- the daily limit. The IP and user agent are only hashed, never stored.
+create or replace function record_read(p_article_id uuid, p_ip text, p_user_agent text, p_daily_limit int default 100)
+returns boolean
+language plpgsql as $$
+declare
+  v_day date := (now() at time zone 'utc')::date;
+  v_salt text;
+  v_visitor text;
+  v_reads int;
+begin
+  insert into read_salts (day, salt) values (v_day, gen_random_uuid()::text)
+  on conflict (day) do nothing;
+  select salt into v_salt from read_salts where day = v_day;
+
+  -- Yesterday's salt and visitors go as soon as the day turns
+  delete from read_salts where day < v_day;
+  delete from article_reads where day < v_day;
+
+  v_visitor := encode(sha256(convert_to(v_salt || '|' || p_ip || '|' || coalesce(p_user_agent, ''), 'UTF8')), 'hex');
+
+  select count(*) into v_reads from article_reads where day = v_day and visitor_hash = v_visitor;
+  if v_reads >= p_daily_limit then
+    return false;
+  end if;
+
+  insert into article_reads (day, visitor_hash, article_id)
+  select v_day, v_visitor, a.id from articles a where a.id = p_article_id and a.status = 'published'
+  on conflict do nothing;
+  if not found then
+    return false;
+  end if;
+
+  update articles set view_count = coalesce(view_count, 0) + 1 where id = p_article_id;
+  insert into article_read_counts (article_id, hour, reads)
+  values (p_article_id, date_trunc('hour', now()), 1)
+  on conflict (article_id, hour) do update set reads = article_read_counts.reads + 1;
+  return true;
+end;
+$$;
+
+revoke execute on function record_read(uuid, text, text, int) from public, anon, authenticated;
@@ -0,0 +1,71 @@
+-- ═══════════════════════════════════════════════════════
+-- 011 — Full-text search
+-- ═══════════════════════════════════════════════════════
+
+alter table articles add column if not exists search_vector tsvector;
+
+-- Title weighs most, then tags and summary, then the full text
+create or replace function articles_search_vector()
+returns trigger as $$
+begin
+  new.search_vector :=
+    setweight(to_tsvector('english', coalesce(new.title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(array_to_string(new.ai_tags, ' '), '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(new.ai_summary, new.excerpt, '')), 'B') ||
+    setweight(to_tsvector('english', left(coalesce(new.content, ''), 100000)), 'C');
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists articles_search_vector on articles;
+create trigger articles_search_vector before insert or update of title, ai_tags, ai_summary, excerpt, content on articles
+  for each row execute function articles_search_vector();
+
+-- Fill the vector for existing rows (fires the trigger)
+update articles set title = title where search_vector is null;
+
+create index if not exists idx_articles_search on articles using gin(search_vector);
+
+-- Full-text search over published stories, callable with the anon key.
+-- `q` uses web search syntax: "exact phrase", or, -exclude.
+-- Highlights wrap matches in \u0002 … \u0003 so the client can escape
+-- the text before turning them into <mark>.
+create or replace function search_articles(
+  q text,
+  category text default null,
+  min_bloom int default 3,
+  since timestamptz default null,
+  until timestamptz default null,
+  sort text default 'relevance',
+  page_size int default 20,
+  page_offset int default 0
+)
+returns table (
+  id uuid, title text, excerpt text, source_url text, image_url text,
+  category_name text, bloom_score int, is_weird boolean, source_name text,
+  published_at timestamptz, read_time_minutes int, view_count int,
+  ai_tags text[], ai_summary text, coverage_count int,
+  rank real, title_highlight text, summary_highlight text
+)
+language sql stable as $$
+  with query as (select websearch_to_tsquery('english', q) as tsq)
+  select
+    a.id, a.title, a.excerpt, a.source_url, a.image_url,
+    a.category_name, a.bloom_score, a.is_weird, a.source_name,
+    a.published_at, a.read_time_minutes, a.view_count,
+    a.ai_tags, a.ai_summary, a.coverage_count,
+    ts_rank_cd(a.search_vector, query.tsq) as rank,
+    ts_headline('english', a.title, query.tsq, 'StartSel="' || chr(2) || '", StopSel="' || chr(3) || '", HighlightAll=true'),
+    ts_headline('english', coalesce(a.ai_summary, a.excerpt, ''), query.tsq, 'StartSel="' || chr(2) || '", StopSel="' || chr(3) || '", MaxWords=40, MinWords=20')
+  from articles a, query
+  where a.search_vector @@ query.tsq
+    and a.status = 'published' and a.duplicate_of is null
+    and a.bloom_score >= greatest(coalesce(min_bloom, 3), 3)
+    and (category is null or a.category_name = category)
+    and (since is null or a.published_at >= since)
+    and (until is null or a.published_at < until)
+  order by
+    case when sort = 'newest' then null else ts_rank_cd(a.search_vector, query.tsq) end desc nulls last,
+    a.published_at desc
+  limit least(greatest(coalesce(page_size, 20), 1), 50) offset greatest(coalesce(page_offset, 0), 0)
+$$;
@@ -0,0 +1,90 @@
+-- ═══════════════════════════════════════════════════════
+-- 012 — Topic tags
+-- ═══════════════════════════════════════════════════════
+-- After running this, `npm run retag` normalizes the tags already
+-- stored, fills tag_slugs and counts them.
+
+alter table articles add column if not exists tag_slugs text[];
+
+-- One row per normalized tag. Counts cover the stories in feed_articles
+-- and are rebuilt by refresh_tags() after every pipeline run.
+create table if not exists tags (
+  slug text primary key,
+  name text not null,
+  article_count int not null default 0,
+  last_published_at timestamptz,
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_articles_tag_slugs on articles using gin(tag_slugs);
+create index if not exists idx_tags_article_count on tags(article_count desc);
+
+alter table tags enable row level security;
+drop policy if exists "Public read tags" on tags;
+create policy "Public read tags" on tags for select using (true);
+
+-- Same view with tag_slugs added at the end
+create or replace view feed_articles as
+select
+  a.id, a.title, a.excerpt, a.source_url, a.image_url,
+  a.category_name, a.bloom_score, a.is_weird, a.is_featured, a.is_trending,
+  a.source_name, a.published_at, a.read_time_minutes, a.view_count,
+  a.ai_tags, a.ai_summary, a.coverage_count, a.tag_slugs
+from articles a
+where a.status = 'published' and a.bloom_score >= 3 and a.duplicate_of is null
+order by a.published_at desc;
+
+-- ═══ TOPICS ═══
+-- Rebuild tag counts from feed_articles. A tag no story uses any more
+-- keeps its row with a count of zero (its topic page 404s).
+create or replace function refresh_tags()
+returns int
+language plpgsql as $$
+declare
+  v_tags int;
+begin
+  with counts as (
+    select t.slug, mode() within group (order by t.name) as name,
+      count(*)::int as article_count, max(f.published_at) as last_published_at
+    from feed_articles f
+    cross join lateral unnest(f.tag_slugs, f.ai_tags) as t(slug, name)
+    where t.slug <> '' and t.name is not null
+    group by t.slug
+  )
+  insert into tags (slug, name, article_count, last_published_at, updated_at)
+  select slug, name, article_count, last_published_at, now() from counts
+  on conflict (slug) do update set
+    name = excluded.name,
+    article_count = excluded.article_count,
+    last_published_at = excluded.last_published_at,
+    updated_at = now();
+  get diagnostics v_tags = row_count;
+
+  update tags set article_count = 0, updated_at = now()
+  where article_count > 0
+    and not exists (select 1 from feed_articles f where f.tag_slugs @> array[tags.slug]);
+  return v_tags;
+end;
+$$;
+
+revoke execute on function refresh_tags() from public, anon, authenticated;
+
+-- Stories sharing tags with `story`, callable with the anon key. Each
+-- shared tag counts 1 / ln(2 + stories tagged with it), so a rare tag
+-- says more than "science"; ties go to the newest.
+create or replace function related_articles(story uuid, max_results int default 3)
+returns setof feed_articles
+language sql stable as $$
+  select f.*
+  from feed_articles f
+  join articles src on src.id = story
+  cross join lateral (
+    select sum(1 / ln(2 + coalesce(t.article_count, 0))) as weight
+    from unnest(f.tag_slugs) as s(slug)
+    left join tags t on t.slug = s.slug
+    where s.slug = any(src.tag_slugs)
+  ) shared
+  where f.tag_slugs && src.tag_slugs and f.id <> story
+  order by shared.weight desc, f.published_at desc
+  limit least(greatest(coalesce(max_results, 3), 1), 12)
+$$;
@@ -0,0 +1,76 @@
+-- ═══════════════════════════════════════════════════════
+-- 013 — Ad slots from the database, impression and click counts
+-- ═══════════════════════════════════════════════════════
+-- Placements only show once click_url is a real http(s) URL; the
+-- seeded rows use '#' and stay hidden until they are filled in.
+
+-- Several active placements can share a slot; they rotate in
+-- proportion to weight
+alter table ad_placements add column if not exists weight int not null default 1;
+
+-- Hourly totals next to the running ones on ad_placements
+create table if not exists ad_event_counts (
+  placement_id uuid not null references ad_placements(id) on delete cascade,
+  hour timestamptz not null,
+  impressions int not null default 0,
+  clicks int not null default 0,
+  primary key (placement_id, hour)
+);
+
+create index if not exists idx_ad_placements_slot on ad_placements(slot) where is_active;
+
+-- The anon key reads active_ads; the table itself (click URLs, rates,
+-- counts) is service key only
+alter table ad_placements enable row level security;  -- service key only
+alter table ad_event_counts enable row level security;  -- service key only
+
+-- What the site may show today. No click_url: clicks go through /ad/<id>
+create or replace view active_ads as
+select id, slot, advertiser, title, description, image_url, cta_text, is_affiliate, weight
+from ad_placements
+where is_active
+  and weight > 0
+  and click_url ~* '^https?://'
+  and (start_date is null or start_date <= current_date)
+  and (end_date is null or end_date >= current_date);
+
+-- Count impressions or clicks for a batch of placement ids. Called by
+-- netlify/functions/ads.mjs; returns the number of placements counted.
+create or replace function record_ad_events(p_ids uuid[], p_kind text)
+returns int
+language plpgsql as $$
+declare
+  v_counted int;
+begin
+  if p_kind not in ('impression', 'click') then
+    raise exception 'Unknown ad event: %', p_kind;
+  end if;
+
+  -- Each placement counts once per call, and only while the site may
+  -- show it: repeated or retired ids can't inflate the numbers
+  with events as (
+    select distinct id from unnest(p_ids) as id
+    where id in (select a.id from active_ads a)
+  ), counted as (
+    update ad_placements p set
+      impressions = coalesce(p.impressions, 0) + case when p_kind = 'impression' then 1 else 0 end,
+      clicks = coalesce(p.clicks, 0) + case when p_kind = 'click' then 1 else 0 end
+    from events e
+    where p.id = e.id
+    returning p.id
+  )
+  insert into ad_event_counts (placement_id, hour, impressions, clicks)
+  select id, date_trunc('hour', now()),
+    case when p_kind = 'impression' then 1 else 0 end,
+    case when p_kind = 'click' then 1 else 0 end
+  from counted
+  on conflict (placement_id, hour) do update set
+    impressions = ad_event_counts.impressions + excluded.impressions,
+    clicks = ad_event_counts.clicks + excluded.clicks;
+
+  get diagnostics v_counted = row_count;
+  return v_counted;
+end;
+$$;
+
+revoke execute on function record_ad_events(uuid[], text) from public, anon, authenticated;
@@ -0,0 +1,89 @@
+-- ═══════════════════════════════════════════════════════
+-- 014 — Bloom Picks matched to stories, click counting
+-- ═══════════════════════════════════════════════════════
+-- Picks only show once affiliate_url is a real http(s) URL; the
+-- seeded rows use '#' and stay hidden until they are filled in.
+
+-- What a pick suits: category names and topic slugs (tags.slug)
+alter table bloom_picks add column if not exists categories text[] not null default '{}';
+alter table bloom_picks add column if not exists tag_slugs text[] not null default '{}';
+
+update bloom_picks set categories = '{health}', tag_slugs = '{immunity,vitamin-d,nutrition,longevity,aging}'
+where name = 'Vitamin D3+K2' and tag_slugs = '{}';
+update bloom_picks set categories = '{health}', tag_slugs = '{sleep,insomnia,stress,anxiety,mental-health,meditation}'
+where name = 'Calm Magnesium' and tag_slugs = '{}';
+update bloom_picks set categories = '{health}', tag_slugs = '{focus,productivity,caffeine,coffee,tea,mindfulness}'
+where name = 'Ceremonial Matcha' and tag_slugs = '{}';
+update bloom_picks set categories = '{health,science}', tag_slugs = '{brain-health,memory,cognition,neuroscience,mushroom}'
+where name = 'Lions Mane Extract' and tag_slugs = '{}';
+
+-- Topics no product should be shown next to. Slugs as produced by
+-- scripts/lib/tags.mjs (singular, lowercase, hyphenated).
+create table if not exists sensitive_tags (
+  slug text primary key,
+  created_at timestamptz default now()
+);
+
+insert into sensitive_tags (slug) values
+  ('cancer'), ('terminal-illness'), ('death'), ('grief'), ('bereavement'), ('suicide'),
+  ('suicide-prevention'), ('self-harm'), ('eating-disorder'), ('addiction'), ('overdose'),
+  ('opioid'), ('child-abuse'), ('domestic-violence'), ('sexual-assault'), ('violence'),
+  ('gun-violence'), ('mass-shooting'), ('war'), ('refugee'), ('natural-disaster'),
+  ('earthquake'), ('miscarriage'), ('dementia'), ('alzheimers-disease')
+on conflict (slug) do nothing;
+
+-- Affiliate URLs and click counts stay behind the service key;
+-- bloom_picks_for() runs as the caller, so sensitive_tags is readable
+alter table bloom_picks enable row level security;  -- service key only
+alter table sensitive_tags enable row level security;
+drop policy if exists "Public read sensitive tags" on sensitive_tags;
+create policy "Public read sensitive tags" on sensitive_tags for select using (true);
+
+-- What the site may show. No affiliate_url: clicks go through /pick/<id>
+create or replace view active_bloom_picks as
+select id, name, description, image_url, affiliate_network, categories, tag_slugs, display_order
+from bloom_picks
+where is_active and affiliate_url ~* '^https?://';
+
+-- Picks for the stories next to them (a story page, or the top of a
+-- feed) and optionally a category. Picks sharing the most tags with
+-- the stories come first, then ones for their category, then the rest
+-- by display_order. Sensitive stories (any tag in sensitive_tags) are
+-- left out of the matching; when every story is sensitive, no picks
+-- are returned. Callable with the anon key.
+create or replace function bloom_picks_for(story_ids uuid[] default '{}', category text default null, max_results int default 4)
+returns setof active_bloom_picks
+language sql stable as $$
+  with context as (
+    select a.category_name, coalesce(a.tag_slugs, '{}') as tag_slugs,
+      exists (select 1 from sensitive_tags s where s.slug = any(a.tag_slugs)) as sensitive
+    from feed_articles a
+    where a.id = any(coalesce(story_ids, '{}'))
+  ), usable as (
+    select * from context where not sensitive
+  ), context_tags as (
+    select array(select distinct unnest(tag_slugs) from usable) as slugs
+  ), context_categories as (
+    select array(select category_name from usable union select category where category is not null) as names
+  )
+  select p.*
+  from active_bloom_picks p, context_tags t, context_categories c
+  where exists (select 1 from usable) or not exists (select 1 from context)
+  order by
+    cardinality(array(select unnest(p.tag_slugs) intersect select unnest(t.slugs))) desc,
+    (p.categories && c.names) desc,
+    p.display_order, p.name
+  limit least(greatest(coalesce(max_results, 4), 1), 8)
+$$;
+
+-- Count one click on a pick (netlify/functions/ads.mjs)
+create or replace function record_pick_click(p_pick_id uuid)
+returns boolean
+language plpgsql as $$
+begin
+  update bloom_picks set clicks = coalesce(clicks, 0) + 1 where id = p_pick_id;
+  return found;
+end;
+$$;
+
+revoke execute on function record_pick_click(uuid) from public, anon, authenticated;
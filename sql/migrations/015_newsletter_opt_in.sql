@@ -0,0 +1,24 @@
+-- ═══════════════════════════════════════════════════════
+-- 015 — Newsletter double opt-in and unsubscribe
+-- ═══════════════════════════════════════════════════════
+-- Signups go through /api/subscribe (netlify/functions/newsletter.mjs)
+-- with the service key. The anon key has no access to subscribers.
+
+-- A signup is inactive until its confirmation link is used
+alter table subscribers alter column is_active set default false;
+alter table subscribers add column if not exists confirmed_at timestamptz;
+alter table subscribers add column if not exists confirm_token_hash text;  -- sha256 of the emailed token
+alter table subscribers add column if not exists confirm_sent_at timestamptz;
+alter table subscribers add column if not exists unsubscribe_token text;   -- in every email's unsubscribe link
+
+-- Rows from before double opt-in keep their subscription
+update subscribers set confirmed_at = subscribed_at where is_active and confirmed_at is null;
+update subscribers set unsubscribe_token = encode(sha256(convert_to(gen_random_uuid()::text || id::text, 'UTF8')), 'hex')
+where unsubscribe_token is null;
+
+create unique index if not exists idx_subscribers_confirm_token on subscribers(confirm_token_hash);
+create unique index if not exists idx_subscribers_unsubscribe_token on subscribers(unsubscribe_token);
+
+-- RLS is on with no policies; drop the table grants as well
+alter table subscribers enable row level security;  -- service key only
+revoke all on subscribers from anon, authenticated;
@@ -0,0 +1,34 @@
+-- ═══════════════════════════════════════════════════════
+-- 016 — The Morning Brief: issues and delivery log
+-- ═══════════════════════════════════════════════════════
+-- Written by scripts/brief.mjs with the service key. One issue per
+-- day; a run that stops halfway is resumed by running it again, which
+-- skips subscribers already logged as sent.
+
+create table if not exists brief_issues (
+  id uuid primary key default uuid_generate_v4(),
+  issue_date date not null unique,
+  subject text not null,
+  article_ids uuid[] not null,        -- in the order they appear, Weird item last
+  status text not null default 'sending' check (status in ('sending', 'sent')),
+  recipients int default 0,
+  sent int default 0,
+  failed int default 0,
+  created_at timestamptz default now(),
+  completed_at timestamptz
+);
+
+create table if not exists brief_deliveries (
+  issue_id uuid not null references brief_issues(id) on delete cascade,
+  subscriber_id uuid not null references subscribers(id) on delete cascade,
+  status text not null check (status in ('sent', 'failed')),
+  error text,                         -- why the last attempt failed
+  attempts int not null default 1,
+  updated_at timestamptz default now(),
+  primary key (issue_id, subscriber_id)
+);
+
+create index if not exists idx_brief_deliveries_failed on brief_deliveries(issue_id) where status = 'failed';
+
+alter table brief_issues enable row level security;  -- service key only
+alter table brief_deliveries enable row level security;  -- service key only
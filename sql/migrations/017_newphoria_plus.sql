@@ -0,0 +1,30 @@
+-- ═══════════════════════════════════════════════════════
+-- 017 — Newphoria+ memberships from Stripe, magic-link sign-in
+-- ═══════════════════════════════════════════════════════
+-- Membership columns on subscribers are written only by the Stripe
+-- webhook (netlify/functions/stripe-webhook.mjs); sign-in links by
+-- netlify/functions/plus.mjs. Both use the service key.
+
+alter table subscribers add column if not exists stripe_subscription_id text;
+alter table subscribers add column if not exists premium_status text;            -- Stripe subscription status
+alter table subscribers add column if not exists trial_started_at timestamptz;
+alter table subscribers add column if not exists trial_ends_at timestamptz;
+alter table subscribers add column if not exists current_period_end timestamptz;
+alter table subscribers add column if not exists cancel_at_period_end boolean not null default false;
+alter table subscribers add column if not exists premium_event_at timestamptz;   -- when the last applied Stripe event happened
+alter table subscribers add column if not exists login_token_hash text;          -- sha256 of the emailed sign-in token
+alter table subscribers add column if not exists login_sent_at timestamptz;
+
+create unique index if not exists idx_subscribers_stripe_customer on subscribers(stripe_customer_id);
+create unique index if not exists idx_subscribers_stripe_subscription on subscribers(stripe_subscription_id);
+create unique index if not exists idx_subscribers_login_token on subscribers(login_token_hash);
+
+-- Stripe delivers events at least once; a stored id makes a repeat a no-op
+create table if not exists stripe_events (
+  id text primary key,                -- evt_…
+  type text not null,
+  created_at timestamptz,             -- when Stripe created the event
+  received_at timestamptz default now()
+);
+
+alter table stripe_events enable row level security;  -- service key only
@@ -26,6 +26,16 @@ create table sources (
   api_source text,                    -- "newsapi", "gnews", "guardian", "rss"
   reliability_score int default 5,    -- 1-5 source quality rating
   is_active boolean default true,
+
+  -- Fetch health (written by the pipeline)
+  etag text,                          -- validator for conditional GET
+  last_modified text,                 -- Last-Modified header, sent back as If-Modified-Since
+  last_fetched_at timestamptz,
+  last_success_at timestamptz,
+  consecutive_failures int default 0, -- source is deactivated after SOURCE_MAX_FAILURES
+  last_item_count int,                -- items in the last full download
+  last_error text,
+
   created_at timestamptz default now()
 );
 
@@ -49,7 +59,8 @@ create table articles (
   title text not null,
   excerpt text,
   content text,                       -- full article text if available
-  source_url text not null unique,    -- original article URL (dedup key)
+  source_url text not null unique,    -- original article URL
+  canonical_url text,                 -- source_url without tracking params / AMP paths (dedup key)
   image_url text,                     -- article preview image
   
   -- Classification (Normalize layer)
@@ -59,6 +70,12 @@ create table articles (
   sentiment_score float,              -- -1.0 to 1.0 from AI
   is_weird boolean default false,     -- flags for Wonderfully Weird
   
+  -- Story clusters (see article_duplicates)
+  duplicate_of uuid references articles(id) on delete set null,  -- cluster primary; null = this is the primary
+  coverage_count int default 0,       -- other sources covering the same story (primaries only)
+  minhash int[],                      -- MinHash signature of the title (scripts/lib/dedup.mjs)
+  lsh_bands text[],                   -- LSH band keys derived from minhash
+
   -- Source attribution (Connect layer)
   source_id uuid references sources(id),
   source_name text,                   -- denormalized
@@ -67,16 +84,27 @@ create table articles (
   
   -- AI metadata
   ai_summary text,                    -- AI-generated summary
-  ai_tags text[],                     -- AI-extracted topics
+  ai_tags text[],                     -- AI-extracted topics, normalized (scripts/lib/tags.mjs)
+  tag_slugs text[],                   -- slugs of ai_tags, same order: /topic/<slug>
   ai_confidence float default 0.0,    -- how confident the AI is in classification
   raw_ai_response jsonb,              -- full AI classification response for debugging
+  classifier text,                    -- model id, or the fallback model's version
+  prompt_version text,                -- PROMPT_VERSION from scripts/lib/classifier.mjs (null for fallback)
   
   -- Display
   is_featured boolean default false,
   is_trending boolean default false,
   read_time_minutes int default 3,
   view_count int default 0,
+
+  -- Search (filled by the articles_search_vector trigger)
+  search_vector tsvector,
   
+  -- Editorial review (drafts are borderline classifications)
+  review_reason text,                 -- why the pipeline held it: "low_confidence", "at_threshold", ...
+  reviewed_at timestamptz,
+  reviewed_by text,                   -- editor name from REVIEW_TOKENS
+
   -- System
   status text default 'published' check (status in ('draft', 'published', 'archived', 'rejected')),
   ingested_at timestamptz default now(),
@@ -93,18 +121,72 @@ create table article_duplicates (
   duplicate_article_id uuid references articles(id) on delete cascade,
   similarity_score float,             -- 0.0 to 1.0
   detected_at timestamptz default now(),
-  unique(primary_article_id, duplicate_article_id)
+  unique(primary_article_id, duplicate_article_id),
+  unique(duplicate_article_id)        -- an article belongs to one cluster
+);
+
+-- ═══ REVIEW DECISIONS ═══
+-- Every editor action on the draft queue. Recent ones are fed back
+-- to the classifier as few-shot examples.
+create table review_decisions (
+  id uuid primary key default uuid_generate_v4(),
+  article_id uuid references articles(id) on delete cascade,
+  editor text not null,
+  action text not null check (action in ('approve', 'reject', 'update')),
+  before jsonb,                       -- status/category/bloom/summary before the decision
+  changes jsonb,                      -- fields the editor changed
+  decided_at timestamptz default now()
 );
 
 -- ═══ TRENDING SNAPSHOTS ═══
+-- Written by the pipeline's ranking step (scripts/lib/ranking.mjs)
 create table trending (
   id uuid primary key default uuid_generate_v4(),
   article_id uuid references articles(id) on delete cascade,
+  kind text not null default 'trending' check (kind in ('featured', 'trending')),
   rank int not null,
-  read_count int default 0,
+  score float,                        -- blended ranking score at snapshot time
+  read_count int default 0,           -- reads in the 24 hours before the snapshot
   snapshot_at timestamptz default now()
 );
 
+-- ═══ READS ═══
+-- Counted by the /go/<id> redirect (netlify/functions/go.mjs) through
+-- record_read(). No cookies and no IPs are stored: a visitor is a hash
+-- of IP + user agent with a salt that is replaced every UTC day, so
+-- nobody can be recognised across days.
+create table read_salts (
+  day date primary key,
+  salt text not null
+);
+
+-- One row per visitor per article per day; only today's rows are kept
+create table article_reads (
+  day date not null,
+  visitor_hash text not null,
+  article_id uuid not null references articles(id) on delete cascade,
+  primary key (day, visitor_hash, article_id)
+);
+
+-- Hourly totals; the ranking step sums the last 24 hours
+create table article_read_counts (
+  article_id uuid not null references articles(id) on delete cascade,
+  hour timestamptz not null,
+  reads int not null default 0,
+  primary key (article_id, hour)
+);
+
+-- ═══ TOPIC TAGS ═══
+-- One row per normalized tag. Counts cover the stories in feed_articles
+-- and are rebuilt by refresh_tags() after every pipeline run.
+create table tags (
+  slug text primary key,              -- /topic/<slug>
+  name text not null,                 -- display name: "climate change", "NASA"
+  article_count int not null default 0,
+  last_published_at timestamptz,
+  updated_at timestamptz default now()
+);
+
 -- ═══ AD PLACEMENTS ═══
 create table ad_placements (
   id uuid primary key default uuid_generate_v4(),
@@ -123,9 +205,20 @@ create table ad_placements (
   is_active boolean default true,
   start_date date,
   end_date date,
+  weight int not null default 1,      -- placements sharing a slot rotate in proportion
   created_at timestamptz default now()
 );
 
+-- Hourly totals next to the running ones on ad_placements, counted by
+-- netlify/functions/ads.mjs through record_ad_events()
+create table ad_event_counts (
+  placement_id uuid not null references ad_placements(id) on delete cascade,
+  hour timestamptz not null,
+  impressions int not null default 0,
+  clicks int not null default 0,
+  primary key (placement_id, hour)
+);
+
 -- ═══ BLOOM PICKS (Affiliate Products) ═══
 create table bloom_picks (
   id uuid primary key default uuid_generate_v4(),
@@ -134,21 +227,81 @@ create table bloom_picks (
   image_url text,
   affiliate_url text not null,
   affiliate_network text,             -- "amazon", "shareasale", "direct"
+  categories text[] not null default '{}',  -- category names the pick suits
+  tag_slugs text[] not null default '{}',   -- topics it suits (tags.slug)
   display_order int default 0,
   clicks int default 0,
   is_active boolean default true,
   created_at timestamptz default now()
 );
 
+-- Topics no product should be shown next to (see bloom_picks_for).
+-- Slugs as produced by scripts/lib/tags.mjs.
+create table sensitive_tags (
+  slug text primary key,
+  created_at timestamptz default now()
+);
+
 -- ═══ NEWSLETTER SUBSCRIBERS ═══
+-- Written only with the service key: signups by
+-- netlify/functions/newsletter.mjs, Newphoria+ membership by the Stripe
+-- webhook. A signup stays inactive until its emailed confirmation link
+-- is used; is_active is the newsletter, is_premium the membership.
 create table subscribers (
   id uuid primary key default uuid_generate_v4(),
-  email text not null unique,
-  is_premium boolean default false,
-  stripe_customer_id text,
+  email text not null unique,         -- trimmed and lowercased
+  is_premium boolean default false,   -- Newphoria+: kept in step with the Stripe subscription
+  stripe_customer_id text unique,
   subscribed_at timestamptz default now(),
   unsubscribed_at timestamptz,
-  is_active boolean default true
+  is_active boolean default false,
+  confirmed_at timestamptz,
+  confirm_token_hash text unique,     -- sha256 of the emailed token
+  confirm_sent_at timestamptz,
+  unsubscribe_token text unique,      -- in every email's unsubscribe link
+  stripe_subscription_id text unique,
+  premium_status text,                -- Stripe subscription status
+  trial_started_at timestamptz,
+  trial_ends_at timestamptz,
+  current_period_end timestamptz,
+  cancel_at_period_end boolean not null default false,
+  premium_event_at timestamptz,       -- when the last applied Stripe event happened
+  login_token_hash text unique,       -- sha256 of the emailed sign-in token
+  login_sent_at timestamptz
+);
+
+-- Stripe webhook events already handled (delivery is at least once)
+create table stripe_events (
+  id text primary key,                -- evt_…
+  type text not null,
+  created_at timestamptz,             -- when Stripe created the event
+  received_at timestamptz default now()
+);
+
+-- ═══ MORNING BRIEF ═══
+-- Daily digest sent by scripts/brief.mjs. One issue per day; every
+-- send is logged, so a run that stops halfway can be resumed.
+create table brief_issues (
+  id uuid primary key default uuid_generate_v4(),
+  issue_date date not null unique,
+  subject text not null,
+  article_ids uuid[] not null,        -- in the order they appear, Weird item last
+  status text not null default 'sending' check (status in ('sending', 'sent')),
+  recipients int default 0,
+  sent int default 0,
+  failed int default 0,
+  created_at timestamptz default now(),
+  completed_at timestamptz
+);
+
+create table brief_deliveries (
+  issue_id uuid not null references brief_issues(id) on delete cascade,
+  subscriber_id uuid not null references subscribers(id) on delete cascade,
+  status text not null check (status in ('sent', 'failed')),
+  error text,                         -- why the last attempt failed
+  attempts int not null default 1,
+  updated_at timestamptz default now(),
+  primary key (issue_id, subscriber_id)
 );
 
 -- ═══ INGESTION LOG ═══
@@ -156,17 +309,66 @@ create table subscribers (
 create table ingestion_log (
   id uuid primary key default uuid_generate_v4(),
   run_at timestamptz default now(),
-  source text,                        -- "newsapi", "guardian", "rss"
+  source text,                        -- "all"; per-adapter detail is in ingestion_log_sources
   articles_fetched int default 0,
   articles_classified int default 0,
   articles_published int default 0,   -- bloom >= 3
   articles_rejected int default 0,    -- bloom < 3
   articles_deduplicated int default 0,
-  api_cost_usd decimal(8,4),
+  api_cost_usd decimal(8,4),           -- Claude spend, priced from scripts/lib/usage.mjs
+  input_tokens int,
+  output_tokens int,
   errors text[],
   duration_seconds int
 );
 
+-- One row per adapter per run ("newsapi", "guardian", "gnews", "rss")
+create table ingestion_log_sources (
+  id uuid primary key default uuid_generate_v4(),
+  log_id uuid not null references ingestion_log(id) on delete cascade,
+  source text not null,
+  articles_fetched int default 0,
+  articles_dropped int default 0,     -- missing title/URL, or over max_articles
+  articles_new int default 0,
+  articles_deduplicated int default 0,
+  articles_published int default 0,
+  articles_rejected int default 0,
+  articles_drafts int default 0,
+  requests int default 0,
+  latency_ms int,                     -- summed over requests
+  duration_ms int,                    -- whole adapter, including rate-limit waits
+  http_errors jsonb,                  -- [{ url, status, error }], query strings stripped
+  errors text[],
+  quota jsonb,                        -- last rate-limit/quota headers the provider sent
+  feeds jsonb,                        -- per sources row: { ok, items, not_modified, error }
+  api_cost_usd decimal(8,4),          -- this source's share of Claude cost
+  input_tokens int,
+  output_tokens int
+);
+
+-- ═══ RECLASSIFICATIONS ═══
+-- One row per article per backfill (scripts/backfill.mjs), applied or not
+create table reclassifications (
+  id uuid primary key default uuid_generate_v4(),
+  backfill_id uuid not null,
+  article_id uuid references articles(id) on delete cascade,
+  from_classifier text,
+  from_prompt_version text,
+  to_classifier text,
+  to_prompt_version text,
+  bloom_before int,
+  bloom_after int,                    -- null when reclassification failed
+  category_before text,
+  category_after text,
+  weird_before boolean,
+  weird_after boolean,
+  confidence_before float,
+  confidence_after float,
+  applied boolean not null default false,
+  skipped_reason text,                -- lower_confidence, classification_failed, update_failed
+  created_at timestamptz default now()
+);
+
 -- ═══ INDEXES ═══
 create index idx_articles_bloom on articles(bloom_score) where status = 'published';
 create index idx_articles_category on articles(category_name) where status = 'published';
@@ -175,18 +377,54 @@ create index idx_articles_featured on articles(is_featured) where is_featured =
 create index idx_articles_weird on articles(is_weird) where is_weird = true;
 create index idx_articles_source_url on articles(source_url);
 create index idx_articles_status on articles(status);
-create index idx_trending_snapshot on trending(snapshot_at desc);
+create index idx_trending_snapshot on trending(kind, snapshot_at desc);
+create index idx_articles_canonical_url on articles(canonical_url);
+create index idx_articles_lsh_bands on articles using gin(lsh_bands);
+create index idx_articles_duplicate_of on articles(duplicate_of) where duplicate_of is not null;
+create index idx_article_duplicates_primary on article_duplicates(primary_article_id);
+create index idx_articles_review_queue on articles(created_at) where status = 'draft';
+create index idx_articles_classifier_version on articles(classifier, prompt_version);
+create index idx_reclassifications_created_at on reclassifications(created_at desc);
+create index idx_ingestion_log_run_at on ingestion_log(run_at desc);
+create index idx_ingestion_log_sources_log on ingestion_log_sources(log_id);
+create index idx_ingestion_log_sources_source on ingestion_log_sources(source);
+create index idx_review_decisions_decided_at on review_decisions(decided_at desc);
+create index idx_article_read_counts_hour on article_read_counts(hour);
+create index idx_articles_search on articles using gin(search_vector);
+create index idx_articles_tag_slugs on articles using gin(tag_slugs);
+create index idx_tags_article_count on tags(article_count desc);
+create index idx_ad_placements_slot on ad_placements(slot) where is_active;
+create index idx_brief_deliveries_failed on brief_deliveries(issue_id) where status = 'failed';
 
 -- ═══ ROW LEVEL SECURITY ═══
 alter table articles enable row level security;
 alter table sources enable row level security;
 alter table categories enable row level security;
-alter table subscribers enable row level security;
+alter table subscribers enable row level security;  -- service key only
+alter table review_decisions enable row level security;  -- service key only
+alter table ingestion_log_sources enable row level security;  -- service key only
+alter table reclassifications enable row level security;  -- service key only
+alter table read_salts enable row level security;  -- service key only
+alter table article_reads enable row level security;  -- service key only
+alter table article_read_counts enable row level security;  -- service key only
+alter table tags enable row level security;
+alter table trending enable row level security;
+alter table ad_placements enable row level security;  -- service key only (the site reads active_ads)
+alter table ad_event_counts enable row level security;  -- service key only
+alter table bloom_picks enable row level security;  -- service key only (the site reads active_bloom_picks)
+alter table sensitive_tags enable row level security;
+alter table brief_issues enable row level security;  -- service key only
+alter table brief_deliveries enable row level security;  -- service key only
+alter table stripe_events enable row level security;  -- service key only
 
 -- Public read access for articles (anon users can read published articles)
 create policy "Public read access" on articles for select using (status = 'published');
 create policy "Public read sources" on sources for select using (true);
 create policy "Public read categories" on categories for select using (true);
+create policy "Public read tags" on tags for select using (true);
+create policy "Public read trending" on trending for select using (true);
+create policy "Public read sensitive tags" on sensitive_tags for select using (true);
+revoke all on subscribers from anon, authenticated;
 
 -- ═══ UPDATED_AT TRIGGER ═══
 create or replace function update_updated_at()
@@ -200,6 +438,23 @@ $$ language plpgsql;
 create trigger articles_updated_at before update on articles
   for each row execute function update_updated_at();
 
+-- ═══ SEARCH VECTOR TRIGGER ═══
+-- Title weighs most, then tags and summary, then the full text
+create or replace function articles_search_vector()
+returns trigger as $$
+begin
+  new.search_vector :=
+    setweight(to_tsvector('english', coalesce(new.title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(array_to_string(new.ai_tags, ' '), '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(new.ai_summary, new.excerpt, '')), 'B') ||
+    setweight(to_tsvector('english', left(coalesce(new.content, ''), 100000)), 'C');
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger articles_search_vector before insert or update of title, ai_tags, ai_summary, excerpt, content on articles
+  for each row execute function articles_search_vector();
+
 -- ═══ SEED DATA: CATEGORIES ═══
 insert into categories (name, slug, color, display_order) values
   ('Innovation',  'innovation',  'cyan',   1),
@@ -214,27 +469,30 @@ insert into categories (name, slug, color, display_order) values
   ('The Weird',   'weird',       'orange', 10);
 
 -- ═══ SEED DATA: SOURCES ═══
-insert into sources (name, slug, url, api_source, reliability_score) values
-  ('Reuters',           'reuters',      'https://reuters.com',         'newsapi', 5),
-  ('AP News',           'ap',           'https://apnews.com',          'newsapi', 5),
-  ('BBC',               'bbc',          'https://bbc.com',             'newsapi', 5),
-  ('Nature',            'nature',       'https://nature.com',          'rss',     5),
-  ('The Lancet',        'lancet',       'https://thelancet.com',       'rss',     5),
-  ('NASA',              'nasa',         'https://nasa.gov',            'rss',     5),
-  ('The Guardian',      'guardian',     'https://theguardian.com',     'guardian', 4),
-  ('Bloomberg',         'bloomberg',    'https://bloomberg.com',       'newsapi', 4),
-  ('Wired',             'wired',        'https://wired.com',           'newsapi', 4),
-  ('MIT Tech Review',   'mittr',        'https://technologyreview.com','rss',     5),
-  ('Ars Technica',      'arstechnica',  'https://arstechnica.com',     'rss',     4),
-  ('Good News Network', 'gnn',          'https://goodnewsnetwork.org', 'rss',     3),
-  ('Reasons to be Cheerful', 'rtbc',    'https://reasonstobecheerful.world', 'rss', 4),
-  ('Future Crunch',     'futurecrunch', 'https://futurecrunch.com',    'rss',     4),
-  ('STAT News',         'statnews',     'https://statnews.com',        'rss',     5),
-  ('Space.com',         'spacecom',     'https://space.com',           'rss',     4),
-  ('ESA',               'esa',          'https://esa.int',             'rss',     5),
-  ('Science Daily',     'sciencedaily', 'https://sciencedaily.com',    'rss',     4),
-  ('Positive News',     'positivenews', 'https://positive.news',       'rss',     4),
-  ('New Scientist',     'newscientist', 'https://newscientist.com',    'rss',     4);
+-- api_source picks the adapter in scripts/sources/ that ingests the row;
+-- rss rows need a feed_url. Set is_active = false to switch a source off.
+insert into sources (name, slug, url, feed_url, api_source, reliability_score) values
+  ('Reuters',           'reuters',      'https://reuters.com',         null, 'newsapi', 5),
+  ('AP News',           'ap',           'https://apnews.com',          null, 'newsapi', 5),
+  ('BBC',               'bbc',          'https://bbc.com',             null, 'newsapi', 5),
+  ('Nature',            'nature',       'https://nature.com',          null, 'rss',     5),
+  ('The Lancet',        'lancet',       'https://thelancet.com',       null, 'rss',     5),
+  ('NASA',              'nasa',         'https://nasa.gov',            'https://www.nasa.gov/rss/dyn/breaking_news.rss', 'rss', 5),
+  ('The Guardian',      'guardian',     'https://theguardian.com',     null, 'guardian', 4),
+  ('GNews',             'gnews',        'https://gnews.io',            null, 'gnews',   3),
+  ('Bloomberg',         'bloomberg',    'https://bloomberg.com',       null, 'newsapi', 4),
+  ('Wired',             'wired',        'https://wired.com',           'https://www.wired.com/feed/rss', 'rss', 4),
+  ('MIT Tech Review',   'mittr',        'https://technologyreview.com', null, 'rss',    5),
+  ('Ars Technica',      'arstechnica',  'https://arstechnica.com',     'https://feeds.arstechnica.com/arstechnica/science', 'rss', 4),
+  ('Good News Network', 'gnn',          'https://goodnewsnetwork.org', 'https://www.goodnewsnetwork.org/feed/', 'rss', 3),
+  ('Reasons to be Cheerful', 'rtbc',    'https://reasonstobecheerful.world', 'https://reasonstobecheerful.world/feed/', 'rss', 4),
+  ('Future Crunch',     'futurecrunch', 'https://futurecrunch.com',    null, 'rss',     4),
+  ('STAT News',         'statnews',     'https://statnews.com',        null, 'rss',     5),
+  ('Space.com',         'spacecom',     'https://space.com',           'https://www.space.com/feeds/all', 'rss', 4),
+  ('ESA',               'esa',          'https://esa.int',             null, 'rss',     5),
+  ('Science Daily',     'sciencedaily', 'https://sciencedaily.com',    'https://www.sciencedaily.com/rss/all.xml', 'rss', 4),
+  ('Positive News',     'positivenews', 'https://positive.news',       'https://positive.news/feed/', 'rss', 4),
+  ('New Scientist',     'newscientist', 'https://newscientist.com',    'https://www.newscientist.com/feed/home/', 'rss', 4);
 
 -- ═══ SEED DATA: AD PLACEMENTS ═══
 insert into ad_placements (name, slot, advertiser, title, description, click_url, cta_text, is_affiliate) values
@@ -244,11 +502,19 @@ insert into ad_placements (name, slot, advertiser, title, description, click_url
   ('AG1 Feed',        'infeed-2',  'Athletic Greens', 'AG1 by Athletic Greens', 'One daily habit that covers your nutritional bases. 75 ingredients, one scoop.', '#', 'Learn More →', true);
 
 -- ═══ SEED DATA: BLOOM PICKS ═══
-insert into bloom_picks (name, description, affiliate_url, display_order) values
-  ('Vitamin D3+K2',      'Mood and immunity support',     '#', 1),
-  ('Calm Magnesium',     'Better sleep, less stress',     '#', 2),
-  ('Ceremonial Matcha',  'Clean energy, no crash',        '#', 3),
-  ('Lions Mane Extract', 'Focus and neurogenesis',        '#', 4);
+insert into bloom_picks (name, description, affiliate_url, display_order, categories, tag_slugs) values
+  ('Vitamin D3+K2',      'Mood and immunity support',     '#', 1, '{health}',         '{immunity,vitamin-d,nutrition,longevity,aging}'),
+  ('Calm Magnesium',     'Better sleep, less stress',     '#', 2, '{health}',         '{sleep,insomnia,stress,anxiety,mental-health,meditation}'),
+  ('Ceremonial Matcha',  'Clean energy, no crash',        '#', 3, '{health}',         '{focus,productivity,caffeine,coffee,tea,mindfulness}'),
+  ('Lions Mane Extract', 'Focus and neurogenesis',        '#', 4, '{health,science}', '{brain-health,memory,cognition,neuroscience,mushroom}');
+
+-- ═══ SEED DATA: SENSITIVE TAGS ═══
+insert into sensitive_tags (slug) values
+  ('cancer'), ('terminal-illness'), ('death'), ('grief'), ('bereavement'), ('suicide'),
+  ('suicide-prevention'), ('self-harm'), ('eating-disorder'), ('addiction'), ('overdose'),
+  ('opioid'), ('child-abuse'), ('domestic-violence'), ('sexual-assault'), ('violence'),
+  ('gun-violence'), ('mass-shooting'), ('war'), ('refugee'), ('natural-disaster'),
+  ('earthquake'), ('miscarriage'), ('dementia'), ('alzheimers-disease');
 
 -- ═══ USEFUL VIEWS ═══
 
@@ -258,19 +524,57 @@ select
   a.id, a.title, a.excerpt, a.source_url, a.image_url,
   a.category_name, a.bloom_score, a.is_weird, a.is_featured, a.is_trending,
   a.source_name, a.published_at, a.read_time_minutes, a.view_count,
-  a.ai_tags, a.ai_summary
+  a.ai_tags, a.ai_summary, a.coverage_count, a.tag_slugs
 from articles a
-where a.status = 'published' and a.bloom_score >= 3
+where a.status = 'published' and a.bloom_score >= 3 and a.duplicate_of is null
 order by a.published_at desc;
 
+-- Other outlets covering a story ("Also covered by N sources")
+create or replace view story_coverage as
+select
+  d.primary_article_id, a.id, a.title, a.source_name, a.source_url, a.published_at
+from article_duplicates d
+join articles a on a.id = d.duplicate_article_id
+where a.status = 'published'
+order by a.published_at asc;
+
 -- Weird articles only
 create or replace view weird_articles as
 select * from feed_articles where is_weird = true;
 
--- Featured articles
+-- Featured articles (latest ranking snapshot)
 create or replace view featured_articles as
-select * from feed_articles where is_featured = true
-order by published_at desc limit 3;
+select f.* from feed_articles f
+join trending t on t.article_id = f.id
+where t.kind = 'featured'
+  and t.snapshot_at = (select max(snapshot_at) from trending where kind = 'featured')
+order by t.rank limit 3;
+
+-- Trending articles (latest ranking snapshot)
+create or replace view trending_articles as
+select f.*, t.rank, t.score from feed_articles f
+join trending t on t.article_id = f.id
+where t.kind = 'trending'
+  and t.snapshot_at = (select max(snapshot_at) from trending where kind = 'trending')
+order by t.rank;
+
+-- Ads the site may show today. Placements need an http(s) click_url,
+-- which stays out of the view: clicks go through /ad/<id>
+create or replace view active_ads as
+select id, slot, advertiser, title, description, image_url, cta_text, is_affiliate, weight
+from ad_placements
+where is_active
+  and weight > 0
+  and click_url ~* '^https?://'
+  and (start_date is null or start_date <= current_date)
+  and (end_date is null or end_date >= current_date);
+
+-- Bloom Picks the site may show. Picks need an http(s) affiliate_url,
+-- which stays out of the view: clicks go through /pick/<id>
+create or replace view active_bloom_picks as
+select id, name, description, image_url, affiliate_network, categories, tag_slugs, display_order
+from bloom_picks
+where is_active and affiliate_url ~* '^https?://';
 
 -- Pipeline stats
 create or replace view pipeline_stats as
@@ -280,7 +584,340 @@ select
   sum(articles_published) as total_published,
   sum(articles_rejected) as total_rejected,
   sum(articles_deduplicated) as total_deduped,
-  sum(api_cost_usd) as total_cost
+  sum(api_cost_usd) as total_cost,
+  sum(input_tokens) as total_input_tokens,
+  sum(output_tokens) as total_output_tokens
 from ingestion_log
 group by date_trunc('day', run_at)
 order by day desc;
+
+-- Per-adapter health by day
+create or replace view source_stats as
+select
+  date_trunc('day', l.run_at) as day,
+  s.source,
+  sum(s.articles_fetched) as total_fetched,
+  sum(s.articles_new) as total_new,
+  sum(s.articles_published) as total_published,
+  sum(s.requests) as total_requests,
+  sum(jsonb_array_length(coalesce(s.http_errors, '[]'::jsonb))) as total_http_errors,
+  round(avg(s.latency_ms::numeric / nullif(s.requests, 0))) as avg_latency_ms,
+  sum(s.api_cost_usd) as total_cost
+from ingestion_log_sources s
+join ingestion_log l on l.id = s.log_id
+group by date_trunc('day', l.run_at), s.source
+order by day desc, s.source;
+
+-- Reads per article in the last 24 hours (ranking input)
+create or replace view recent_reads as
+select article_id, sum(reads)::int as reads
+from article_read_counts
+where hour >= now() - interval '24 hours'
+group by article_id;
+
+revoke select on recent_reads from anon, authenticated;
+
+-- ═══ DEDUP LOOKUP ═══
+-- One round trip per pipeline run: existing articles matching any of the
+-- incoming URLs (any status), plus recent published articles sharing an
+-- LSH band with the incoming titles (near_candidate = true).
+create or replace function dedup_lookup(urls text[], bands text[], since timestamptz)
+returns table (id uuid, canonical_url text, source_url text, minhash int[], near_candidate boolean)
+language sql stable as $$
+  select a.id, a.canonical_url, a.source_url, a.minhash, false
+  from articles a
+  where a.source_url = any(urls) or a.canonical_url = any(urls)
+  union all
+  select a.id, a.canonical_url, a.source_url, a.minhash, true
+  from articles a
+  where a.lsh_bands && bands and a.status = 'published' and a.published_at >= since
+$$;
+
+revoke execute on function dedup_lookup(text[], text[], timestamptz) from public, anon, authenticated;
+
+-- ═══ STORY CLUSTERS ═══
+-- Re-elect the primary of the cluster an article belongs to and recount
+-- its coverage, in one transaction. The primary is the published member
+-- from the most reliable source, then the highest bloom score, then the
+-- earliest; on a tie the current primary stays. Returns the primary.
+create or replace function elect_story_primary(p_article_id uuid)
+returns uuid
+language plpgsql as $$
+declare
+  v_primary uuid;
+  v_best uuid;
+  v_similarity float;
+begin
+  select coalesce(a.duplicate_of, a.id) into v_primary from articles a where a.id = p_article_id;
+  if v_primary is null then
+    raise exception 'Cluster article not found: %', p_article_id;
+  end if;
+
+  -- Concurrent elections of the same cluster wait for each other
+  perform 1 from articles a where a.id = v_primary or a.duplicate_of = v_primary for update;
+
+  select a.id into v_best
+  from articles a
+  left join sources s on s.id = a.source_id
+  where a.id = v_primary or a.duplicate_of = v_primary
+  order by (a.status = 'published') desc,
+    coalesce(s.reliability_score, 0) desc,
+    coalesce(a.bloom_score, 0) desc,
+    coalesce(a.published_at, 'epoch') asc,
+    (a.id = v_primary) desc
+  limit 1;
+
+  -- Move the whole cluster under the new primary
+  if v_best <> v_primary then
+    delete from article_duplicates where duplicate_article_id = v_best
+    returning similarity_score into v_similarity;
+    update article_duplicates set primary_article_id = v_best where primary_article_id = v_primary;
+    insert into article_duplicates (primary_article_id, duplicate_article_id, similarity_score)
+    values (v_best, v_primary, v_similarity);
+
+    update articles set duplicate_of = v_best where duplicate_of = v_primary and id <> v_best;
+    update articles set duplicate_of = v_best, coverage_count = 0, is_featured = false where id = v_primary;
+    update articles set duplicate_of = null where id = v_best;
+  end if;
+
+  -- Published duplicates only, the ones story_coverage lists
+  update articles set coverage_count = (
+    select count(*) from story_coverage c where c.primary_article_id = v_best
+  ) where id = v_best;
+
+  return v_best;
+end;
+$$;
+
+revoke execute on function elect_story_primary(uuid) from public, anon, authenticated;
+
+-- ═══ READ COUNTING ═══
+-- Count one read of a published article. Returns false when it isn't
+-- counted: already read by this visitor today, or the visitor is over
+-- the daily limit. The IP and user agent are only hashed, never stored.
+create or replace function record_read(p_article_id uuid, p_ip text, p_user_agent text, p_daily_limit int default 100)
+returns boolean
+language plpgsql as $$
+declare
+  v_day date := (now() at time zone 'utc')::date;
+  v_salt text;
+  v_visitor text;
+  v_reads int;
+begin
+  insert into read_salts (day, salt) values (v_day, gen_random_uuid()::text)
+  on conflict (day) do nothing;
+  select salt into v_salt from read_salts where day = v_day;
+
+  -- Yesterday's salt and visitors go as soon as the day turns
+  delete from read_salts where day < v_day;
+  delete from article_reads where day < v_day;
+
+  v_visitor := encode(sha256(convert_to(v_salt || '|' || p_ip || '|' || coalesce(p_user_agent, ''), 'UTF8')), 'hex');
+
+  select count(*) into v_reads from article_reads where day = v_day and visitor_hash = v_visitor;
+  if v_reads >= p_daily_limit then
+    return false;
+  end if;
+
+  insert into article_reads (day, visitor_hash, article_id)
+  select v_day, v_visitor, a.id from articles a where a.id = p_article_id and a.status = 'published'
+  on conflict do nothing;
+  if not found then
+    return false;
+  end if;
+
+  update articles set view_count = coalesce(view_count, 0) + 1 where id = p_article_id;
+  insert into article_read_counts (article_id, hour, reads)
+  values (p_article_id, date_trunc('hour', now()), 1)
+  on conflict (article_id, hour) do update set reads = article_read_counts.reads + 1;
+  return true;
+end;
+$$;
+
+revoke execute on function record_read(uuid, text, text, int) from public, anon, authenticated;
+
+-- ═══ AD ACCOUNTING ═══
+-- Count impressions or clicks for a batch of placement ids. Returns the
+-- number of placements counted.
+create or replace function record_ad_events(p_ids uuid[], p_kind text)
+returns int
+language plpgsql as $$
+declare
+  v_counted int;
+begin
+  if p_kind not in ('impression', 'click') then
+    raise exception 'Unknown ad event: %', p_kind;
+  end if;
+
+  -- Each placement counts once per call, and only while the site may
+  -- show it: repeated or retired ids can't inflate the numbers
+  with events as (
+    select distinct id from unnest(p_ids) as id
+    where id in (select a.id from active_ads a)
+  ), counted as (
+    update ad_placements p set
+      impressions = coalesce(p.impressions, 0) + case when p_kind = 'impression' then 1 else 0 end,
+      clicks = coalesce(p.clicks, 0) + case when p_kind = 'click' then 1 else 0 end
+    from events e
+    where p.id = e.id
+    returning p.id
+  )
+  insert into ad_event_counts (placement_id, hour, impressions, clicks)
+  select id, date_trunc('hour', now()),
+    case when p_kind = 'impression' then 1 else 0 end,
+    case when p_kind = 'click' then 1 else 0 end
+  from counted
+  on conflict (placement_id, hour) do update set
+    impressions = ad_event_counts.impressions + excluded.impressions,
+    clicks = ad_event_counts.clicks + excluded.clicks;
+
+  get diagnostics v_counted = row_count;
+  return v_counted;
+end;
+$$;
+
+revoke execute on function record_ad_events(uuid[], text) from public, anon, authenticated;
+
+-- ═══ BLOOM PICKS ═══
+-- Picks for the stories next to them (a story page, or the top of a
+-- feed) and optionally a category. Picks sharing the most tags with
+-- the stories come first, then ones for their category, then the rest
+-- by display_order. Sensitive stories (any tag in sensitive_tags) are
+-- left out of the matching; when every story is sensitive, no picks
+-- are returned. Callable with the anon key.
+create or replace function bloom_picks_for(story_ids uuid[] default '{}', category text default null, max_results int default 4)
+returns setof active_bloom_picks
+language sql stable as $$
+  with context as (
+    select a.category_name, coalesce(a.tag_slugs, '{}') as tag_slugs,
+      exists (select 1 from sensitive_tags s where s.slug = any(a.tag_slugs)) as sensitive
+    from feed_articles a
+    where a.id = any(coalesce(story_ids, '{}'))
+  ), usable as (
+    select * from context where not sensitive
+  ), context_tags as (
+    select array(select distinct unnest(tag_slugs) from usable) as slugs
+  ), context_categories as (
+    select array(select category_name from usable union select category where category is not null) as names
+  )
+  select p.*
+  from active_bloom_picks p, context_tags t, context_categories c
+  where exists (select 1 from usable) or not exists (select 1 from context)
+  order by
+    cardinality(array(select unnest(p.tag_slugs) intersect select unnest(t.slugs))) desc,
+    (p.categories && c.names) desc,
+    p.display_order, p.name
+  limit least(greatest(coalesce(max_results, 4), 1), 8)
+$$;
+
+-- Count one click on a pick (netlify/functions/ads.mjs)
+create or replace function record_pick_click(p_pick_id uuid)
+returns boolean
+language plpgsql as $$
+begin
+  update bloom_picks set clicks = coalesce(clicks, 0) + 1 where id = p_pick_id;
+  return found;
+end;
+$$;
+
+revoke execute on function record_pick_click(uuid) from public, anon, authenticated;
+
+-- ═══ SEARCH ═══
+-- Full-text search over published stories, callable with the anon key.
+-- `q` uses web search syntax: "exact phrase", or, -exclude.
+-- Highlights wrap matches in \u0002 … \u0003 so the client can escape
+-- the text before turning them into <mark>.
+create or replace function search_articles(
+  q text,
+  category text default null,
+  min_bloom int default 3,
+  since timestamptz default null,
+  until timestamptz default null,
+  sort text default 'relevance',
+  page_size int default 20,
+  page_offset int default 0
+)
+returns table (
+  id uuid, title text, excerpt text, source_url text, image_url text,
+  category_name text, bloom_score int, is_weird boolean, source_name text,
+  published_at timestamptz, read_time_minutes int, view_count int,
+  ai_tags text[], ai_summary text, coverage_count int,
+  rank real, title_highlight text, summary_highlight text
+)
+language sql stable as $$
+  with query as (select websearch_to_tsquery('english', q) as tsq)
+  select
+    a.id, a.title, a.excerpt, a.source_url, a.image_url,
+    a.category_name, a.bloom_score, a.is_weird, a.source_name,
+    a.published_at, a.read_time_minutes, a.view_count,
+    a.ai_tags, a.ai_summary, a.coverage_count,
+    ts_rank_cd(a.search_vector, query.tsq) as rank,
+    ts_headline('english', a.title, query.tsq, 'StartSel="' || chr(2) || '", StopSel="' || chr(3) || '", HighlightAll=true'),
+    ts_headline('english', coalesce(a.ai_summary, a.excerpt, ''), query.tsq, 'StartSel="' || chr(2) || '", StopSel="' || chr(3) || '", MaxWords=40, MinWords=20')
+  from articles a, query
+  where a.search_vector @@ query.tsq
+    and a.status = 'published' and a.duplicate_of is null
+    and a.bloom_score >= greatest(coalesce(min_bloom, 3), 3)
+    and (category is null or a.category_name = category)
+    and (since is null or a.published_at >= since)
+    and (until is null or a.published_at < until)
+  order by
+    case when sort = 'newest' then null else ts_rank_cd(a.search_vector, query.tsq) end desc nulls last,
+    a.published_at desc
+  limit least(greatest(coalesce(page_size, 20), 1), 50) offset greatest(coalesce(page_offset, 0), 0)
+$$;
+
+-- ═══ TOPICS ═══
+-- Rebuild tag counts from feed_articles. A tag no story uses any more
+-- keeps its row with a count of zero (its topic page 404s).
+create or replace function refresh_tags()
+returns int
+language plpgsql as $$
+declare
+  v_tags int;
+begin
+  with counts as (
+    select t.slug, mode() within group (order by t.name) as name,
+      count(*)::int as article_count, max(f.published_at) as last_published_at
+    from feed_articles f
+    cross join lateral unnest(f.tag_slugs, f.ai_tags) as t(slug, name)
+    where t.slug <> '' and t.name is not null
+    group by t.slug
+  )
+  insert into tags (slug, name, article_count, last_published_at, updated_at)
+  select slug, name, article_count, last_published_at, now() from counts
+  on conflict (slug) do update set
+    name = excluded.name,
+    article_count = excluded.article_count,
+    last_published_at = excluded.last_published_at,
+    updated_at = now();
+  get diagnostics v_tags = row_count;
+
+  update tags set article_count = 0, updated_at = now()
+  where article_count > 0
+    and not exists (select 1 from feed_articles f where f.tag_slugs @> array[tags.slug]);
+  return v_tags;
+end;
+$$;
+
+revoke execute on function refresh_tags() from public, anon, authenticated;
+
+-- Stories sharing tags with `story`, callable with the anon key. Each
+-- shared tag counts 1 / ln(2 + stories tagged with it), so a rare tag
+-- says more than "science"; ties go to the newest.
+create or replace function related_articles(story uuid, max_results int default 3)
+returns setof feed_articles
+language sql stable as $$
+  select f.*
+  from feed_articles f
+  join articles src on src.id = story
+  cross join lateral (
+    select sum(1 / ln(2 + coalesce(t.article_count, 0))) as weight
+    from unnest(f.tag_slugs) as s(slug)
+    left join tags t on t.slug = s.slug
+    where s.slug = any(src.tag_slugs)
+  ) shared
+  where f.tag_slugs && src.tag_slugs and f.id <> story
+  order by shared.weight desc, f.published_at desc
+  limit least(greatest(coalesce(max_results, 3), 1), 12)
+$$;